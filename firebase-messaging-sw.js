@@ -84,27 +84,42 @@ messaging.onBackgroundMessage((payload) => {
 });
 
 // Handle notification click
+// data.url is an app route such as '/#/activities/task/{id}' (see getAppRoute in functions/index.js)
 self.addEventListener('notificationclick', (event) => {
   console.log('[firebase-messaging-sw.js] Notification clicked:', event);
   
   event.notification.close();
   
   // Get URL from notification data or default
-  const urlToOpen = event.notification.data?.url || '/';
+  const urlToOpen = new URL(event.notification.data?.url || '/', self.location.origin);
   
   event.waitUntil(
     clients.matchAll({ type: 'window', includeUncontrolled: true })
-      .then((clientList) => {
-        // Check if app is already open
-        for (let i = 0; i < clientList.length; i++) {
-          const client = clientList[i];
-          if (client.url === urlToOpen && 'focus' in client) {
-            return client.focus();
+      .then(async (clientList) => {
+        // Reuse an open tab of the app (or, failing that, another page of the site): focus it, then route it
+        // Admin dashboard tabs are never taken over
+        const sameOrigin = clientList.filter((client) => {
+          const clientUrl = new URL(client.url);
+          return clientUrl.origin === urlToOpen.origin && !clientUrl.pathname.startsWith('/admin') && 'focus' in client;
+        });
+        const isAppPage = (client) => ['/', '/index.html'].includes(new URL(client.url).pathname);
+        const existing = sameOrigin.find(isAppPage) || sameOrigin[0];
+        if (existing) {
+          const client = (await existing.focus()) || existing;
+          if (isAppPage(client)) {
+            // Attendee app is loaded: its Router switches views without reloading
+            client.postMessage({ type: 'notification-click', url: urlToOpen.href });
+            return client;
+          }
+          // Another page of the site (e.g. privacy policy): load the app there
+          if ('navigate' in client) {
+            const navigated = await client.navigate(urlToOpen.href).catch(() => null);
+            if (navigated) return navigated;
           }
         }
         // Open new window if app is closed
         if (clients.openWindow) {
-          return clients.openWindow(urlToOpen);
+          return clients.openWindow(urlToOpen.href);
         }
       })
   );
@@ -5,10 +5,49 @@
  * This reduces Firestore read costs by caching frequently accessed data
  */
 
-const {onDocumentUpdated, onDocumentCreated, onDocumentDeleted} = require("firebase-functions/v2/firestore");
-const {onRequest, onCall} = require("firebase-functions/v2/https");
+const {onDocumentUpdated, onDocumentCreated, onDocumentDeleted, onDocumentWrittenWithAuthContext} = require("firebase-functions/v2/firestore");
+const {onRequest, onCall, HttpsError} = require("firebase-functions/v2/https");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
 const admin = require("firebase-admin");
+const {getWindowMillis, getActivityWindowState} = require("./lib/activity-windows");
+const {
+  getQuizAttemptPolicy,
+  compareQuizAttempts,
+  getPreviousQuizAttempts,
+  assertQuizAttemptAllowed,
+  buildQuizAttemptScoring,
+  getQuizReviewBlock,
+  assertQuizReviewOpen,
+  gradeQuizQuestion,
+  gradeQuizAnswers,
+  splitQuizGrading,
+  mergeQuizGrading
+} = require("./lib/quiz");
+const {
+  getDrawSeed,
+  drawBankQuestions,
+  toDrawnPublicQuestions,
+  mapDrawnAnswerToBank,
+  isDrawUsable
+} = require("./lib/quiz-draws");
+const {computeQuizRegrade} = require("./lib/quiz-regrade");
+const {isEmptyFormAnswer, resolveFormAnswers} = require("./lib/forms");
+const {
+  PUSH_DELIVERY_POLICY,
+  getEventDayStart,
+  isInQuietHours,
+  isLowPriorityPush,
+  getPushHash,
+  applyPushSlot,
+  releasePushSlot
+} = require("./lib/push-delivery");
+const {
+  normalizeNotificationSegment,
+  segmentNeedsPendingCount,
+  getPendingActivityCount,
+  matchesNotificationSegment,
+  matchesPendingSegment
+} = require("./lib/notification-segments");
 admin.initializeApp();
 
 const region = "us-central1";
@@ -559,16 +598,7 @@ async function updateUserDataCache(uid, userData) {
 exports.updateAttendeeDirectory = onCall(
     { region: region },
     async (request) => {
-      // Only allow admins to trigger this
-      if (!request.auth) {
-        throw new Error("Unauthorized");
-      }
-      
-      // Check if user is admin
-      const adminDoc = await db.collection("admins").doc(request.auth.uid).get();
-      if (!adminDoc.exists) {
-        throw new Error("Unauthorized: Admin access required");
-      }
+      await requireAdminRole(request, ['registration-desk']);
       
       await updateAttendeeDirectoryCache();
       return { success: true, message: "Attendee directory cache updated" };
@@ -582,16 +612,7 @@ exports.updateAttendeeDirectory = onCall(
 exports.checkCacheHealth = onCall(
     { region: region },
     async (request) => {
-      // Only allow admins to check cache health
-      if (!request.auth) {
-        throw new Error("Unauthorized");
-      }
-      
-      // Check if user is admin
-      const adminDoc = await db.collection("admins").doc(request.auth.uid).get();
-      if (!adminDoc.exists) {
-        throw new Error("Unauthorized: Admin access required");
-      }
+      await requireAdminRole(request);
       
       const health = {};
       
@@ -676,9 +697,59 @@ exports.checkCacheHealth = onCall(
     }
 );
 
+/**
+ * Admin roles. Rules files check the same names:
+ * - super-admin: everything, including admin roles and point adjustments
+ * - content-editor: quizzes, tasks, forms
+ * - reviewer: task submission review only
+ * - registration-desk: attendees only
+ */
+const ADMIN_ROLES = ["super-admin", "content-editor", "reviewer", "registration-desk"];
+
+/**
+ * Normalize a stored admin role
+ * Admin docs created before roles existed (no role field, or 'admin') are super-admins;
+ * any other role, including null or '', gets no access, matching adminRole() in the rules files
+ * @param {string|undefined} role - Role from the admins document
+ * @returns {string|null} One of ADMIN_ROLES, or null for an unknown role
+ */
+function normalizeAdminRole(role) {
+  if (role === undefined || role === "admin") {
+    return "super-admin";
+  }
+  return ADMIN_ROLES.includes(role) ? role : null;
+}
+
+/**
+ * Verify the caller of a callable function is an admin with one of the given roles
+ * Super-admins always pass
+ * @param {Object} request - Callable request
+ * @param {Array<string>} roles - Allowed roles (empty = super-admin only)
+ * @returns {Promise<string>} The caller's role
+ */
+async function requireAdminRole(request, roles = []) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Unauthorized");
+  }
+
+  const adminDoc = await db.collection("admins").doc(request.auth.uid).get();
+  if (!adminDoc.exists) {
+    throw new HttpsError("permission-denied", "Unauthorized: Admin access required");
+  }
+
+  const role = normalizeAdminRole(adminDoc.data().role);
+  if (!role) {
+    throw new HttpsError("permission-denied", "Unauthorized: Unknown admin role");
+  }
+  if (role !== "super-admin" && !roles.includes(role)) {
+    throw new HttpsError("permission-denied", `Unauthorized: ${role} cannot perform this action`);
+  }
+  return role;
+}
+
 /**
  * Sync admins from Firestore to RTDB
- * This allows RTDB security rules to check admin status
+ * This allows RTDB security rules to check admin status and role
  */
 async function syncAdminsToRTDB() {
   try {
@@ -691,7 +762,7 @@ async function syncAdminsToRTDB() {
         uid: doc.id,
         name: data.name || null,
         email: data.email || null,
-        role: data.role || "admin",
+        role: normalizeAdminRole(data.role),
         createdAt: data.createdAt ? data.createdAt.toMillis() : Date.now(),
       };
     });
@@ -908,7 +979,7 @@ async function updateQuizzesCache() {
         title: data.title || "Untitled Quiz",
         description: data.description || "",
         status: data.status || "inactive",
-        questionsCount: (data.questions && data.questions.length) || 0,
+        questionsCount: (data.questions && data.questions.length) || data.questionsCount || 0,
         submissionsCount: submissionCounts[doc.id] || 0,
         totalPoints: data.totalPoints || 0,
         createdAt: data.createdAt ? data.createdAt.toMillis() : 0,
@@ -1000,6 +1071,8 @@ async function updateFormsCache() {
         status: data.status || "inactive",
         points: data.points || 0,
         formFields: data.formFields || [], // Include full formFields array for admin view
+        sections: data.sections || [],
+        anonymous: data.anonymous === true,
         formFieldsCount: (data.formFields && data.formFields.length) || 0,
         submissionsCount: submissionCounts[doc.id] || 0,
         submissionCount: submissionCounts[doc.id] || 0, // Also include as submissionCount for compatibility
@@ -1114,7 +1187,7 @@ async function updateAttendeeActivitiesCache() {
         title: data.title || "Untitled Quiz",
         description: data.description || "",
         totalPoints: data.totalPoints || 0,
-        questionsCount: (data.questions && data.questions.length) || 0,
+        questionsCount: (data.questions && data.questions.length) || data.questionsCount || 0,
         isTimeBased: data.isTimeBased || false,
         timeLimit: data.timeLimit || null,
         createdAt: data.createdAt ? data.createdAt.toMillis() : Date.now(),
@@ -1155,6 +1228,20 @@ async function updateAttendeeActivitiesCache() {
   }
 }
 
+/**
+ * A user's form responses plus their anonymous form completions
+ * Responses to anonymous forms carry no userId, so formCompletions stands in for them
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Submission data ({ formId, submittedAt, ... })
+ */
+async function getUserFormSubmissions(userId) {
+  const [submissionsSnapshot, completionsSnapshot] = await Promise.all([
+    db.collection("formSubmissions").where("userId", "==", userId).get(),
+    db.collection("formCompletions").where("userId", "==", userId).get()
+  ]);
+  return [...submissionsSnapshot.docs, ...completionsSnapshot.docs].map((doc) => doc.data());
+}
+
 /**
  * Update user completion status cache in RTDB
  * Maintains completion status for quizzes, tasks, and forms per user
@@ -1164,16 +1251,14 @@ async function updateUserCompletionStatusCache(userId) {
   
   try {
     // Fetch all submissions for this user
-    const [quizSubmissionsSnapshot, taskSubmissionsSnapshot, formSubmissionsSnapshot] = await Promise.all([
+    const [quizSubmissionsSnapshot, taskSubmissionsSnapshot, formSubmissions] = await Promise.all([
       db.collection("quizSubmissions")
         .where("userId", "==", userId)
         .get(),
       db.collection("submissions")
         .where("userId", "==", userId)
         .get(),
-      db.collection("formSubmissions")
-        .where("userId", "==", userId)
-        .get()
+      getUserFormSubmissions(userId)
     ]);
 
     const completionData = {
@@ -1187,10 +1272,14 @@ async function updateUserCompletionStatusCache(userId) {
     quizSubmissionsSnapshot.forEach((doc) => {
       const data = doc.data();
       if (data.quizId) {
+        // Retakes: keep the latest attempt, which carries the score that counts
+        const existing = completionData.quizzes[data.quizId];
+        if (existing && existing.attempts > (data.attemptNumber || 1)) return;
         completionData.quizzes[data.quizId] = {
           completed: true,
-          score: data.score || 0,
+          score: data.countedScore ?? data.score ?? 0,
           totalScore: data.totalScore || 0,
+          attempts: data.attemptNumber || 1,
           submittedAt: data.submittedAt ? data.submittedAt.toMillis() : Date.now(),
         };
       }
@@ -1214,8 +1303,7 @@ async function updateUserCompletionStatusCache(userId) {
     completionData.tasks = taskCompletions;
 
     // Process form submissions
-    formSubmissionsSnapshot.forEach((doc) => {
-      const data = doc.data();
+    formSubmissions.forEach((data) => {
       if (data.formId) {
         completionData.forms[data.formId] = {
           completed: true,
@@ -1247,25 +1335,23 @@ async function updateUserStatsCache(userId) {
     const userData = userDoc.data();
 
     // Fetch submission counts
-    const [quizSubmissionsSnapshot, taskSubmissionsSnapshot, formSubmissionsSnapshot] = await Promise.all([
+    const [quizSubmissionsSnapshot, taskSubmissionsSnapshot, formSubmissions] = await Promise.all([
       db.collection("quizSubmissions")
         .where("userId", "==", userId)
         .get(),
       db.collection("submissions")
         .where("userId", "==", userId)
         .get(),
-      db.collection("formSubmissions")
-        .where("userId", "==", userId)
-        .get()
+      getUserFormSubmissions(userId)
     ]);
 
     // Calculate stats
     const stats = {
       totalPoints: userData.points || 0,
       rank: 0, // Will be updated by updateUserRank
-      quizzesCompleted: quizSubmissionsSnapshot.size,
+      quizzesCompleted: new Set(quizSubmissionsSnapshot.docs.map((doc) => doc.data().quizId)).size, // Retakes count once
       tasksCompleted: 0,
-      formsCompleted: formSubmissionsSnapshot.size,
+      formsCompleted: formSubmissions.length,
       pendingSubmissions: 0,
       approvedSubmissions: 0,
       rejectedSubmissions: 0,
@@ -1464,6 +1550,60 @@ async function updateRecentActivityCache() {
   }
 }
 
+/**
+ * Strip answer keys from quiz questions before they are copied anywhere attendees can read
+ * Correct answers and explanations live only in quizzes/{quizId}/private/answerKey
+ * @param {Array<Object>} questions - Quiz questions (may include legacy inline correctAnswer)
+ * @returns {Array<Object>} Questions without correctAnswer or explanation
+ */
+function toPublicQuizQuestions(questions) {
+  if (!Array.isArray(questions)) {
+    return questions;
+  }
+  return questions.map((q) => {
+    const publicQuestion = { ...q };
+    delete publicQuestion.correctAnswer;
+    delete publicQuestion.explanation;
+    return publicQuestion;
+  });
+}
+
+/**
+ * Merge a quiz's private answer key back into its questions for grading
+ * Falls back to inline correctAnswer for quizzes saved before the key was split out
+ * @param {Array<Object>} questions - Public quiz questions
+ * @param {Object|null} answerKeyData - Data of quizzes/{quizId}/private/answerKey
+ * @returns {Array<Object>} Questions with correctAnswer
+ */
+function mergeQuizAnswerKey(questions, answerKeyData) {
+  const keyAnswers = (answerKeyData && answerKeyData.answers) || {};
+  return (questions || []).map((q, index) => {
+    const questionId = q.id || `q${index}`;
+    if (Object.prototype.hasOwnProperty.call(keyAnswers, questionId)) {
+      return { ...q, correctAnswer: keyAnswers[questionId] };
+    }
+    return q;
+  });
+}
+
+// Upcoming activities are listed this long before they open so attendees can see "opens in..."
+const UPCOMING_ACTIVITY_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Whether an activity belongs in pendingActivities right now
+ * Open activities are listed, and so are ones opening within UPCOMING_ACTIVITY_WINDOW_MS
+ * @param {Object} activity - Cached activity data
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isActivityListable(activity, now = Date.now()) {
+  const state = getActivityWindowState(activity, now);
+  if (state === 'upcoming') {
+    return getWindowMillis(activity.opensAt) - now <= UPCOMING_ACTIVITY_WINDOW_MS;
+  }
+  return state === 'open';
+}
+
 // ============================================================================
 // ENHANCED ARCHITECTURE: Indexed Cache Functions
 // ============================================================================
@@ -1496,11 +1636,19 @@ async function updateActivityInCache(activityType, activityId, activityData) {
       id: activityId,
       ...activityData,
       status: 'active', // Ensure status is set
+      // Store the availability window as millis so clients and pre-compute can compare directly
+      opensAt: getWindowMillis(activityData.opensAt),
+      closesAt: getWindowMillis(activityData.closesAt),
       questionsCount: activityData.questions?.length || activityData.questionsCount || 0,
       // For forms, ensure formFields array and counts are included
       formFieldsCount: activityData.formFields?.length || activityData.formFieldsCount || 0
     };
     
+    // Never copy answer keys into the attendee-readable activity cache
+    if (activityType === 'quizzes' && cacheData.questions) {
+      cacheData.questions = toPublicQuizQuestions(cacheData.questions);
+    }
+    
     // Ensure task type is preserved (default to 'upload' if missing)
     if (activityType === 'tasks' && !cacheData.type) {
       cacheData.type = activityData.type || 'upload';
@@ -1745,15 +1893,18 @@ async function updateUserActivityLists(userId, excludeActivityIds = []) {
     // - Quizzes: Show if NOT in completion status
     // - Tasks: Show if NOT in completion status OR status is 'rejected' (can resubmit)
     // - Forms: Show if NOT in completion status
+    // - All: Only while open or opening soon (isActivityListable); scheduledActivityWindows
+    //   rebuilds the lists when an opensAt/closesAt boundary passes
+    const now = Date.now();
     const pending = {
-      quizzes: activities.quizzes.filter(q => {
+      quizzes: activities.quizzes.filter(q => isActivityListable(q, now)).filter(q => {
         // Show if not completed - check by quiz ID
         const isCompleted = completion.quizzes && completion.quizzes[q.id];
         if (isCompleted) {
         }
         return !isCompleted;
       }),
-      tasks: activities.tasks.filter(t => {
+      tasks: activities.tasks.filter(t => isActivityListable(t, now)).filter(t => {
         const taskCompletion = completion.tasks?.[t.id];
         if (!taskCompletion) {
           // Not submitted yet, show in pending
@@ -1763,7 +1914,7 @@ async function updateUserActivityLists(userId, excludeActivityIds = []) {
         // Don't show if pending (submitted, waiting review) or approved (completed)
         return taskCompletion.status === 'rejected';
       }),
-      forms: activities.forms.filter(f => {
+      forms: activities.forms.filter(f => isActivityListable(f, now)).filter(f => {
         // Show if not completed
         return !completion.forms || !completion.forms[f.id];
       }),
@@ -1888,20 +2039,21 @@ async function updateUserActivityListsOptimized(userId, preFetchedActivities, ex
       };
     }
     
-    // PRE-COMPUTE: Pending activities
+    // PRE-COMPUTE: Pending activities (only while open or opening soon)
+    const now = Date.now();
     const pending = {
-      quizzes: activities.quizzes.filter(q => {
+      quizzes: activities.quizzes.filter(q => isActivityListable(q, now)).filter(q => {
         const isCompleted = completion.quizzes && completion.quizzes[q.id];
         return !isCompleted;
       }),
-      tasks: activities.tasks.filter(t => {
+      tasks: activities.tasks.filter(t => isActivityListable(t, now)).filter(t => {
         const taskCompletion = completion.tasks?.[t.id];
         if (!taskCompletion) {
           return true;
         }
         return taskCompletion.status === 'rejected';
       }),
-      forms: activities.forms.filter(f => {
+      forms: activities.forms.filter(f => isActivityListable(f, now)).filter(f => {
         return !completion.forms || !completion.forms[f.id];
       }),
       combined: []
@@ -2166,8 +2318,8 @@ async function updateSubmissionLists(submissionId, submissionData, changeType) {
       
       updates[`cache/admin/submissions/metadata/${submissionId}`] = {
         id: submissionId,
-        userId,
-        userName: submissionData.userName || submissionData.name || 'Unknown',
+        userId: userId || null,
+        userName: submissionData.userName || submissionData.name || (submissionData.anonymous ? 'Anonymous' : 'Unknown'),
         taskId: taskId || null,
         formId: formId || null,
         quizId: quizId || null,
@@ -2181,6 +2333,7 @@ async function updateSubmissionLists(submissionId, submissionData, changeType) {
         submittedAt: submissionData.submittedAt?.toMillis?.() || 
                     (submissionData.submittedAt ? new Date(submissionData.submittedAt).getTime() : Date.now()),
         points: submissionData.points || submissionData.pointsAwarded || 0,
+        anonymous: submissionData.anonymous === true,
         collection: collection // Collection hint for fast client-side loading (CRITICAL for optimization)
       };
       
@@ -2517,6 +2670,47 @@ exports.scheduledCacheRefresh = onSchedule(
     }
 );
 
+/**
+ * Scheduled availability window check
+ * Runs every 5 minutes. When an activity's opensAt/closesAt boundary (or the start of its
+ * "opens in..." preview) has passed since the last run, every user's pendingActivities list
+ * is rebuilt so activities appear and disappear on time without an admin flipping status.
+ */
+exports.scheduledActivityWindows = onSchedule(
+    {
+      schedule: "*/5 * * * *",
+      region: region,
+      timeZone: "UTC"
+    },
+    async (event) => {
+      try {
+        const activities = await getActivitiesFromIndexedCache();
+        const now = Date.now();
+        
+        // Signature of which windowed activities are listable and which are open right now
+        const signature = ['quizzes', 'tasks', 'forms']
+          .flatMap(type => activities[type]
+            .filter(a => a.opensAt || a.closesAt)
+            .map(a => `${type}/${a.id}:${isActivityListable(a, now) ? getActivityWindowState(a, now) : 'hidden'}`))
+          .sort()
+          .join(',');
+        
+        const stateRef = rtdb.ref('cache/activities/windowState');
+        const previous = (await stateRef.once('value')).val();
+        if (previous && previous.signature === signature) {
+          return;
+        }
+        
+        console.log('[scheduledActivityWindows] Activity windows changed, rebuilding pending lists');
+        await triggerUserActivityListUpdates();
+        await stateRef.set({ signature: signature, lastChanged: now });
+      } catch (error) {
+        console.error("Error in scheduled activity window check:", error);
+        // Don't throw - next run retries
+      }
+    }
+);
+
 /**
  * Triggered when a user document is created or updated
  */
@@ -2863,7 +3057,7 @@ exports.onSubmissionCreate = onDocumentCreated(
                 taskId: taskId,
                 taskTitle: taskTitle,
                 submissionId: event.params.submissionId,
-                url: `/tasks/${taskId}`
+                url: getAppRoute('profile')
               }
             });
           } catch (error) {
@@ -2896,6 +3090,32 @@ exports.onSubmissionUpdate = onDocumentUpdated(
       const statusChanged = before.status !== after.status;
       const pointsChanged = (before.pointsAwarded || 0) !== (after.pointsAwarded || 0);
       
+      // Award task points on transition to approved (idempotent per submission)
+      // Writing pointsAwarded re-triggers this function, which sends the points notification
+      if (statusChanged && after.status === 'approved' && taskId) {
+        try {
+          const taskDoc = await db.collection('tasks').doc(taskId).get();
+          const taskData = taskDoc.exists ? taskDoc.data() : null;
+          const taskPoints = taskData?.points || 0;
+          if (taskPoints > 0) {
+            const awarded = await awardSubmissionPoints({
+              source: 'task',
+              submissionId: event.params.submissionId,
+              userId: userId,
+              delta: taskPoints,
+              activityId: taskId,
+              activityTitle: after.taskTitle || taskData.title || null,
+              actorUid: after.reviewedBy || null
+            });
+            if (awarded) {
+              await event.data.after.ref.update({ pointsAwarded: taskPoints });
+            }
+          }
+        } catch (error) {
+          console.error(`[onSubmissionUpdate] Failed to award points for ${event.params.submissionId}:`, error);
+        }
+      }
+      
       // CRITICAL: Remove from old status path and update metadata BEFORE adding to new path
       // This ensures atomic cache updates and prevents submissions from appearing in wrong lists
       const statusUpdates = {};
@@ -2989,7 +3209,7 @@ exports.onSubmissionUpdate = onDocumentUpdated(
               taskId: taskId,
               taskTitle: taskTitle,
               points: String(after.pointsAwarded),
-              url: `/tasks/${taskId}`
+              url: getAppRoute('profile')
             }
           });
         } catch (error) {
@@ -3041,7 +3261,7 @@ exports.onSubmissionUpdate = onDocumentUpdated(
                 taskId: taskId,
                 taskTitle: taskTitle,
                 points: String(after.pointsAwarded || 0),
-                url: `/tasks/${taskId}`
+                url: getAppRoute('profile')
               }
             });
           } catch (error) {
@@ -3072,7 +3292,7 @@ exports.onSubmissionUpdate = onDocumentUpdated(
                 type: 'submission_rejected',
                 taskId: taskId,
                 taskTitle: taskTitle,
-                url: `/tasks/${taskId}`
+                url: getAppRoute('activities', 'task', taskId)
               }
             });
           } catch (error) {
@@ -3218,7 +3438,29 @@ exports.onQuizSubmissionCreate = onDocumentCreated(
       }
       
       const score = submissionData.score || submissionData.totalScore || 0;
-      
+      // Retakes carry the change in the score that counts under the quiz's attempt policy
+      // (submissions from before attempt policies count in full)
+      const pointsDelta = Number.isFinite(submissionData.pointsDelta) ? submissionData.pointsDelta : score;
+      const countedScore = Number.isFinite(submissionData.countedScore) ? submissionData.countedScore : score;
+      const attemptNumber = submissionData.attemptNumber || 1;
+      
+      // Award quiz points (idempotent per submission)
+      if (pointsDelta !== 0) {
+        try {
+          await awardSubmissionPoints({
+            source: 'quiz',
+            submissionId: event.params.submissionId,
+            userId: userId,
+            delta: pointsDelta,
+            activityId: quizId,
+            activityTitle: submissionData.quizTitle || null,
+            actorUid: userId,
+            attemptNumber: attemptNumber
+          });
+        } catch (error) {
+          console.error(`[onQuizSubmissionCreate] Failed to award points for ${event.params.submissionId}:`, error);
+        }
+      }
       
       // CRITICAL: Update user activity list FIRST (fastest path to remove from pending)
       // This ensures the card disappears from user's pending list as quickly as possible
@@ -3227,13 +3469,17 @@ exports.onQuizSubmissionCreate = onDocumentCreated(
         ...submissionData,
         quizId: quizId,
         status: 'completed',
-        pointsAwarded: score
+        pointsAwarded: pointsDelta
         }, 'create'),
         updateUserCompletion(userId, 'quiz', quizId, {
         completed: true,
         submittedAt: submittedAtTimestamp,
-        points: score,
-        score: score // Include both for consistency
+        points: countedScore,
+        score: countedScore, // Include both for consistency
+        totalScore: submissionData.totalPoints || 0,
+        lastScore: score,
+        attempts: attemptNumber,
+        scoringRule: submissionData.scoringRule || 'first'
         })
       // Note: updateUserCompletion already calls updateUserActivityLists internally
       ]);
@@ -3258,15 +3504,16 @@ exports.onQuizSubmissionCreate = onDocumentCreated(
         const quizDoc = await db.collection('quizzes').doc(quizId).get();
         const quizData = quizDoc.exists ? quizDoc.data() : null;
         const quizTitle = quizData?.title || 'Quiz';
-        const score = submissionData.score || submissionData.totalScore || 0;
-        const totalScore = submissionData.totalScore || submissionData.totalPoints || 0;
-        
+        const totalPoints = submissionData.totalPoints || submissionData.totalScore || 0;
+        const retakeNote = attemptNumber > 1 ?
+          ` (attempt ${attemptNumber}). ${countedScore} points count toward your total` : '';
         
         await updateUserNotificationCache(userId, {
           type: 'quiz_completed',
           title: 'Quiz Completed!',
-          message: `You scored ${score}/${totalScore} on "${quizTitle}"`,
-          points: score
+          message: `You scored ${score}/${totalPoints} on "${quizTitle}"${retakeNote}`,
+          points: pointsDelta,
+          quizId: quizId
         });
         
       } catch (error) {
@@ -3277,152 +3524,1477 @@ exports.onQuizSubmissionCreate = onDocumentCreated(
     }
 );
 
+// ============================================================================
+// QUESTION BANKS - seeded per-attendee draws
+// ============================================================================
+
 /**
- * Update forms cache when form submissions change
+ * Callable function to get the attendee's questions for a question bank quiz
+ * The draw is seeded by quiz and attendee (and attempt, for retakes), stored in
+ * quizDraws/{quizId}_{uid}, and reused so a reload shows the same questions in the same order.
+ * Body: { quizId: string }
+ * Returns: { questions, totalPoints }
  */
-exports.onFormSubmissionCreate = onDocumentCreated(
-    {
-      document: "formSubmissions/{submissionId}",
-      region: region,
-    },
-    async (event) => {
-      const submissionData = event.data.data();
-      const { userId, formId } = submissionData;
-      
-      // Step 1: Update indexed submission cache
-      await updateSubmissionLists(event.params.submissionId, {
-        ...submissionData,
-        formId: formId,
-        status: 'completed'
-      }, 'create');
-      
-      // Step 2: Update user completion status (indexed) - MUST complete before updating lists
-      await updateUserCompletion(userId, 'form', formId, {
-        completed: true,
-        submittedAt: submissionData.submittedAt?.toMillis?.() || 
-                     (submissionData.submittedAt ? new Date(submissionData.submittedAt).getTime() : Date.now())
-      });
-      // Note: updateUserCompletion already calls updateUserActivityLists internally
-      
-      // Step 3: Update other caches in parallel
-      await Promise.all([
-        // Update user stats
-        updateUserStats(userId),
-        // Update admin caches
-        updateFormsCache(),
-        updateRecentActivityCache(),
-        updateSubmissionCountsCache(),
-        // Update old caches (for backward compatibility)
-        updateUserCompletionStatusCache(userId),
-        updateUserStatsCache(userId)
-      ]);
-      
-      // Step 4: Create notification for form completion (separate to ensure it completes)
-      try {
-        const formDoc = await db.collection('forms').doc(formId).get();
-        const formData = formDoc.exists ? formDoc.data() : null;
-        const formTitle = formData?.title || 'Form';
-        const points = formData?.points || 0;
-        
-        
-        await updateUserNotificationCache(userId, {
-          type: 'form_completed',
-          title: 'Form Submitted!',
-          message: points > 0 
-            ? `You submitted "${formTitle}" and earned ${points} points!`
-            : `You submitted "${formTitle}" successfully!`,
-          points: points
-        });
-        
-      } catch (error) {
-        console.error('Error creating form completion notification:', error);
-        // Non-critical, don't throw
+exports.getQuizDraw = onCall(
+    { region: region },
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Unauthorized");
       }
-      
-      return null;
+
+      const uid = request.auth.uid;
+      const { quizId } = request.data || {};
+      if (!quizId || typeof quizId !== 'string') {
+        throw new HttpsError("invalid-argument", "quizId is required");
+      }
+
+      const quizDoc = await db.collection('quizzes').doc(quizId).get();
+      if (!quizDoc.exists) {
+        throw new HttpsError("not-found", "Quiz not found");
+      }
+      const quizData = quizDoc.data();
+      if (quizData.questionSource !== 'bank' || !quizData.bankDraw?.bankId) {
+        throw new HttpsError("failed-precondition", "This quiz does not draw from a question bank");
+      }
+      if (getActivityWindowState(quizData) === 'upcoming') {
+        throw new HttpsError("failed-precondition", "This quiz has not opened yet");
+      }
+
+      const bankDoc = await db.collection('questionBanks').doc(quizData.bankDraw.bankId).get();
+      if (!bankDoc.exists) {
+        throw new HttpsError("not-found", "This quiz's question bank no longer exists");
+      }
+      const bankQuestions = bankDoc.data().questions || [];
+      const pointsPerQuestion = quizData.bankDraw.pointsPerQuestion || 0;
+      const drawRef = db.collection('quizDraws').doc(`${quizId}_${uid}`);
+      const previousQuery = db.collection('quizSubmissions')
+        .where('userId', '==', uid)
+        .where('quizId', '==', quizId);
+
+      const drawData = await db.runTransaction(async (transaction) => {
+        const [drawDoc, previousSnap] = await Promise.all([
+          transaction.get(drawRef),
+          transaction.get(previousQuery)
+        ]);
+        // Reuse the stored draw unless the bank lost a question this attendee was given,
+        // or this is a retake (each attempt is seeded separately)
+        const attemptNumber = previousSnap.size + 1;
+        if (drawDoc.exists && isDrawUsable(drawDoc.data(), bankQuestions) &&
+            (drawDoc.data().attemptNumber || 1) === attemptNumber) {
+          return drawDoc.data();
+        }
+
+        const newDraw = {
+          userId: uid,
+          quizId: quizId,
+          bankId: quizData.bankDraw.bankId,
+          attemptNumber,
+          ...drawBankQuestions(bankQuestions, quizData.bankDraw, getDrawSeed(quizId, uid, attemptNumber)),
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        transaction.set(drawRef, newDraw);
+        return newDraw;
+      });
+
+      return {
+        questions: toDrawnPublicQuestions(bankQuestions, drawData, pointsPerQuestion),
+        totalPoints: drawData.questionIds.length * pointsPerQuestion
+      };
     }
 );
 
+// ============================================================================
+// QUIZ ATTEMPT POLICIES - retakes, scoring rule and cooldown
+// ============================================================================
+//
+// quizzes/{quizId}.attemptPolicy = { maxAttempts, scoring, cooldownMinutes }
+// Each attempt is its own quizSubmissions document with attemptNumber, countedScore (the score
+// that counts under the policy after this attempt) and pointsDelta (countedScore minus the
+// previous countedScore), so the points ledger only ever receives the change.
+// The policy and scoring helpers are in lib/quiz.js
+
+// Submissions of time-based quizzes are accepted this long after the deadline to absorb network latency
+const QUIZ_GRACE_SECONDS = 30;
+
 /**
- * Triggered when a quiz document is created
+ * Quiz attempt document for a user (one per user per quiz)
+ * @param {string} quizId - Quiz ID
+ * @param {string} uid - User ID
+ * @returns {DocumentReference}
  */
-exports.onQuizCreate = onDocumentCreated(
-    {
-      document: "quizzes/{quizId}",
-      region: region,
-    },
-    async (event) => {
-      const quizData = event.data.data();
-      const quizId = event.params.quizId;
-      
-      // Step 1: Update all caches in parallel (no verification needed - RTDB writes are atomic)
-      await Promise.all([
-        updateActivityInCache('quizzes', quizId, quizData),
-        updateQuizzesCache(),
-        updateAttendeeActivitiesCache(),
-        updateActivityMetadataCache()
-      ]);
-      
-      // Step 2: Trigger user list updates for all users in parallel
-      await triggerUserActivityListUpdates(null, 'quizzes');
-      
-      return null;
-    }
-);
+function getQuizAttemptRef(quizId, uid) {
+  return db.collection('quizAttempts').doc(`${quizId}_${uid}`);
+}
 
 /**
- * Triggered when a quiz document is updated
+ * Seconds left on an attempt, measured on the server clock
+ * @param {Object} attemptData - quizAttempts document data
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Remaining seconds (negative once the deadline has passed)
  */
-exports.onQuizUpdate = onDocumentUpdated(
-    {
-      document: "quizzes/{quizId}",
-      region: region,
-    },
-    async (event) => {
-      const oldData = event.data.before.data();
-      const newData = event.data.after.data();
-      const quizId = event.params.quizId;
-      
-      // Step 1: Update all caches in parallel
-      await Promise.all([
-        updateActivityInCache('quizzes', quizId, newData),
-        updateActivityIndexes('quizzes', quizId, oldData, newData),
-        updateQuizzesCache(),
-        updateAttendeeActivitiesCache(),
-        updateActivityMetadataCache()
-      ]);
-      
-      // Step 2: Trigger pre-compute updates if status or points changed
-      // This is critical - when status changes to 'active', users need to see it
-      // When status changes to 'inactive', users need it removed
-      if (oldData.status !== newData.status || oldData.totalPoints !== newData.totalPoints) {
-        // If status changed to active, don't exclude (it's being added)
-        // If status changed to inactive, exclude it (it's being removed)
-        const excludeId = newData.status !== 'active' ? quizId : null;
-        await triggerUserActivityListUpdates(excludeId, 'quizzes');
-      }
-      
-      return null;
-    }
-);
+function getAttemptRemainingSeconds(attemptData, now = Date.now()) {
+  return Math.floor((attemptData.deadlineAt.toMillis() - now) / 1000);
+}
 
 /**
- * Triggered when a quiz document is deleted
+ * Build the zero-score submission recorded when a timed attempt runs out before a valid submit
+ * It uses up the attempt, so the attempt cannot be restarted for a fresh clock.
+ * @param {Object} params - { uid, quizId, quizData, userData, attemptData, scoring }
+ * @returns {Object} quizSubmissions document data
  */
-exports.onQuizDelete = onDocumentDeleted(
-    {
-      document: "quizzes/{quizId}",
-      region: region,
-    },
-    async (event) => {
-      const quizId = event.params.quizId;
-      
-      // Find all quiz submissions for this quiz so we can clean up
-      const submissionsSnapshot = await db.collection("quizSubmissions")
-        .where("quizId", "==", quizId)
-        .get();
-      
-      const affectedUserIds = new Set();
+function buildExpiredQuizSubmission({ uid, quizId, quizData, userData, attemptData, scoring }) {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  return {
+    userId: uid,
+    userName: userData.name || userData.displayName || null,
+    quizId: quizId,
+    quizTitle: quizData.title || null,
+    answers: [],
+    score: 0,
+    totalScore: 0,
+    totalPoints: quizData.totalPoints ||
+      (quizData.questions || []).reduce((sum, q) => sum + (q.points || 0), 0),
+    timeTaken: attemptData.timeLimitSeconds,
+    attemptId: `${quizId}_${uid}`,
+    ...scoring,
+    expired: true,
+    gradedBy: 'server',
+    submittedAt: now,
+    completedAt: now
+  };
+}
+
+/**
+ * Callable function to start (or resume) a time-based quiz attempt
+ * The attempt holds the server start time, so reloading the page resumes the same clock.
+ * If the deadline plus grace period has already passed, the attempt is closed with a zero score.
+ * Body: { quizId: string }
+ * Returns: { attemptId, attemptNumber, remainingSeconds, timeLimitSeconds, resumed, expired }
+ */
+exports.startQuizAttempt = onCall(
+    { region: region },
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Unauthorized");
+      }
+
+      const uid = request.auth.uid;
+      const { quizId } = request.data || {};
+      if (!quizId || typeof quizId !== 'string') {
+        throw new HttpsError("invalid-argument", "quizId is required");
+      }
+
+      const quizRef = db.collection('quizzes').doc(quizId);
+      const userRef = db.collection('users').doc(uid);
+      const attemptRef = getQuizAttemptRef(quizId, uid);
+      const previousQuery = db.collection('quizSubmissions')
+        .where('userId', '==', uid)
+        .where('quizId', '==', quizId);
+
+      return db.runTransaction(async (transaction) => {
+        const [quizDoc, userDoc, attemptDoc, previousSnap] = await Promise.all([
+          transaction.get(quizRef),
+          transaction.get(userRef),
+          transaction.get(attemptRef),
+          transaction.get(previousQuery)
+        ]);
+
+        if (!quizDoc.exists) {
+          throw new HttpsError("not-found", "Quiz not found");
+        }
+        if (!userDoc.exists) {
+          throw new HttpsError("not-found", "User not found");
+        }
+
+        const quizData = quizDoc.data();
+        if (!quizData.isTimeBased || !quizData.timeLimit) {
+          throw new HttpsError("failed-precondition", "This quiz is not time-based");
+        }
+
+        const now = Date.now();
+        const policy = getQuizAttemptPolicy(quizData);
+        const previous = getPreviousQuizAttempts(previousSnap);
+
+        // Resume an attempt already in progress with the time actually left
+        if (attemptDoc.exists && attemptDoc.data().status === 'in-progress') {
+          const attemptData = attemptDoc.data();
+          const remainingSeconds = getAttemptRemainingSeconds(attemptData, now);
+          if (remainingSeconds + QUIZ_GRACE_SECONDS < 0) {
+            transaction.set(db.collection('quizSubmissions').doc(), buildExpiredQuizSubmission({
+              uid, quizId, quizData, userData: userDoc.data(), attemptData,
+              scoring: buildQuizAttemptScoring(policy, previous, 0)
+            }));
+            transaction.update(attemptRef, {
+              status: 'expired',
+              endedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return {
+              attemptId: attemptRef.id,
+              attemptNumber: attemptData.attemptNumber || 1,
+              remainingSeconds: 0,
+              timeLimitSeconds: attemptData.timeLimitSeconds,
+              resumed: true,
+              expired: true
+            };
+          }
+          return {
+            attemptId: attemptRef.id,
+            attemptNumber: attemptData.attemptNumber || 1,
+            remainingSeconds: Math.max(0, remainingSeconds),
+            timeLimitSeconds: attemptData.timeLimitSeconds,
+            resumed: true,
+            expired: false
+          };
+        }
+
+        assertQuizAttemptAllowed(policy, previous, now);
+        if ((quizData.status || 'active') !== 'active') {
+          throw new HttpsError("failed-precondition", "This quiz is not currently available");
+        }
+        const windowState = getActivityWindowState(quizData, now);
+        if (windowState === 'upcoming') {
+          throw new HttpsError("failed-precondition", "This quiz has not opened yet");
+        }
+        if (windowState === 'closed') {
+          throw new HttpsError("failed-precondition", "This quiz has closed");
+        }
+
+        const timeLimitSeconds = Math.round(quizData.timeLimit * 60);
+        transaction.set(attemptRef, {
+          userId: uid,
+          quizId: quizId,
+          status: 'in-progress',
+          timeLimitSeconds: timeLimitSeconds,
+          graceSeconds: QUIZ_GRACE_SECONDS,
+          attemptNumber: previous.length + 1,
+          startedAt: admin.firestore.Timestamp.fromMillis(now),
+          deadlineAt: admin.firestore.Timestamp.fromMillis(now + timeLimitSeconds * 1000)
+        });
+
+        return {
+          attemptId: attemptRef.id,
+          attemptNumber: previous.length + 1,
+          remainingSeconds: timeLimitSeconds,
+          timeLimitSeconds,
+          resumed: false,
+          expired: false
+        };
+      });
+    }
+);
+
+/**
+ * Callable function to submit and grade a quiz on the server
+ * The client sends only raw answers; the score is computed here and the submission is written
+ * in a transaction, so attempts cannot exceed the quiz's attempt policy. Points are awarded by
+ * onQuizSubmissionCreate (only the change in the counted score, see buildQuizAttemptScoring).
+ * Question bank quizzes are graded against the attendee's quizDraws entry (see getQuizDraw).
+ * Time-based quizzes must have been started with startQuizAttempt; timeTaken comes from the attempt,
+ * and a submission arriving after timeLimit + QUIZ_GRACE_SECONDS is recorded as expired with zero score.
+ * Body: { quizId: string, answers: { [questionId]: answer }, timeTaken?: number }
+ */
+exports.submitQuizAnswers = onCall(
+    { region: region },
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Unauthorized");
+      }
+
+      const uid = request.auth.uid;
+      const { quizId, answers: rawAnswers, timeTaken } = request.data || {};
+
+      if (!quizId || typeof quizId !== 'string') {
+        throw new HttpsError("invalid-argument", "quizId is required");
+      }
+      if (rawAnswers !== undefined && (typeof rawAnswers !== 'object' || Array.isArray(rawAnswers))) {
+        throw new HttpsError("invalid-argument", "answers must be an object keyed by question ID");
+      }
+
+      const quizRef = db.collection('quizzes').doc(quizId);
+      const answerKeyRef = quizRef.collection('private').doc('answerKey');
+      const userRef = db.collection('users').doc(uid);
+      const attemptRef = getQuizAttemptRef(quizId, uid);
+      const submissionRef = db.collection('quizSubmissions').doc();
+      const previousQuery = db.collection('quizSubmissions')
+        .where('userId', '==', uid)
+        .where('quizId', '==', quizId);
+
+      const result = await db.runTransaction(async (transaction) => {
+        const [quizDoc, answerKeyDoc, userDoc, attemptDoc, previousSnap] = await Promise.all([
+          transaction.get(quizRef),
+          transaction.get(answerKeyRef),
+          transaction.get(userRef),
+          transaction.get(attemptRef),
+          transaction.get(previousQuery)
+        ]);
+
+        if (!quizDoc.exists) {
+          throw new HttpsError("not-found", "Quiz not found");
+        }
+        if (!userDoc.exists) {
+          throw new HttpsError("not-found", "User not found");
+        }
+
+        const quizData = quizDoc.data();
+        if (quizData.mode === 'live') {
+          throw new HttpsError("failed-precondition", "This quiz is played live in the hall");
+        }
+        const policy = getQuizAttemptPolicy(quizData);
+        const previous = getPreviousQuizAttempts(previousSnap);
+        assertQuizAttemptAllowed(policy, previous);
+        const isTimed = !!(quizData.isTimeBased && quizData.timeLimit);
+        const attemptData = attemptDoc.exists ? attemptDoc.data() : null;
+        if (isTimed && (!attemptData || attemptData.status !== 'in-progress')) {
+          throw new HttpsError("failed-precondition", "Start the quiz before submitting");
+        }
+
+        // An attempt started inside the window may finish after closesAt
+        if (!isTimed) {
+          if ((quizData.status || 'active') !== 'active') {
+            throw new HttpsError("failed-precondition", "This quiz is not currently available");
+          }
+          const windowState = getActivityWindowState(quizData);
+          if (windowState === 'upcoming') {
+            throw new HttpsError("failed-precondition", "This quiz has not opened yet");
+          }
+          if (windowState === 'closed') {
+            throw new HttpsError("failed-precondition", "This quiz has closed");
+          }
+        }
+
+        const userData = userDoc.data();
+
+        // Bank quizzes are graded against the attendee's stored draw (read before any write)
+        const isBankQuiz = quizData.questionSource === 'bank' && !!quizData.bankDraw?.bankId;
+        let drawData = null;
+        let bankQuestions = [];
+        if (isBankQuiz) {
+          const [drawDoc, bankDoc] = await Promise.all([
+            transaction.get(db.collection('quizDraws').doc(`${quizId}_${uid}`)),
+            transaction.get(db.collection('questionBanks').doc(quizData.bankDraw.bankId))
+          ]);
+          bankQuestions = bankDoc.exists ? (bankDoc.data().questions || []) : [];
+          drawData = drawDoc.exists ? drawDoc.data() : null;
+          if (!drawData || !isDrawUsable(drawData, bankQuestions)) {
+            throw new HttpsError("failed-precondition", "Open the quiz again to load your questions before submitting");
+          }
+        }
+
+        let serverTimeTaken = null;
+        if (isTimed) {
+          const now = Date.now();
+          if (getAttemptRemainingSeconds(attemptData, now) + QUIZ_GRACE_SECONDS < 0) {
+            // Too late even with the grace period: answers are discarded
+            transaction.set(submissionRef, buildExpiredQuizSubmission({
+              uid, quizId, quizData, userData, attemptData,
+              scoring: buildQuizAttemptScoring(policy, previous, 0)
+            }));
+            transaction.update(attemptRef, {
+              status: 'expired',
+              endedAt: admin.firestore.FieldValue.serverTimestamp(),
+              submissionId: submissionRef.id
+            });
+            return {
+              submissionId: submissionRef.id, score: 0, totalPoints: 0, answers: [], expired: true,
+              ...buildQuizAttemptScoring(policy, previous, 0)
+            };
+          }
+          serverTimeTaken = Math.min(
+            Math.floor((now - attemptData.startedAt.toMillis()) / 1000),
+            attemptData.timeLimitSeconds
+          );
+          transaction.update(attemptRef, {
+            status: 'submitted',
+            endedAt: admin.firestore.FieldValue.serverTimestamp(),
+            submissionId: submissionRef.id
+          });
+        }
+
+        let questions;
+        let answersToGrade = rawAnswers || {};
+        if (isBankQuiz) {
+          // Grade against bank questions; answers are stored under bank question IDs and option indices
+          const byId = new Map(bankQuestions.map((q) => [q.id, q]));
+          questions = drawData.questionIds.map((questionId) => ({
+            ...byId.get(questionId),
+            points: quizData.bankDraw.pointsPerQuestion || 0
+          }));
+          answersToGrade = {};
+          questions.forEach((q) => {
+            answersToGrade[q.id] = mapDrawnAnswerToBank(q, (rawAnswers || {})[q.id], drawData.optionOrders?.[q.id]);
+          });
+        } else {
+          questions = mergeQuizAnswerKey(quizData.questions, answerKeyDoc.exists ? answerKeyDoc.data() : null);
+        }
+        const { answers, score } = gradeQuizAnswers(questions, answersToGrade);
+        const totalPoints = isBankQuiz
+          ? questions.reduce((sum, q) => sum + (q.points || 0), 0)
+          : quizData.totalPoints || (quizData.questions || []).reduce((sum, q) => sum + (q.points || 0), 0);
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const scoring = buildQuizAttemptScoring(policy, previous, score);
+        const { answers: submittedAnswers, grading } = splitQuizGrading(answers);
+
+        transaction.set(submissionRef, {
+          userId: uid,
+          userName: userData.name || userData.displayName || null,
+          quizId: quizId,
+          quizTitle: quizData.title || null,
+          answers: submittedAnswers,
+          score,
+          totalScore: score,
+          totalPoints,
+          timeTaken: isTimed ? serverTimeTaken :
+            (Number.isFinite(timeTaken) && timeTaken >= 0 ? Math.floor(timeTaken) : null),
+          ...(isTimed ? { attemptId: attemptRef.id } : {}),
+          ...(isBankQuiz ? { questionSource: 'bank', bankId: quizData.bankDraw.bankId, questionIds: drawData.questionIds } : {}),
+          ...scoring,
+          gradedBy: 'server',
+          submittedAt: now,
+          completedAt: now
+        });
+        transaction.set(db.collection('quizGrading').doc(submissionRef.id), {
+          userId: uid,
+          quizId: quizId,
+          answers: grading,
+          gradedAt: now
+        });
+
+        // Which questions were right only comes back once the attendee could review the answers anyway
+        return {
+          submissionId: submissionRef.id,
+          score,
+          totalPoints,
+          ...(getQuizReviewBlock(quizData, scoring.attemptNumber) ? {} : { answers: grading }),
+          ...scoring,
+          expired: false
+        };
+      });
+
+      return { success: true, ...result };
+    }
+);
+
+// ============================================================================
+// QUIZ REVIEW - attendees see their answers, the correct answers and explanations
+// ============================================================================
+//
+// quizzes/{quizId}.reviewPolicy decides when: 'immediate' (after submitting), 'after-close'
+// (once closesAt has passed or the quiz is no longer active) or 'never' (the default).
+// Explanations are stored with the answers in quizzes/{quizId}/private/answerKey.explanations
+// (bank questions keep theirs inline, since banks are admin-only).
+// The review policy helpers are in lib/quiz.js
+
+/**
+ * Callable function returning the attendee's latest attempt with correct answers and explanations
+ * Body: { quizId: string }
+ * Returns: { quizTitle, attemptNumber, score, totalPoints, questions: [{ id, question, type, options,
+ *            optionImages, points, answer, isCorrect, pointsEarned, correctAnswer, explanation }] }
+ */
+exports.getQuizReview = onCall(
+    { region: region },
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Unauthorized");
+      }
+
+      const uid = request.auth.uid;
+      const { quizId } = request.data || {};
+      if (!quizId || typeof quizId !== 'string') {
+        throw new HttpsError("invalid-argument", "quizId is required");
+      }
+
+      const quizRef = db.collection('quizzes').doc(quizId);
+      const [quizDoc, answerKeyDoc, submissionsSnap] = await Promise.all([
+        quizRef.get(),
+        quizRef.collection('private').doc('answerKey').get(),
+        db.collection('quizSubmissions')
+          .where('userId', '==', uid)
+          .where('quizId', '==', quizId)
+          .get()
+      ]);
+
+      if (!quizDoc.exists) {
+        throw new HttpsError("not-found", "Quiz not found");
+      }
+      const quizData = quizDoc.data();
+      if (submissionsSnap.empty) {
+        throw new HttpsError("failed-precondition", "Complete this quiz to review your answers");
+      }
+      assertQuizReviewOpen(quizData, submissionsSnap.size);
+      const latestDoc = [...submissionsSnap.docs].sort((a, b) => compareQuizAttempts(a.data(), b.data())).pop();
+      const submission = latestDoc.data();
+      const gradingDoc = await db.collection('quizGrading').doc(latestDoc.id).get();
+
+      let questions;
+      if (submission.questionSource === 'bank' && submission.bankId) {
+        // Bank answers are stored against bank option order, so show the bank's questions as-is
+        const bankDoc = await db.collection('questionBanks').doc(submission.bankId).get();
+        const byId = new Map(((bankDoc.exists && bankDoc.data().questions) || []).map((q) => [q.id, q]));
+        questions = (submission.questionIds || [])
+          .filter((questionId) => byId.has(questionId))
+          .map((questionId) => ({ ...byId.get(questionId), points: quizData.bankDraw?.pointsPerQuestion || 0 }));
+      } else {
+        const answerKeyData = answerKeyDoc.exists ? answerKeyDoc.data() : null;
+        const explanations = (answerKeyData && answerKeyData.explanations) || {};
+        questions = mergeQuizAnswerKey(quizData.questions, answerKeyData).map((q, index) => ({
+          ...q,
+          explanation: explanations[q.id || `q${index}`] || q.explanation || null
+        }));
+      }
+
+      const gradedAnswers = mergeQuizGrading(submission.answers, gradingDoc.exists ? gradingDoc.data().answers : null);
+      const answersById = new Map(gradedAnswers.map((a) => [a.questionId, a]));
+      return {
+        quizTitle: quizData.title || null,
+        attemptNumber: submission.attemptNumber || 1,
+        score: submission.score || 0,
+        totalPoints: submission.totalPoints || 0,
+        questions: questions.map((q, index) => {
+          const questionId = q.id || `q${index}`;
+          const answer = answersById.get(questionId) || {};
+          return {
+            id: questionId,
+            question: q.question || '',
+            type: q.type || 'multiple-choice',
+            options: q.options || [],
+            optionImages: q.optionImages || null,
+            points: q.points || 0,
+            answer: answer.answer ?? null,
+            isCorrect: !!answer.isCorrect,
+            pointsEarned: answer.pointsEarned || 0,
+            correctAnswer: q.correctAnswer ?? null,
+            explanation: q.explanation || null
+          };
+        })
+      };
+    }
+);
+
+// ============================================================================
+// QUIZ REGRADE - recompute submissions after an answer key fix
+// ============================================================================
+//
+// Scores are recomputed from each submission's stored answers against the current answer key
+// (bank quizzes: the current bank). Each attendee's counted score is then replayed under the
+// scoring rule their attempts were taken with, and the change is posted as one 'regrade'
+// points ledger entry per attendee. Running a regrade twice is a no-op the second time.
+
+/**
+ * Load a quiz's submissions and work out what a regrade would change, without writing anything
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<{quizData: Object, checked: number, changes: Array<Object>, attendees: Array<Object>}>}
+ *   See computeQuizRegrade (lib/quiz-regrade.js) for changes and attendees
+ */
+async function loadQuizRegrade(quizId) {
+  const quizRef = db.collection('quizzes').doc(quizId);
+  const [quizDoc, answerKeyDoc, submissionsSnap, gradingSnap] = await Promise.all([
+    quizRef.get(),
+    quizRef.collection('private').doc('answerKey').get(),
+    db.collection('quizSubmissions').where('quizId', '==', quizId).get(),
+    db.collection('quizGrading').where('quizId', '==', quizId).get()
+  ]);
+
+  if (!quizDoc.exists) {
+    throw new HttpsError("not-found", "Quiz not found");
+  }
+  const quizData = quizDoc.data();
+  if (quizData.mode === 'live') {
+    throw new HttpsError("failed-precondition", "Live quiz points depend on answer speed and cannot be regraded");
+  }
+
+  const bankIds = [...new Set(submissionsSnap.docs.map((doc) => doc.data().bankId).filter(Boolean))];
+  const bankDocs = await Promise.all(bankIds.map((bankId) => db.collection('questionBanks').doc(bankId).get()));
+  const { changes, attendees } = computeQuizRegrade({
+    quizData,
+    fixedQuestions: mergeQuizAnswerKey(quizData.questions, answerKeyDoc.exists ? answerKeyDoc.data() : null),
+    submissions: submissionsSnap.docs.map((doc) => ({ id: doc.id, data: doc.data() })),
+    gradingById: new Map(gradingSnap.docs.map((doc) => [doc.id, doc.data().answers])),
+    banks: new Map(bankDocs.map((doc) => [
+      doc.id,
+      new Map(((doc.exists && doc.data().questions) || []).map((q) => [q.id, q]))
+    ]))
+  });
+  return { quizData, checked: submissionsSnap.size, changes, attendees };
+}
+
+/**
+ * Callable function to regrade a quiz after its answer key was corrected (content editors)
+ * Body: { quizId: string, apply?: boolean } - without apply, only a preview is returned
+ * Applying rewrites the changed submissions, posts one corrective ledger entry per affected
+ * attendee, records quizRegrades/{regradeId} and notifies the attendees.
+ * Returns: { applied, regradeId?, quizTitle, checked, changedSubmissions, totalDelta, attendees }
+ */
+exports.regradeQuiz = onCall(
+    {
+      region: region,
+      timeoutSeconds: 300
+    },
+    async (request) => {
+      await requireAdminRole(request, ['content-editor']);
+
+      const { quizId, apply } = request.data || {};
+      if (!quizId || typeof quizId !== 'string') {
+        throw new HttpsError("invalid-argument", "quizId is required");
+      }
+
+      const { quizData, checked, changes, attendees } = await loadQuizRegrade(quizId);
+      const quizTitle = quizData.title || quizId;
+      const summary = {
+        quizTitle,
+        checked,
+        changedSubmissions: changes.length,
+        totalDelta: attendees.reduce((sum, a) => sum + a.delta, 0),
+        attendees: attendees.map(({ userId, name, oldScore, newScore, delta, totalPoints, attempts, changedAttempts }) => ({
+          userId, name, oldScore, newScore, delta, totalPoints, attempts, changedAttempts
+        }))
+      };
+      if (!apply || changes.length === 0) {
+        return { success: true, applied: false, ...summary };
+      }
+
+      const actorUid = request.auth.uid;
+      const regradeRef = db.collection('quizRegrades').doc();
+      const now = admin.firestore.FieldValue.serverTimestamp();
+
+      // Each attendee's submission updates and corrective ledger entry commit together, so a
+      // failed batch never leaves a regraded score without its points (or the reverse)
+      const changesByUser = new Map();
+      changes.forEach((change) => {
+        if (!changesByUser.has(change.userId)) changesByUser.set(change.userId, []);
+        changesByUser.get(change.userId).push(change);
+      });
+      const attendeeByUser = new Map(attendees.map((a) => [a.userId, a]));
+
+      const MAX_BATCH_WRITES = 450;
+      let batch = db.batch();
+      let batchWrites = 0;
+      for (const [userId, userChanges] of changesByUser) {
+        const attendee = attendeeByUser.get(userId);
+        const writes = userChanges.length * 2 + (attendee && attendee.delta !== 0 ? 1 : 0);
+        if (batchWrites > 0 && batchWrites + writes > MAX_BATCH_WRITES) {
+          await batch.commit();
+          batch = db.batch();
+          batchWrites = 0;
+        }
+
+        userChanges.forEach((change) => {
+          batch.update(db.collection('quizSubmissions').doc(change.id), {
+            ...change.update,
+            regradedAt: now,
+            regradeId: regradeRef.id
+          });
+          batch.set(db.collection('quizGrading').doc(change.id), {
+            userId: change.userId,
+            quizId: quizId,
+            answers: change.grading,
+            gradedAt: now
+          });
+        });
+        // Corrective points: one ledger entry per attendee whose counted score moved
+        if (attendee && attendee.delta !== 0) {
+          batch.create(db.collection('pointsLedger').doc(`regrade_${regradeRef.id}_${userId}`), {
+            userId: userId,
+            delta: attendee.delta,
+            source: 'regrade',
+            activityType: 'quiz',
+            activityId: quizId,
+            activityTitle: quizData.title || null,
+            submissionId: attendee.lastSubmissionId,
+            regradeId: regradeRef.id,
+            reason: `Quiz regrade: ${quizTitle}`,
+            actorUid: actorUid,
+            createdAt: now
+          });
+        }
+        batchWrites += writes;
+      }
+      if (batchWrites > 0) {
+        await batch.commit();
+      }
+
+      await regradeRef.set({
+        quizId,
+        quizTitle,
+        actorUid,
+        checked,
+        changedSubmissions: changes.length,
+        affectedAttendees: attendees.length,
+        totalDelta: summary.totalDelta,
+        createdAt: now
+      });
+
+      // Completion records show the counted score; notify everyone whose score changed
+      const completionUpdates = {};
+      attendees.forEach((a) => {
+        const path = `cache/users/${a.userId}/completions/quizzes/${quizId}`;
+        completionUpdates[`${path}/points`] = a.newScore;
+        completionUpdates[`${path}/score`] = a.newScore;
+        completionUpdates[`${path}/lastScore`] = a.lastScore;
+        completionUpdates[`${path}/lastUpdated`] = Date.now();
+      });
+      await rtdb.ref().update(completionUpdates);
+
+      await Promise.all(changes.map((change) => updateSubmissionLists(change.id, {
+        ...change.data,
+        ...change.update,
+        quizId: quizId,
+        status: 'completed',
+        pointsAwarded: change.update.pointsDelta
+      }, 'update')));
+
+      for (const a of attendees) {
+        const pointsNote = a.delta > 0 ? ` You gained ${a.delta} points.` :
+          a.delta < 0 ? ` ${Math.abs(a.delta)} points were removed.` : ' Your points are unchanged.';
+        await updateUserNotificationCache(a.userId, {
+          type: 'quiz_regraded',
+          title: 'Quiz Regraded',
+          message: `"${quizTitle}" was regraded after an answer correction. Your score is now ${a.newScore}/${a.totalPoints}.${pointsNote}`,
+          points: a.delta,
+          quizId: quizId
+        });
+      }
+
+      console.log(`[regradeQuiz] ${quizId}: ${changes.length} submissions, ${attendees.length} attendees, ${summary.totalDelta} points`);
+      return { success: true, applied: true, regradeId: regradeRef.id, ...summary };
+    }
+);
+
+// ============================================================================
+// LIVE HALL QUIZ - host-paced questions answered on attendees' phones
+// ============================================================================
+//
+// RTDB layout (liveQuiz/...):
+//   current                      { quizId, title, status } - the quiz attendees can join
+//   sessions/{quizId}/state      status lobby | question | closed | reveal | ended, current question, countdown
+//   sessions/{quizId}/answers    {uid: { questionIndex, answer, answeredAt }} - current question only
+//   sessions/{quizId}/graded     {uid: {questionIndex: { answer, isCorrect, pointsEarned, responseMs }}}
+//   sessions/{quizId}/scores     {uid: { name, district, score, correct, totalMs, last }}
+//   sessions/{quizId}/top10      Projected leaderboard
+// Attendees write only their own answer; everything else is written here.
+
+const LIVE_QUIZ_DEFAULT_SECONDS = 20;
+// A correct answer earns between this share of the question's points (at the buzzer) and all of them (instantly)
+const LIVE_QUIZ_MIN_SPEED_SHARE = 0.5;
+const LIVE_QUIZ_QUESTION_TYPES = ['multiple-choice', 'true-false', 'image-choice'];
+
+/**
+ * Score one live answer: correctness from gradeQuizQuestion, points scaled by answer speed
+ * @param {Object} q - Question (with correctAnswer)
+ * @param {Object} answerData - { answer, answeredAt } as written by the attendee
+ * @param {Object} state - Session state ({ startedAt, durationMs })
+ * @returns {{answer: *, isCorrect: boolean, pointsEarned: number, responseMs: number}}
+ */
+function scoreLiveAnswer(q, answerData, state) {
+  const { answer, isCorrect } = gradeQuizQuestion(q, answerData.answer);
+  const responseMs = Math.min(Math.max((answerData.answeredAt || 0) - state.startedAt, 0), state.durationMs);
+  if (!isCorrect) {
+    return { answer, isCorrect, pointsEarned: 0, responseMs };
+  }
+
+  const speedShare = 1 - (1 - LIVE_QUIZ_MIN_SPEED_SHARE) * (responseMs / state.durationMs);
+  return { answer, isCorrect, pointsEarned: Math.round((q.points || 0) * speedShare), responseMs };
+}
+
+/**
+ * Build the projected top 10 (ties go to the faster total answer time)
+ * @param {Object} scores - Map of uid -> score entry
+ * @returns {Array<Object>} Ranked entries
+ */
+function buildLiveTopTen(scores) {
+  return Object.entries(scores || {})
+    .map(([uid, entry]) => ({ uid, ...entry }))
+    .sort((a, b) => (b.score || 0) - (a.score || 0) || (a.totalMs || 0) - (b.totalMs || 0))
+    .slice(0, 10)
+    .map((entry, index) => ({
+      rank: index + 1,
+      uid: entry.uid,
+      name: entry.name || 'Attendee',
+      district: entry.district || null,
+      score: entry.score || 0,
+      correct: entry.correct || 0
+    }));
+}
+
+/**
+ * Load a live quiz with its answer key merged in
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<{quizData: Object, questions: Array<Object>}>}
+ */
+async function getLiveQuizWithAnswers(quizId) {
+  const quizRef = db.collection('quizzes').doc(quizId);
+  const [quizDoc, answerKeyDoc] = await Promise.all([
+    quizRef.get(),
+    quizRef.collection('private').doc('answerKey').get()
+  ]);
+  if (!quizDoc.exists) {
+    throw new HttpsError("not-found", "Quiz not found");
+  }
+  const quizData = quizDoc.data();
+  if (quizData.mode !== 'live') {
+    throw new HttpsError("failed-precondition", "This quiz is not set up as a live quiz");
+  }
+  const questions = mergeQuizAnswerKey(quizData.questions, answerKeyDoc.exists ? answerKeyDoc.data() : null);
+  if (questions.length === 0) {
+    throw new HttpsError("failed-precondition", "This quiz has no questions");
+  }
+  return { quizData, questions };
+}
+
+/**
+ * Close the current question and grade its answers
+ * Answers are locked first (status 'closed') so nothing lands while scores are computed.
+ * @param {string} quizId - Quiz ID
+ * @param {Object} state - Session state
+ * @param {Array<Object>} questions - Questions with answer keys
+ * @returns {Promise<Object>} New state
+ */
+async function revealLiveQuestion(quizId, state, questions) {
+  const sessionRef = rtdb.ref(`liveQuiz/sessions/${quizId}`);
+  await sessionRef.child('state').update({ status: 'closed', updatedAt: Date.now() });
+
+  const [answersSnap, scoresSnap] = await Promise.all([
+    sessionRef.child('answers').once('value'),
+    sessionRef.child('scores').once('value')
+  ]);
+  const answers = answersSnap.val() || {};
+  const scores = scoresSnap.val() || {};
+  const q = questions[state.questionIndex];
+  const questionId = q.id || `q${state.questionIndex}`;
+
+  // Names for first-time participants (attendees only; admins trying it out are skipped)
+  const newUids = Object.keys(answers).filter((uid) => !scores[uid]);
+  const userDocs = newUids.length > 0 ?
+    await db.getAll(...newUids.map((uid) => db.collection('users').doc(uid))) : [];
+  const newUsers = new Map(userDocs.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data()]));
+
+  const counts = (q.options || []).map(() => 0);
+  const updates = {};
+  Object.entries(answers).forEach(([uid, answerData]) => {
+    if (answerData.questionIndex !== state.questionIndex) return;
+    const existing = scores[uid] || (newUsers.has(uid) ? {
+      name: newUsers.get(uid).name || newUsers.get(uid).displayName || 'Attendee',
+      district: newUsers.get(uid).district || null,
+      score: 0,
+      correct: 0,
+      totalMs: 0
+    } : null);
+    if (!existing) return;
+
+    const result = scoreLiveAnswer(q, answerData, state);
+    if (Number.isInteger(result.answer) && result.answer < counts.length) {
+      counts[result.answer]++;
+    }
+    scores[uid] = {
+      ...existing,
+      score: (existing.score || 0) + result.pointsEarned,
+      correct: (existing.correct || 0) + (result.isCorrect ? 1 : 0),
+      totalMs: (existing.totalMs || 0) + result.responseMs,
+      last: { questionIndex: state.questionIndex, isCorrect: result.isCorrect, pointsEarned: result.pointsEarned }
+    };
+    updates[`scores/${uid}`] = scores[uid];
+    updates[`graded/${uid}/${state.questionIndex}`] = { questionId, ...result };
+  });
+
+  const newState = {
+    ...state,
+    status: 'reveal',
+    reveal: {
+      correctAnswer: q.correctAnswer ?? null,
+      counts,
+      answered: counts.reduce((sum, n) => sum + n, 0)
+    },
+    updatedAt: Date.now()
+  };
+  updates.state = newState;
+  updates.top10 = buildLiveTopTen(scores);
+  await sessionRef.update(updates);
+  return newState;
+}
+
+/**
+ * Turn a finished live session into quiz submissions so points flow through
+ * onQuizSubmissionCreate and the points ledger like any other quiz
+ * @param {string} quizId - Quiz ID
+ * @param {Object} quizData - Quiz document data
+ * @param {Array<Object>} questions - Quiz questions
+ * @returns {Promise<number>} Submissions created
+ */
+async function writeLiveQuizSubmissions(quizId, quizData, questions) {
+  const sessionRef = rtdb.ref(`liveQuiz/sessions/${quizId}`);
+  const [gradedSnap, scoresSnap, existingSnap] = await Promise.all([
+    sessionRef.child('graded').once('value'),
+    sessionRef.child('scores').once('value'),
+    db.collection('quizSubmissions').where('quizId', '==', quizId).get()
+  ]);
+  const graded = gradedSnap.val() || {};
+  const scores = scoresSnap.val() || {};
+  const alreadySubmitted = new Set(existingSnap.docs.map((doc) => doc.data().userId));
+  const totalPoints = quizData.totalPoints || questions.reduce((sum, q) => sum + (q.points || 0), 0);
+
+  const uids = Object.keys(scores).filter((uid) => !alreadySubmitted.has(uid));
+  const BATCH_SIZE = 200; // Two writes per attendee (submission and grading)
+  for (let i = 0; i < uids.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    uids.slice(i, i + BATCH_SIZE).forEach((uid) => {
+      const userGraded = graded[uid] || {};
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const submissionRef = db.collection('quizSubmissions').doc();
+      const { answers, grading } = splitQuizGrading(questions.map((q, index) => {
+        const entry = userGraded[index];
+        return {
+          questionId: q.id || `q${index}`,
+          answer: entry ? entry.answer : null,
+          isCorrect: entry ? entry.isCorrect : false,
+          pointsEarned: entry ? entry.pointsEarned : 0
+        };
+      }));
+      batch.set(db.collection('quizGrading').doc(submissionRef.id), {
+        userId: uid,
+        quizId: quizId,
+        answers: grading,
+        gradedAt: now
+      });
+      batch.set(submissionRef, {
+        userId: uid,
+        userName: scores[uid].name || null,
+        quizId: quizId,
+        quizTitle: quizData.title || null,
+        answers,
+        score: scores[uid].score || 0,
+        totalScore: scores[uid].score || 0,
+        totalPoints,
+        timeTaken: Math.round((scores[uid].totalMs || 0) / 1000),
+        mode: 'live',
+        gradedBy: 'server',
+        submittedAt: now,
+        completedAt: now
+      });
+    });
+    await batch.commit();
+  }
+  return uids.length;
+}
+
+/**
+ * Host controls for a live hall quiz (content editors)
+ * Body: { quizId: string, action: 'open' | 'next' | 'reveal' | 'end' }
+ * - open: put the quiz in the lobby so attendees can join
+ * - next: show the next question and start its countdown
+ * - reveal: lock answers, score them and update the top 10
+ * - end: finish the session and award points as quiz submissions
+ * Returns: { state }
+ */
+exports.controlLiveQuiz = onCall(
+    { region: region },
+    async (request) => {
+      await requireAdminRole(request, ['content-editor']);
+
+      const { quizId, action } = request.data || {};
+      if (!quizId || typeof quizId !== 'string') {
+        throw new HttpsError("invalid-argument", "quizId is required");
+      }
+      if (!['open', 'next', 'reveal', 'end'].includes(action)) {
+        throw new HttpsError("invalid-argument", "action must be one of open, next, reveal, end");
+      }
+
+      const { quizData, questions } = await getLiveQuizWithAnswers(quizId);
+      const sessionRef = rtdb.ref(`liveQuiz/sessions/${quizId}`);
+      const [stateSnap, currentSnap] = await Promise.all([
+        sessionRef.child('state').once('value'),
+        rtdb.ref('liveQuiz/current').once('value')
+      ]);
+      const state = stateSnap.val();
+      const current = currentSnap.val();
+
+      if (action === 'open') {
+        if (state && state.status === 'ended') {
+          throw new HttpsError("already-exists", "This live quiz has already been played");
+        }
+        if (current && current.quizId !== quizId) {
+          throw new HttpsError("failed-precondition", `"${current.title || 'Another quiz'}" is live right now. End it first.`);
+        }
+        if (state) {
+          return { state }; // Host reconnecting
+        }
+        if ((quizData.status || 'active') !== 'active') {
+          throw new HttpsError("failed-precondition", "Activate the quiz before running it live");
+        }
+        if (questions.some((q) => !LIVE_QUIZ_QUESTION_TYPES.includes(q.type || 'multiple-choice'))) {
+          throw new HttpsError("failed-precondition", "Live quizzes support multiple choice, true/false and image choice questions only");
+        }
+
+        const newState = {
+          status: 'lobby',
+          quizId,
+          title: quizData.title || 'Live Quiz',
+          questionIndex: -1,
+          questionCount: questions.length,
+          hostUid: request.auth.uid,
+          updatedAt: Date.now()
+        };
+        await rtdb.ref('liveQuiz').update({
+          [`sessions/${quizId}/state`]: newState,
+          current: { quizId, title: newState.title, status: 'lobby' }
+        });
+        return { state: newState };
+      }
+
+      if (!state || state.status === 'ended') {
+        throw new HttpsError("failed-precondition", "Open the live quiz first");
+      }
+
+      if (action === 'next') {
+        if (state.status === 'question' || state.status === 'closed') {
+          throw new HttpsError("failed-precondition", "Reveal the current question first");
+        }
+        const questionIndex = state.questionIndex + 1;
+        if (questionIndex >= questions.length) {
+          throw new HttpsError("failed-precondition", "That was the last question. End the quiz to award points.");
+        }
+
+        const q = questions[questionIndex];
+        const durationMs = (quizData.liveSecondsPerQuestion || LIVE_QUIZ_DEFAULT_SECONDS) * 1000;
+        const startedAt = Date.now();
+        const newState = {
+          ...state,
+          status: 'question',
+          questionIndex,
+          question: {
+            ...toPublicQuizQuestions([q])[0],
+            id: q.id || `q${questionIndex}`,
+            points: q.points || 0
+          },
+          startedAt,
+          durationMs,
+          endsAt: startedAt + durationMs,
+          reveal: null,
+          updatedAt: startedAt
+        };
+        // Clearing answers is what lets each attendee write one answer per question
+        await rtdb.ref('liveQuiz').update({
+          [`sessions/${quizId}/answers`]: null,
+          [`sessions/${quizId}/state`]: newState,
+          'current/status': 'question'
+        });
+        return { state: newState };
+      }
+
+      if (action === 'reveal') {
+        // 'closed' means an earlier reveal stopped part-way; grading writes once at the end, so retry
+        if (state.status !== 'question' && state.status !== 'closed') {
+          throw new HttpsError("failed-precondition", "There is no open question to reveal");
+        }
+        const newState = await revealLiveQuestion(quizId, state, questions);
+        await rtdb.ref('liveQuiz/current/status').set('reveal');
+        return { state: newState };
+      }
+
+      // end
+      if (state.status === 'question' || state.status === 'closed') {
+        throw new HttpsError("failed-precondition", "Reveal the current question before ending");
+      }
+      const newState = { ...state, status: 'ended', endedAt: Date.now(), updatedAt: Date.now() };
+      await sessionRef.child('state').set(newState);
+      if (current && current.quizId === quizId) {
+        await rtdb.ref('liveQuiz/current').remove();
+      }
+      const submissions = await writeLiveQuizSubmissions(quizId, quizData, questions);
+      return { state: newState, submissions };
+    }
+);
+
+/**
+ * Update forms cache when form submissions change
+ * Responses are written only by submitForm and submitAnonymousForm, which check them against
+ * the form's rules before storing. Anonymous responses were already credited by submitAnonymousForm;
+ * whether a response is anonymous comes from the form, never from the submitted document.
+ */
+exports.onFormSubmissionCreate = onDocumentCreated(
+    {
+      document: "formSubmissions/{submissionId}",
+      region: region,
+    },
+    async (event) => {
+      const submissionData = event.data.data();
+      const { userId, formId } = submissionData;
+      
+      const formDoc = await db.collection('forms').doc(formId).get();
+      const formData = formDoc.exists ? formDoc.data() : null;
+      
+      if (formData && formData.anonymous === true) {
+        await updateSubmissionLists(event.params.submissionId, {
+          ...submissionData,
+          status: 'completed'
+        }, 'create');
+        await Promise.all([
+          updateFormsCache(),
+          updateSubmissionCountsCache()
+        ]);
+        return null;
+      }
+      
+      // Step 0: Award form points (idempotent per submission, once per form)
+      if (formData && (formData.points || 0) > 0) {
+        try {
+          await awardSubmissionPoints({
+            source: 'form',
+            submissionId: event.params.submissionId,
+            userId: userId,
+            delta: formData.points,
+            activityId: formId,
+            activityTitle: formData.title || submissionData.formTitle || null,
+            actorUid: userId
+          });
+        } catch (error) {
+          console.error(`[onFormSubmissionCreate] Failed to award points for ${event.params.submissionId}:`, error);
+        }
+      }
+      
+      // Step 1: Update indexed submission cache
+      await updateSubmissionLists(event.params.submissionId, {
+        ...submissionData,
+        formId: formId,
+        status: 'completed'
+      }, 'create');
+      
+      // Step 2: Update user completion status (indexed) - MUST complete before updating lists
+      await updateUserCompletion(userId, 'form', formId, {
+        completed: true,
+        submittedAt: submissionData.submittedAt?.toMillis?.() || 
+                     (submissionData.submittedAt ? new Date(submissionData.submittedAt).getTime() : Date.now())
+      });
+      // Note: updateUserCompletion already calls updateUserActivityLists internally
+      
+      // Step 3: Update other caches in parallel
+      await Promise.all([
+        // Update user stats
+        updateUserStats(userId),
+        // Update admin caches
+        updateFormsCache(),
+        updateRecentActivityCache(),
+        updateSubmissionCountsCache(),
+        // Update old caches (for backward compatibility)
+        updateUserCompletionStatusCache(userId),
+        updateUserStatsCache(userId)
+      ]);
+      
+      // Step 4: Create notification for form completion (separate to ensure it completes)
+      try {
+        const formTitle = formData?.title || 'Form';
+        const points = formData?.points || 0;
+        
+        
+        await updateUserNotificationCache(userId, {
+          type: 'form_completed',
+          title: 'Form Submitted!',
+          message: points > 0 
+            ? `You submitted "${formTitle}" and earned ${points} points!`
+            : `You submitted "${formTitle}" successfully!`,
+          points: points,
+          formId: formId
+        });
+        
+      } catch (error) {
+        console.error('Error creating form completion notification:', error);
+        // Non-critical, don't throw
+      }
+      
+      return null;
+    }
+);
+
+/**
+ * Submit a response to a named form
+ * Answers are checked against the form's show/hide, required and field type rules before
+ * anything is stored, so an invalid response is never written or readable. Answers to hidden
+ * or unknown fields are dropped. onFormSubmissionCreate then awards points and updates caches.
+ * Body: { formId: string, formData: Object } (answers by field ID)
+ * Returns: { success: true, id }
+ */
+exports.submitForm = onCall(
+    { region: region },
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Unauthorized");
+      }
+
+      const uid = request.auth.uid;
+      const { formId, formData: rawAnswers } = request.data || {};
+      if (!formId || typeof formId !== 'string') {
+        throw new HttpsError("invalid-argument", "formId is required");
+      }
+      if (!rawAnswers || typeof rawAnswers !== 'object' || Array.isArray(rawAnswers)) {
+        throw new HttpsError("invalid-argument", "Form data is required");
+      }
+
+      const [formDoc, userDoc] = await Promise.all([
+        db.collection('forms').doc(formId).get(),
+        db.collection('users').doc(uid).get()
+      ]);
+      if (!formDoc.exists) {
+        throw new HttpsError("not-found", "Form not found");
+      }
+      const formData = formDoc.data();
+      if (formData.anonymous === true) {
+        throw new HttpsError("failed-precondition", "This form only accepts anonymous responses");
+      }
+      if (getActivityWindowState(formData) !== 'open') {
+        throw new HttpsError("failed-precondition", "This form is closed");
+      }
+
+      const { answers, missing, invalid } = resolveFormAnswers(formData, rawAnswers, uid);
+      const problems = [...new Set([...missing, ...invalid])];
+      if (problems.length > 0) {
+        throw new HttpsError("invalid-argument", `Missing or invalid answers: ${problems.join(', ')}`);
+      }
+
+      const submissionRef = db.collection('formSubmissions').doc();
+      await submissionRef.create({
+        userId: uid,
+        userName: userDoc.exists ? (userDoc.data().name || null) : null,
+        formId: formId,
+        formTitle: formData.title || null,
+        formData: answers,
+        submittedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { success: true, id: submissionRef.id };
+    }
+);
+
+/**
+ * Start of the UTC day - the only time kept on an anonymous response, so it cannot be
+ * matched to its formCompletions record by timestamp
+ * @param {number} now - Current time in milliseconds
+ * @returns {admin.firestore.Timestamp}
+ */
+function getAnonymousResponseTime(now = Date.now()) {
+  const day = new Date(now);
+  day.setUTCHours(0, 0, 0, 0);
+  return admin.firestore.Timestamp.fromDate(day);
+}
+
+/**
+ * Submit a response to an anonymous form
+ * The response is stored in formSubmissions without userId or userName; who answered is
+ * recorded separately in formCompletions/{formId}_{uid}, which drives points, pendingActivities
+ * and the one-response limit. Clients cannot write either for an anonymous form (see FIRESTORE_RULES.rules).
+ */
+exports.submitAnonymousForm = onCall(
+    { region: region },
+    async (request) => {
+      if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Unauthorized");
+      }
+
+      const uid = request.auth.uid;
+      const { formId, formData: rawAnswers } = request.data || {};
+      if (!formId || typeof formId !== 'string') {
+        throw new HttpsError("invalid-argument", "formId is required");
+      }
+      if (!rawAnswers || typeof rawAnswers !== 'object' || Array.isArray(rawAnswers)) {
+        throw new HttpsError("invalid-argument", "Form data is required");
+      }
+
+      const completionRef = db.collection('formCompletions').doc(`${formId}_${uid}`);
+      const [formDoc, userDoc, namedSnapshot] = await Promise.all([
+        db.collection('forms').doc(formId).get(),
+        db.collection('users').doc(uid).get(),
+        db.collection('formSubmissions')
+          .where('userId', '==', uid)
+          .where('formId', '==', formId)
+          .limit(1)
+          .get()
+      ]);
+      if (!formDoc.exists) {
+        throw new HttpsError("not-found", "Form not found");
+      }
+      const formData = formDoc.data();
+      if (formData.anonymous !== true) {
+        throw new HttpsError("failed-precondition", "This form is not anonymous");
+      }
+      if (getActivityWindowState(formData) !== 'open') {
+        throw new HttpsError("failed-precondition", "This form is closed");
+      }
+      // Answered by name before the form was made anonymous
+      if (!namedSnapshot.empty) {
+        throw new HttpsError("already-exists", "You have already submitted this form");
+      }
+
+      const { answers, missing, invalid } = resolveFormAnswers(formData, rawAnswers, uid);
+      // Uploads are stored under the attendee's own folder, which would name them
+      const uploads = (formData.formFields || [])
+        .filter((field) => (field.type === 'file' || field.type === 'signature') && !isEmptyFormAnswer(answers[field.id]))
+        .map((field) => field.label || field.id);
+      const problems = [...new Set([...missing, ...invalid, ...uploads])];
+      if (problems.length > 0) {
+        throw new HttpsError("invalid-argument", `Missing or invalid answers: ${problems.join(', ')}`);
+      }
+
+      // The completion and the response are separate writes, never one batch: a shared commit
+      // would give both documents the same create time and join the response to its author.
+      // The completion goes first, so it still enforces one response per attendee.
+      const now = Date.now();
+      const formTitle = formData.title || null;
+      try {
+        await completionRef.create({
+          userId: uid,
+          userName: userDoc.exists ? (userDoc.data().name || null) : null,
+          formId: formId,
+          formTitle: formTitle,
+          anonymous: true,
+          submittedAt: admin.firestore.Timestamp.fromMillis(now)
+        });
+      } catch (error) {
+        // ALREADY_EXISTS: the completion record is this attendee's one response
+        if (error.code === 6) {
+          throw new HttpsError("already-exists", "You have already submitted this form");
+        }
+        throw error;
+      }
+
+      try {
+        await db.collection('formSubmissions').add({
+          formId: formId,
+          formTitle: formTitle,
+          formData: answers,
+          anonymous: true,
+          submittedAt: getAnonymousResponseTime(now)
+        });
+      } catch (error) {
+        // Release the completion so the attendee can submit again
+        await completionRef.delete().catch((deleteError) => {
+          console.error(`[submitAnonymousForm] Failed to release ${completionRef.id}:`, deleteError);
+        });
+        throw error;
+      }
+
+      const points = formData.points || 0;
+      if (points > 0) {
+        try {
+          // Keyed by the completion, never the response
+          await awardSubmissionPoints({
+            source: 'form',
+            submissionId: completionRef.id,
+            userId: uid,
+            delta: points,
+            activityId: formId,
+            activityTitle: formTitle,
+            actorUid: uid
+          });
+        } catch (error) {
+          console.error(`[submitAnonymousForm] Failed to award points for ${completionRef.id}:`, error);
+        }
+      }
+
+      await updateUserCompletion(uid, 'form', formId, {
+        completed: true,
+        submittedAt: now
+      });
+      await Promise.all([
+        updateUserStats(uid),
+        updateUserCompletionStatusCache(uid)
+      ]);
+
+      try {
+        await updateUserNotificationCache(uid, {
+          type: 'form_completed',
+          title: 'Form Submitted!',
+          message: points > 0
+            ? `You submitted "${formTitle || 'Form'}" anonymously and earned ${points} points!`
+            : `You submitted "${formTitle || 'Form'}" anonymously.`,
+          points: points,
+          formId: formId
+        });
+      } catch (error) {
+        console.error('Error creating anonymous form notification:', error);
+        // Non-critical, don't throw
+      }
+
+      return { success: true, points: points };
+    }
+);
+
+/**
+ * Triggered when a quiz document is created
+ */
+exports.onQuizCreate = onDocumentCreated(
+    {
+      document: "quizzes/{quizId}",
+      region: region,
+    },
+    async (event) => {
+      const quizData = event.data.data();
+      const quizId = event.params.quizId;
+      
+      // Step 1: Update all caches in parallel (no verification needed - RTDB writes are atomic)
+      await Promise.all([
+        updateActivityInCache('quizzes', quizId, quizData),
+        updateQuizzesCache(),
+        updateAttendeeActivitiesCache(),
+        updateActivityMetadataCache()
+      ]);
+      
+      // Step 2: Trigger user list updates for all users in parallel
+      await triggerUserActivityListUpdates(null, 'quizzes');
+      
+      return null;
+    }
+);
+
+/**
+ * Triggered when a quiz document is updated
+ */
+exports.onQuizUpdate = onDocumentUpdated(
+    {
+      document: "quizzes/{quizId}",
+      region: region,
+    },
+    async (event) => {
+      const oldData = event.data.before.data();
+      const newData = event.data.after.data();
+      const quizId = event.params.quizId;
+      
+      // Step 1: Update all caches in parallel
+      await Promise.all([
+        updateActivityInCache('quizzes', quizId, newData),
+        updateActivityIndexes('quizzes', quizId, oldData, newData),
+        updateQuizzesCache(),
+        updateAttendeeActivitiesCache(),
+        updateActivityMetadataCache()
+      ]);
+      
+      // Step 2: Trigger pre-compute updates if status or points changed
+      // This is critical - when status changes to 'active', users need to see it
+      // When status changes to 'inactive', users need it removed
+      if (oldData.status !== newData.status || oldData.totalPoints !== newData.totalPoints) {
+        // If status changed to active, don't exclude (it's being added)
+        // If status changed to inactive, exclude it (it's being removed)
+        const excludeId = newData.status !== 'active' ? quizId : null;
+        await triggerUserActivityListUpdates(excludeId, 'quizzes');
+      }
+      
+      return null;
+    }
+);
+
+/**
+ * Triggered when a quiz document is deleted
+ */
+exports.onQuizDelete = onDocumentDeleted(
+    {
+      document: "quizzes/{quizId}",
+      region: region,
+    },
+    async (event) => {
+      const quizId = event.params.quizId;
+      
+      // Find all quiz submissions for this quiz so we can clean up
+      const submissionsSnapshot = await db.collection("quizSubmissions")
+        .where("quizId", "==", quizId)
+        .get();
+      
+      const affectedUserIds = new Set();
       const batch = db.batch();
       submissionsSnapshot.forEach((doc) => {
         const data = doc.data();
@@ -3431,9 +5003,9 @@ exports.onQuizDelete = onDocumentDeleted(
         }
         batch.delete(doc.ref);
       });
-      if (!submissionsSnapshot.empty) {
-        await batch.commit();
-      }
+      // Subcollections are not removed with their parent document
+      batch.delete(db.collection("quizzes").doc(quizId).collection("private").doc("answerKey"));
+      await batch.commit();
 
       // Step 1: Remove from indexed structure and update caches
       await Promise.all([
@@ -3743,59 +5315,202 @@ exports.onFormDelete = onDocumentDeleted(
     }
 );
 
+// In-app inbox (attendeeCache/notifications/{uid}): newest entries kept per attendee,
+// and how long an entry stays before pruneUserNotifications removes it
+const NOTIFICATION_INBOX_LIMIT = 50;
+const NOTIFICATION_INBOX_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
 /**
  * Update user notification cache in RTDB
  * Creates notifications for status changes, points awarded, etc.
+ * Entries carry quizId/taskId/formId so the inbox can link to them; read state is kept
+ * by the attendee in notificationState/{uid}, so entries are only ever added or pruned here
  */
 async function updateUserNotificationCache(userId, notification) {
   if (!userId || !notification) return;
   
   try {
     const notificationsRef = rtdb.ref(`attendeeCache/notifications/${userId}`);
-    const notificationsSnap = await notificationsRef.once("value");
+    // Push keys sort by time and never collide, unlike Date.now() within the same millisecond
+    const notificationId = notificationsRef.push().key;
     
-    const notifications = notificationsSnap.exists() ? notificationsSnap.val() : {};
-    const notificationId = Date.now().toString();
-    
-    notifications[notificationId] = {
+    await notificationsRef.child(notificationId).set({
       ...notification,
       id: notificationId,
-      timestamp: Date.now(),
-      read: false
-    };
-    
-    // Keep only last 50 notifications
-    const notificationArray = Object.values(notifications);
-    notificationArray.sort((a, b) => b.timestamp - a.timestamp);
-    const recentNotifications = notificationArray.slice(0, 50);
-    
-    const notificationsData = {};
-    recentNotifications.forEach(n => {
-      notificationsData[n.id] = n;
+      timestamp: Date.now()
     });
     
-    await notificationsRef.set(notificationsData);
+    // Keep only the newest NOTIFICATION_INBOX_LIMIT notifications
+    const notificationsSnap = await notificationsRef.orderByChild('timestamp').once('value');
+    const ids = [];
+    notificationsSnap.forEach((child) => {
+      ids.push(child.key);
+    });
+    if (ids.length > NOTIFICATION_INBOX_LIMIT) {
+      const removals = {};
+      ids.slice(0, ids.length - NOTIFICATION_INBOX_LIMIT).forEach((id) => {
+        removals[id] = null;
+      });
+      await notificationsRef.update(removals);
+    }
   } catch (error) {
     console.error(`Error updating notification cache for ${userId}:`, error);
     // Non-critical, don't throw
   }
 }
 
+/**
+ * Remove inbox entries older than NOTIFICATION_INBOX_MAX_AGE_MS, and read flags
+ * in notificationState for entries that no longer exist
+ * Runs daily at 3 AM event time
+ */
+exports.pruneUserNotifications = onSchedule(
+    {
+      schedule: "0 3 * * *",
+      region: region,
+      timeZone: 'Asia/Kolkata',
+      timeoutSeconds: 540
+    },
+    async (event) => {
+      try {
+        const cutoff = Date.now() - NOTIFICATION_INBOX_MAX_AGE_MS;
+        const [inboxSnap, stateSnap] = await Promise.all([
+          rtdb.ref('attendeeCache/notifications').once('value'),
+          rtdb.ref('notificationState').once('value')
+        ]);
+        const inboxes = inboxSnap.val() || {};
+        const states = stateSnap.val() || {};
+        
+        const updates = {};
+        Object.entries(inboxes).forEach(([uid, entries]) => {
+          Object.entries(entries || {}).forEach(([id, entry]) => {
+            if (!entry?.timestamp || entry.timestamp < cutoff) {
+              updates[`attendeeCache/notifications/${uid}/${id}`] = null;
+            }
+          });
+        });
+        Object.entries(states).forEach(([uid, state]) => {
+          Object.keys(state?.read || {}).forEach((id) => {
+            const entry = inboxes[uid]?.[id];
+            if (!entry || updates[`attendeeCache/notifications/${uid}/${id}`] === null) {
+              updates[`notificationState/${uid}/read/${id}`] = null;
+            }
+          });
+        });
+        
+        const paths = Object.keys(updates);
+        if (paths.length > 0) {
+          await rtdb.ref().update(updates);
+        }
+        console.log(`[pruneUserNotifications] Removed ${paths.length} entries and read flags`);
+      } catch (error) {
+        console.error('[pruneUserNotifications] Error:', error);
+      }
+    }
+);
+
+// ============================================================================
+// PUSH DELIVERY POLICY
+// ============================================================================
+// Applied inside sendPushNotification after the attendee's on/off and category preferences.
+// notificationPrefs may also hold quietHours { enabled, start: 'HH:MM', end: 'HH:MM' } (event time)
+// and digest (true to batch low-priority pushes). Held pushes wait in RTDB
+// notificationDelivery/{uid}/queue for sendNotificationDigests; the same node keeps the
+// recent message hashes (dedupe) and today's push count (daily cap). Server-only.
+
+/**
+ * Reserve a push against the dedupe window and daily cap
+ * Runs as an RTDB transaction so parallel sends to one attendee are counted once each
+ * @param {string} userId - User ID
+ * @param {Object} notification - Push about to be sent
+ * @returns {Promise<'ok'|'duplicate'|'capped'>}
+ */
+async function reservePushSlot(userId, notification) {
+  const now = Date.now();
+  const hash = getPushHash(notification);
+  let outcome = 'ok';
+
+  await rtdb.ref(`notificationDelivery/${userId}`).transaction((state) => {
+    const result = applyPushSlot(state, hash, now);
+    outcome = result.outcome;
+    return result.state;
+  });
+  return outcome;
+}
+
+/**
+ * Undo reservePushSlot for a push FCM did not accept, so it can be retried
+ * @param {string} userId - User ID
+ * @param {Object} notification - Push that was not delivered
+ */
+async function releaseReservedPushSlot(userId, notification) {
+  const now = Date.now();
+  const hash = getPushHash(notification);
+  await rtdb.ref(`notificationDelivery/${userId}`).transaction((state) => releasePushSlot(state, hash, now));
+}
+
+/**
+ * Hold a push until quiet hours end or the next digest
+ * @param {string} userId - User ID
+ * @param {Object} notification - Push to hold
+ * @param {string} reason - 'quiet' or 'digest'
+ */
+async function queuePushNotification(userId, notification, reason) {
+  const queueRef = rtdb.ref(`notificationDelivery/${userId}/queue`);
+  await queueRef.push({
+    type: String(notification.type || 'default'),
+    title: String(notification.title || 'Notification'),
+    body: String(notification.body || notification.message || ''),
+    url: String(notification.data?.url || '/'),
+    reason: reason,
+    queuedAt: Date.now()
+  });
+
+  // Keep only the newest items
+  const queueSnap = await queueRef.orderByChild('queuedAt').once('value');
+  const ids = [];
+  queueSnap.forEach((child) => {
+    ids.push(child.key);
+  });
+  if (ids.length > PUSH_DELIVERY_POLICY.maxQueued) {
+    const removals = {};
+    ids.slice(0, ids.length - PUSH_DELIVERY_POLICY.maxQueued).forEach((id) => {
+      removals[id] = null;
+    });
+    await queueRef.update(removals);
+  }
+}
+
+/**
+ * Attendee app deep link, opened from a push notification (hash routes handled by js/router.js)
+ * e.g. getAppRoute('activities', 'task', taskId) -> '/#/activities/task/{taskId}'
+ * @param {...string} parts - Route segments
+ * @returns {string} URL path
+ */
+function getAppRoute(...parts) {
+  return `/#/${parts.map((part) => encodeURIComponent(part)).join('/')}`;
+}
+
 /**
  * Send push notification to a single user
+ * Honours the attendee's preferences and the delivery policy (quiet hours, digest, dedupe, daily cap)
  * @param {string} userId - User ID
  * @param {Object} notification - Notification data
- * @returns {Promise<string>} - FCM message ID
+ * @returns {Promise<{status: string, messageId?: string}>} status is one of:
+ *   'sent' (FCM accepted it; messageId set), 'failed' (FCM rejected it or an error occurred),
+ *   'skipped' (no such user, no token, or this type turned off - never deliverable),
+ *   'held' (queued for quiet hours or the digest; sendNotificationDigests delivers it later),
+ *   'deduped' (same message within the dedupe window) or 'capped' (over the daily cap)
  */
 async function sendPushNotification(userId, notification) {
-  if (!userId || !notification) return;
+  if (!userId || !notification) return { status: 'skipped' };
   
   try {
     // Get user's FCM token (read-only operation)
     const userDoc = await db.collection('users').doc(userId).get();
     if (!userDoc.exists) {
       console.log(`[sendPushNotification] User ${userId} not found`);
-      return;
+      return { status: 'skipped' };
     }
     
     const userData = userDoc.data();
@@ -3804,7 +5519,7 @@ async function sendPushNotification(userId, notification) {
     
     if (!fcmToken || !notificationEnabled) {
       console.log(`[sendPushNotification] User ${userId} has no FCM token or notifications disabled`);
-      return;
+      return { status: 'skipped' };
     }
     
     // Check user preferences (read-only)
@@ -3814,17 +5529,50 @@ async function sendPushNotification(userId, notification) {
     // Check if this notification type is enabled
     if (notificationType.includes('pending') && prefs.pendingMissions === false) {
       console.log(`[sendPushNotification] User ${userId} has pendingMissions disabled`);
-      return;
+      return { status: 'skipped' };
     }
     if (notificationType.includes('submission') && prefs.submissions === false) {
       console.log(`[sendPushNotification] User ${userId} has submissions disabled`);
-      return;
+      return { status: 'skipped' };
     }
     if (notificationType.includes('engagement') && prefs.engagement === false) {
       console.log(`[sendPushNotification] User ${userId} has engagement disabled`);
-      return;
+      return { status: 'skipped' };
     }
     
+    // Delivery policy: hold during quiet hours or for the digest, then dedupe and cap
+    if (isInQuietHours(prefs.quietHours)) {
+      await queuePushNotification(userId, notification, 'quiet');
+      return { status: 'held' };
+    }
+    if (prefs.digest === true && isLowPriorityPush(notificationType)) {
+      await queuePushNotification(userId, notification, 'digest');
+      return { status: 'held' };
+    }
+    const slot = await reservePushSlot(userId, notification);
+    if (slot !== 'ok') {
+      console.log(`[sendPushNotification] Not sending ${notificationType} to ${userId}: ${slot}`);
+      return { status: slot === 'duplicate' ? 'deduped' : 'capped' };
+    }
+    
+    const messageId = await sendFcmMessage(userId, fcmToken, notification);
+    return messageId ? { status: 'sent', messageId: messageId } : { status: 'failed' };
+  } catch (error) {
+    console.error(`[sendPushNotification] Error sending to ${userId}:`, error);
+    // Don't throw - notification failures shouldn't break the calling function
+    return { status: 'failed' };
+  }
+}
+
+/**
+ * Send one FCM message (after the delivery policy has allowed it)
+ * @param {string} userId - User ID
+ * @param {string} fcmToken - Device token
+ * @param {Object} notification - Notification data
+ * @returns {Promise<string|null>} - FCM message ID, or null if FCM rejected the send
+ */
+async function sendFcmMessage(userId, fcmToken, notification) {
+  try {
     // Prepare FCM message
     // Using data-only payload to ensure ALL messages go through service worker
     // This provides consistent behavior whether app is open or closed
@@ -3892,6 +5640,86 @@ async function sendPushNotification(userId, notification) {
   }
 }
 
+/**
+ * Send pushes held for quiet hours or the digest
+ * Runs every 30 minutes. Held pushes go out once the attendee's quiet hours end; digest
+ * pushes once the oldest has waited PUSH_DELIVERY_POLICY.digestIntervalMs. Several held
+ * pushes are sent as one summary. Over the daily cap they wait for the next day; pushes FCM
+ * rejects stay queued for the next run.
+ */
+exports.sendNotificationDigests = onSchedule(
+    {
+      schedule: "*/30 * * * *",
+      region: region,
+      timeZone: "UTC",
+      timeoutSeconds: 540
+    },
+    async (event) => {
+      try {
+        const deliverySnap = await rtdb.ref('notificationDelivery').once('value');
+        const now = Date.now();
+        let digestsSent = 0;
+        let digestsFailed = 0;
+
+        for (const [userId, state] of Object.entries(deliverySnap.val() || {})) {
+          const queue = Object.entries(state?.queue || {}).map(([id, item]) => ({ id, ...item }));
+          if (queue.length === 0) continue;
+
+          const userDoc = await db.collection('users').doc(userId).get();
+          const userData = userDoc.exists ? userDoc.data() : null;
+          if (!userData?.fcmToken || userData.notificationEnabled === false) {
+            await rtdb.ref(`notificationDelivery/${userId}/queue`).remove();
+            continue;
+          }
+          const prefs = userData.notificationPrefs || {};
+          if (isInQuietHours(prefs.quietHours, now)) continue;
+
+          const oldestDigest = Math.min(...queue.filter((item) => item.reason === 'digest').map((item) => item.queuedAt || now));
+          const isDue = queue.some((item) => item.reason !== 'digest') ||
+            now - oldestDigest >= PUSH_DELIVERY_POLICY.digestIntervalMs;
+          if (!isDue) continue;
+
+          queue.sort((a, b) => (a.queuedAt || 0) - (b.queuedAt || 0));
+          const notification = queue.length === 1 ? {
+            type: queue[0].type,
+            title: queue[0].title,
+            body: queue[0].body,
+            data: { type: queue[0].type, url: queue[0].url }
+          } : {
+            type: 'digest',
+            title: `${queue.length} updates while you were away`,
+            body: queue.map((item) => item.title).join(' · ').slice(0, 180),
+            data: { type: 'digest', url: getAppRoute('home') }
+          };
+
+          const slot = await reservePushSlot(userId, notification);
+          if (slot === 'capped') continue;
+          if (slot === 'ok') {
+            const messageId = await sendFcmMessage(userId, userData.fcmToken, notification);
+            if (!messageId) {
+              // Keep the items queued for the next run, which must not see the retry as a duplicate
+              await releaseReservedPushSlot(userId, notification);
+              digestsFailed++;
+              continue;
+            }
+            digestsSent++;
+          }
+
+          // Sent, or a duplicate of a push already sent
+          const removals = {};
+          queue.forEach((item) => {
+            removals[item.id] = null;
+          });
+          await rtdb.ref(`notificationDelivery/${userId}/queue`).update(removals);
+        }
+
+        console.log(`[sendNotificationDigests] Sent ${digestsSent} held notifications or digests, ${digestsFailed} failed and stay queued`);
+      } catch (error) {
+        console.error('[sendNotificationDigests] Error:', error);
+      }
+    }
+);
+
 /**
  * Sync user FCM token and notification preferences to RTDB for notification sends (avoids Firestore reads).
  * Call from onUserCreate / onUserUpdate when fcmToken or notificationEnabled changes.
@@ -3986,7 +5814,7 @@ async function sendPendingMissionNotification(taskId, taskData, notificationType
         taskId: taskId,
         taskTitle: taskTitle,
         points: String(points),
-        url: `/tasks/${taskId}`
+        url: getAppRoute('activities', 'task', taskId)
       },
       requireInteraction: false
     };
@@ -4022,20 +5850,9 @@ async function sendPendingMissionNotification(taskId, taskData, notificationType
  */
 async function getUserPendingMissionsCount(userId) {
   try {
-    // Get user's pending activities from RTDB cache (read-only)
-    const pendingRef = rtdb.ref(`users/${userId}/activityLists/pending`);
-    const pendingSnap = await pendingRef.once('value');
-    
-    if (!pendingSnap.exists()) {
-      return 0;
-    }
-    
-    const pending = pendingSnap.val();
-    const tasks = pending.tasks || [];
-    const quizzes = pending.quizzes || [];
-    const forms = pending.forms || [];
-    
-    return tasks.length + quizzes.length + forms.length;
+    // Counts written with the user's lists by updateUserActivityLists (read-only)
+    const metadataSnap = await rtdb.ref(`cache/users/${userId}/pendingActivities/metadata`).once('value');
+    return getPendingActivityCount(metadataSnap.val());
   } catch (error) {
     console.error(`[getUserPendingMissionsCount] Error for ${userId}:`, error);
     return 0; // Return 0 on error to avoid blocking
@@ -4063,7 +5880,7 @@ async function sendUserNotification(userId, notification, sendPush = true) {
           taskId: notification.taskId || '',
           taskTitle: notification.taskTitle || '',
           points: String(notification.points || 0),
-          url: notification.taskId ? `/tasks/${notification.taskId}` : '/'
+          url: notification.taskId ? getAppRoute('activities', 'task', notification.taskId) : getAppRoute('home')
         }
       });
     } catch (error) {
@@ -4127,7 +5944,7 @@ exports.sendEngagementNotifications = onSchedule(
               data: {
                 type: 'engagement_pending_missions',
                 pendingCount: String(pendingCount),
-                url: '/'
+                url: getAppRoute('home')
               }
             };
             
@@ -4154,99 +5971,330 @@ exports.sendEngagementNotifications = onSchedule(
       // Don't throw - scheduled functions should not fail silently, but we log the error
     }
   }
-);
+);
+
+// ============================================================================
+// NOTIFICATION CAMPAIGNS
+// ============================================================================
+// A campaign is one notificationBroadcasts record: a title and message (optionally from a
+// notificationTemplates entry, with {name} and {pendingCount} placeholders), an audience
+// (listed user IDs and/or a segment) and an optional scheduledAt. Super-admins create them through
+// sendCustomEngagementNotifications; scheduled ones are sent by sendScheduledNotificationCampaigns.
+// Status: 'scheduled' -> 'sending' -> 'sent' | 'failed', or 'cancelled' before sending.
+
+// Per-admin limits on campaigns, counted from their notificationBroadcasts records
+const NOTIFICATION_BROADCAST_LIMITS = {
+  perHour: 5,
+  minIntervalMs: 60 * 1000,
+  maxTargetUsers: 50,
+  maxScheduleAheadMs: 30 * 24 * 60 * 60 * 1000
+};
+
+// Pushes sent in parallel before the campaign's counts are written back
+const NOTIFICATION_CAMPAIGN_CHUNK = 50;
+
+/**
+ * Resolve a campaign's audience to recipients
+ * Active attendees with notifications enabled and a token, narrowed by listed IDs and the segment.
+ * Pending counts are read only when the segment or message needs them.
+ * @param {Object|null} segment - From normalizeNotificationSegment
+ * @param {Array<string>} targets - Listed user IDs (empty for everyone)
+ * @param {boolean} needsPendingCount - The message uses {pendingCount}
+ * @returns {Promise<Array<{uid: string, name: string, pendingCount: number|null}>>}
+ */
+async function resolveNotificationAudience(segment, targets, needsPendingCount) {
+  const usersSnapshot = await db.collection('users')
+    .where('role', '==', 'attendee')
+    .where('status', '==', 'active')
+    .where('notificationEnabled', '==', true)
+    .get();
+  const targetSet = new Set(targets);
+  const ranks = segment?.rankFrom || segment?.rankTo ?
+    (await rtdb.ref('cache/leaderboard/ranks').once('value')).val() || {} : {};
+  const dayStart = getEventDayStart();
+  const users = usersSnapshot.docs
+    .filter((doc) => doc.data().fcmToken && (targetSet.size === 0 || targetSet.has(doc.id)))
+    .map((doc) => ({ uid: doc.id, ...doc.data() }))
+    .filter((user) => matchesNotificationSegment(user, segment, { ranks, dayStart }));
+
+  const wantsPending = needsPendingCount || segmentNeedsPendingCount(segment);
+  const recipients = await Promise.all(users.map(async (user) => ({
+    uid: user.uid,
+    name: user.name || user.displayName || '',
+    pendingCount: wantsPending ? await getUserPendingMissionsCount(user.uid) : null
+  })));
+  return recipients.filter((recipient) => matchesPendingSegment(segment, recipient.pendingCount));
+}
+
+/**
+ * Fill {name} (first name) and {pendingCount} in a campaign title or message
+ * @param {string} text - Template text
+ * @param {Object} recipient - From resolveNotificationAudience
+ * @returns {string}
+ */
+function renderNotificationText(text, recipient) {
+  return text
+    .replace(/\{name\}/g, (recipient.name || '').trim().split(/\s+/)[0] || 'there')
+    .replace(/\{pendingCount\}/g, String(recipient.pendingCount ?? 0));
+}
+
+/**
+ * Send a claimed campaign (status 'sending') and record its counts as it goes
+ * Counts follow sendPushNotification's status: skipped attendees can never receive it (no token
+ * or opted out); held ones get it later (quiet hours or digest); deduped and capped ones were
+ * dropped by the delivery policy
+ * @param {FirebaseFirestore.DocumentReference} broadcastRef - Campaign record
+ * @param {Object} campaign - Campaign data
+ * @returns {Promise<{recipients: number, sent: number, failed: number, skipped: number,
+ *   held: number, deduped: number, capped: number}>}
+ */
+async function deliverNotificationCampaign(broadcastRef, campaign) {
+  try {
+    const usesPending = /\{pendingCount\}/.test(`${campaign.title} ${campaign.message}`);
+    const recipients = await resolveNotificationAudience(campaign.segment || null, campaign.targetUsers || [], usesPending);
+    const counts = { recipients: recipients.length, sent: 0, failed: 0, skipped: 0, held: 0, deduped: 0, capped: 0 };
+    await broadcastRef.update({ ...counts, startedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    for (let i = 0; i < recipients.length; i += NOTIFICATION_CAMPAIGN_CHUNK) {
+      const chunk = recipients.slice(i, i + NOTIFICATION_CAMPAIGN_CHUNK);
+      const results = await Promise.all(chunk.map(async (recipient) => {
+        const title = renderNotificationText(campaign.title, recipient);
+        const body = renderNotificationText(campaign.message, recipient);
+        // Every recipient gets an inbox entry, whether or not the push is delivered
+        await updateUserNotificationCache(recipient.uid, {
+          type: campaign.notificationType,
+          title: title,
+          message: body,
+          broadcastId: broadcastRef.id
+        });
+        return sendPushNotification(recipient.uid, {
+          type: campaign.notificationType,
+          title: title,
+          body: body,
+          data: { type: campaign.notificationType, url: getAppRoute('home'), broadcastId: broadcastRef.id }
+        });
+      }));
+      results.forEach((result) => {
+        counts[result.status]++;
+      });
+      await broadcastRef.update({
+        sent: counts.sent,
+        failed: counts.failed,
+        skipped: counts.skipped,
+        held: counts.held,
+        deduped: counts.deduped,
+        capped: counts.capped
+      });
+    }
+
+    await broadcastRef.update({
+      status: 'sent',
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return counts;
+  } catch (error) {
+    console.error(`[deliverNotificationCampaign] ${broadcastRef.id} failed:`, error);
+    await broadcastRef.update({
+      status: 'failed',
+      error: error.message || String(error),
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    }).catch(() => {});
+    throw error;
+  }
+}
 
 /**
- * HTTP function to send custom engagement notifications
- * Can be called manually or via cron job
- * 
- * Usage: POST https://YOUR_REGION-YOUR_PROJECT.cloudfunctions.net/sendCustomEngagementNotifications
- * Headers: Authorization: Bearer <admin-token>
- * Body: { message: "Custom message", targetUsers: ["userId1", "userId2"] } (optional)
+ * Create a notification campaign (super-admins only): send now, schedule it, or preview its audience
+ * Each campaign is rate limited per admin and recorded in notificationBroadcasts with the sender,
+ * audience and how many pushes were sent, failed, skipped (no token or opted out), held for
+ * quiet hours or the digest, or dropped as duplicates or over the daily cap.
+ * Data: { title, message, targetUsers?, segment?, scheduledAt? (ms), templateId?, preview?,
+ *   notificationType?: 'engagement_*' }
  */
-exports.sendCustomEngagementNotifications = onRequest(
+exports.sendCustomEngagementNotifications = onCall(
   {
-    cors: true,
-    region: region
+    region: region,
+    timeoutSeconds: 540
   },
-  async (request, response) => {
-    // Verify admin authentication (basic check - can be enhanced)
-    if (!request.headers.authorization) {
-      response.status(401).json({ error: 'Unauthorized' });
-      return;
+  async (request) => {
+    await requireAdminRole(request, []);
+    const uid = request.auth.uid;
+
+    const { title, message, targetUsers, templateId } = request.data || {};
+    // Engagement types keep the attendee's "engagement" opt-out in force
+    const notificationType = typeof request.data?.notificationType === 'string' &&
+      request.data.notificationType.startsWith('engagement_') ? request.data.notificationType : 'engagement_custom';
+    const targets = Array.isArray(targetUsers) ?
+      [...new Set(targetUsers.filter((id) => typeof id === 'string' && id.trim()).map((id) => id.trim()))] : [];
+    if (targets.length > NOTIFICATION_BROADCAST_LIMITS.maxTargetUsers) {
+      throw new HttpsError("invalid-argument", `At most ${NOTIFICATION_BROADCAST_LIMITS.maxTargetUsers} user IDs per notification`);
     }
-    
-    try {
-      const { title, message, targetUsers, notificationType = 'engagement_custom' } = request.body || {};
-      
-      if (!title || !message) {
-        response.status(400).json({ error: 'Title and message are required' });
-        return;
+    const segment = normalizeNotificationSegment(request.data?.segment);
+
+    if (request.data?.preview) {
+      const recipients = await resolveNotificationAudience(segment, targets, false);
+      return { preview: true, recipients: recipients.length };
+    }
+
+    if (typeof title !== 'string' || !title.trim() || typeof message !== 'string' || !message.trim()) {
+      throw new HttpsError('invalid-argument', 'Title and message are required');
+    }
+    if (title.length > 50 || message.length > 200) {
+      throw new HttpsError('invalid-argument', 'Title is limited to 50 characters and message to 200');
+    }
+
+    const now = Date.now();
+    const scheduledAt = Number(request.data?.scheduledAt) || null;
+    // Anything due within the next minute is sent now
+    const isScheduled = scheduledAt !== null && scheduledAt > now + 60 * 1000;
+    if (isScheduled && scheduledAt > now + NOTIFICATION_BROADCAST_LIMITS.maxScheduleAheadMs) {
+      throw new HttpsError('invalid-argument', 'Notifications can be scheduled at most 30 days ahead');
+    }
+
+    const actor = await getAuditActor(uid);
+    const broadcastRef = db.collection('notificationBroadcasts').doc();
+    const campaign = {
+      actorUid: uid,
+      actorEmail: actor?.email || null,
+      actorName: actor?.name || null,
+      title: title.trim(),
+      message: message.trim(),
+      templateId: typeof templateId === 'string' && templateId ? templateId : null,
+      notificationType: notificationType,
+      audience: targets.length > 0 ? 'specific' : (segment ? 'segment' : 'all'),
+      targetUsers: targets.length > 0 ? targets : null,
+      segment: segment,
+      status: isScheduled ? 'scheduled' : 'sending',
+      scheduledAt: isScheduled ? admin.firestore.Timestamp.fromMillis(scheduledAt) : null,
+      createdAt: admin.firestore.Timestamp.fromMillis(now)
+    };
+
+    // Check the limits and claim the campaign in one transaction so parallel calls cannot slip past
+    await db.runTransaction(async (transaction) => {
+      const recentSnap = await transaction.get(db.collection('notificationBroadcasts')
+        .where('actorUid', '==', uid)
+        .where('createdAt', '>=', admin.firestore.Timestamp.fromMillis(now - 60 * 60 * 1000)));
+      if (recentSnap.size >= NOTIFICATION_BROADCAST_LIMITS.perHour) {
+        throw new HttpsError("resource-exhausted", `Rate limit reached: at most ${NOTIFICATION_BROADCAST_LIMITS.perHour} notifications per hour`);
       }
-      
-      // Prefer RTDB cache to avoid Firestore read
-      let recipients = await getNotificationRecipientsFromRTDB(true);
-      if (recipients && targetUsers && Array.isArray(targetUsers) && targetUsers.length > 0) {
-        const targetSet = new Set(targetUsers);
-        recipients = recipients.filter((r) => targetSet.has(r.uid));
+      const lastSentAt = Math.max(0, ...recentSnap.docs.map((doc) => doc.data().createdAt?.toMillis?.() || 0));
+      const waitMs = lastSentAt + NOTIFICATION_BROADCAST_LIMITS.minIntervalMs - now;
+      if (waitMs > 0) {
+        throw new HttpsError("resource-exhausted", `Rate limit reached: wait ${Math.ceil(waitMs / 1000)}s before sending another notification`);
       }
-      
-      if (!recipients || recipients.length === 0) {
-        const usersQuery = db.collection('users')
-          .where('role', '==', 'attendee')
-          .where('status', '==', 'active')
-          .where('notificationEnabled', '==', true);
-        let usersSnapshot;
-        if (targetUsers && Array.isArray(targetUsers) && targetUsers.length > 0) {
-          if (targetUsers.length <= 10) {
-            usersSnapshot = await usersQuery.where(admin.firestore.FieldPath.documentId(), 'in', targetUsers).get();
-          } else {
-            const allSnap = await usersQuery.get();
-            const targetSet = new Set(targetUsers);
-            const filtered = allSnap.docs.filter((d) => targetSet.has(d.id));
-            usersSnapshot = { docs: filtered, empty: filtered.length === 0, size: filtered.length };
-          }
-        } else {
-          usersSnapshot = await usersQuery.get();
-        }
-        if (usersSnapshot.empty) {
-          response.json({ success: true, message: 'No users found', sent: 0 });
-          return;
-        }
-        recipients = usersSnapshot.docs
-          .filter((d) => d.data().fcmToken)
-          .map((d) => ({ uid: d.id, fcmToken: d.data().fcmToken }));
-        await Promise.allSettled(
-          usersSnapshot.docs.map((d) => syncNotificationTokenToRTDB(d.id, d.data()))
-        );
+      transaction.create(broadcastRef, campaign);
+    });
+
+    // Notification sends are not Firestore writes the audit triggers see, so log them here
+    await writeAuditLog({
+      action: isScheduled ? 'schedule' : 'send',
+      entityType: 'notification',
+      entityId: broadcastRef.id,
+      entityPath: `notificationBroadcasts/${broadcastRef.id}`,
+      targetLabel: campaign.title,
+      actor: actor,
+      changedFields: ['title', 'message', 'audience', 'scheduledAt'],
+      changes: {
+        title: { before: null, after: campaign.title },
+        message: { before: null, after: campaign.message },
+        audience: { before: null, after: targets.length > 0 ? targets : (segment || 'all') },
+        scheduledAt: { before: null, after: isScheduled ? new Date(scheduledAt).toISOString() : 'now' }
+      },
+      summary: `${isScheduled ? 'schedule' : 'send'} notification "${campaign.title}"`
+    });
+
+    if (isScheduled) {
+      return { success: true, broadcastId: broadcastRef.id, scheduled: true };
+    }
+    const counts = await deliverNotificationCampaign(broadcastRef, campaign);
+    return { success: true, broadcastId: broadcastRef.id, ...counts };
+  }
+);
+
+/**
+ * Cancel a scheduled notification campaign (super-admins only)
+ * Data: { broadcastId }
+ */
+exports.cancelNotificationCampaign = onCall(
+  { region: region },
+  async (request) => {
+    await requireAdminRole(request, []);
+    const { broadcastId } = request.data || {};
+    if (!broadcastId || typeof broadcastId !== 'string') {
+      throw new HttpsError("invalid-argument", "broadcastId is required");
+    }
+
+    const broadcastRef = db.collection('notificationBroadcasts').doc(broadcastId);
+    const campaign = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(broadcastRef);
+      if (!doc.exists) {
+        throw new HttpsError("not-found", "Notification not found");
       }
-      
-      if (!recipients || recipients.length === 0) {
-        response.json({ success: true, message: 'No users found', sent: 0 });
-        return;
+      if (doc.data().status !== 'scheduled') {
+        throw new HttpsError("failed-precondition", "Only scheduled notifications can be cancelled");
       }
-      
-      const sendPromises = recipients.map(async (r) => {
-        try {
-          await sendPushNotification(r.uid, {
-            type: notificationType,
-            title: title,
-            body: message,
-            data: { type: notificationType, url: '/' }
+      transaction.update(broadcastRef, {
+        status: 'cancelled',
+        cancelledBy: request.auth.uid,
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return doc.data();
+    });
+
+    await writeAuditLog({
+      action: 'cancel',
+      entityType: 'notification',
+      entityId: broadcastId,
+      entityPath: `notificationBroadcasts/${broadcastId}`,
+      targetLabel: campaign.title,
+      actor: await getAuditActor(request.auth.uid),
+      changedFields: ['status'],
+      changes: { status: { before: 'scheduled', after: 'cancelled' } },
+      summary: `cancel scheduled notification "${campaign.title}"`
+    });
+    return { success: true };
+  }
+);
+
+/**
+ * Send notification campaigns whose scheduled time has come
+ * Runs every 5 minutes; each campaign is claimed ('scheduled' -> 'sending') in a transaction,
+ * so overlapping runs never send one twice.
+ */
+exports.sendScheduledNotificationCampaigns = onSchedule(
+    {
+      schedule: "*/5 * * * *",
+      region: region,
+      timeZone: "UTC",
+      timeoutSeconds: 540
+    },
+    async (event) => {
+      try {
+        const dueSnapshot = await db.collection('notificationBroadcasts')
+          .where('status', '==', 'scheduled')
+          .where('scheduledAt', '<=', admin.firestore.Timestamp.now())
+          .get();
+
+        for (const doc of dueSnapshot.docs) {
+          const claimed = await db.runTransaction(async (transaction) => {
+            const current = await transaction.get(doc.ref);
+            if (!current.exists || current.data().status !== 'scheduled') return null;
+            transaction.update(doc.ref, { status: 'sending' });
+            return current.data();
           });
-        } catch (error) {
-          console.error(`[sendCustomEngagementNotifications] Error for ${r.uid}:`, error);
+          if (!claimed) continue;
+
+          try {
+            const counts = await deliverNotificationCampaign(doc.ref, claimed);
+            console.log(`[sendScheduledNotificationCampaigns] ${doc.id}: ${counts.sent} of ${counts.recipients} sent`);
+          } catch (error) {
+            // Recorded on the campaign; carry on with the rest
+          }
         }
-      });
-      
-      await Promise.allSettled(sendPromises);
-      response.json({ success: true, message: 'Notifications sent', sent: recipients.length });
-      
-    } catch (error) {
-      console.error('[sendCustomEngagementNotifications] Error:', error);
-      response.status(500).json({ error: error.message });
+      } catch (error) {
+        console.error('[sendScheduledNotificationCampaigns] Error:', error);
+      }
     }
-  }
 );
 
 /**
@@ -4289,16 +6337,8 @@ exports.syncAdminsCallable = onCall(
       region: region,
     },
     async (request) => {
-      // Only allow authenticated users
-      if (!request.auth) {
-        throw new Error("Unauthorized");
-      }
-      
-      // Check if user is admin
-      const adminDoc = await db.collection("admins").doc(request.auth.uid).get();
-      if (!adminDoc.exists) {
-        throw new Error("Unauthorized: Admin access required");
-      }
+      // Any admin may re-sync; it only copies the admins collection
+      await requireAdminRole(request, ADMIN_ROLES);
       
       await syncAdminsToRTDB();
       return { success: true, message: "Admins synced to RTDB successfully" };
@@ -4337,7 +6377,10 @@ async function migrateActivitiesIndexed() {
       quizzesIndexed.byId[quizId] = {
         id: quizId,
         ...data,
-        questionsCount: data.questions?.length || 0
+        questions: toPublicQuizQuestions(data.questions),
+        opensAt: getWindowMillis(data.opensAt),
+        closesAt: getWindowMillis(data.closesAt),
+        questionsCount: data.questions?.length || data.questionsCount || 0
       };
       
       if (!quizzesIndexed.byPoints[points]) {
@@ -4380,7 +6423,9 @@ async function migrateActivitiesIndexed() {
       
       tasksIndexed.byId[taskId] = {
         id: taskId,
-        ...data
+        ...data,
+        opensAt: getWindowMillis(data.opensAt),
+        closesAt: getWindowMillis(data.closesAt)
       };
       
       if (!tasksIndexed.byPoints[points]) {
@@ -4423,7 +6468,9 @@ async function migrateActivitiesIndexed() {
       
       formsIndexed.byId[formId] = {
         id: formId,
-        ...data
+        ...data,
+        opensAt: getWindowMillis(data.opensAt),
+        closesAt: getWindowMillis(data.closesAt)
       };
       
       if (!formsIndexed.byPoints[points]) {
@@ -4476,7 +6523,7 @@ async function migrateUserPreComputedLists() {
       activities.quizzes.push({
         id: doc.id,
         ...doc.data(),
-        questionsCount: doc.data().questions?.length || 0
+        questionsCount: doc.data().questions?.length || doc.data().questionsCount || 0
       });
     });
     
@@ -4514,9 +6561,7 @@ async function migrateUserPreComputedLists() {
             db.collection("submissions")
                 .where("userId", "==", userId)
                 .get(),
-            db.collection("formSubmissions")
-                .where("userId", "==", userId)
-                .get()
+            getUserFormSubmissions(userId)
           ]);
           
           const completion = {
@@ -4547,8 +6592,7 @@ async function migrateUserPreComputedLists() {
             }
           });
           
-          formSubmissions.forEach((doc) => {
-            const data = doc.data();
+          formSubmissions.forEach((data) => {
             completion.forms[data.formId] = {
               completed: true,
               submittedAt: data.submittedAt?.toMillis() || Date.now()
@@ -4603,9 +6647,9 @@ async function migrateUserPreComputedLists() {
           const stats = {
             totalPoints: userData.points || 0,
             rank: 0, // Will be updated by updateUserRank
-            quizzesCompleted: quizSubmissions.size,
+            quizzesCompleted: new Set(quizSubmissions.docs.map(d => d.data().quizId)).size,
             tasksCompleted: taskSubs.filter(d => d.data().status === 'approved').length,
-            formsCompleted: formSubmissions.size,
+            formsCompleted: formSubmissions.length,
             pendingSubmissions: taskSubs.filter(d => d.data().status === 'pending').length,
             approvedSubmissions: taskSubs.filter(d => d.data().status === 'approved').length,
             rejectedSubmissions: taskSubs.filter(d => d.data().status === 'rejected').length,
@@ -4816,17 +6860,14 @@ exports.refreshUserActivityLists = onCall(
     { region: region },
     async (request) => {
       if (!request.auth) {
-        throw new Error("Unauthorized");
+        throw new HttpsError("unauthenticated", "Unauthorized");
       }
       
       const userId = request.data?.userId || request.auth.uid;
       
-      // Users can only refresh their own lists, unless they're an admin
+      // Users can only refresh their own lists, unless they're an admin who manages attendees
       if (userId !== request.auth.uid) {
-        const adminDoc = await db.collection("admins").doc(request.auth.uid).get();
-        if (!adminDoc.exists) {
-          throw new Error("Unauthorized: Can only refresh your own activity lists");
-        }
+        await requireAdminRole(request, ['registration-desk']);
       }
       
       
@@ -4840,7 +6881,7 @@ exports.refreshUserActivityLists = onCall(
         };
       } catch (error) {
         console.error("Error refreshing user activity lists:", error);
-        throw new Error(`Failed to refresh activity lists: ${error.message}`);
+        throw new HttpsError("internal", `Failed to refresh activity lists: ${error.message}`);
       }
     }
 );
@@ -4857,15 +6898,7 @@ exports.initializeCaches = onCall(
       memory: "512MiB"
     },
     async (request) => {
-      // Only allow admins
-      if (!request.auth) {
-        throw new Error("Unauthorized");
-      }
-      
-      const adminDoc = await db.collection("admins").doc(request.auth.uid).get();
-      if (!adminDoc.exists) {
-        throw new Error("Unauthorized: Admin required");
-      }
+      await requireAdminRole(request);
       
       
       const steps = [];
@@ -4950,15 +6983,7 @@ exports.initializeCaches = onCall(
 exports.migrateToEnhancedStructure = onCall(
     { region: region },
     async (request) => {
-      // Only allow admins
-      if (!request.auth) {
-        throw new Error("Unauthorized");
-      }
-      
-      const adminDoc = await db.collection("admins").doc(request.auth.uid).get();
-      if (!adminDoc.exists) {
-        throw new Error("Unauthorized: Admin required");
-      }
+      await requireAdminRole(request);
       
       
       try {
@@ -4981,7 +7006,7 @@ exports.migrateToEnhancedStructure = onCall(
         };
       } catch (error) {
         console.error("Migration error:", error);
-        throw new Error(`Migration failed: ${error.message}`);
+        throw new HttpsError("internal", `Migration failed: ${error.message}`);
       }
     }
 );
@@ -4998,15 +7023,7 @@ exports.initializeStatsTotals = onCall(
       memory: "512MiB"
     },
     async (request) => {
-      // Only allow admins
-      if (!request.auth) {
-        throw new Error("Unauthorized");
-      }
-      
-      const adminDoc = await db.collection("admins").doc(request.auth.uid).get();
-      if (!adminDoc.exists) {
-        throw new Error("Unauthorized: Admin required");
-      }
+      await requireAdminRole(request);
       
       try {
         // Count Users
@@ -5068,7 +7085,7 @@ exports.initializeStatsTotals = onCall(
         };
       } catch (error) {
         console.error("Error initializing stats:", error);
-        throw new Error(`Initialization failed: ${error.message}`);
+        throw new HttpsError("internal", `Initialization failed: ${error.message}`);
       }
     }
 );
@@ -5085,15 +7102,7 @@ exports.backfillSubmissionTitles = onCall(
       memory: "512MiB"
     },
     async (request) => {
-      // Only allow admins
-      if (!request.auth) {
-        throw new Error("Unauthorized");
-      }
-      
-      const adminDoc = await db.collection("admins").doc(request.auth.uid).get();
-      if (!adminDoc.exists) {
-        throw new Error("Unauthorized: Admin required");
-      }
+      await requireAdminRole(request);
       
       try {
         let processed = 0;
@@ -5321,7 +7330,482 @@ exports.backfillSubmissionTitles = onCall(
         };
       } catch (error) {
         console.error("Error backfilling titles:", error);
-        throw new Error(`Backfill failed: ${error.message}`);
+        throw new HttpsError("internal", `Backfill failed: ${error.message}`);
+      }
+    }
+);
+
+// ============================================================================
+// POINTS LEDGER
+// ============================================================================
+// Every award or deduction is an immutable pointsLedger entry:
+//   { userId, delta, source, activityType, activityId, activityTitle,
+//     submissionId, reason, actorUid, createdAt }
+// source is one of 'quiz' | 'task' | 'form' | 'regrade' | 'manual' | 'opening-balance'.
+// users.points is derived from the ledger by onPointsLedgerCreate and must
+// never be written directly.
+
+/**
+ * Recompute a user's points from their ledger entries and store the total
+ * Idempotent: safe to run any number of times for the same user
+ * @param {string} userId - User ID
+ * @returns {Promise<number|null>} Ledger total, or null if the user does not exist
+ */
+async function recalculateUserPointsFromLedger(userId) {
+  const userRef = db.collection("users").doc(userId);
+  const ledgerQuery = db.collection("pointsLedger").where("userId", "==", userId);
+
+  return db.runTransaction(async (transaction) => {
+    const [userDoc, ledgerSnap] = await Promise.all([
+      transaction.get(userRef),
+      transaction.get(ledgerQuery)
+    ]);
+
+    if (!userDoc.exists) {
+      return null;
+    }
+
+    let total = 0;
+    ledgerSnap.forEach((doc) => {
+      total += Number(doc.data().delta) || 0;
+    });
+
+    if ((userDoc.data().points || 0) !== total) {
+      transaction.update(userRef, { points: total });
+    }
+    return total;
+  });
+}
+
+/**
+ * Award points for an activity submission exactly once
+ * The ledger entry ID is derived from the user and activity (plus the attempt number for quiz
+ * retakes), and the check and the create run in one transaction, so duplicate submissions or
+ * retried trigger deliveries cannot award the same activity twice. Quiz retakes
+ * (attemptNumber > 1) record the change in the attendee's counted score.
+ * @param {Object} award - Award details
+ * @param {string} award.source - 'quiz' | 'task' | 'form'
+ * @param {string} award.submissionId - Submission document ID
+ * @param {string} award.userId - User receiving the points
+ * @param {number} award.delta - Points to award
+ * @param {string} award.activityId - Quiz, task or form ID
+ * @param {string|null} award.activityTitle - Activity title at the time of the award
+ * @param {string|null} award.actorUid - Who caused the award (attendee, or reviewing admin)
+ * @param {number} [award.attemptNumber] - Quiz attempt number (retakes only)
+ * @returns {Promise<boolean>} True if points were awarded now, false if already awarded
+ */
+async function awardSubmissionPoints(award) {
+  const { source, submissionId, userId, delta, activityId, activityTitle, actorUid } = award;
+  const attemptNumber = award.attemptNumber || 1;
+  const entryId = attemptNumber > 1 ?
+    `${source}_${activityId}_${userId}_${attemptNumber}` :
+    `${source}_${activityId}_${userId}`;
+  const entryRef = db.collection("pointsLedger").doc(entryId);
+  // Entries written before IDs were keyed by activity are named after the submission
+  const earlierAwardQuery = db.collection("pointsLedger")
+    .where("userId", "==", userId)
+    .where("source", "==", source)
+    .where("activityId", "==", activityId)
+    .limit(1);
+
+  const label = source.charAt(0).toUpperCase() + source.slice(1);
+  const awarded = await db.runTransaction(async (transaction) => {
+    const entryDoc = await transaction.get(entryRef);
+    if (entryDoc.exists) {
+      return false;
+    }
+    if (attemptNumber === 1) {
+      const earlier = await transaction.get(earlierAwardQuery);
+      if (!earlier.empty) {
+        return false;
+      }
+    }
+
+    transaction.create(entryRef, {
+      userId: userId,
+      delta: delta,
+      source: source,
+      activityType: source,
+      activityId: activityId,
+      activityTitle: activityTitle || null,
+      submissionId: submissionId,
+      ...(attemptNumber > 1 ? { attemptNumber } : {}),
+      reason: `${label}: ${activityTitle || activityId}${attemptNumber > 1 ? ` (attempt ${attemptNumber})` : ''}`,
+      actorUid: actorUid || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+
+  if (!awarded) {
+    console.log(`[awardSubmissionPoints] ${userId} already awarded for ${source} ${activityId} (${submissionId})`);
+  }
+  return awarded;
+}
+
+/**
+ * Derive users.points whenever a ledger entry is written
+ */
+exports.onPointsLedgerCreate = onDocumentCreated(
+    {
+      document: "pointsLedger/{entryId}",
+      region: region,
+    },
+    async (event) => {
+      const entry = event.data.data();
+      if (!entry || !entry.userId) {
+        console.warn(`[onPointsLedgerCreate] Entry ${event.params.entryId} has no userId`);
+        return null;
+      }
+
+      const total = await recalculateUserPointsFromLedger(entry.userId);
+      if (total === null) {
+        console.warn(`[onPointsLedgerCreate] User ${entry.userId} not found for entry ${event.params.entryId}`);
+      }
+      return null;
+    }
+);
+
+/**
+ * Compare every attendee's stored points with their ledger sum
+ * Drift is only flagged (written to adminCache/pointsDrift), never corrected here
+ * @returns {Promise<Object>} Drift report
+ */
+async function reconcilePointsLedger() {
+  const [usersSnapshot, ledgerSnapshot] = await Promise.all([
+    db.collection("users").where("role", "==", "attendee").get(),
+    db.collection("pointsLedger").get()
+  ]);
+
+  const ledgerTotals = {};
+  const ledgerCounts = {};
+  ledgerSnapshot.forEach((doc) => {
+    const data = doc.data();
+    if (!data.userId) return;
+    ledgerTotals[data.userId] = (ledgerTotals[data.userId] || 0) + (Number(data.delta) || 0);
+    ledgerCounts[data.userId] = (ledgerCounts[data.userId] || 0) + 1;
+  });
+
+  const flagged = {};
+  usersSnapshot.forEach((doc) => {
+    const data = doc.data();
+    const storedPoints = data.points || 0;
+    const ledgerPoints = ledgerTotals[doc.id] || 0;
+    if (storedPoints !== ledgerPoints) {
+      flagged[doc.id] = {
+        name: data.name || data.email || "Unknown",
+        storedPoints: storedPoints,
+        ledgerPoints: ledgerPoints,
+        difference: storedPoints - ledgerPoints,
+        entries: ledgerCounts[doc.id] || 0
+      };
+    }
+  });
+
+  const report = {
+    users: flagged,
+    driftCount: Object.keys(flagged).length,
+    checkedUsers: usersSnapshot.size,
+    ledgerEntries: ledgerSnapshot.size,
+    lastRun: Date.now()
+  };
+
+  await rtdb.ref("adminCache/pointsDrift").set(report);
+  console.log(`[reconcilePointsLedger] Checked ${report.checkedUsers} users, ${report.driftCount} drifted`);
+  return report;
+}
+
+/**
+ * Nightly ledger reconciliation
+ */
+exports.scheduledPointsReconcile = onSchedule(
+    {
+      schedule: "30 0 * * *", // Daily, after scheduledCacheRefresh
+      region: region,
+      timeZone: "UTC"
+    },
+    async (event) => {
+      try {
+        await reconcilePointsLedger();
+      } catch (error) {
+        console.error("[scheduledPointsReconcile] Error:", error);
+      }
+    }
+);
+
+/**
+ * Callable function to run ledger reconciliation on demand from the admin panel
+ */
+exports.reconcilePointsLedgerCallable = onCall(
+    {
+      region: region,
+      timeoutSeconds: 300
+    },
+    async (request) => {
+      await requireAdminRole(request);
+
+      const report = await reconcilePointsLedger();
+      return { success: true, driftCount: report.driftCount, checkedUsers: report.checkedUsers };
+    }
+);
+
+// ============================================================================
+// ADMIN ROLES
+// ============================================================================
+
+/**
+ * Callable function for super-admins to grant, change or revoke an admin role
+ * Looks the person up by their Google account email, so they must have signed in once.
+ * Body: { email: string, role: string|null } - role null removes admin access
+ */
+exports.setAdminRole = onCall(
+    {
+      region: region,
+    },
+    async (request) => {
+      await requireAdminRole(request);
+
+      const { email, role } = request.data || {};
+      if (!email || typeof email !== "string") {
+        throw new HttpsError("invalid-argument", "email is required");
+      }
+      if (role !== null && !ADMIN_ROLES.includes(role)) {
+        throw new HttpsError("invalid-argument", `role must be one of: ${ADMIN_ROLES.join(", ")}`);
+      }
+
+      let userRecord;
+      try {
+        userRecord = await admin.auth().getUserByEmail(email.toLowerCase().trim());
+      } catch (error) {
+        throw new HttpsError("not-found", "No account found for that email. Ask them to sign in with Google once first.");
       }
+
+      // Prevent super-admins from locking themselves out
+      if (userRecord.uid === request.auth.uid) {
+        throw new HttpsError("permission-denied", "You cannot change your own admin role");
+      }
+
+      const adminRef = db.collection("admins").doc(userRecord.uid);
+      if (role === null) {
+        const removed = await adminRef.get();
+        await adminRef.delete();
+        // Deletes carry no updatedBy, so auditAdmins cannot attribute this one
+        await writeAuditLog({
+          action: "delete",
+          entityType: "admin",
+          entityId: userRecord.uid,
+          entityPath: `admins/${userRecord.uid}`,
+          targetLabel: userRecord.email || email,
+          actor: await getAuditActor(request.auth.uid),
+          ...diffAuditFields(removed.exists ? removed.data() : {}, null),
+          summary: `delete admin "${userRecord.email || email}"`
+        });
+        return { success: true, uid: userRecord.uid, role: null };
+      }
+
+      const existing = await adminRef.get();
+      await adminRef.set({
+        email: userRecord.email || email,
+        name: userRecord.displayName || existing.data()?.name || null,
+        role: role,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: request.auth.uid,
+        ...(existing.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() })
+      }, { merge: true });
+
+      // onAdminCreate/onAdminUpdate/onAdminDelete resync the RTDB mirror
+      return { success: true, uid: userRecord.uid, role: role };
     }
 );
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+// Every admin write to the collections below produces one append-only
+// auditLog entry:
+//   { action, entityType, entityId, entityPath, targetUserId, targetLabel,
+//     actorUid, actorEmail, actorName, actorRole, changedFields, changes,
+//     summary, eventId, createdAt }
+// changes maps each changed top-level field to { before, after }.
+// Writes by attendees themselves and by Cloud Functions are not logged.
+
+// Bookkeeping fields that change on nearly every write and carry no meaning for audits
+const AUDIT_IGNORED_FIELDS = ["updatedAt", "lastUpdated", "lastLoginAt", "fcmToken", "fcmTokenUpdatedAt"];
+
+/**
+ * Diff two document snapshots' data field by field
+ * @param {Object|null} before - Data before the write (null on create)
+ * @param {Object|null} after - Data after the write (null on delete)
+ * @returns {Object} { changedFields, changes }
+ */
+function diffAuditFields(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+    const beforeValue = before && before[field] !== undefined ? before[field] : null;
+    const afterValue = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = { before: beforeValue, after: afterValue };
+    }
+  });
+
+  return { changedFields: Object.keys(changes).sort(), changes: changes };
+}
+
+/**
+ * Name the action for an audit entry
+ * Submission status changes are reported as approve/reject rather than update.
+ * Ledger entries are "adjust" only when entered by hand; the rest are awarded
+ * by approvals and grading (with the reviewer as actorUid).
+ * @param {string} entityType - Audited entity type
+ * @param {Object|null} before - Data before the write
+ * @param {Object|null} after - Data after the write
+ * @returns {string} Action name
+ */
+function getAuditAction(entityType, before, after) {
+  if (!before && entityType === "points") return after.source === "manual" ? "adjust" : "award";
+  if (!before) return "create";
+  if (!after) return "delete";
+
+  if ((entityType === "taskSubmission" || entityType === "formSubmission") && before.status !== after.status) {
+    if (after.status === "approved") return "approve";
+    if (after.status === "rejected") return "reject";
+  }
+  return "update";
+}
+
+/**
+ * Look up the admin behind a write
+ * @param {string|null} uid - Candidate actor UID
+ * @returns {Promise<Object|null>} { uid, email, name, role }, or null if not an admin
+ */
+async function getAuditActor(uid) {
+  if (!uid || typeof uid !== "string" || uid.includes("/")) return null;
+
+  const adminDoc = await db.collection("admins").doc(uid).get();
+  if (!adminDoc.exists) return null;
+
+  const data = adminDoc.data();
+  return {
+    uid: uid,
+    email: data.email || null,
+    name: data.name || null,
+    role: normalizeAdminRole(data.role)
+  };
+}
+
+/**
+ * Write one auditLog entry
+ * Uses a deterministic ID when given one so retried trigger deliveries never duplicate entries.
+ * Non-critical: failures are logged, never thrown.
+ * @param {Object} entry - Audit entry fields (see section header)
+ * @param {string|null} docId - Optional deterministic document ID
+ */
+async function writeAuditLog(entry, docId = null) {
+  const auditRef = docId ? db.collection("auditLog").doc(docId) : db.collection("auditLog").doc();
+  try {
+    await auditRef.create({
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId || null,
+      entityPath: entry.entityPath || null,
+      targetUserId: entry.targetUserId || null,
+      targetLabel: entry.targetLabel || null,
+      actorUid: entry.actor?.uid || null,
+      actorEmail: entry.actor?.email || null,
+      actorName: entry.actor?.name || null,
+      actorRole: entry.actor?.role || null,
+      changedFields: entry.changedFields || [],
+      changes: entry.changes || {},
+      summary: entry.summary || null,
+      eventId: docId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    // ALREADY_EXISTS: this event was logged by an earlier delivery
+    if (error.code !== 6) {
+      console.error("[writeAuditLog] Error writing audit entry:", error);
+      // Non-critical, don't throw
+    }
+  }
+}
+
+/**
+ * Build a Firestore trigger that audits admin writes to a document path
+ * @param {string} document - Document path pattern; {docId} is recorded as the entity ID
+ * @param {string} entityType - Entity type recorded on each entry
+ * @param {string|null} actorField - Field naming the admin when the write comes from a
+ *   Cloud Function on their behalf (e.g. pointsLedger.actorUid, admins.updatedBy)
+ * @returns {CloudFunction} Firestore trigger
+ */
+function auditTrigger(document, entityType, actorField = null) {
+  return onDocumentWrittenWithAuthContext(
+    {
+      document: document,
+      region: region,
+    },
+    async (event) => {
+      try {
+        const before = event.data?.before?.exists ? event.data.before.data() : null;
+        const after = event.data?.after?.exists ? event.data.after.data() : null;
+        const data = after || before || {};
+        const entityId = event.params.docId;
+
+        // Client SDK writes carry the signed-in UID as authId; Cloud Function writes
+        // (service_account) only name the admin via actorField on the written data
+        const isFunctionWrite = event.authType === "service_account" || event.authType === "system";
+        const candidateUid = isFunctionWrite ? (actorField && after ? after[actorField] : null) : event.authId;
+
+        // Attendees editing their own profile or submitting work are not admin actions
+        if (!candidateUid || candidateUid === data.userId || (entityType === "attendee" && candidateUid === entityId)) {
+          return;
+        }
+
+        const actor = await getAuditActor(candidateUid);
+        if (!actor) return;
+
+        const { changedFields, changes } = diffAuditFields(before, after);
+        if (before && after && changedFields.length === 0) return;
+
+        const action = getAuditAction(entityType, before, after);
+        const targetLabel = data.title || data.name || data.userName || data.email ||
+          data.taskTitle || data.formTitle || data.quizTitle || data.activityTitle || (entityType === "pendingAttendee" ? entityId : null);
+        const targetUserId = data.userId || (entityType === "attendee" ? entityId : null);
+
+        await writeAuditLog({
+          action: action,
+          entityType: entityType,
+          entityId: entityId,
+          entityPath: event.document,
+          targetUserId: targetUserId,
+          targetLabel: targetLabel,
+          actor: actor,
+          changedFields: changedFields,
+          changes: changes,
+          summary: entityType === "points" ?
+            `${data.delta > 0 ? "+" : ""}${data.delta} points: ${data.reason || ""}`.trim() :
+            `${action} ${entityType}${targetLabel ? ` "${targetLabel}"` : ""}`
+        }, event.id);
+      } catch (error) {
+        console.error(`[audit:${entityType}] Error auditing write:`, error);
+        // Non-critical, don't throw
+      }
+    }
+  );
+}
+
+exports.auditUsers = auditTrigger("users/{docId}", "attendee");
+exports.auditPendingUsers = auditTrigger("pendingUsers/{docId}", "pendingAttendee");
+exports.auditSubmissions = auditTrigger("submissions/{docId}", "taskSubmission");
+exports.auditFormSubmissions = auditTrigger("formSubmissions/{docId}", "formSubmission");
+exports.auditQuizzes = auditTrigger("quizzes/{docId}", "quiz");
+exports.auditQuizAnswerKeys = auditTrigger("quizzes/{docId}/private/{keyId}", "quizAnswerKey");
+exports.auditQuestionBanks = auditTrigger("questionBanks/{docId}", "questionBank");
+exports.auditQuizRegrades = auditTrigger("quizRegrades/{docId}", "quizRegrade", "actorUid");
+exports.auditTasks = auditTrigger("tasks/{docId}", "task");
+exports.auditForms = auditTrigger("forms/{docId}", "form");
+exports.auditPointsLedger = auditTrigger("pointsLedger/{docId}", "points", "actorUid");
+exports.auditAdmins = auditTrigger("admins/{docId}", "admin", "updatedBy");
+exports.auditNotificationTemplates = auditTrigger("notificationTemplates/{docId}", "notificationTemplate");
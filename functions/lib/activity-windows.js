@@ -0,0 +1,38 @@
+/**
+ * Activity windows: when a quiz, task or form opens and closes (opensAt/closesAt)
+ */
+
+/**
+ * Convert an opensAt/closesAt value to milliseconds
+ * Accepts Firestore Timestamps (documents), numbers (RTDB cache) and date strings
+ * @param {*} value - Window boundary
+ * @returns {number|null} Milliseconds, or null if unset/invalid
+ */
+function getWindowMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (typeof value === 'number') return value;
+  if (value._seconds !== undefined) return value._seconds * 1000;
+  const millis = new Date(value).getTime();
+  return isNaN(millis) ? null : millis;
+}
+
+/**
+ * Get where an activity is relative to its opensAt/closesAt window
+ * Activities without a window are always open
+ * @param {Object} activity - Quiz, task or form data
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} 'upcoming' | 'open' | 'closed'
+ */
+function getActivityWindowState(activity, now = Date.now()) {
+  const opensAt = getWindowMillis(activity.opensAt);
+  const closesAt = getWindowMillis(activity.closesAt);
+  if (opensAt && now < opensAt) return 'upcoming';
+  if (closesAt && now >= closesAt) return 'closed';
+  return 'open';
+}
+
+module.exports = {
+  getWindowMillis,
+  getActivityWindowState
+};
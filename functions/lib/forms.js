@@ -0,0 +1,107 @@
+/**
+ * Form show/hide, required and answer shape rules, applied by submitForm and submitAnonymousForm
+ */
+
+// Form logic: forms may group fields into sections (form.sections, field.sectionId) and give
+// sections and fields a showIf condition, and fields a requiredIf condition. A condition is
+// { fieldId, operator: 'equals' | 'not_equals' | 'answered', value } and may only refer to an
+// earlier field, so one pass in field order resolves it. Js/forms.js applies the same rules.
+
+/**
+ * Whether a form condition holds for the answers given so far
+ * @param {Object|null} condition - { fieldId, operator, value }; empty means always
+ * @param {Object} answers - Answers of visible fields, by field ID
+ * @returns {boolean}
+ */
+function evaluateFormCondition(condition, answers) {
+  if (!condition || !condition.fieldId) return true;
+  const answer = answers[condition.fieldId];
+  const values = (Array.isArray(answer) ? answer : [answer])
+    .filter((value) => value !== undefined && value !== null && value !== '')
+    .map(String);
+  if (condition.operator === 'answered') return values.length > 0;
+  const matches = values.includes(String(condition.value ?? ''));
+  return condition.operator === 'not_equals' ? !matches : matches;
+}
+
+/**
+ * Whether a form answer is empty (a matrix counts as empty until a row is answered)
+ * @param {*} value - Answer
+ * @returns {boolean}
+ */
+function isEmptyFormAnswer(value) {
+  if (value === undefined || value === null || value === '') return true;
+  return Array.isArray(value) && value.every((item) => item === '' || item === null);
+}
+
+/**
+ * Check an answer's shape against its field type
+ * Files and signatures must be uploads in the submitting user's form-uploads folder
+ * @param {Object} field - Field definition
+ * @param {*} value - Non-empty answer
+ * @param {string} userId - Submitting user
+ * @returns {boolean}
+ */
+function isValidFormAnswer(field, value, userId) {
+  switch (field.type) {
+    case 'rating':
+      return Number.isInteger(value) && value >= 1 && value <= 5;
+    case 'nps':
+      return Number.isInteger(value) && value >= 0 && value <= 10;
+    case 'matrix':
+      return Array.isArray(value) && value.length === (field.rows || []).length &&
+        value.every((choice) => choice === '' || (field.options || []).includes(choice));
+    case 'file':
+    case 'signature':
+      return typeof value === 'object' && typeof value.url === 'string' &&
+        typeof value.path === 'string' && value.path.startsWith(`form-uploads/${userId}/`);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Apply a form's show/hide and required rules to submitted answers
+ * @param {Object} formData - Form document
+ * @param {Object} rawAnswers - Submitted formData, by field ID
+ * @param {string} userId - Submitting user
+ * @returns {{answers: Object, missing: Array<string>, invalid: Array<string>, removed: Array<string>}}
+ *   answers: visible fields only; missing: labels of unanswered required fields (every matrix
+ *   row counts); invalid: labels of answers that do not fit their field type;
+ *   removed: submitted keys that were hidden or unknown
+ */
+function resolveFormAnswers(formData, rawAnswers, userId) {
+  const sections = new Map((formData.sections || []).map((section) => [section.id, section]));
+  const answers = {};
+  const missing = [];
+  const invalid = [];
+
+  (formData.formFields || []).forEach((field) => {
+    const section = field.sectionId ? sections.get(field.sectionId) : null;
+    const visible = evaluateFormCondition(section?.showIf, answers) && evaluateFormCondition(field.showIf, answers);
+    if (!visible) return;
+
+    const value = rawAnswers[field.id];
+    const isEmpty = isEmptyFormAnswer(value);
+    if (value !== undefined) {
+      answers[field.id] = value;
+    }
+    if (!isEmpty && !isValidFormAnswer(field, value, userId)) {
+      invalid.push(field.label || field.id);
+    }
+    const required = field.required || (field.requiredIf && evaluateFormCondition(field.requiredIf, answers));
+    if (required && (isEmpty || (field.type === 'matrix' && Array.isArray(value) && value.includes('')))) {
+      missing.push(field.label || field.id);
+    }
+  });
+
+  const removed = Object.keys(rawAnswers || {}).filter((key) => !(key in answers));
+  return { answers, missing, invalid, removed };
+}
+
+module.exports = {
+  evaluateFormCondition,
+  isEmptyFormAnswer,
+  isValidFormAnswer,
+  resolveFormAnswers
+};
@@ -0,0 +1,101 @@
+/**
+ * Notification campaign segments: who a campaign reaches
+ *
+ * resolveNotificationAudience (index.js) reads users, ranks and pending activity counts and
+ * filters them here.
+ */
+
+const {HttpsError} = require("firebase-functions/v2/https");
+
+const NOTIFICATION_SEGMENT_ACTIVITIES = ['has_pending', 'no_pending', 'not_opened_today'];
+
+/**
+ * Clean a segment sent by the admin app; all parts are optional and combine with AND
+ * @param {Object} raw - { districts, designations, activity, rankFrom, rankTo }
+ * @returns {Object|null} Segment, or null when it matches every attendee
+ */
+function normalizeNotificationSegment(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const strings = (values) => Array.isArray(values) ?
+    [...new Set(values.filter((value) => typeof value === 'string' && value.trim()).map((value) => value.trim()))] : [];
+  const rank = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+
+  const segment = {
+    districts: strings(raw.districts),
+    designations: strings(raw.designations),
+    activity: NOTIFICATION_SEGMENT_ACTIVITIES.includes(raw.activity) ? raw.activity : null,
+    rankFrom: rank(raw.rankFrom),
+    rankTo: rank(raw.rankTo)
+  };
+  if (segment.rankFrom && segment.rankTo && segment.rankFrom > segment.rankTo) {
+    throw new HttpsError('invalid-argument', 'Rank band must run from a higher rank to a lower one (e.g. 1 to 50)');
+  }
+  const isEmpty = !segment.districts.length && !segment.designations.length &&
+    !segment.activity && !segment.rankFrom && !segment.rankTo;
+  return isEmpty ? null : segment;
+}
+
+/**
+ * Whether a segment needs each recipient's pending activity count
+ * @param {Object|null} segment - From normalizeNotificationSegment
+ * @returns {boolean}
+ */
+function segmentNeedsPendingCount(segment) {
+  return segment?.activity === 'has_pending' || segment?.activity === 'no_pending';
+}
+
+/**
+ * Number of pending activities from a user's cache/users/{uid}/pendingActivities/metadata
+ * @param {Object|null} metadata - { counts: { quizzes, tasks, forms, combined } }
+ * @returns {number} 0 when the user's lists have not been built yet
+ */
+function getPendingActivityCount(metadata) {
+  const counts = metadata?.counts;
+  if (!counts) return 0;
+  if (Number.isFinite(counts.combined)) return counts.combined;
+  return (counts.quizzes || 0) + (counts.tasks || 0) + (counts.forms || 0);
+}
+
+/**
+ * Whether a user matches a segment's district, designation, rank band and "not opened today" parts
+ * @param {Object} user - users document data with uid
+ * @param {Object|null} segment - From normalizeNotificationSegment
+ * @param {Object} context - { ranks: cache/leaderboard/ranks, dayStart: start of the event day in ms }
+ * @returns {boolean}
+ */
+function matchesNotificationSegment(user, segment, { ranks = {}, dayStart = 0 } = {}) {
+  if (!segment) return true;
+  if (segment.districts.length && !segment.districts.includes(user.district)) return false;
+  if (segment.designations.length && !segment.designations.includes(user.designation)) return false;
+  if (segment.rankFrom || segment.rankTo) {
+    const rank = ranks[user.uid]?.rank;
+    if (!rank || (segment.rankFrom && rank < segment.rankFrom) || (segment.rankTo && rank > segment.rankTo)) {
+      return false;
+    }
+  }
+  if (segment.activity === 'not_opened_today' && (user.lastLoginAt?.toMillis?.() || 0) >= dayStart) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a pending activity count matches a segment's has_pending / no_pending part
+ * @param {Object|null} segment - From normalizeNotificationSegment
+ * @param {number|null} pendingCount - From getPendingActivityCount
+ * @returns {boolean}
+ */
+function matchesPendingSegment(segment, pendingCount) {
+  if (segment?.activity === 'has_pending') return pendingCount > 0;
+  if (segment?.activity === 'no_pending') return pendingCount === 0;
+  return true;
+}
+
+module.exports = {
+  NOTIFICATION_SEGMENT_ACTIVITIES,
+  normalizeNotificationSegment,
+  segmentNeedsPendingCount,
+  getPendingActivityCount,
+  matchesNotificationSegment,
+  matchesPendingSegment
+};
@@ -0,0 +1,145 @@
+/**
+ * Push delivery policy: quiet hours, digests, dedupe and the daily cap
+ *
+ * The RTDB bookkeeping (reservePushSlot, the digest queue) stays in index.js.
+ */
+
+const crypto = require("crypto");
+
+
+// Day boundaries for the daily cap, quiet hours and "hasn't opened the app today"
+// (matches sendEngagementNotifications)
+const EVENT_TIME_ZONE = 'Asia/Kolkata';
+
+const PUSH_DELIVERY_POLICY = {
+  dailyCap: 10,
+  dedupeWindowMs: 6 * 60 * 60 * 1000,
+  digestIntervalMs: 3 * 60 * 60 * 1000,
+  maxQueued: 20
+};
+
+// Reminders, new missions and admin campaigns can wait for quiet hours to end or go into a digest;
+// everything else (review results, scores, form problems) is the attendee's own activity
+const LOW_PRIORITY_PUSH_TYPES = ['new_task', 'task_activated'];
+
+/**
+ * Start of the current day in the event's time zone
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Milliseconds
+ */
+function getEventDayStart(now = Date.now()) {
+  const local = new Date(new Date(now).toLocaleString('en-US', { timeZone: EVENT_TIME_ZONE }));
+  // toLocaleString drops milliseconds; without this the day start moved with every call
+  const offsetMs = local.getTime() - Math.floor(now / 1000) * 1000;
+  local.setHours(0, 0, 0, 0);
+  return local.getTime() - offsetMs;
+}
+
+/**
+ * Minutes since midnight in the event's time zone
+ * @param {number} now - Current time in milliseconds
+ * @returns {number}
+ */
+function getEventMinutes(now = Date.now()) {
+  const local = new Date(new Date(now).toLocaleString('en-US', { timeZone: EVENT_TIME_ZONE }));
+  return local.getHours() * 60 + local.getMinutes();
+}
+
+/**
+ * Check whether an attendee's quiet hours cover a time (windows may cross midnight)
+ * @param {Object|undefined} quietHours - { enabled, start: 'HH:MM', end: 'HH:MM' }
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isInQuietHours(quietHours, now = Date.now()) {
+  if (!quietHours?.enabled) return false;
+  const toMinutes = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  };
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const minutes = getEventMinutes(now);
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Check whether a push may be held for a digest
+ * @param {string} type - Notification type
+ * @returns {boolean}
+ */
+function isLowPriorityPush(type) {
+  return type.startsWith('engagement') || LOW_PRIORITY_PUSH_TYPES.includes(type);
+}
+
+/**
+ * Short hash of a push's visible content, for dedupe
+ * @param {Object} notification - { type, title, body }
+ * @returns {string}
+ */
+function getPushHash(notification) {
+  return crypto.createHash('sha1')
+    .update(`${notification.type}|${notification.title}|${notification.body || notification.message || ''}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Reserve a push in an attendee's delivery state against the dedupe window and daily cap
+ * Pure, so reservePushSlot (index.js) can run it inside its RTDB transaction
+ * @param {Object|null} state - notificationDelivery/{uid}: { recent: {hash: sentAt}, daily: { day, count }, queue }
+ * @param {string} hash - From getPushHash
+ * @param {number} now - Current time in milliseconds
+ * @returns {{outcome: 'ok'|'duplicate'|'capped', state: Object|undefined}} state to write, or undefined to leave it
+ */
+function applyPushSlot(state, hash, now = Date.now()) {
+  const current = state || {};
+  const dayStart = getEventDayStart(now);
+  const recent = {};
+  Object.entries(current.recent || {}).forEach(([key, sentAt]) => {
+    if (sentAt > now - PUSH_DELIVERY_POLICY.dedupeWindowMs) recent[key] = sentAt;
+  });
+  const count = current.daily?.day === dayStart ? current.daily.count || 0 : 0;
+
+  if (recent[hash]) {
+    return { outcome: 'duplicate', state: undefined };
+  }
+  if (count >= PUSH_DELIVERY_POLICY.dailyCap) {
+    return { outcome: 'capped', state: undefined };
+  }
+  recent[hash] = now;
+  return { outcome: 'ok', state: { ...current, recent: recent, daily: { day: dayStart, count: count + 1 } } };
+}
+
+/**
+ * Give back a push reserved with applyPushSlot that was never delivered, so a retry
+ * is neither a duplicate nor counted twice against the cap
+ * @param {Object|null} state - notificationDelivery/{uid}
+ * @param {string} hash - From getPushHash
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} State to write
+ */
+function releasePushSlot(state, hash, now = Date.now()) {
+  if (!state) return state;
+  const recent = { ...(state.recent || {}) };
+  if (!recent[hash]) return state;
+  delete recent[hash];
+  const daily = state.daily?.day === getEventDayStart(now) ?
+    { ...state.daily, count: Math.max(0, (state.daily.count || 0) - 1) } : state.daily;
+  return { ...state, recent: recent, ...(daily ? { daily: daily } : {}) };
+}
+
+module.exports = {
+  EVENT_TIME_ZONE,
+  PUSH_DELIVERY_POLICY,
+  LOW_PRIORITY_PUSH_TYPES,
+  getEventDayStart,
+  getEventMinutes,
+  isInQuietHours,
+  isLowPriorityPush,
+  getPushHash,
+  applyPushSlot,
+  releasePushSlot
+};
@@ -0,0 +1,159 @@
+/**
+ * Question bank draws: which bank questions an attendee gets, in which order, and how their
+ * answers map back to the bank. Draws are stored in quizDraws/{quizId}_{uid} by getQuizDraw.
+ */
+
+const crypto = require("crypto");
+const {HttpsError} = require("firebase-functions/v2/https");
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * The same seed text always produces the same sequence, so a draw can be reproduced
+ * @param {string} seedText - Seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+function createSeededRandom(seedText) {
+  let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle driven by a seeded generator
+ * @param {Array} items - Items (not modified)
+ * @param {Function} random - Seeded generator
+ * @returns {Array} Shuffled copy
+ */
+function seededShuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Seed for an attendee's draw: the same quiz, attendee and attempt always draw the same questions
+ * @param {string} quizId - Quiz ID
+ * @param {string} uid - Attendee
+ * @param {number} attemptNumber - Attempt the draw is for (retakes draw again)
+ * @returns {string}
+ */
+function getDrawSeed(quizId, uid, attemptNumber = 1) {
+  return attemptNumber > 1 ? `${quizId}:${uid}:${attemptNumber}` : `${quizId}:${uid}`;
+}
+
+/**
+ * Draw an attendee's questions from a bank
+ * Picks by difficulty mix (or from all matching questions), then shuffles question and option order.
+ * True/false options keep their order.
+ * @param {Array<Object>} bankQuestions - questionBanks/{bankId}.questions
+ * @param {Object} bankDraw - Quiz's { count, tags, difficultyMix }
+ * @param {string} seedText - Seed (see getDrawSeed)
+ * @returns {{questionIds: Array<string>, optionOrders: Object}} optionOrders[questionId][shownIndex] = bank option index
+ */
+function drawBankQuestions(bankQuestions, bankDraw, seedText) {
+  const random = createSeededRandom(seedText);
+  const tags = bankDraw.tags || [];
+  const eligible = (bankQuestions || []).filter((q) =>
+    tags.length === 0 || (q.tags || []).some((tag) => tags.includes(tag)));
+
+  let picked = [];
+  if (bankDraw.difficultyMix) {
+    Object.entries(bankDraw.difficultyMix).forEach(([level, count]) => {
+      const pool = eligible.filter((q) => (q.difficulty || 'medium') === level);
+      if (pool.length < count) {
+        throw new HttpsError("failed-precondition", "This quiz's question bank doesn't have enough questions");
+      }
+      picked.push(...seededShuffle(pool, random).slice(0, count));
+    });
+    picked = seededShuffle(picked, random);
+  } else {
+    if (eligible.length < bankDraw.count) {
+      throw new HttpsError("failed-precondition", "This quiz's question bank doesn't have enough questions");
+    }
+    picked = seededShuffle(eligible, random).slice(0, bankDraw.count);
+  }
+
+  const optionOrders = {};
+  picked.forEach((q) => {
+    if (Array.isArray(q.options) && q.options.length > 1 && q.type !== 'true-false') {
+      optionOrders[q.id] = seededShuffle(q.options.map((_, index) => index), random);
+    }
+  });
+
+  return { questionIds: picked.map((q) => q.id), optionOrders };
+}
+
+/**
+ * Build the attendee-facing questions for a draw (no answers, options in drawn order)
+ * @param {Array<Object>} bankQuestions - Bank questions
+ * @param {Object} drawData - quizDraws document data
+ * @param {number} pointsPerQuestion - Quiz's points per question
+ * @returns {Array<Object>} Public questions
+ */
+function toDrawnPublicQuestions(bankQuestions, drawData, pointsPerQuestion) {
+  const byId = new Map((bankQuestions || []).map((q) => [q.id, q]));
+  return drawData.questionIds.map((questionId) => {
+    const q = byId.get(questionId);
+    const order = drawData.optionOrders?.[questionId];
+    const publicQuestion = {
+      id: q.id,
+      question: q.question,
+      type: q.type,
+      points: pointsPerQuestion
+    };
+    if (Array.isArray(q.options)) {
+      publicQuestion.options = order ? order.map((index) => q.options[index]) : q.options;
+    }
+    if (Array.isArray(q.optionImages)) {
+      publicQuestion.optionImages = order ? order.map((index) => q.optionImages[index]) : q.optionImages;
+    }
+    return publicQuestion;
+  });
+}
+
+/**
+ * Translate an answer given against drawn option order back to bank option indices
+ * @param {Object} q - Bank question
+ * @param {*} answer - Raw answer (shown indices)
+ * @param {Array<number>|undefined} order - Drawn option order for the question
+ * @returns {*} Answer in bank indices
+ */
+function mapDrawnAnswerToBank(q, answer, order) {
+  if (!order || answer === undefined || answer === null || answer === '') return answer;
+  const toBankIndex = (value) => order[parseInt(value, 10)];
+  if (Array.isArray(answer)) {
+    return answer.map(toBankIndex).filter((index) => index !== undefined);
+  }
+  if (q.type === 'text' || q.type === 'numeric') return answer;
+  const bankIndex = toBankIndex(answer);
+  return bankIndex === undefined ? null : bankIndex;
+}
+
+/**
+ * Check that every question in a stored draw still exists in the bank
+ * @param {Object} drawData - quizDraws document data
+ * @param {Array<Object>} bankQuestions - Bank questions
+ * @returns {boolean}
+ */
+function isDrawUsable(drawData, bankQuestions) {
+  const ids = new Set((bankQuestions || []).map((q) => q.id));
+  return Array.isArray(drawData?.questionIds) && drawData.questionIds.every((id) => ids.has(id));
+}
+
+module.exports = {
+  createSeededRandom,
+  seededShuffle,
+  getDrawSeed,
+  drawBankQuestions,
+  toDrawnPublicQuestions,
+  mapDrawnAnswerToBank,
+  isDrawUsable
+};
@@ -0,0 +1,125 @@
+/**
+ * Quiz regrades: recompute submissions after an answer key fix
+ *
+ * regradeQuiz (index.js) loads the quiz, its submissions and grading, and writes what
+ * computeQuizRegrade returns.
+ */
+
+const {
+  getCountedQuizScore,
+  compareQuizAttempts,
+  gradeQuizAnswers,
+  splitQuizGrading,
+  mergeQuizGrading
+} = require("./quiz");
+
+/**
+ * Work out what a regrade of a quiz changes
+ * @param {Object} input - Everything the regrade reads
+ * @param {Object} input.quizData - Quiz document data
+ * @param {Array<Object>} input.fixedQuestions - Quiz questions with the current answer key
+ * @param {Array<{id: string, data: Object}>} input.submissions - The quiz's submissions
+ * @param {Map<string, Array<Object>>} input.gradingById - quizGrading answers by submission ID
+ * @param {Map<string, Map<string, Object>>} input.banks - Current bank questions by bank and question ID
+ * @returns {{changes: Array<Object>, attendees: Array<Object>}}
+ *   changes: { id, userId, data, update, grading } per submission that changes
+ *   attendees: { userId, name, oldScore, newScore, delta, lastScore, totalPoints, lastSubmissionId,
+ *     attempts, changedAttempts, scoringRule } per attendee with a changed attempt
+ */
+function computeQuizRegrade({ quizData, fixedQuestions, submissions, gradingById = new Map(), banks = new Map() }) {
+  // Regrade every submission from its stored answers
+  const byUser = new Map();
+  submissions.forEach(({ id, data }) => {
+    let questions = fixedQuestions;
+    let totalPoints = quizData.totalPoints || fixedQuestions.reduce((sum, q) => sum + (q.points || 0), 0);
+    if (data.questionSource === 'bank' && data.bankId) {
+      // Bank questions were worth an equal share of the submission's total
+      const questionIds = data.questionIds || [];
+      const pointsPerQuestion = questionIds.length ? (data.totalPoints || 0) / questionIds.length : 0;
+      const bankQuestions = banks.get(data.bankId) || new Map();
+      questions = questionIds
+        .filter((questionId) => bankQuestions.has(questionId))
+        .map((questionId) => ({ ...bankQuestions.get(questionId), points: pointsPerQuestion }));
+      totalPoints = data.totalPoints || 0;
+    }
+
+    const rawAnswers = {};
+    (data.answers || []).forEach((a) => {
+      rawAnswers[a.questionId] = a.answer;
+    });
+    // Expired attempts were discarded unanswered and stay at zero
+    const graded = data.expired ? { answers: data.answers || [], score: 0 } : gradeQuizAnswers(questions, rawAnswers);
+    const oldScore = data.score || data.totalScore || 0;
+    const oldAnswers = mergeQuizGrading(data.answers, gradingById.get(id));
+    const answersChanged = !data.expired && graded.answers.some((a) => {
+      const previous = oldAnswers.find((old) => old.questionId === a.questionId);
+      return !previous || previous.isCorrect !== a.isCorrect || (previous.pointsEarned || 0) !== a.pointsEarned;
+    });
+
+    if (!byUser.has(data.userId)) byUser.set(data.userId, []);
+    byUser.get(data.userId).push({ id, data, graded, oldScore, answersChanged, totalPoints });
+  });
+
+  const changes = [];
+  const attendees = [];
+  byUser.forEach((entries, userId) => {
+    entries.sort((a, b) => compareQuizAttempts(a.data, b.data));
+    const last = entries[entries.length - 1];
+    const scoring = last.data.scoringRule || 'first';
+
+    const scores = [];
+    let previousCounted = 0;
+    let changedAttempts = 0;
+    entries.forEach((entry) => {
+      scores.push(entry.graded.score);
+      const countedScore = getCountedQuizScore(scores, scoring);
+      const pointsDelta = countedScore - previousCounted;
+      previousCounted = countedScore;
+
+      const scoreChanged = entry.graded.score !== entry.oldScore;
+      if (scoreChanged || entry.answersChanged) changedAttempts++;
+      if (scoreChanged || entry.answersChanged ||
+          (entry.data.countedScore !== undefined && entry.data.countedScore !== countedScore) ||
+          (entry.data.pointsDelta !== undefined && entry.data.pointsDelta !== pointsDelta)) {
+        const { answers, grading } = splitQuizGrading(entry.graded.answers);
+        changes.push({
+          id: entry.id,
+          userId,
+          data: entry.data,
+          grading,
+          update: {
+            answers,
+            score: entry.graded.score,
+            totalScore: entry.graded.score,
+            totalPoints: entry.totalPoints,
+            countedScore,
+            pointsDelta
+          }
+        });
+      }
+    });
+
+    if (changedAttempts === 0) return;
+    const oldFinal = Number.isFinite(last.data.countedScore) ? last.data.countedScore : last.oldScore;
+    attendees.push({
+      userId,
+      name: last.data.userName || null,
+      oldScore: oldFinal,
+      newScore: previousCounted,
+      delta: previousCounted - oldFinal,
+      lastScore: last.graded.score,
+      totalPoints: last.totalPoints,
+      lastSubmissionId: last.id,
+      attempts: entries.length,
+      changedAttempts,
+      scoringRule: scoring
+    });
+  });
+
+  attendees.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || (a.name || '').localeCompare(b.name || ''));
+  return { changes, attendees };
+}
+
+module.exports = {
+  computeQuizRegrade
+};
@@ -0,0 +1,313 @@
+/**
+ * Quiz attempt policies, answer review and grading
+ *
+ * Used by the quiz callables and triggers in index.js. Nothing here reads Firestore, so
+ * test/lib/quiz.test.js runs without the emulator.
+ */
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {getActivityWindowState} = require("./activity-windows");
+
+// Keep in sync with SubmissionHelpers.getQuizAttemptPolicy (js/submission-helpers.js)
+const QUIZ_SCORING_RULES = ['first', 'best', 'latest', 'average'];
+
+/**
+ * Normalize a quiz's attempt policy (quizzes without one allow a single attempt)
+ * @param {Object} quizData - Quiz document data
+ * @returns {{maxAttempts: number, scoring: string, cooldownMinutes: number}} maxAttempts 0 = unlimited
+ */
+function getQuizAttemptPolicy(quizData) {
+  const policy = quizData.attemptPolicy || {};
+  return {
+    maxAttempts: Number.isInteger(policy.maxAttempts) && policy.maxAttempts >= 0 ? policy.maxAttempts : 1,
+    scoring: QUIZ_SCORING_RULES.includes(policy.scoring) ? policy.scoring : 'first',
+    cooldownMinutes: Number(policy.cooldownMinutes) > 0 ? Number(policy.cooldownMinutes) : 0
+  };
+}
+
+/**
+ * The score that counts for a quiz under a scoring rule
+ * @param {Array<number>} scores - Attempt scores, oldest first
+ * @param {string} scoring - 'first' | 'best' | 'latest' | 'average'
+ * @returns {number}
+ */
+function getCountedQuizScore(scores, scoring) {
+  if (scores.length === 0) return 0;
+  switch (scoring) {
+    case 'best':
+      return Math.max(...scores);
+    case 'latest':
+      return scores[scores.length - 1];
+    case 'average':
+      return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    default:
+      return scores[0];
+  }
+}
+
+/**
+ * Sort comparator for one user's quiz submissions: attempt number, then submission time
+ * @param {Object} a - Submission data
+ * @param {Object} b - Submission data
+ * @returns {number}
+ */
+function compareQuizAttempts(a, b) {
+  const toMillis = (value) => (value && value.toMillis ? value.toMillis() : 0);
+  return (a.attemptNumber || 0) - (b.attemptNumber || 0) || toMillis(a.submittedAt) - toMillis(b.submittedAt);
+}
+
+/**
+ * A user's earlier submissions of a quiz, oldest first
+ * @param {QuerySnapshot} snapshot - quizSubmissions for the user and quiz
+ * @returns {Array<Object>} Submission data
+ */
+function getPreviousQuizAttempts(snapshot) {
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .sort(compareQuizAttempts);
+}
+
+/**
+ * Throw if the policy does not allow another attempt yet
+ * @param {Object} policy - Normalized attempt policy
+ * @param {Array<Object>} previous - Earlier submissions, oldest first
+ * @param {number} now - Current time in ms
+ */
+function assertQuizAttemptAllowed(policy, previous, now = Date.now()) {
+  if (previous.length === 0) return;
+
+  if (policy.maxAttempts > 0 && previous.length >= policy.maxAttempts) {
+    if (policy.maxAttempts === 1) {
+      throw new HttpsError("already-exists", "You have already completed this quiz");
+    }
+    throw new HttpsError("resource-exhausted", `You have used all ${policy.maxAttempts} attempts for this quiz`);
+  }
+
+  const last = previous[previous.length - 1];
+  const lastAt = last.submittedAt && last.submittedAt.toMillis ? last.submittedAt.toMillis() : 0;
+  const nextAttemptAt = lastAt + policy.cooldownMinutes * 60 * 1000;
+  if (policy.cooldownMinutes > 0 && now < nextAttemptAt) {
+    throw new HttpsError("failed-precondition", `You can retake this quiz in ${Math.ceil((nextAttemptAt - now) / 60000)} minutes`);
+  }
+}
+
+/**
+ * Attempt fields for a new submission
+ * @param {Object} policy - Normalized attempt policy
+ * @param {Array<Object>} previous - Earlier submissions, oldest first
+ * @param {number} score - This attempt's score
+ * @returns {{attemptNumber: number, scoringRule: string, countedScore: number, pointsDelta: number}}
+ */
+function buildQuizAttemptScoring(policy, previous, score) {
+  const scores = previous.map((data) => data.score || 0);
+  const before = getCountedQuizScore(scores, policy.scoring);
+  const after = getCountedQuizScore([...scores, score], policy.scoring);
+  return {
+    attemptNumber: previous.length + 1,
+    scoringRule: policy.scoring,
+    countedScore: after,
+    pointsDelta: after - before
+  };
+}
+
+// Keep in sync with SubmissionHelpers.getQuizReviewState (js/submission-helpers.js)
+const QUIZ_REVIEW_POLICIES = ['immediate', 'after-close', 'never'];
+
+/**
+ * Normalize a quiz's review policy (quizzes without one never show answers)
+ * @param {Object} quizData - Quiz document data
+ * @returns {string} 'immediate' | 'after-close' | 'never'
+ */
+function getQuizReviewPolicy(quizData) {
+  return QUIZ_REVIEW_POLICIES.includes(quizData.reviewPolicy) ? quizData.reviewPolicy : 'never';
+}
+
+/**
+ * Why attendees may not review their answers to a quiz yet
+ * While the quiz is open and the attendee has retakes left, the answers would help the next attempt,
+ * so even 'immediate' review waits for the last attempt or the quiz closing
+ * @param {Object} quizData - Quiz document data
+ * @param {number} attemptsUsed - The attendee's attempts so far
+ * @param {number} now - Current time in ms
+ * @returns {string|null} Message for the attendee, or null if review is open
+ */
+function getQuizReviewBlock(quizData, attemptsUsed, now = Date.now()) {
+  const policy = getQuizReviewPolicy(quizData);
+  if (policy === 'never') {
+    return "Answers are not shown for this quiz";
+  }
+  const isClosed = (quizData.status || 'active') !== 'active' || getActivityWindowState(quizData, now) === 'closed';
+  if (policy === 'after-close' && !isClosed) {
+    return "Answers can be reviewed once this quiz closes";
+  }
+  const { maxAttempts } = getQuizAttemptPolicy(quizData);
+  if (!isClosed && (maxAttempts === 0 || attemptsUsed < maxAttempts)) {
+    return "Answers can be reviewed once you have used all your attempts or this quiz closes";
+  }
+  return null;
+}
+
+/**
+ * Throw unless attendees may review their answers to a quiz now (see getQuizReviewBlock)
+ * @param {Object} quizData - Quiz document data
+ * @param {number} attemptsUsed - The attendee's attempts so far
+ * @param {number} now - Current time in ms
+ */
+function assertQuizReviewOpen(quizData, attemptsUsed, now = Date.now()) {
+  const block = getQuizReviewBlock(quizData, attemptsUsed, now);
+  if (block) {
+    throw new HttpsError("failed-precondition", block);
+  }
+}
+
+/**
+ * Normalize a submitted list answer (multi-select, ordering) to unique option indices
+ * @param {*} value - Raw answer
+ * @param {number} optionCount - Number of options on the question
+ * @returns {Array<number>|null} Indices, or null if the answer is not a usable list
+ */
+function toOptionIndexList(value, optionCount) {
+  if (!Array.isArray(value)) return null;
+  const indices = value.map((v) => parseInt(v, 10));
+  if (indices.some((i) => !Number.isInteger(i) || i < 0 || i >= optionCount)) return null;
+  return [...new Set(indices)];
+}
+
+/**
+ * Grade one question's answer
+ * - multi-select: partial credit; each correct pick earns a share, each wrong pick cancels one
+ * - ordering: all-or-nothing on the full sequence of option indices
+ * - numeric: correct within the key's tolerance
+ * - text: case-insensitive exact match
+ * - multiple-choice, true-false, image-choice: option index match
+ * @param {Object} q - Question (with correctAnswer)
+ * @param {*} userAnswer - Raw answer
+ * @returns {{answer: *, isCorrect: boolean, pointsEarned: number}}
+ */
+function gradeQuizQuestion(q, userAnswer) {
+  const points = q.points || 0;
+  const optionCount = Array.isArray(q.options) ? q.options.length : 0;
+
+  if (q.type === 'multi-select' || q.type === 'ordering') {
+    const selected = toOptionIndexList(userAnswer, optionCount);
+    const key = Array.isArray(q.correctAnswer) ? q.correctAnswer : [];
+    if (!selected || selected.length === 0 || key.length === 0) {
+      return { answer: selected && selected.length > 0 ? selected : null, isCorrect: false, pointsEarned: 0 };
+    }
+
+    if (q.type === 'ordering') {
+      const isCorrect = selected.length === key.length && selected.every((index, pos) => index === key[pos]);
+      return { answer: selected, isCorrect, pointsEarned: isCorrect ? points : 0 };
+    }
+
+    const hits = selected.filter((index) => key.includes(index)).length;
+    const misses = selected.length - hits;
+    const isCorrect = hits === key.length && misses === 0;
+    const pointsEarned = isCorrect ? points :
+      Math.floor(points * Math.max(0, hits - misses) / key.length);
+    return { answer: selected, isCorrect, pointsEarned };
+  }
+
+  const hasAnswer = userAnswer !== undefined && userAnswer !== null && userAnswer !== '';
+  if (!hasAnswer) {
+    return { answer: null, isCorrect: false, pointsEarned: 0 };
+  }
+
+  let isCorrect = false;
+  let answer = userAnswer;
+  if (q.type === 'numeric') {
+    answer = Number(userAnswer);
+    const key = q.correctAnswer || {};
+    isCorrect = Number.isFinite(answer) && Number.isFinite(key.value) &&
+      Math.abs(answer - key.value) <= (Number(key.tolerance) || 0);
+    if (!Number.isFinite(answer)) answer = String(userAnswer);
+  } else if (q.type === 'text') {
+    isCorrect = String(userAnswer).toLowerCase().trim() ===
+      String(q.correctAnswer ?? '').toLowerCase().trim();
+  } else {
+    isCorrect = parseInt(userAnswer, 10) === q.correctAnswer;
+  }
+
+  return { answer, isCorrect, pointsEarned: isCorrect ? points : 0 };
+}
+
+/**
+ * Grade raw quiz answers against the quiz's questions
+ * Mirrors the comparison rules the attendee app used before grading moved server-side
+ * @param {Array<Object>} questions - Quiz questions (with correctAnswer)
+ * @param {Object} rawAnswers - Map of questionId -> answer as submitted by the attendee
+ * @returns {{answers: Array<Object>, score: number}}
+ */
+function gradeQuizAnswers(questions, rawAnswers) {
+  let score = 0;
+  const answers = (questions || []).map((q, index) => {
+    const questionId = q.id || `q${index}`;
+    const userAnswer = rawAnswers ? rawAnswers[questionId] : undefined;
+    const { answer, isCorrect, pointsEarned } = gradeQuizQuestion(q, userAnswer);
+    score += pointsEarned;
+
+    return {
+      questionId,
+      answer,
+      isCorrect,
+      pointsEarned
+    };
+  });
+
+  return { answers, score };
+}
+
+// Attendees can read their own quizSubmissions, so a submission keeps only what they answered.
+// Which answers were right (isCorrect, pointsEarned) goes to quizGrading/{submissionId}, which
+// only admins can read; attendees see it through getQuizReview once review is open.
+
+/**
+ * Split graded answers into the submission's answers and the per-question grading
+ * @param {Array<Object>} answers - Graded answers (gradeQuizAnswers)
+ * @returns {{answers: Array<Object>, grading: Array<Object>}} answers: { questionId, answer };
+ *   grading: { questionId, isCorrect, pointsEarned }
+ */
+function splitQuizGrading(answers) {
+  return {
+    answers: (answers || []).map(({ questionId, answer }) => ({ questionId, answer: answer ?? null })),
+    grading: (answers || []).map(({ questionId, isCorrect, pointsEarned }) => ({
+      questionId,
+      isCorrect: !!isCorrect,
+      pointsEarned: pointsEarned || 0
+    }))
+  };
+}
+
+/**
+ * Put a submission's answers and grading back together
+ * Submissions from before the split carry isCorrect and pointsEarned inline, which are kept
+ * @param {Array<Object>} answers - quizSubmissions answers
+ * @param {Array<Object>|undefined} grading - quizGrading answers, if any
+ * @returns {Array<Object>} { questionId, answer, isCorrect, pointsEarned }
+ */
+function mergeQuizGrading(answers, grading) {
+  const byId = new Map((grading || []).map((g) => [g.questionId, g]));
+  return (answers || []).map((a) => {
+    const g = byId.get(a.questionId) || a;
+    return { ...a, isCorrect: !!g.isCorrect, pointsEarned: g.pointsEarned || 0 };
+  });
+}
+
+module.exports = {
+  QUIZ_SCORING_RULES,
+  getQuizAttemptPolicy,
+  getCountedQuizScore,
+  compareQuizAttempts,
+  getPreviousQuizAttempts,
+  assertQuizAttemptAllowed,
+  buildQuizAttemptScoring,
+  QUIZ_REVIEW_POLICIES,
+  getQuizReviewPolicy,
+  getQuizReviewBlock,
+  assertQuizReviewOpen,
+  toOptionIndexList,
+  gradeQuizQuestion,
+  gradeQuizAnswers,
+  splitQuizGrading,
+  mergeQuizGrading
+};
@@ -0,0 +1,115 @@
+/**
+ * Migration: Seed the points ledger with each user's opening balance
+ *
+ * users.points is now derived from pointsLedger by onPointsLedgerCreate. Points
+ * awarded before the ledger existed have no entries, so the first new entry would
+ * otherwise reset those users to the sum of their ledger. This script writes one
+ * 'opening-balance' entry per user covering the difference.
+ *
+ * Run this ONCE immediately after deploying the ledger functions:
+ * cd functions && node migrations/seed-points-ledger.js
+ */
+
+const admin = require("firebase-admin");
+
+// Initialize with database URL
+admin.initializeApp({
+  databaseURL: "https://rzi2026chennai-default-rtdb.asia-southeast1.firebasedatabase.app"
+});
+
+const db = admin.firestore();
+
+/**
+ * Migration: Write opening balance ledger entries
+ */
+async function seedPointsLedger() {
+  console.log("Starting points ledger seed migration...");
+  console.log("Timestamp:", new Date().toISOString());
+
+  let seeded = 0;
+  let skipped = 0;
+  let errors = 0;
+
+  const [usersSnapshot, ledgerSnapshot] = await Promise.all([
+    db.collection("users").get(),
+    db.collection("pointsLedger").get()
+  ]);
+
+  console.log(`Found ${usersSnapshot.size} users and ${ledgerSnapshot.size} ledger entries`);
+
+  const ledgerTotals = {};
+  ledgerSnapshot.forEach((doc) => {
+    const data = doc.data();
+    if (data.userId) {
+      ledgerTotals[data.userId] = (ledgerTotals[data.userId] || 0) + (Number(data.delta) || 0);
+    }
+  });
+
+  let batch = db.batch();
+  let batchCount = 0;
+  const BATCH_SIZE = 500;
+
+  for (const doc of usersSnapshot.docs) {
+    try {
+      const storedPoints = doc.data().points || 0;
+      const openingBalance = storedPoints - (ledgerTotals[doc.id] || 0);
+
+      if (openingBalance === 0) {
+        skipped++;
+        continue;
+      }
+
+      // Deterministic ID: re-running the script never double-seeds a user
+      batch.create(db.collection("pointsLedger").doc(`opening-balance_${doc.id}`), {
+        userId: doc.id,
+        delta: openingBalance,
+        source: "opening-balance",
+        activityType: null,
+        activityId: null,
+        activityTitle: null,
+        submissionId: null,
+        reason: "Opening balance (points awarded before the ledger)",
+        actorUid: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      batchCount++;
+      seeded++;
+
+      if (batchCount >= BATCH_SIZE) {
+        await batch.commit();
+        batch = db.batch();
+        batchCount = 0;
+        console.log(`  Seeded ${seeded} users`);
+      }
+    } catch (error) {
+      console.error(`Error processing user ${doc.id}:`, error);
+      errors++;
+    }
+  }
+
+  // Commit remaining batch
+  if (batchCount > 0) {
+    await batch.commit();
+    console.log(`  Committed final batch of ${batchCount} entries`);
+  }
+
+  // ============================================
+  // Summary
+  // ============================================
+  console.log("\n=== Migration Complete ===");
+  console.log(`Total users processed: ${usersSnapshot.size}`);
+  console.log(`  - Seeded: ${seeded}`);
+  console.log(`  - Skipped (already balanced): ${skipped}`);
+  console.log(`  - Errors: ${errors}`);
+}
+
+// Run migration
+seedPointsLedger()
+  .then(() => {
+    console.log("\n✅ Migration completed successfully");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n❌ Migration failed:", error);
+    process.exit(1);
+  });
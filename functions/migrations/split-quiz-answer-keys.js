@@ -0,0 +1,93 @@
+/**
+ * Migration: Move quiz answer keys out of attendee-readable quiz documents
+ *
+ * Older quizzes store correctAnswer inline on every question, which any signed-in
+ * attendee can read. This script copies those answers into
+ * quizzes/{quizId}/private/answerKey (admin-only) and strips them from the quiz.
+ * The onQuizUpdate trigger then rebuilds the RTDB activity caches without them.
+ *
+ * Run this ONCE after deploying the updated rules and functions:
+ * cd functions && node migrations/split-quiz-answer-keys.js
+ */
+
+const admin = require("firebase-admin");
+
+// Initialize with database URL
+admin.initializeApp({
+  databaseURL: "https://rzi2026chennai-default-rtdb.asia-southeast1.firebasedatabase.app"
+});
+
+const db = admin.firestore();
+
+/**
+ * Migration: Split inline correct answers into the private answer key document
+ */
+async function splitQuizAnswerKeys() {
+  console.log("Starting quiz answer key migration...");
+  console.log("Timestamp:", new Date().toISOString());
+
+  let updated = 0;
+  let skipped = 0;
+  let errors = 0;
+
+  const quizzesSnapshot = await db.collection("quizzes").get();
+  console.log(`Found ${quizzesSnapshot.size} quizzes`);
+
+  for (const doc of quizzesSnapshot.docs) {
+    try {
+      const questions = doc.data().questions || [];
+      const hasInlineAnswers = questions.some(q => q && q.correctAnswer !== undefined);
+
+      if (!hasInlineAnswers) {
+        skipped++;
+        continue;
+      }
+
+      const answers = {};
+      const publicQuestions = questions.map((q, index) => {
+        const questionId = q.id || `q${index}`;
+        if (q.correctAnswer !== undefined) {
+          answers[questionId] = q.correctAnswer;
+        }
+        const publicQuestion = { ...q, id: questionId };
+        delete publicQuestion.correctAnswer;
+        return publicQuestion;
+      });
+
+      // Write both halves together so grading never sees a quiz without its key
+      const batch = db.batch();
+      batch.set(doc.ref.collection("private").doc("answerKey"), {
+        answers: answers,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      batch.update(doc.ref, { questions: publicQuestions });
+      await batch.commit();
+
+      updated++;
+      console.log(`  Split answer key for quiz ${doc.id} (${Object.keys(answers).length} answers)`);
+    } catch (error) {
+      console.error(`Error processing quiz ${doc.id}:`, error);
+      errors++;
+    }
+  }
+
+  // ============================================
+  // Summary
+  // ============================================
+  console.log("\n=== Migration Complete ===");
+  console.log(`Total quizzes processed: ${quizzesSnapshot.size}`);
+  console.log(`  - Updated: ${updated}`);
+  console.log(`  - Skipped (no inline answers): ${skipped}`);
+  console.log(`  - Errors: ${errors}`);
+}
+
+// Run migration
+splitQuizAnswerKeys()
+  .then(() => {
+    console.log("\n✅ Migration completed successfully");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n❌ Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+/**
+ * Migration: Move per-question grading out of attendee-readable quiz submissions
+ *
+ * Older quizSubmissions store isCorrect and pointsEarned on every answer, and attendees can
+ * read their own submissions, so the grading could help a retake. This script copies the
+ * grading into quizGrading/{submissionId} (admin-only) and strips it from the submission.
+ *
+ * Run this ONCE after deploying the updated rules and functions:
+ * cd functions && node migrations/split-quiz-grading.js
+ */
+
+const admin = require("firebase-admin");
+const {splitQuizGrading} = require("../lib/quiz");
+
+// Initialize with database URL
+admin.initializeApp({
+  databaseURL: "https://rzi2026chennai-default-rtdb.asia-southeast1.firebasedatabase.app"
+});
+
+const db = admin.firestore();
+
+/**
+ * Migration: Split inline grading into quizGrading documents
+ */
+async function splitQuizGradingMigration() {
+  console.log("Starting quiz grading migration...");
+  console.log("Timestamp:", new Date().toISOString());
+
+  let updated = 0;
+  let skipped = 0;
+  let errors = 0;
+
+  const submissionsSnapshot = await db.collection("quizSubmissions").get();
+  console.log(`Found ${submissionsSnapshot.size} quiz submissions`);
+
+  for (const doc of submissionsSnapshot.docs) {
+    try {
+      const data = doc.data();
+      const answers = data.answers || [];
+      const hasInlineGrading = answers.some(a => a && (a.isCorrect !== undefined || a.pointsEarned !== undefined));
+
+      if (!hasInlineGrading) {
+        skipped++;
+        continue;
+      }
+
+      const split = splitQuizGrading(answers);
+
+      // Write both halves together so admin views never see a submission without its grading
+      const batch = db.batch();
+      batch.set(db.collection("quizGrading").doc(doc.id), {
+        userId: data.userId,
+        quizId: data.quizId,
+        answers: split.grading,
+        gradedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      batch.update(doc.ref, { answers: split.answers });
+      await batch.commit();
+
+      updated++;
+    } catch (error) {
+      console.error(`Error processing submission ${doc.id}:`, error);
+      errors++;
+    }
+  }
+
+  // ============================================
+  // Summary
+  // ============================================
+  console.log("\n=== Migration Complete ===");
+  console.log(`Total submissions processed: ${submissionsSnapshot.size}`);
+  console.log(`  - Updated: ${updated}`);
+  console.log(`  - Skipped (no inline grading): ${skipped}`);
+  console.log(`  - Errors: ${errors}`);
+}
+
+// Run migration
+splitQuizGradingMigration()
+  .then(() => {
+    console.log("\n✅ Migration completed successfully");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n❌ Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,495 @@
+/**
+ * Firestore security rules tests for attendee self-updates on users/{uid}, admin roles,
+ * activity availability windows, quiz attempts and submissions, question banks and quiz regrades
+ *
+ * Runs against the Firestore emulator:
+ * cd functions && npm run test:rules
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const fs = require("fs");
+const path = require("path");
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require("@firebase/rules-unit-testing");
+const {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  serverTimestamp,
+  Timestamp,
+} = require("firebase/firestore");
+
+const ATTENDEE_UID = "attendee-1";
+const ATTENDEE_EMAIL = "attendee@example.com";
+const OTHER_UID = "attendee-2";
+const ADMIN_UID = "admin-1";
+
+let testEnv;
+
+/**
+ * Firestore instance signed in as the given user
+ * @param {string} uid - User ID
+ * @param {string} email - Token email
+ * @returns {Object} Firestore instance
+ */
+function dbAs(uid, email) {
+  return testEnv.authenticatedContext(uid, { email: email }).firestore();
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-rzi2026",
+    firestore: {
+      rules: fs.readFileSync(path.join(__dirname, "../../FIRESTORE_RULES.rules"), "utf8"),
+    },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, "admins", ADMIN_UID), { email: "admin@example.com" });
+    await setDoc(doc(db, "users", ATTENDEE_UID), {
+      email: ATTENDEE_EMAIL,
+      name: "Attendee One",
+      district: "3232",
+      designation: "Member",
+      points: 40,
+      role: "attendee",
+      status: "active",
+    });
+    await setDoc(doc(db, "users", OTHER_UID), {
+      email: "other@example.com",
+      name: "Attendee Two",
+      points: 10,
+      role: "attendee",
+      status: "active",
+    });
+  });
+});
+
+describe("users/{uid} attendee self-updates", () => {
+  describe("allowed fields", () => {
+    it("lets an attendee edit their profile during onboarding", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertSucceeds(updateDoc(doc(db, "users", ATTENDEE_UID), {
+        name: "Attendee Renamed",
+        district: "3233",
+        designation: "President",
+      }));
+    });
+
+    it("lets an attendee update their photo and display name", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertSucceeds(updateDoc(doc(db, "users", ATTENDEE_UID), {
+        photoURL: "https://example.com/photo.png",
+        displayName: "A. One",
+      }));
+    });
+
+    it("lets an attendee save notification preferences", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertSucceeds(updateDoc(doc(db, "users", ATTENDEE_UID), {
+        notificationPrefs: { pendingMissions: false, submissions: true, engagement: true },
+        notificationEnabled: true,
+      }));
+    });
+
+    it("lets an attendee save and remove their FCM token", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertSucceeds(updateDoc(doc(db, "users", ATTENDEE_UID), {
+        fcmToken: "token-abc",
+        fcmTokenUpdatedAt: serverTimestamp(),
+        notificationEnabled: true,
+      }));
+      await assertSucceeds(updateDoc(doc(db, "users", ATTENDEE_UID), {
+        fcmToken: deleteField(),
+        notificationEnabled: false,
+      }));
+    });
+
+    it("lets an attendee record their login time", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertSucceeds(updateDoc(doc(db, "users", ATTENDEE_UID), {
+        lastLoginAt: serverTimestamp(),
+        email: "Attendee@Example.com",
+      }));
+    });
+  });
+
+  describe("protected fields", () => {
+    for (const [field, value] of [
+      ["points", 10000],
+      ["role", "admin"],
+      ["status", "pending"],
+      ["phone", "+910000000000"],
+      ["createdAt", new Date(0)],
+    ]) {
+      it(`rejects an attendee changing ${field}`, async () => {
+        const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+        await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { [field]: value }));
+      });
+    }
+
+    it("rejects a protected field smuggled in with allowed ones", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), {
+        name: "Attendee One",
+        district: "3233",
+        points: 9999,
+      }));
+    });
+
+    it("rejects deleting a protected field", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { role: deleteField() }));
+    });
+
+    it("rejects an arbitrary new field", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { isVerified: true }));
+    });
+
+    it("rejects changing email to one the attendee is not signed in with", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { email: "someone@else.com" }));
+    });
+
+    it("rejects a backdated login timestamp", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { lastLoginAt: new Date(0) }));
+    });
+
+    it("rejects an empty or non-string name", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { name: "" }));
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { name: 42 }));
+    });
+
+    it("rejects overwriting the whole document with set()", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertFails(setDoc(doc(db, "users", ATTENDEE_UID), {
+        email: ATTENDEE_EMAIL,
+        name: "Attendee One",
+        points: 5000,
+        role: "attendee",
+        status: "active",
+      }));
+    });
+  });
+
+  describe("other users", () => {
+    it("rejects an attendee updating someone else's profile", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertFails(updateDoc(doc(db, "users", OTHER_UID), { name: "Hacked" }));
+    });
+
+    it("rejects unauthenticated updates", async () => {
+      const db = testEnv.unauthenticatedContext().firestore();
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { name: "Anon" }));
+    });
+
+    it("still lets attendees read profiles for the leaderboard", async () => {
+      const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+      await assertSucceeds(getDoc(doc(db, "users", OTHER_UID)));
+    });
+  });
+
+  describe("first-login migration", () => {
+    const NEW_UID = "attendee-3";
+    const NEW_EMAIL = "new@example.com";
+    const migratedUser = {
+      email: NEW_EMAIL,
+      name: "New Attendee",
+      phone: "",
+      district: "3232",
+      designation: "Member",
+      points: 0,
+      role: "attendee",
+      status: "active",
+    };
+
+    it("lets a registered attendee create their own document", async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), "pendingUsers", NEW_EMAIL), { name: "New Attendee" });
+      });
+      const db = dbAs(NEW_UID, NEW_EMAIL);
+      await assertSucceeds(setDoc(doc(db, "users", NEW_UID), migratedUser));
+    });
+
+    it("rejects self-creation without a pendingUsers entry", async () => {
+      const db = dbAs(NEW_UID, NEW_EMAIL);
+      await assertFails(setDoc(doc(db, "users", NEW_UID), migratedUser));
+    });
+
+    it("rejects self-creation with starting points or another role", async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), "pendingUsers", NEW_EMAIL), { name: "New Attendee" });
+      });
+      const db = dbAs(NEW_UID, NEW_EMAIL);
+      await assertFails(setDoc(doc(db, "users", NEW_UID), { ...migratedUser, points: 500 }));
+      await assertFails(setDoc(doc(db, "users", NEW_UID), { ...migratedUser, role: "admin" }));
+    });
+
+    it("rejects self-creation with fields outside the first-login list", async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), "pendingUsers", NEW_EMAIL), { name: "New Attendee" });
+      });
+      const db = dbAs(NEW_UID, NEW_EMAIL);
+      await assertFails(setDoc(doc(db, "users", NEW_UID), { ...migratedUser, rank: 1 }));
+      await assertFails(setDoc(doc(db, "users", NEW_UID), { ...migratedUser, checkedIn: true }));
+    });
+  });
+
+  describe("admins", () => {
+    it("lets an admin edit attendee profile and status", async () => {
+      const db = dbAs(ADMIN_UID, "admin@example.com");
+      await assertSucceeds(updateDoc(doc(db, "users", ATTENDEE_UID), {
+        name: "Fixed Name",
+        status: "pending",
+      }));
+    });
+
+    it("does not let an admin write points directly", async () => {
+      const db = dbAs(ADMIN_UID, "admin@example.com");
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { points: 1 }));
+    });
+  });
+});
+
+describe("activity windows", () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, "tasks", "open-task"), { title: "Open", status: "active" });
+      await setDoc(doc(db, "tasks", "closed-task"), {
+        title: "Closed",
+        status: "active",
+        closesAt: Timestamp.fromMillis(Date.now() - HOUR_MS),
+      });
+    });
+  });
+
+  it("accepts a task submission while the task is open", async () => {
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertSucceeds(setDoc(doc(db, "submissions", "s1"), { userId: ATTENDEE_UID, taskId: "open-task" }));
+  });
+
+  it("rejects a task submission after the task closes", async () => {
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertFails(setDoc(doc(db, "submissions", "s2"), { userId: ATTENDEE_UID, taskId: "closed-task" }));
+  });
+
+  it("rejects a form response written directly, even while the form is open", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "forms", "open-form"), { title: "Open", status: "active" });
+    });
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertFails(setDoc(doc(db, "formSubmissions", "f0"), { userId: ATTENDEE_UID, formId: "open-form", formData: {} }));
+  });
+});
+
+describe("quiz attempts", () => {
+  it("does not let an attendee create or reset their own attempt", async () => {
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertFails(setDoc(doc(db, "quizAttempts", `quiz-1_${ATTENDEE_UID}`), {
+      userId: ATTENDEE_UID,
+      quizId: "quiz-1",
+      status: "in-progress",
+      startedAt: serverTimestamp(),
+    }));
+  });
+
+  it("lets an attendee read only their own attempt", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, "quizAttempts", `quiz-1_${ATTENDEE_UID}`), { userId: ATTENDEE_UID, quizId: "quiz-1" });
+      await setDoc(doc(db, "quizAttempts", `quiz-1_${OTHER_UID}`), { userId: OTHER_UID, quizId: "quiz-1" });
+    });
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertSucceeds(getDoc(doc(db, "quizAttempts", `quiz-1_${ATTENDEE_UID}`)));
+    await assertFails(getDoc(doc(db, "quizAttempts", `quiz-1_${OTHER_UID}`)));
+  });
+});
+
+describe("quiz submissions", () => {
+  it("lets an attendee read only their own graded submission", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      const answers = [{ questionId: "q1", answer: "B", isCorrect: true, pointsEarned: 10 }];
+      await setDoc(doc(db, "quizSubmissions", "sub-own"), { userId: ATTENDEE_UID, quizId: "quiz-1", answers: answers });
+      await setDoc(doc(db, "quizSubmissions", "sub-other"), { userId: OTHER_UID, quizId: "quiz-1", answers: answers });
+    });
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertSucceeds(getDoc(doc(db, "quizSubmissions", "sub-own")));
+    await assertFails(getDoc(doc(db, "quizSubmissions", "sub-other")));
+  });
+
+  it("does not let an attendee read the grading of their own submission", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const grading = [{ questionId: "q1", isCorrect: true, pointsEarned: 10 }];
+      await setDoc(doc(context.firestore(), "quizGrading", "sub-own"), { userId: ATTENDEE_UID, quizId: "quiz-1", answers: grading });
+    });
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertFails(getDoc(doc(db, "quizGrading", "sub-own")));
+    await assertFails(setDoc(doc(db, "quizGrading", "sub-new"), { userId: ATTENDEE_UID, quizId: "quiz-1", answers: [] }));
+  });
+});
+
+describe("form submissions", () => {
+  it("lets an attendee read only their own response", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, "formSubmissions", "fs-own"), { userId: ATTENDEE_UID, formId: "form-1", formData: { q1: "Yes" } });
+      await setDoc(doc(db, "formSubmissions", "fs-other"), { userId: OTHER_UID, formId: "form-1", formData: { q1: "No" } });
+      await setDoc(doc(db, "formSubmissions", "fs-anonymous"), { formId: "form-1", anonymous: true, formData: { q1: "No" } });
+    });
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertSucceeds(getDoc(doc(db, "formSubmissions", "fs-own")));
+    await assertFails(getDoc(doc(db, "formSubmissions", "fs-other")));
+    await assertFails(getDoc(doc(db, "formSubmissions", "fs-anonymous")));
+  });
+});
+
+describe("question banks", () => {
+  it("does not let an attendee read a bank or write their own draw", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "questionBanks", "bank-1"), { name: "Bank", questions: [] });
+    });
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertFails(getDoc(doc(db, "questionBanks", "bank-1")));
+    await assertFails(setDoc(doc(db, "quizDraws", `quiz-1_${ATTENDEE_UID}`), { userId: ATTENDEE_UID, questionIds: [] }));
+  });
+});
+
+describe("anonymous forms", () => {
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, "forms", "anonymous-form"), { title: "Speaker feedback", status: "active", anonymous: true });
+      await setDoc(doc(db, "formCompletions", `anonymous-form_${OTHER_UID}`), { userId: OTHER_UID, formId: "anonymous-form" });
+    });
+  });
+
+  it("rejects a response written directly by the attendee", async () => {
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertFails(setDoc(doc(db, "formSubmissions", "f2"), { userId: ATTENDEE_UID, formId: "anonymous-form" }));
+  });
+
+  it("rejects a response to a named form flagged as anonymous", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "forms", "named-form"), { title: "Registration", status: "active" });
+    });
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertFails(setDoc(doc(db, "formSubmissions", "f3"), {
+      userId: ATTENDEE_UID,
+      formId: "named-form",
+      anonymous: true,
+      formData: {},
+    }));
+  });
+
+  it("does not let an attendee record or read someone else's completion", async () => {
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertFails(setDoc(doc(db, "formCompletions", `anonymous-form_${ATTENDEE_UID}`), { userId: ATTENDEE_UID, formId: "anonymous-form" }));
+    await assertFails(getDoc(doc(db, "formCompletions", `anonymous-form_${OTHER_UID}`)));
+  });
+});
+
+describe("quiz regrades", () => {
+  it("does not let an attendee read or record a regrade", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "quizRegrades", "regrade-1"), { quizId: "quiz-1", totalDelta: 5 });
+    });
+    const db = dbAs(ATTENDEE_UID, ATTENDEE_EMAIL);
+    await assertFails(getDoc(doc(db, "quizRegrades", "regrade-1")));
+    await assertFails(setDoc(doc(db, "quizRegrades", "regrade-2"), { quizId: "quiz-1", totalDelta: 100 }));
+  });
+});
+
+describe("admin roles", () => {
+  const REVIEWER_UID = "reviewer-1";
+  const DESK_UID = "desk-1";
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, "admins", REVIEWER_UID), { email: "reviewer@example.com", role: "reviewer" });
+      await setDoc(doc(db, "admins", DESK_UID), { email: "desk@example.com", role: "registration-desk" });
+    });
+  });
+
+  it("does not let a reviewer edit or delete attendees", async () => {
+    const db = dbAs(REVIEWER_UID, "reviewer@example.com");
+    await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { status: "pending" }));
+    await assertFails(deleteDoc(doc(db, "users", ATTENDEE_UID)));
+  });
+
+  it("does not let a reviewer record a manual points adjustment", async () => {
+    const db = dbAs(REVIEWER_UID, "reviewer@example.com");
+    await assertFails(setDoc(doc(db, "pointsLedger", "manual-1"), {
+      userId: ATTENDEE_UID,
+      delta: 100,
+      source: "manual",
+      actorUid: REVIEWER_UID,
+    }));
+  });
+
+  it("lets the registration desk edit attendees", async () => {
+    const db = dbAs(DESK_UID, "desk@example.com");
+    await assertSucceeds(updateDoc(doc(db, "users", ATTENDEE_UID), { district: "3234" }));
+  });
+
+  it("does not let a non-super-admin change admin roles", async () => {
+    const db = dbAs(DESK_UID, "desk@example.com");
+    await assertFails(updateDoc(doc(db, "admins", REVIEWER_UID), { role: "super-admin" }));
+    await assertFails(updateDoc(doc(db, "admins", DESK_UID), { role: "super-admin" }));
+  });
+
+  it("gives an unknown role no admin permissions", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "admins", "unknown-1"), { email: "unknown@example.com", role: "moderator" });
+    });
+    const db = dbAs("unknown-1", "unknown@example.com");
+    await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { district: "3234" }));
+    await assertFails(setDoc(doc(db, "tasks", "task-1"), { title: "Task", status: "active" }));
+    await assertFails(updateDoc(doc(db, "admins", "unknown-1"), { role: "super-admin" }));
+  });
+
+  it("gives a null or empty role no admin permissions", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "admins", "null-role"), { email: "null@example.com", role: null });
+      await setDoc(doc(context.firestore(), "admins", "empty-role"), { email: "empty@example.com", role: "" });
+    });
+    for (const [uid, email] of [["null-role", "null@example.com"], ["empty-role", "empty@example.com"]]) {
+      const db = dbAs(uid, email);
+      await assertFails(updateDoc(doc(db, "users", ATTENDEE_UID), { district: "3234" }));
+      await assertFails(setDoc(doc(db, "tasks", "task-1"), { title: "Task", status: "active" }));
+    }
+  });
+
+  it("treats legacy admins without a role as super-admins", async () => {
+    const db = dbAs(ADMIN_UID, "admin@example.com");
+    await assertSucceeds(updateDoc(doc(db, "admins", REVIEWER_UID), { role: "content-editor" }));
+  });
+
+  it("lets only super-admins manage notification templates", async () => {
+    const template = { name: "Nudge", title: "Hi {name}", message: "{pendingCount} tasks left" };
+    await assertFails(setDoc(doc(dbAs(REVIEWER_UID, "reviewer@example.com"), "notificationTemplates", "t-1"), template));
+    await assertSucceeds(setDoc(doc(dbAs(ADMIN_UID, "admin@example.com"), "notificationTemplates", "t-1"), template));
+    await assertFails(getDoc(doc(dbAs(ATTENDEE_UID, ATTENDEE_EMAIL), "notificationTemplates", "t-1")));
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for lib/forms.js
+ *
+ * Needs no emulator:
+ * cd functions && npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("assert");
+
+const { evaluateFormCondition, resolveFormAnswers } = require("../../lib/forms");
+
+const USER_ID = "user-1";
+
+/**
+ * Form with a club question, a follow-up shown only to club members, and a
+ * members' section required only when they held an office
+ * @returns {Object} Form document data
+ */
+function makeForm() {
+  return {
+    title: "Delegate Survey",
+    sections: [
+      { id: "members", title: "Club members", showIf: { fieldId: "inClub", operator: "equals", value: "Yes" } }
+    ],
+    formFields: [
+      { id: "inClub", label: "In a club?", type: "radio", options: ["Yes", "No"], required: true },
+      { id: "clubName", label: "Club name", type: "text", showIf: { fieldId: "inClub", operator: "equals", value: "Yes" } },
+      { id: "office", label: "Office held", type: "checkbox", options: ["President", "Secretary"], sectionId: "members" },
+      {
+        id: "officeYear",
+        label: "Year in office",
+        type: "text",
+        sectionId: "members",
+        requiredIf: { fieldId: "office", operator: "answered" }
+      },
+      { id: "rating", label: "Rating", type: "rating" }
+    ]
+  };
+}
+
+describe("evaluateFormCondition", () => {
+  it("holds when there is no condition", () => {
+    assert.strictEqual(evaluateFormCondition(null, {}), true);
+    assert.strictEqual(evaluateFormCondition({}, {}), true);
+  });
+
+  it("compares equals and not_equals as strings", () => {
+    assert.strictEqual(evaluateFormCondition({ fieldId: "n", operator: "equals", value: "3" }, { n: 3 }), true);
+    assert.strictEqual(evaluateFormCondition({ fieldId: "n", operator: "equals", value: "4" }, { n: 3 }), false);
+    assert.strictEqual(evaluateFormCondition({ fieldId: "n", operator: "not_equals", value: "4" }, { n: 3 }), true);
+  });
+
+  it("matches any checked value of a checkbox answer", () => {
+    const condition = { fieldId: "office", operator: "equals", value: "Secretary" };
+    assert.strictEqual(evaluateFormCondition(condition, { office: ["President", "Secretary"] }), true);
+    assert.strictEqual(evaluateFormCondition(condition, { office: ["President"] }), false);
+  });
+
+  it("treats a missing or empty answer as not answered", () => {
+    const condition = { fieldId: "office", operator: "answered" };
+    assert.strictEqual(evaluateFormCondition(condition, {}), false);
+    assert.strictEqual(evaluateFormCondition(condition, { office: [] }), false);
+    assert.strictEqual(evaluateFormCondition(condition, { office: "" }), false);
+    assert.strictEqual(evaluateFormCondition(condition, { office: ["President"] }), true);
+  });
+
+  it("counts a hidden (unanswered) field as not equal to anything", () => {
+    assert.strictEqual(evaluateFormCondition({ fieldId: "inClub", operator: "not_equals", value: "Yes" }, {}), true);
+  });
+});
+
+describe("resolveFormAnswers", () => {
+  it("keeps fields whose showIf holds", () => {
+    const result = resolveFormAnswers(makeForm(), { inClub: "Yes", clubName: "Rotary Club of Pune" }, USER_ID);
+    assert.deepStrictEqual(result.answers, { inClub: "Yes", clubName: "Rotary Club of Pune" });
+    assert.deepStrictEqual(result.missing, []);
+    assert.deepStrictEqual(result.removed, []);
+  });
+
+  it("drops answers to fields and sections that are hidden", () => {
+    const result = resolveFormAnswers(makeForm(), {
+      inClub: "No",
+      clubName: "Rotary Club of Pune",
+      office: ["President"],
+      officeYear: "2025"
+    }, USER_ID);
+    assert.deepStrictEqual(result.answers, { inClub: "No" });
+    assert.deepStrictEqual(result.removed.sort(), ["clubName", "office", "officeYear"]);
+    // A hidden requiredIf field is never missing
+    assert.deepStrictEqual(result.missing, []);
+  });
+
+  it("drops keys that are not fields of the form", () => {
+    const result = resolveFormAnswers(makeForm(), { inClub: "No", points: 500 }, USER_ID);
+    assert.deepStrictEqual(result.removed, ["points"]);
+    assert.strictEqual("points" in result.answers, false);
+  });
+
+  it("requires a requiredIf field only when its condition holds", () => {
+    const withOffice = resolveFormAnswers(makeForm(), { inClub: "Yes", office: ["Secretary"] }, USER_ID);
+    assert.deepStrictEqual(withOffice.missing, ["Year in office"]);
+
+    const withoutOffice = resolveFormAnswers(makeForm(), { inClub: "Yes", office: [] }, USER_ID);
+    assert.deepStrictEqual(withoutOffice.missing, []);
+  });
+
+  it("reports required fields left empty", () => {
+    const result = resolveFormAnswers(makeForm(), { inClub: "" }, USER_ID);
+    assert.deepStrictEqual(result.missing, ["In a club?"]);
+  });
+
+  it("reports answers that do not fit their field type", () => {
+    const result = resolveFormAnswers(makeForm(), { inClub: "No", rating: 9 }, USER_ID);
+    assert.deepStrictEqual(result.invalid, ["Rating"]);
+  });
+
+  it("counts a matrix with an unanswered row as missing", () => {
+    const form = {
+      formFields: [{ id: "m", label: "Sessions", type: "matrix", rows: ["Day 1", "Day 2"], options: ["Good", "Poor"], required: true }]
+    };
+    assert.deepStrictEqual(resolveFormAnswers(form, { m: ["Good", ""] }, USER_ID).missing, ["Sessions"]);
+    assert.deepStrictEqual(resolveFormAnswers(form, { m: ["Good", "Poor"] }, USER_ID).missing, []);
+  });
+
+  it("accepts uploads only from the user's own folder", () => {
+    const form = { formFields: [{ id: "id", label: "ID proof", type: "file" }] };
+    const own = { url: "https://example.com/a.jpg", path: `form-uploads/${USER_ID}/a.jpg` };
+    const other = { url: "https://example.com/b.jpg", path: "form-uploads/someone-else/b.jpg" };
+    assert.deepStrictEqual(resolveFormAnswers(form, { id: own }, USER_ID).invalid, []);
+    assert.deepStrictEqual(resolveFormAnswers(form, { id: other }, USER_ID).invalid, ["ID proof"]);
+  });
+});
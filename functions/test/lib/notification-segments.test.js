@@ -0,0 +1,122 @@
+/**
+ * Unit tests for lib/notification-segments.js
+ *
+ * Needs no emulator:
+ * cd functions && npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("assert");
+
+const {
+  normalizeNotificationSegment,
+  segmentNeedsPendingCount,
+  getPendingActivityCount,
+  matchesNotificationSegment,
+  matchesPendingSegment
+} = require("../../lib/notification-segments");
+
+const DAY_START = Date.UTC(2026, 1, 14, 18, 30, 0);
+
+/**
+ * Firestore-style timestamp
+ * @param {number} millis - Time in milliseconds
+ * @returns {{toMillis: Function}}
+ */
+function timestamp(millis) {
+  return { toMillis: () => millis };
+}
+
+const USERS = [
+  { uid: "asha", district: "3131", designation: "President", lastLoginAt: timestamp(DAY_START + 1000) },
+  { uid: "ravi", district: "3131", designation: "Secretary", lastLoginAt: timestamp(DAY_START - 1000) },
+  { uid: "meera", district: "3141", designation: "President" },
+  { uid: "john", district: "3131", designation: "President" }
+];
+
+// RTDB cache as updateUserActivityLists and the leaderboard job write it
+const CACHE = {
+  leaderboard: {
+    ranks: { asha: { rank: 3 }, ravi: { rank: 12 }, meera: { rank: 40 } }
+  },
+  users: {
+    asha: { pendingActivities: { metadata: { counts: { quizzes: 1, tasks: 1, forms: 0, combined: 2 } } } },
+    ravi: { pendingActivities: { metadata: { counts: { quizzes: 0, tasks: 0, forms: 0, combined: 0 } } } },
+    meera: { pendingActivities: { metadata: { counts: { quizzes: 0, tasks: 3, forms: 1 } } } }
+    // john's lists have not been built yet
+  }
+};
+
+/**
+ * Users a segment reaches against CACHE, as resolveNotificationAudience filters them
+ * @param {Object} raw - Segment as sent by the admin app
+ * @returns {Array<string>} User IDs
+ */
+function resolveAgainstCache(raw) {
+  const segment = normalizeNotificationSegment(raw);
+  return USERS
+    .filter((user) => matchesNotificationSegment(user, segment, { ranks: CACHE.leaderboard.ranks, dayStart: DAY_START }))
+    .filter((user) => {
+      if (!segmentNeedsPendingCount(segment)) return true;
+      const metadata = CACHE.users[user.uid]?.pendingActivities?.metadata;
+      return matchesPendingSegment(segment, getPendingActivityCount(metadata));
+    })
+    .map((user) => user.uid);
+}
+
+describe("normalizeNotificationSegment", () => {
+  it("returns null for a segment that matches everyone", () => {
+    assert.strictEqual(normalizeNotificationSegment(null), null);
+    assert.strictEqual(normalizeNotificationSegment({ districts: [" "], activity: "unknown" }), null);
+  });
+
+  it("trims and dedupes districts and designations", () => {
+    const segment = normalizeNotificationSegment({ districts: ["3131 ", "3131"], designations: ["President"] });
+    assert.deepStrictEqual(segment.districts, ["3131"]);
+    assert.deepStrictEqual(segment.designations, ["President"]);
+  });
+
+  it("rejects a rank band that runs backwards", () => {
+    assert.throws(() => normalizeNotificationSegment({ rankFrom: 50, rankTo: 1 }), { code: "invalid-argument" });
+  });
+});
+
+describe("getPendingActivityCount", () => {
+  it("reads the combined count from the pending list metadata", () => {
+    assert.strictEqual(getPendingActivityCount(CACHE.users.asha.pendingActivities.metadata), 2);
+  });
+
+  it("adds up the per-type counts when combined is missing", () => {
+    assert.strictEqual(getPendingActivityCount(CACHE.users.meera.pendingActivities.metadata), 4);
+  });
+
+  it("counts nothing for a user whose lists were never built", () => {
+    assert.strictEqual(getPendingActivityCount(null), 0);
+    assert.strictEqual(getPendingActivityCount({ lastUpdated: 1 }), 0);
+  });
+});
+
+describe("campaign segments against a seeded cache", () => {
+  it("reaches attendees with pending activities", () => {
+    assert.deepStrictEqual(resolveAgainstCache({ activity: "has_pending" }), ["asha", "meera"]);
+  });
+
+  it("reaches attendees with nothing pending, including unbuilt lists", () => {
+    assert.deepStrictEqual(resolveAgainstCache({ activity: "no_pending" }), ["ravi", "john"]);
+  });
+
+  it("combines district, designation and pending activity", () => {
+    assert.deepStrictEqual(
+      resolveAgainstCache({ districts: ["3131"], designations: ["President"], activity: "has_pending" }),
+      ["asha"]
+    );
+  });
+
+  it("keeps only ranked attendees inside the rank band", () => {
+    assert.deepStrictEqual(resolveAgainstCache({ rankFrom: 1, rankTo: 20 }), ["asha", "ravi"]);
+  });
+
+  it("reaches attendees who have not opened the app today", () => {
+    assert.deepStrictEqual(resolveAgainstCache({ activity: "not_opened_today" }), ["ravi", "meera", "john"]);
+  });
+});
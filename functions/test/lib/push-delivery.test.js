@@ -0,0 +1,150 @@
+/**
+ * Unit tests for lib/push-delivery.js
+ *
+ * Needs no emulator:
+ * cd functions && npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("assert");
+
+const {
+  PUSH_DELIVERY_POLICY,
+  getEventDayStart,
+  isInQuietHours,
+  applyPushSlot,
+  releasePushSlot
+} = require("../../lib/push-delivery");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * A time given in event time (IST, UTC+5:30)
+ * @param {number} hours - Hours in IST
+ * @param {number} minutes - Minutes
+ * @returns {number} Milliseconds
+ */
+function ist(hours, minutes = 0) {
+  return Date.UTC(2026, 1, 14, hours, minutes) - 5.5 * HOUR_MS;
+}
+
+const OVERNIGHT = { enabled: true, start: "22:00", end: "07:00" };
+
+describe("isInQuietHours", () => {
+  it("is off unless enabled with a valid window", () => {
+    assert.strictEqual(isInQuietHours(undefined, ist(23)), false);
+    assert.strictEqual(isInQuietHours({ ...OVERNIGHT, enabled: false }, ist(23)), false);
+    assert.strictEqual(isInQuietHours({ enabled: true, start: "25", end: "07:00" }, ist(23)), false);
+    assert.strictEqual(isInQuietHours({ enabled: true, start: "22:00", end: "22:00" }, ist(22)), false);
+  });
+
+  it("covers both sides of midnight for an overnight window", () => {
+    assert.strictEqual(isInQuietHours(OVERNIGHT, ist(22)), true);
+    assert.strictEqual(isInQuietHours(OVERNIGHT, ist(23, 59)), true);
+    assert.strictEqual(isInQuietHours(OVERNIGHT, ist(0, 30)), true);
+    assert.strictEqual(isInQuietHours(OVERNIGHT, ist(6, 59)), true);
+  });
+
+  it("ends at the end time and does not cover the day", () => {
+    assert.strictEqual(isInQuietHours(OVERNIGHT, ist(7)), false);
+    assert.strictEqual(isInQuietHours(OVERNIGHT, ist(12)), false);
+    assert.strictEqual(isInQuietHours(OVERNIGHT, ist(21, 59)), false);
+  });
+
+  it("handles a window within one day", () => {
+    const afternoon = { enabled: true, start: "13:00", end: "15:30" };
+    assert.strictEqual(isInQuietHours(afternoon, ist(14)), true);
+    assert.strictEqual(isInQuietHours(afternoon, ist(15, 30)), false);
+    assert.strictEqual(isInQuietHours(afternoon, ist(12, 59)), false);
+  });
+
+  it("reads the window in event time, not UTC", () => {
+    // 23:00 IST is 17:30 UTC, outside a 22:00-07:00 window read in UTC
+    assert.strictEqual(isInQuietHours(OVERNIGHT, Date.UTC(2026, 1, 14, 17, 30)), true);
+    // 03:00 UTC is 08:30 IST, after the window ends
+    assert.strictEqual(isInQuietHours(OVERNIGHT, Date.UTC(2026, 1, 14, 3, 0)), false);
+  });
+});
+
+describe("getEventDayStart", () => {
+  it("starts the day at midnight IST", () => {
+    assert.strictEqual(getEventDayStart(ist(0, 30)), ist(0));
+    assert.strictEqual(getEventDayStart(ist(23, 59)), ist(0));
+  });
+
+  it("does not move with the milliseconds of the current time", () => {
+    assert.strictEqual(getEventDayStart(ist(12) + 123), ist(0));
+    assert.strictEqual(getEventDayStart(ist(12) + 999), ist(0));
+  });
+});
+
+describe("applyPushSlot", () => {
+  const NOW = ist(12);
+
+  it("reserves the first push of the day", () => {
+    const { outcome, state } = applyPushSlot(null, "h1", NOW);
+    assert.strictEqual(outcome, "ok");
+    assert.deepStrictEqual(state.recent, { h1: NOW });
+    assert.deepStrictEqual(state.daily, { day: ist(0), count: 1 });
+  });
+
+  it("rejects the same message within the dedupe window", () => {
+    const { state } = applyPushSlot(null, "h1", NOW);
+    const again = applyPushSlot(state, "h1", NOW + HOUR_MS);
+    assert.strictEqual(again.outcome, "duplicate");
+    assert.strictEqual(again.state, undefined);
+  });
+
+  it("allows the same message again once the dedupe window has passed", () => {
+    const { state } = applyPushSlot(null, "h1", NOW);
+    const later = applyPushSlot(state, "h1", NOW + PUSH_DELIVERY_POLICY.dedupeWindowMs + 1);
+    assert.strictEqual(later.outcome, "ok");
+    assert.strictEqual(later.state.daily.count, 2);
+  });
+
+  it("caps an attendee at 10 pushes a day", () => {
+    assert.strictEqual(PUSH_DELIVERY_POLICY.dailyCap, 10);
+    let state = null;
+    for (let i = 0; i < 10; i++) {
+      const result = applyPushSlot(state, `h${i}`, NOW + i);
+      assert.strictEqual(result.outcome, "ok");
+      state = result.state;
+    }
+    const capped = applyPushSlot(state, "h10", NOW + 10);
+    assert.strictEqual(capped.outcome, "capped");
+    assert.strictEqual(capped.state, undefined);
+  });
+
+  it("resets the count at the start of the next event day", () => {
+    const full = { daily: { day: ist(0), count: 10 }, recent: {} };
+    const nextDay = applyPushSlot(full, "h1", ist(0) + 24 * HOUR_MS + 1);
+    assert.strictEqual(nextDay.outcome, "ok");
+    assert.deepStrictEqual(nextDay.state.daily, { day: ist(0) + 24 * HOUR_MS, count: 1 });
+  });
+
+  it("keeps the queue and drops expired hashes", () => {
+    const state = { queue: { q1: { title: "Held" } }, recent: { old: NOW - PUSH_DELIVERY_POLICY.dedupeWindowMs - 1 } };
+    const result = applyPushSlot(state, "h1", NOW);
+    assert.deepStrictEqual(result.state.queue, state.queue);
+    assert.deepStrictEqual(result.state.recent, { h1: NOW });
+  });
+});
+
+describe("releasePushSlot", () => {
+  const NOW = ist(12);
+
+  it("gives back the hash and the day's count", () => {
+    const { state } = applyPushSlot({ daily: { day: ist(0), count: 3 } }, "h1", NOW);
+    const released = releasePushSlot(state, "h1", NOW);
+    assert.deepStrictEqual(released.recent, {});
+    assert.strictEqual(released.daily.count, 3);
+    // A retry is neither a duplicate nor counted twice
+    assert.strictEqual(applyPushSlot(released, "h1", NOW + 1).state.daily.count, 4);
+  });
+
+  it("leaves the state alone when the hash was not reserved", () => {
+    const state = { recent: { other: NOW }, daily: { day: ist(0), count: 2 } };
+    assert.strictEqual(releasePushSlot(state, "h1", NOW), state);
+    assert.strictEqual(releasePushSlot(null, "h1", NOW), null);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for lib/quiz-draws.js (question bank draws)
+ *
+ * Needs no emulator:
+ * cd functions && npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("assert");
+
+const {
+  createSeededRandom,
+  getDrawSeed,
+  drawBankQuestions,
+  toDrawnPublicQuestions,
+  mapDrawnAnswerToBank
+} = require("../../lib/quiz-draws");
+const { gradeQuizAnswers } = require("../../lib/quiz");
+
+/**
+ * A bank of single-choice questions whose correct option is always "Right"
+ * @param {number} count - Number of questions
+ * @returns {Array<Object>} Bank questions
+ */
+function bank(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `b${i}`,
+    question: `Question ${i}`,
+    type: "multiple-choice",
+    options: ["Wrong 1", "Right", "Wrong 2", "Wrong 3"],
+    correctAnswer: 1,
+    difficulty: i % 2 === 0 ? "easy" : "hard",
+    tags: [i < 6 ? "history" : "service"]
+  }));
+}
+
+describe("createSeededRandom", () => {
+  it("repeats the same sequence for the same seed", () => {
+    const a = createSeededRandom("quiz-1:alice");
+    const b = createSeededRandom("quiz-1:alice");
+    const first = [a(), a(), a()];
+    assert.deepStrictEqual([b(), b(), b()], first);
+    assert.ok(first.every((n) => n >= 0 && n < 1));
+  });
+
+  it("gives a different sequence for another seed", () => {
+    const a = createSeededRandom("quiz-1:alice");
+    const b = createSeededRandom("quiz-1:bob");
+    assert.notDeepStrictEqual([a(), a(), a()], [b(), b(), b()]);
+  });
+});
+
+describe("drawBankQuestions", () => {
+  const questions = bank(10);
+
+  it("draws the same questions and option order every time for one attendee", () => {
+    const seed = getDrawSeed("quiz-1", "alice");
+    const first = drawBankQuestions(questions, { count: 5 }, seed);
+    assert.deepStrictEqual(drawBankQuestions(questions, { count: 5 }, seed), first);
+    assert.strictEqual(first.questionIds.length, 5);
+    assert.strictEqual(new Set(first.questionIds).size, 5);
+  });
+
+  it("draws differently for another attendee or a retake", () => {
+    const alice = drawBankQuestions(questions, { count: 5 }, getDrawSeed("quiz-1", "alice"));
+    const bob = drawBankQuestions(questions, { count: 5 }, getDrawSeed("quiz-1", "bob"));
+    const retake = drawBankQuestions(questions, { count: 5 }, getDrawSeed("quiz-1", "alice", 2));
+    assert.notDeepStrictEqual(bob, alice);
+    assert.notDeepStrictEqual(retake, alice);
+    assert.strictEqual(getDrawSeed("quiz-1", "alice", 1), getDrawSeed("quiz-1", "alice"));
+  });
+
+  it("follows the tag filter and difficulty mix", () => {
+    const draw = drawBankQuestions(questions, { tags: ["history"], difficultyMix: { easy: 2, hard: 1 } }, "quiz-1:alice");
+    const byId = new Map(questions.map((q) => [q.id, q]));
+    const picked = draw.questionIds.map((id) => byId.get(id));
+    assert.ok(picked.every((q) => q.tags.includes("history")));
+    assert.strictEqual(picked.filter((q) => q.difficulty === "easy").length, 2);
+    assert.strictEqual(picked.filter((q) => q.difficulty === "hard").length, 1);
+  });
+
+  it("refuses a draw the bank cannot fill", () => {
+    assert.throws(() => drawBankQuestions(questions, { count: 11 }, "quiz-1:alice"), /enough questions/);
+    assert.throws(() => drawBankQuestions(questions, { difficultyMix: { easy: 6 } }, "quiz-1:alice"), /enough questions/);
+  });
+
+  it("keeps true/false options in order", () => {
+    const trueFalse = [{ id: "tf", type: "true-false", options: ["True", "False"], correctAnswer: 0 }];
+    const draw = drawBankQuestions(trueFalse, { count: 1 }, "quiz-1:alice");
+    assert.deepStrictEqual(draw.optionOrders, {});
+  });
+});
+
+describe("mapDrawnAnswerToBank", () => {
+  const order = [2, 0, 3, 1]; // shown option i is bank option order[i]
+
+  it("maps a shown option index back to the bank option", () => {
+    const q = { type: "multiple-choice" };
+    assert.strictEqual(mapDrawnAnswerToBank(q, 3, order), 1);
+    assert.strictEqual(mapDrawnAnswerToBank(q, "0", order), 2);
+    assert.strictEqual(mapDrawnAnswerToBank(q, 7, order), null);
+  });
+
+  it("maps every index of a list answer", () => {
+    assert.deepStrictEqual(mapDrawnAnswerToBank({ type: "multi-select" }, [0, 3], order), [2, 1]);
+  });
+
+  it("leaves text, numeric, empty and unshuffled answers alone", () => {
+    assert.strictEqual(mapDrawnAnswerToBank({ type: "text" }, "Chennai", order), "Chennai");
+    assert.strictEqual(mapDrawnAnswerToBank({ type: "numeric" }, "2", order), "2");
+    assert.strictEqual(mapDrawnAnswerToBank({ type: "multiple-choice" }, "", order), "");
+    assert.strictEqual(mapDrawnAnswerToBank({ type: "multiple-choice" }, 2, undefined), 2);
+  });
+
+  it("grades the option the attendee saw as correct after shuffling", () => {
+    const questions = bank(10);
+    const drawData = drawBankQuestions(questions, { count: 4 }, getDrawSeed("quiz-1", "alice"));
+    const shown = toDrawnPublicQuestions(questions, drawData, 5);
+    const byId = new Map(questions.map((q) => [q.id, q]));
+
+    // The attendee picks "Right" wherever the shuffle put it
+    const rawAnswers = {};
+    shown.forEach((q) => {
+      rawAnswers[q.id] = mapDrawnAnswerToBank(byId.get(q.id), q.options.indexOf("Right"), drawData.optionOrders[q.id]);
+    });
+    assert.ok(shown.some((q) => q.options.indexOf("Right") !== 1), "expected at least one shuffled question");
+
+    const drawnBankQuestions = drawData.questionIds.map((id) => ({ ...byId.get(id), points: 5 }));
+    const { score, answers } = gradeQuizAnswers(drawnBankQuestions, rawAnswers);
+    assert.strictEqual(score, 20);
+    assert.ok(answers.every((a) => a.isCorrect && a.answer === 1));
+  });
+});
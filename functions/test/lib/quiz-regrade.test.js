@@ -0,0 +1,181 @@
+/**
+ * Unit tests for lib/quiz-regrade.js
+ *
+ * Needs no emulator:
+ * cd functions && npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("assert");
+
+const { computeQuizRegrade } = require("../../lib/quiz-regrade");
+
+// Q1 was keyed to option 1 when attendees submitted; the fixed key is option 2
+const FIXED_QUESTIONS = [
+  { id: 'q1', type: 'multiple-choice', options: ['A', 'B', 'C'], correctAnswer: 2, points: 10 },
+  { id: 'q2', type: 'true-false', options: ['True', 'False'], correctAnswer: 0, points: 10 }
+];
+const QUIZ_DATA = { title: 'Rotary Basics', totalPoints: 20 };
+
+/**
+ * A stored submission, graded against the original (wrong) key
+ * @param {string} id - Submission ID
+ * @param {Object} fields - Fields to set (userId, answers, score, ...)
+ * @returns {{id: string, data: Object}}
+ */
+function makeSubmission(id, fields) {
+  return {
+    id,
+    data: {
+      quizId: 'quiz1',
+      userName: 'Asha',
+      attemptNumber: 1,
+      scoringRule: 'first',
+      ...fields
+    }
+  };
+}
+
+/**
+ * Answers as stored on quizSubmissions, with matching quizGrading answers
+ * @param {Array<Array>} rows - [questionId, answer, isCorrect, pointsEarned]
+ * @returns {{answers: Array<Object>, grading: Array<Object>}}
+ */
+function storedAnswers(rows) {
+  return {
+    answers: rows.map(([questionId, answer]) => ({ questionId, answer })),
+    grading: rows.map(([questionId, , isCorrect, pointsEarned]) => ({ questionId, isCorrect, pointsEarned }))
+  };
+}
+
+describe("computeQuizRegrade", () => {
+  it("raises the score of an attendee the old key marked wrong", () => {
+    const stored = storedAnswers([['q1', 2, false, 0], ['q2', 0, true, 10]]);
+    const { changes, attendees } = computeQuizRegrade({
+      quizData: QUIZ_DATA,
+      fixedQuestions: FIXED_QUESTIONS,
+      submissions: [makeSubmission('s1', { userId: 'u1', answers: stored.answers, score: 10, countedScore: 10 })],
+      gradingById: new Map([['s1', stored.grading]])
+    });
+
+    assert.strictEqual(changes.length, 1);
+    assert.strictEqual(changes[0].id, 's1');
+    assert.strictEqual(changes[0].update.score, 20);
+    assert.strictEqual(changes[0].update.countedScore, 20);
+    assert.strictEqual(changes[0].update.pointsDelta, 20);
+    // Grading goes to quizGrading; the submission keeps answers only
+    assert.deepStrictEqual(changes[0].update.answers, [{ questionId: 'q1', answer: 2 }, { questionId: 'q2', answer: 0 }]);
+    assert.deepStrictEqual(changes[0].grading[0], { questionId: 'q1', isCorrect: true, pointsEarned: 10 });
+
+    assert.strictEqual(attendees.length, 1);
+    assert.strictEqual(attendees[0].userId, 'u1');
+    assert.strictEqual(attendees[0].oldScore, 10);
+    assert.strictEqual(attendees[0].newScore, 20);
+    assert.strictEqual(attendees[0].delta, 10);
+    assert.strictEqual(attendees[0].lastSubmissionId, 's1');
+  });
+
+  it("changes nothing when every answer grades the same", () => {
+    const stored = storedAnswers([['q1', 0, false, 0], ['q2', 0, true, 10]]);
+    const { changes, attendees } = computeQuizRegrade({
+      quizData: QUIZ_DATA,
+      fixedQuestions: FIXED_QUESTIONS,
+      submissions: [makeSubmission('s1', { userId: 'u1', answers: stored.answers, score: 10, countedScore: 10, pointsDelta: 10 })],
+      gradingById: new Map([['s1', stored.grading]])
+    });
+
+    assert.deepStrictEqual(changes, []);
+    assert.deepStrictEqual(attendees, []);
+  });
+
+  it("replays best-score counting across attempts", () => {
+    // Attempt 1 gains 10 points from the fix; attempt 2 was the old best and is unchanged
+    const first = storedAnswers([['q1', 2, false, 0], ['q2', 1, false, 0]]);
+    const second = storedAnswers([['q1', 1, true, 10], ['q2', 1, false, 0]]);
+    const { changes, attendees } = computeQuizRegrade({
+      quizData: QUIZ_DATA,
+      fixedQuestions: FIXED_QUESTIONS,
+      submissions: [
+        makeSubmission('s2', {
+          userId: 'u1', attemptNumber: 2, scoringRule: 'best',
+          answers: second.answers, score: 10, countedScore: 10, pointsDelta: 10
+        }),
+        makeSubmission('s1', {
+          userId: 'u1', attemptNumber: 1, scoringRule: 'best',
+          answers: first.answers, score: 0, countedScore: 0, pointsDelta: 0
+        })
+      ],
+      gradingById: new Map([['s1', first.grading], ['s2', second.grading]])
+    });
+
+    const byId = new Map(changes.map((change) => [change.id, change.update]));
+    assert.strictEqual(byId.get('s1').score, 10);
+    assert.strictEqual(byId.get('s1').pointsDelta, 10);
+    // The retake now scores 0 and no longer adds points
+    assert.strictEqual(byId.get('s2').score, 0);
+    assert.strictEqual(byId.get('s2').countedScore, 10);
+    assert.strictEqual(byId.get('s2').pointsDelta, 0);
+
+    assert.strictEqual(attendees[0].oldScore, 10);
+    assert.strictEqual(attendees[0].newScore, 10);
+    assert.strictEqual(attendees[0].delta, 0);
+    assert.strictEqual(attendees[0].changedAttempts, 2);
+    assert.strictEqual(attendees[0].lastSubmissionId, 's2');
+  });
+
+  it("leaves expired attempts at zero", () => {
+    const stored = storedAnswers([['q1', 2, false, 0]]);
+    const { changes, attendees } = computeQuizRegrade({
+      quizData: QUIZ_DATA,
+      fixedQuestions: FIXED_QUESTIONS,
+      submissions: [makeSubmission('s1', { userId: 'u1', expired: true, answers: stored.answers, score: 0, countedScore: 0 })],
+      gradingById: new Map([['s1', stored.grading]])
+    });
+
+    assert.deepStrictEqual(changes, []);
+    assert.deepStrictEqual(attendees, []);
+  });
+
+  it("reads grading stored inline on submissions from before quizGrading", () => {
+    const { changes, attendees } = computeQuizRegrade({
+      quizData: QUIZ_DATA,
+      fixedQuestions: FIXED_QUESTIONS,
+      submissions: [makeSubmission('s1', {
+        userId: 'u1',
+        answers: [
+          { questionId: 'q1', answer: 1, isCorrect: true, pointsEarned: 10 },
+          { questionId: 'q2', answer: 0, isCorrect: true, pointsEarned: 10 }
+        ],
+        score: 20
+      })]
+    });
+
+    assert.strictEqual(changes.length, 1);
+    assert.strictEqual(changes[0].update.score, 10);
+    assert.strictEqual(attendees[0].delta, -10);
+  });
+
+  it("grades bank submissions against the current bank questions", () => {
+    const bankQuestion = { id: 'b7', type: 'multiple-choice', options: ['A', 'B'], correctAnswer: 1 };
+    const { changes, attendees } = computeQuizRegrade({
+      quizData: QUIZ_DATA,
+      fixedQuestions: FIXED_QUESTIONS,
+      submissions: [makeSubmission('s1', {
+        userId: 'u1',
+        questionSource: 'bank',
+        bankId: 'bank1',
+        questionIds: ['b7'],
+        totalPoints: 5,
+        answers: [{ questionId: 'b7', answer: 1 }],
+        score: 0,
+        countedScore: 0
+      })],
+      gradingById: new Map([['s1', [{ questionId: 'b7', isCorrect: false, pointsEarned: 0 }]]]),
+      banks: new Map([['bank1', new Map([['b7', bankQuestion]])]])
+    });
+
+    assert.strictEqual(changes[0].update.score, 5);
+    assert.strictEqual(changes[0].update.totalPoints, 5);
+    assert.strictEqual(attendees[0].delta, 5);
+  });
+});
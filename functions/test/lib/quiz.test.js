@@ -0,0 +1,287 @@
+/**
+ * Unit tests for lib/quiz.js
+ *
+ * Needs no emulator:
+ * cd functions && npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("assert");
+
+const {
+  getQuizAttemptPolicy,
+  getCountedQuizScore,
+  getQuizReviewBlock,
+  buildQuizAttemptScoring,
+  assertQuizReviewOpen,
+  gradeQuizQuestion,
+  gradeQuizAnswers,
+  splitQuizGrading,
+  mergeQuizGrading
+} = require("../../lib/quiz");
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 1, 14, 10, 0, 0);
+
+/**
+ * Quiz data with an answer review policy and attempt policy
+ * @param {Object} overrides - Fields to set
+ * @returns {Object} Quiz document data
+ */
+function quiz(overrides = {}) {
+  return { title: "Quiz", status: "active", reviewPolicy: "immediate", ...overrides };
+}
+
+describe("assertQuizReviewOpen", () => {
+  it("opens 'immediate' review after the only attempt", () => {
+    assert.doesNotThrow(() => assertQuizReviewOpen(quiz(), 1, NOW));
+  });
+
+  it("withholds 'immediate' review while retakes remain on an open quiz", () => {
+    const retakes = quiz({ attemptPolicy: { maxAttempts: 3, scoring: "best" } });
+    assert.throws(() => assertQuizReviewOpen(retakes, 1, NOW), /used all your attempts/);
+    assert.throws(() => assertQuizReviewOpen(retakes, 2, NOW), /used all your attempts/);
+    assert.doesNotThrow(() => assertQuizReviewOpen(retakes, 3, NOW));
+  });
+
+  it("withholds review on an open quiz with unlimited attempts", () => {
+    const unlimited = quiz({ attemptPolicy: { maxAttempts: 0, scoring: "latest" } });
+    assert.throws(() => assertQuizReviewOpen(unlimited, 5, NOW), /used all your attempts/);
+  });
+
+  it("opens review once the quiz closes, even with retakes left", () => {
+    const closed = quiz({ attemptPolicy: { maxAttempts: 3, scoring: "best" }, closesAt: NOW - HOUR_MS });
+    assert.doesNotThrow(() => assertQuizReviewOpen(closed, 1, NOW));
+    const inactive = quiz({ attemptPolicy: { maxAttempts: 3, scoring: "best" }, status: "inactive" });
+    assert.doesNotThrow(() => assertQuizReviewOpen(inactive, 1, NOW));
+  });
+
+  it("keeps 'after-close' and 'never' policies as they were", () => {
+    assert.throws(() => assertQuizReviewOpen(quiz({ reviewPolicy: "after-close" }), 1, NOW), /once this quiz closes/);
+    assert.throws(() => assertQuizReviewOpen(quiz({ reviewPolicy: "never" }), 1, NOW), /not shown/);
+    assert.throws(() => assertQuizReviewOpen(quiz({ reviewPolicy: undefined }), 1, NOW), /not shown/);
+  });
+});
+
+describe("getQuizReviewBlock", () => {
+  it("returns nothing once review is open and the reason while it is not", () => {
+    assert.strictEqual(getQuizReviewBlock(quiz(), 1, NOW), null);
+    const retakes = quiz({ attemptPolicy: { maxAttempts: 2, scoring: "best" } });
+    assert.match(getQuizReviewBlock(retakes, 1, NOW), /used all your attempts/);
+  });
+});
+
+describe("splitQuizGrading / mergeQuizGrading", () => {
+  const graded = [
+    { questionId: "q0", answer: 1, isCorrect: true, pointsEarned: 5 },
+    { questionId: "q1", answer: null, isCorrect: false, pointsEarned: 0 }
+  ];
+
+  it("keeps only the attendee's answers on the submission", () => {
+    const { answers, grading } = splitQuizGrading(graded);
+    assert.deepStrictEqual(answers, [{ questionId: "q0", answer: 1 }, { questionId: "q1", answer: null }]);
+    assert.deepStrictEqual(grading, [
+      { questionId: "q0", isCorrect: true, pointsEarned: 5 },
+      { questionId: "q1", isCorrect: false, pointsEarned: 0 }
+    ]);
+  });
+
+  it("puts the halves back together", () => {
+    const { answers, grading } = splitQuizGrading(graded);
+    assert.deepStrictEqual(mergeQuizGrading(answers, grading), graded);
+  });
+
+  it("reads inline grading on submissions from before the split", () => {
+    assert.deepStrictEqual(mergeQuizGrading(graded, null), graded);
+  });
+});
+
+describe("getCountedQuizScore", () => {
+  const scores = [6, 9, 4];
+
+  it("counts the score each scoring rule picks", () => {
+    assert.strictEqual(getCountedQuizScore(scores, "first"), 6);
+    assert.strictEqual(getCountedQuizScore(scores, "best"), 9);
+    assert.strictEqual(getCountedQuizScore(scores, "latest"), 4);
+    assert.strictEqual(getCountedQuizScore(scores, "average"), 6); // 19 / 3 rounded
+  });
+
+  it("rounds the average to whole points", () => {
+    assert.strictEqual(getCountedQuizScore([8, 5], "average"), 7);
+  });
+
+  it("counts nothing before the first attempt", () => {
+    assert.strictEqual(getCountedQuizScore([], "best"), 0);
+  });
+});
+
+describe("buildQuizAttemptScoring", () => {
+  const policy = (scoring) => getQuizAttemptPolicy({ attemptPolicy: { maxAttempts: 3, scoring } });
+  const attempts = (...scores) => scores.map((score, i) => ({ score, attemptNumber: i + 1 }));
+
+  it("awards the whole score on the first attempt", () => {
+    assert.deepStrictEqual(buildQuizAttemptScoring(policy("best"), [], 7), {
+      attemptNumber: 1,
+      scoringRule: "best",
+      countedScore: 7,
+      pointsDelta: 7
+    });
+  });
+
+  it("adds only the improvement under 'best'", () => {
+    const result = buildQuizAttemptScoring(policy("best"), attempts(6), 9);
+    assert.strictEqual(result.countedScore, 9);
+    assert.strictEqual(result.pointsDelta, 3);
+  });
+
+  it("changes nothing for a lower retake under 'best'", () => {
+    const result = buildQuizAttemptScoring(policy("best"), attempts(6, 9), 4);
+    assert.deepStrictEqual(result, { attemptNumber: 3, scoringRule: "best", countedScore: 9, pointsDelta: 0 });
+  });
+
+  it("follows the latest attempt, down as well as up, under 'latest'", () => {
+    assert.strictEqual(buildQuizAttemptScoring(policy("latest"), attempts(6), 9).pointsDelta, 3);
+    const lower = buildQuizAttemptScoring(policy("latest"), attempts(6, 9), 4);
+    assert.strictEqual(lower.countedScore, 4);
+    assert.strictEqual(lower.pointsDelta, -5);
+  });
+
+  it("moves points by the change in the rounded average under 'average'", () => {
+    const second = buildQuizAttemptScoring(policy("average"), attempts(8), 5);
+    assert.strictEqual(second.countedScore, 7);
+    assert.strictEqual(second.pointsDelta, -1);
+    const third = buildQuizAttemptScoring(policy("average"), attempts(8, 5), 11);
+    assert.strictEqual(third.countedScore, 8);
+    assert.strictEqual(third.pointsDelta, 1);
+  });
+
+  it("keeps the first score under 'first'", () => {
+    assert.strictEqual(buildQuizAttemptScoring(policy("first"), attempts(6), 10).pointsDelta, 0);
+  });
+
+  it("adds up to the counted score across attempts", () => {
+    for (const scoring of ["first", "best", "latest", "average"]) {
+      const previous = [];
+      let total = 0;
+      for (const score of [5, 9, 2, 7]) {
+        const result = buildQuizAttemptScoring(policy(scoring), previous, score);
+        total += result.pointsDelta;
+        assert.strictEqual(total, result.countedScore, `${scoring} after ${score}`);
+        previous.push({ score });
+      }
+    }
+  });
+});
+
+describe("gradeQuizQuestion", () => {
+  describe("multi-select", () => {
+    const q = { type: "multi-select", options: ["A", "B", "C", "D"], correctAnswer: [0, 2], points: 10 };
+
+    it("gives full points for exactly the correct options", () => {
+      assert.deepStrictEqual(gradeQuizQuestion(q, [2, 0]), { answer: [2, 0], isCorrect: true, pointsEarned: 10 });
+    });
+
+    it("gives a share of the points for each correct pick", () => {
+      assert.deepStrictEqual(gradeQuizQuestion(q, [0]), { answer: [0], isCorrect: false, pointsEarned: 5 });
+    });
+
+    it("lets each wrong pick cancel a correct one", () => {
+      assert.strictEqual(gradeQuizQuestion(q, [0, 1]).pointsEarned, 0);
+      assert.strictEqual(gradeQuizQuestion(q, [0, 2, 3]).pointsEarned, 5);
+      assert.strictEqual(gradeQuizQuestion(q, [1, 3]).pointsEarned, 0);
+    });
+
+    it("ignores repeated picks and parses string indices", () => {
+      assert.deepStrictEqual(gradeQuizQuestion(q, ["0", "0", "2"]), { answer: [0, 2], isCorrect: true, pointsEarned: 10 });
+    });
+
+    it("gives nothing for an empty or out-of-range answer", () => {
+      assert.deepStrictEqual(gradeQuizQuestion(q, []), { answer: null, isCorrect: false, pointsEarned: 0 });
+      assert.deepStrictEqual(gradeQuizQuestion(q, [0, 4]), { answer: null, isCorrect: false, pointsEarned: 0 });
+      assert.deepStrictEqual(gradeQuizQuestion(q, "0"), { answer: null, isCorrect: false, pointsEarned: 0 });
+    });
+  });
+
+  describe("ordering", () => {
+    // Stored shuffled: the key lists option indices in the correct order (A, B, C)
+    const q = { type: "ordering", options: ["C", "A", "B"], correctAnswer: [1, 2, 0], points: 6 };
+
+    it("gives full points only for the full sequence", () => {
+      assert.deepStrictEqual(gradeQuizQuestion(q, [1, 2, 0]), { answer: [1, 2, 0], isCorrect: true, pointsEarned: 6 });
+      assert.deepStrictEqual(gradeQuizQuestion(q, [1, 0, 2]), { answer: [1, 0, 2], isCorrect: false, pointsEarned: 0 });
+    });
+
+    it("gives nothing for a partial sequence", () => {
+      assert.deepStrictEqual(gradeQuizQuestion(q, [1, 2]), { answer: [1, 2], isCorrect: false, pointsEarned: 0 });
+    });
+
+    it("grades the same answer the same way after an unchanged question is saved again", () => {
+      // The quiz editor keeps the stored options and key when the items are unchanged
+      const resaved = { ...q, options: [...q.options], correctAnswer: [...q.correctAnswer] };
+      assert.deepStrictEqual(gradeQuizQuestion(resaved, [1, 2, 0]), gradeQuizQuestion(q, [1, 2, 0]));
+
+      // A fresh shuffle would move the key under answers already given
+      const reshuffled = { ...q, options: ["B", "C", "A"], correctAnswer: [2, 0, 1] };
+      assert.strictEqual(gradeQuizQuestion(reshuffled, [1, 2, 0]).isCorrect, false);
+    });
+  });
+
+  describe("numeric", () => {
+    const q = { type: "numeric", correctAnswer: { value: 10, tolerance: 0.5 }, points: 4 };
+
+    it("accepts answers on and inside the tolerance bounds", () => {
+      assert.strictEqual(gradeQuizQuestion(q, 9.5).isCorrect, true);
+      assert.strictEqual(gradeQuizQuestion(q, 10.5).isCorrect, true);
+      assert.deepStrictEqual(gradeQuizQuestion(q, "10.2"), { answer: 10.2, isCorrect: true, pointsEarned: 4 });
+    });
+
+    it("rejects answers just outside the bounds", () => {
+      assert.strictEqual(gradeQuizQuestion(q, 9.49).isCorrect, false);
+      assert.strictEqual(gradeQuizQuestion(q, 10.51).isCorrect, false);
+    });
+
+    it("needs an exact match without a tolerance", () => {
+      const exact = { ...q, correctAnswer: { value: 3 } };
+      assert.strictEqual(gradeQuizQuestion(exact, 3).pointsEarned, 4);
+      assert.strictEqual(gradeQuizQuestion(exact, 3.01).pointsEarned, 0);
+    });
+
+    it("keeps a non-numeric answer as text and marks it wrong", () => {
+      assert.deepStrictEqual(gradeQuizQuestion(q, "ten"), { answer: "ten", isCorrect: false, pointsEarned: 0 });
+    });
+  });
+
+  describe("image choice", () => {
+    const q = {
+      type: "image-choice",
+      options: ["Lotus", "Rose", "Lily"],
+      optionImages: ["lotus.png", "rose.png", "lily.png"],
+      correctAnswer: 0,
+      points: 5
+    };
+
+    it("matches the chosen option index, including the first option", () => {
+      assert.deepStrictEqual(gradeQuizQuestion(q, 0), { answer: 0, isCorrect: true, pointsEarned: 5 });
+      assert.strictEqual(gradeQuizQuestion(q, "0").isCorrect, true);
+      assert.strictEqual(gradeQuizQuestion(q, 2).isCorrect, false);
+    });
+
+    it("gives nothing for no answer", () => {
+      assert.deepStrictEqual(gradeQuizQuestion(q, ""), { answer: null, isCorrect: false, pointsEarned: 0 });
+      assert.deepStrictEqual(gradeQuizQuestion(q, undefined), { answer: null, isCorrect: false, pointsEarned: 0 });
+    });
+  });
+});
+
+describe("gradeQuizAnswers", () => {
+  it("grades by question ID and adds up the score", () => {
+    const questions = [
+      { id: "q0", type: "multiple-choice", options: ["A", "B"], correctAnswer: 1, points: 2 },
+      { type: "text", correctAnswer: "Chennai", points: 3 }
+    ];
+    const { answers, score } = gradeQuizAnswers(questions, { q0: 1, q1: " chennai " });
+    assert.strictEqual(score, 5);
+    assert.deepStrictEqual(answers.map((a) => a.questionId), ["q0", "q1"]);
+    assert.ok(answers.every((a) => a.isCorrect));
+  });
+});
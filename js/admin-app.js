@@ -53,7 +53,8 @@ const AdminApp = {
                 adminIconEl.style.display = 'block';
             }
             
-            // Initialize UI
+            // Initialize UI (hide sections the admin's role can't use)
+            AdminUI.applyRoleVisibility();
             AdminUI.switchView('dashboard');
             
             // Initialize dashboard
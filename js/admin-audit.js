@@ -0,0 +1,314 @@
+// Admin Audit Log Module
+// Read-only view of auditLog entries written by the audit Cloud Function triggers
+
+const AdminAudit = {
+    entries: [],
+    filteredEntries: [],
+    lastDoc: null,
+    hasMore: false,
+    loading: false,
+    PAGE_SIZE: 200,
+    
+    ENTITY_LABELS: {
+        attendee: 'Attendee',
+        pendingAttendee: 'Pending attendee',
+        taskSubmission: 'Task submission',
+        formSubmission: 'Form response',
+        quiz: 'Quiz',
+        quizAnswerKey: 'Quiz answer key',
+        questionBank: 'Question bank',
+        quizRegrade: 'Quiz regrade',
+        task: 'Task',
+        form: 'Form',
+        points: 'Points',
+        admin: 'Admin',
+        notification: 'Notification',
+        notificationTemplate: 'Notification template'
+    },
+    
+    ACTION_STYLES: {
+        create: 'bg-green-100 text-green-700',
+        update: 'bg-blue-100 text-blue-700',
+        delete: 'bg-red-100 text-red-700',
+        approve: 'bg-green-100 text-green-700',
+        reject: 'bg-red-100 text-red-700',
+        adjust: 'bg-amber-100 text-amber-700',
+        award: 'bg-green-100 text-green-700',
+        send: 'bg-purple-100 text-purple-700',
+        schedule: 'bg-purple-100 text-purple-700',
+        cancel: 'bg-red-100 text-red-700'
+    },
+    
+    /**
+     * Load the newest audit entries (within the selected date range)
+     */
+    async load() {
+        if (this.loading) return;
+        
+        this.entries = [];
+        this.lastDoc = null;
+        const tbody = document.getElementById('audit-table');
+        if (tbody) {
+            tbody.innerHTML = '<tr><td colspan="5" class="px-4 py-8 text-center text-slate-500">Loading...</td></tr>';
+        }
+        await this.fetchPage();
+    },
+    
+    /**
+     * Load the next page of older entries
+     */
+    async loadMore() {
+        if (!this.hasMore) return;
+        await this.fetchPage();
+    },
+    
+    /**
+     * Fetch one page of entries from Firestore
+     * Only the date range is applied in the query; other filters run on loaded entries
+     */
+    async fetchPage() {
+        try {
+            this.loading = true;
+            let query = DB.db.collection('auditLog').orderBy('createdAt', 'desc');
+            
+            const from = document.getElementById('audit-from')?.value;
+            const to = document.getElementById('audit-to')?.value;
+            if (from) {
+                query = query.where('createdAt', '>=', new Date(`${from}T00:00:00`));
+            }
+            if (to) {
+                query = query.where('createdAt', '<=', new Date(`${to}T23:59:59.999`));
+            }
+            if (this.lastDoc) {
+                query = query.startAfter(this.lastDoc);
+            }
+            
+            const snapshot = await query.limit(this.PAGE_SIZE).get();
+            this.entries.push(...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            this.lastDoc = snapshot.docs[snapshot.docs.length - 1] || this.lastDoc;
+            this.hasMore = snapshot.size === this.PAGE_SIZE;
+            
+            this.renderFilterOptions();
+            this.applyFilters();
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            Toast.error('Failed to load audit log');
+            this.applyFilters();
+        } finally {
+            this.loading = false;
+        }
+    },
+    
+    /**
+     * Cleanup when leaving the view
+     */
+    cleanup() {
+        this.entries = [];
+        this.filteredEntries = [];
+        this.lastDoc = null;
+        this.hasMore = false;
+    },
+    
+    /**
+     * Populate record/action/admin filters from loaded entries, keeping current selections
+     */
+    renderFilterOptions() {
+        const fill = (id, allLabel, values) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` + values.map(([value, label]) =>
+                `<option value="${this.escapeHtml(value)}" ${value === current ? 'selected' : ''}>${this.escapeHtml(label)}</option>`
+            ).join('');
+        };
+        
+        const entityTypes = [...new Set(this.entries.map(e => e.entityType).filter(Boolean))].sort();
+        const actions = [...new Set(this.entries.map(e => e.action).filter(Boolean))].sort();
+        const actors = new Map();
+        this.entries.forEach(e => {
+            if (e.actorUid && !actors.has(e.actorUid)) {
+                actors.set(e.actorUid, e.actorName || e.actorEmail || e.actorUid);
+            }
+        });
+        
+        fill('audit-entity-filter', 'All records', entityTypes.map(t => [t, this.ENTITY_LABELS[t] || t]));
+        fill('audit-action-filter', 'All actions', actions.map(a => [a, a.charAt(0).toUpperCase() + a.slice(1)]));
+        fill('audit-actor-filter', 'All admins', [...actors.entries()].sort((a, b) => a[1].localeCompare(b[1])));
+    },
+    
+    /**
+     * Apply search, record, action and admin filters to loaded entries
+     */
+    applyFilters() {
+        const search = (document.getElementById('audit-search')?.value || '').toLowerCase().trim();
+        const entityType = document.getElementById('audit-entity-filter')?.value || '';
+        const action = document.getElementById('audit-action-filter')?.value || '';
+        const actorUid = document.getElementById('audit-actor-filter')?.value || '';
+        
+        this.filteredEntries = this.entries.filter(entry => {
+            if (entityType && entry.entityType !== entityType) return false;
+            if (action && entry.action !== action) return false;
+            if (actorUid && entry.actorUid !== actorUid) return false;
+            if (search) {
+                const haystack = [
+                    entry.targetLabel, entry.targetUserId, entry.entityId, entry.summary,
+                    entry.actorName, entry.actorEmail
+                ].filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(search)) return false;
+            }
+            return true;
+        });
+        
+        this.render();
+    },
+    
+    /**
+     * Render the filtered entries
+     */
+    render() {
+        const tbody = document.getElementById('audit-table');
+        const countEl = document.getElementById('audit-count');
+        const loadMoreBtn = document.getElementById('audit-load-more');
+        if (!tbody) return;
+        
+        if (countEl) {
+            countEl.textContent = `Showing ${this.filteredEntries.length} of ${this.entries.length} loaded entries`;
+        }
+        if (loadMoreBtn) {
+            loadMoreBtn.classList.toggle('hidden', !this.hasMore);
+        }
+        
+        if (this.filteredEntries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="px-4 py-8 text-center text-slate-500">No audit entries found</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = this.filteredEntries.map(entry => `
+            <tr class="hover:bg-slate-50 align-top">
+                <td class="px-4 py-3 text-sm text-slate-600 whitespace-nowrap">${Utils.formatDate(entry.createdAt)}</td>
+                <td class="px-4 py-3 text-sm">
+                    <p class="font-medium text-slate-800">${this.escapeHtml(entry.actorName || entry.actorEmail || 'Unknown')}</p>
+                    <p class="text-xs text-slate-400">${this.escapeHtml(AdminAuth.ROLES[entry.actorRole]?.label || '')}</p>
+                </td>
+                <td class="px-4 py-3">
+                    <span class="px-2 py-1 rounded text-xs font-semibold ${this.ACTION_STYLES[entry.action] || 'bg-slate-100 text-slate-700'}">
+                        ${this.escapeHtml(entry.action || '')}
+                    </span>
+                </td>
+                <td class="px-4 py-3 text-sm">
+                    <p class="text-slate-800">${this.escapeHtml(entry.targetLabel || entry.entityId || '-')}</p>
+                    <p class="text-xs text-slate-400">${this.escapeHtml(this.ENTITY_LABELS[entry.entityType] || entry.entityType || '')}</p>
+                </td>
+                <td class="px-4 py-3 text-xs text-slate-600 max-w-md">${this.renderChanges(entry)}</td>
+            </tr>
+        `).join('');
+    },
+    
+    /**
+     * Render an entry's field changes as before → after lines
+     * @param {Object} entry - Audit entry
+     * @returns {string} HTML
+     */
+    renderChanges(entry) {
+        const fields = entry.changedFields || [];
+        if (entry.action === 'create' || entry.action === 'delete' || fields.length === 0) {
+            return this.escapeHtml(entry.summary || `${fields.length} fields`);
+        }
+        
+        return fields.map(field => {
+            const change = entry.changes?.[field] || {};
+            return `
+                <div class="mb-1">
+                    <span class="font-semibold text-slate-700">${this.escapeHtml(field)}:</span>
+                    <span class="text-red-600 line-through">${this.escapeHtml(this.formatValue(change.before))}</span>
+                    → <span class="text-green-700">${this.escapeHtml(this.formatValue(change.after))}</span>
+                </div>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Format a changed value for display/CSV
+     * @param {*} value - Field value
+     * @returns {string} Readable value
+     */
+    formatValue(value) {
+        if (value === null || value === undefined) return '—';
+        if (value.toDate || value.seconds) return Utils.formatDate(value);
+        if (typeof value === 'object') {
+            const json = JSON.stringify(value);
+            return json.length > 120 ? json.substring(0, 117) + '...' : json;
+        }
+        return String(value);
+    },
+    
+    /**
+     * Export the filtered entries to CSV (one row per changed field)
+     */
+    exportData() {
+        try {
+            const rows = [];
+            this.filteredEntries.forEach(entry => {
+                const base = [
+                    entry.createdAt?.toDate ? entry.createdAt.toDate().toISOString() : '',
+                    entry.actorName || '',
+                    entry.actorEmail || '',
+                    entry.actorRole || '',
+                    entry.action || '',
+                    entry.entityType || '',
+                    entry.entityId || '',
+                    entry.targetLabel || '',
+                    entry.targetUserId || '',
+                    entry.summary || ''
+                ];
+                const fields = entry.changedFields || [];
+                if (fields.length === 0) {
+                    rows.push([...base, '', '', '']);
+                    return;
+                }
+                fields.forEach(field => {
+                    const change = entry.changes?.[field] || {};
+                    const toCell = value => value === null || value === undefined ? '' :
+                        (value.toDate ? value.toDate().toISOString() : (typeof value === 'object' ? JSON.stringify(value) : value));
+                    rows.push([...base, field, toCell(change.before), toCell(change.after)]);
+                });
+            });
+            
+            const csv = [
+                ['Timestamp', 'Admin', 'Admin Email', 'Admin Role', 'Action', 'Record Type', 'Record ID', 'Record', 'Attendee UID', 'Summary', 'Field', 'Before', 'After'],
+                ...rows
+            ].map(row => row.map(cell => {
+                // Escape quotes and wrap in quotes
+                const cellStr = String(cell ?? '').replace(/"/g, '""');
+                return `"${cellStr}"`;
+            }).join(',')).join('\n');
+            
+            const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+            
+            Toast.success('Audit log exported successfully');
+        } catch (error) {
+            console.error('Error exporting audit log:', error);
+            Toast.error('Failed to export audit log: ' + error.message);
+        }
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
@@ -6,6 +6,86 @@ const AdminAuth = {
     auth: null,
     initialized: false,
     
+    // Admin roles and the views each may open
+    // Must match hasAdminRole() checks in FIRESTORE_RULES.rules, RTDB_RULES.json and STORAGE_RULES.rules
+    ROLES: {
+        'super-admin': {
+            label: 'Super Admin',
+            description: 'Full access, including admin roles and point adjustments',
+            views: ['*']
+        },
+        'content-editor': {
+            label: 'Content Editor',
+            description: 'Creates and edits quizzes, tasks and forms',
+            views: ['dashboard', 'quizzes', 'tasks', 'forms', 'leaderboard']
+        },
+        'reviewer': {
+            label: 'Reviewer',
+            description: 'Reviews and approves task submissions only',
+            views: ['dashboard', 'submissions', 'leaderboard']
+        },
+        'registration-desk': {
+            label: 'Registration Desk',
+            description: 'Adds and manages attendees only',
+            views: ['dashboard', 'attendees', 'leaderboard']
+        }
+    },
+    
+    // Sub-views that belong to a top-level view for access checks
+    VIEW_PARENTS: {
+        'quiz-creator': 'quizzes',
+        'quiz-submissions': 'quizzes',
+        'question-banks': 'quizzes',
+        'question-bank-editor': 'quizzes',
+        'live-quiz': 'quizzes',
+        'quiz-analytics': 'quizzes',
+        'task-creator': 'tasks',
+        'task-submissions': 'tasks',
+        'form-detail': 'forms',
+        'form-submissions': 'forms',
+        'form-results': 'forms',
+        'notification-campaign': 'notifications',
+        'submission-detail': 'submissions'
+    },
+    
+    /**
+     * Normalize a stored admin role
+     * Admin docs created before roles existed (no role field, or 'admin') are super-admins;
+     * any other role, including null or '', gets no access, as in the rules files
+     * @param {string|null|undefined} role - Role from the admins document
+     * @returns {string|null} Role key in ROLES, or null for an unknown role
+     */
+    normalizeRole(role) {
+        if (role === undefined || role === 'admin') return 'super-admin';
+        return this.ROLES[role] ? role : null;
+    },
+    
+    /**
+     * Check if the current admin has one of the given roles (super-admins always pass)
+     * @param {...string} roles - Allowed roles
+     * @returns {boolean}
+     */
+    hasRole(...roles) {
+        const role = this.currentAdmin?.role;
+        if (!role) return false;
+        return role === 'super-admin' || roles.includes(role);
+    },
+    
+    /**
+     * Check if the current admin may open a view
+     * @param {string} viewId - View ID
+     * @returns {boolean}
+     */
+    canAccessView(viewId) {
+        const role = this.currentAdmin?.role;
+        const roleDef = role ? this.ROLES[role] : null;
+        if (!roleDef) return false;
+        if (roleDef.views.includes('*')) return true;
+        
+        const view = this.VIEW_PARENTS[viewId] || viewId;
+        return roleDef.views.includes(view);
+    },
+    
     /**
      * Initialize admin authentication
      */
@@ -65,15 +145,26 @@ const AdminAuth = {
                 DB.getUser(user.uid).catch(() => null)
             ]);
             
+            // Never fall back to a default role if the admin document can't be read
+            if (!adminData) {
+                throw new Error('Could not load admin role');
+            }
+            
+            const role = this.normalizeRole(adminData.role);
+            if (!role) {
+                throw new Error(`Unknown admin role "${adminData.role}"`);
+            }
+            
             // Combine admin data with user data
+            // Role comes only from the admins document (a users doc may carry role: 'attendee')
             this.currentAdmin = {
                 uid: user.uid,
                 email: user.email,
                 name: user.displayName || adminData?.name || userData?.name || 'Admin',
                 photoURL: user.photoURL || adminData?.photoURL || userData?.photoURL || null,
-                role: 'admin',
                 ...adminData,
-                ...userData
+                ...userData,
+                role: role
             };
             
             // Sync admins to RTDB to ensure RTDB security rules work
@@ -0,0 +1,515 @@
+// Admin Form Results Module
+// Aggregate summary of a form's responses: option counts, rating/NPS averages, matrix spreads and text answers
+// Computed in the browser from formSubmissions; respondents can be filtered by district and designation
+
+const AdminFormResults = {
+    formId: null,
+    pendingFormId: null,
+    form: null,
+    submissions: [],
+    directory: {},
+    textPages: {},
+    loading: false,
+    
+    TEXT_PAGE_SIZE: 10,
+    TOP_WORDS: 20,
+    
+    // Common words left out of the word counts
+    STOP_WORDS: new Set([
+        'the', 'and', 'for', 'are', 'was', 'were', 'but', 'not', 'you', 'your', 'with', 'this', 'that',
+        'have', 'has', 'had', 'from', 'they', 'them', 'their', 'there', 'what', 'when', 'which', 'who',
+        'will', 'would', 'could', 'should', 'can', 'all', 'any', 'more', 'very', 'much', 'also', 'just',
+        'been', 'being', 'into', 'than', 'then', 'too', 'our', 'out', 'its', 'about', 'some', 'such',
+        'only', 'other', 'how', 'one', 'get', 'got', 'did', 'does', 'may', 'might', 'well', 'really'
+    ]),
+    
+    /**
+     * Open the results view for a form (from its form card)
+     * @param {string} formId - Form ID
+     */
+    open(formId) {
+        this.pendingFormId = formId;
+        AdminUI.switchView('form-results');
+    },
+    
+    /**
+     * Load the form, its responses and the attendee directory, then render the summary
+     */
+    async load() {
+        if (this.pendingFormId) {
+            this.formId = this.pendingFormId;
+            this.pendingFormId = null;
+            this.textPages = {};
+            this.resetFilters();
+        }
+        
+        const content = document.getElementById('form-results-content');
+        if (!this.formId) {
+            if (content) {
+                content.innerHTML = '<p class="text-center text-slate-500 py-8">Open a form\'s results from the Forms list</p>';
+            }
+            return;
+        }
+        if (this.loading) return;
+        
+        try {
+            this.loading = true;
+            if (content) {
+                content.innerHTML = '<p class="text-center text-slate-500 py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Summarising responses...</p>';
+            }
+            
+            const [form, snapshot, directory] = await Promise.all([
+                DB.getForm(this.formId),
+                DB.db.collection('formSubmissions').where('formId', '==', this.formId).get(),
+                this.loadDirectory()
+            ]);
+            if (!form) {
+                Toast.error('Form not found');
+                return;
+            }
+            
+            this.form = form;
+            this.submissions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            this.directory = directory;
+            
+            const titleEl = document.getElementById('form-results-title');
+            if (titleEl) titleEl.textContent = `${form.title || 'Form'} - Results`;
+            
+            this.renderFilters();
+            this.render();
+        } catch (error) {
+            console.error('Error loading form results:', error);
+            Toast.error('Failed to load form results: ' + error.message);
+            if (content) {
+                content.innerHTML = '<p class="text-center text-slate-500 py-8">Failed to load results</p>';
+            }
+        } finally {
+            this.loading = false;
+        }
+    },
+    
+    /**
+     * Attendee directory (district and designation per user) from the RTDB cache
+     * @returns {Promise<Object>} Directory entries by user ID
+     */
+    async loadDirectory() {
+        let result = await DB.readFromCache('attendeeCache/directory');
+        if (!result?.data || Object.keys(result.data).length === 0) {
+            result = await DB.readFromCache('cache/users/directory');
+        }
+        return result?.data || {};
+    },
+    
+    /**
+     * Cleanup when leaving the view
+     */
+    cleanup() {
+        this.submissions = [];
+        this.form = null;
+    },
+    
+    /**
+     * Clear the district and designation filters
+     */
+    resetFilters() {
+        ['form-results-district', 'form-results-designation'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = '';
+        });
+    },
+    
+    /**
+     * Fill the filters with the districts and designations of this form's respondents
+     * Anonymous responses have no respondent, so their forms cannot be filtered
+     */
+    renderFilters() {
+        const fill = (id, key, allLabel) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            
+            select.disabled = this.form.anonymous === true;
+            select.title = select.disabled ? 'Not available for anonymous forms' : '';
+            const current = select.value;
+            const values = [...new Set(this.submissions
+                .map(s => this.directory[s.userId]?.[key])
+                .filter(Boolean))].sort((a, b) => a.localeCompare(b));
+            select.innerHTML = `<option value="">${allLabel}</option>` + values.map(value => `
+                <option value="${this.escapeHtml(value)}" ${value === current ? 'selected' : ''}>${this.escapeHtml(value)}</option>
+            `).join('');
+        };
+        fill('form-results-district', 'district', 'All districts');
+        fill('form-results-designation', 'designation', 'All designations');
+    },
+    
+    /**
+     * Responses from respondents matching the filters
+     * @returns {Array<Object>} Submissions
+     */
+    getFilteredSubmissions() {
+        const district = document.getElementById('form-results-district')?.value || '';
+        const designation = document.getElementById('form-results-designation')?.value || '';
+        return this.submissions.filter(s => {
+            const user = this.directory[s.userId] || {};
+            return (!district || user.district === district) && (!designation || user.designation === designation);
+        });
+    },
+    
+    /**
+     * Whether an answer counts as given
+     * @param {*} value - Stored answer
+     * @returns {boolean}
+     */
+    isAnswered(value) {
+        if (value === undefined || value === null || value === '') return false;
+        return !Array.isArray(value) || value.some(item => item !== '' && item !== null);
+    },
+    
+    /**
+     * Summarise one field across responses
+     * @param {Object} field - Field definition
+     * @param {Array<Object>} submissions - Filtered submissions
+     * @returns {Object} Summary: { field, answered, kind, ... } where kind picks the renderer
+     */
+    summarizeField(field, submissions) {
+        const values = submissions
+            .map(s => s.formData?.[field.id])
+            .filter(value => this.isAnswered(value));
+        const summary = { field, answered: values.length };
+        const countBy = (items, keys) => {
+            const counts = new Map(keys.map(key => [String(key), 0]));
+            items.forEach(item => counts.set(String(item), (counts.get(String(item)) || 0) + 1));
+            return [...counts.entries()].map(([label, count]) => ({ label, count }));
+        };
+        const numbers = values.map(Number).filter(Number.isFinite);
+        
+        switch (field.type) {
+            case 'dropdown':
+            case 'radio':
+                return { ...summary, kind: 'choices', rows: countBy(values.flat(), field.options || []) };
+            case 'checkbox':
+                // A checkbox is a single tick box; unticked responses store nothing
+                return {
+                    ...summary,
+                    kind: 'choices',
+                    total: submissions.length,
+                    rows: [{ label: 'Ticked', count: values.length }, { label: 'Not ticked', count: submissions.length - values.length }]
+                };
+            case 'rating':
+                return { ...summary, kind: 'scale', average: this.average(numbers), rows: countBy(numbers, [5, 4, 3, 2, 1]).map(row => ({ ...row, label: `${row.label} ★` })) };
+            case 'nps': {
+                const promoters = numbers.filter(n => n >= 9).length;
+                const detractors = numbers.filter(n => n <= 6).length;
+                return {
+                    ...summary,
+                    kind: 'nps',
+                    average: this.average(numbers),
+                    score: numbers.length ? Math.round(((promoters - detractors) / numbers.length) * 100) : null,
+                    promoters,
+                    passives: numbers.length - promoters - detractors,
+                    detractors,
+                    rows: countBy(numbers, Array.from({ length: 11 }, (_, n) => n))
+                };
+            }
+            case 'number':
+                // Most common values, for spotting clusters
+                return {
+                    ...summary,
+                    kind: 'number',
+                    ...this.numberStats(numbers),
+                    rows: countBy(numbers, []).sort((a, b) => b.count - a.count || a.label - b.label).slice(0, 10)
+                };
+            case 'matrix': {
+                const scale = field.options || [];
+                const rows = (field.rows || []).map((row, rowIndex) => {
+                    const choices = values.map(value => value[rowIndex]).filter(Boolean);
+                    // Average scale position, 1 = first column
+                    const positions = choices.map(choice => scale.indexOf(choice) + 1).filter(position => position > 0);
+                    return { label: row, answered: choices.length, average: this.average(positions), counts: countBy(choices, scale) };
+                });
+                return { ...summary, kind: 'matrix', scale, rows };
+            }
+            case 'file':
+            case 'signature':
+                return { ...summary, kind: 'uploads' };
+            case 'textarea':
+            case 'text':
+                return { ...summary, kind: 'text', words: this.getWordCounts(values), answers: values.map(String) };
+            default:
+                // Email, phone and date answers are listed as given
+                return { ...summary, kind: 'text', words: null, answers: values.map(String) };
+        }
+    },
+    
+    /**
+     * Mean of a list of numbers
+     * @param {Array<number>} numbers - Values
+     * @returns {number|null}
+     */
+    average(numbers) {
+        return numbers.length ? numbers.reduce((sum, n) => sum + n, 0) / numbers.length : null;
+    },
+    
+    /**
+     * Average, median and range of number answers
+     * @param {Array<number>} numbers - Values
+     * @returns {{average: number|null, median: number|null, min: number|null, max: number|null}}
+     */
+    numberStats(numbers) {
+        if (numbers.length === 0) return { average: null, median: null, min: null, max: null };
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return {
+            average: this.average(sorted),
+            median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+            min: sorted[0],
+            max: sorted[sorted.length - 1]
+        };
+    },
+    
+    /**
+     * Most frequent words across text answers
+     * @param {Array<string>} values - Text answers
+     * @returns {Array<{label: string, count: number}>}
+     */
+    getWordCounts(values) {
+        const counts = new Map();
+        values.forEach(value => {
+            (String(value).toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+                .map(word => word.replace(/^'+|'+$/g, ''))
+                .filter(word => word.length >= 3 && !this.STOP_WORDS.has(word))
+                .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+        });
+        return [...counts.entries()]
+            .map(([label, count]) => ({ label, count }))
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+            .slice(0, this.TOP_WORDS);
+    },
+    
+    /**
+     * Move through a text field's answers
+     * @param {string} fieldId - Field ID
+     * @param {number} delta - Pages to move
+     */
+    setTextPage(fieldId, delta) {
+        this.textPages[fieldId] = Math.max(0, (this.textPages[fieldId] || 0) + delta);
+        this.render();
+    },
+    
+    /**
+     * Render the summary cards for the filtered responses
+     */
+    render() {
+        const content = document.getElementById('form-results-content');
+        if (!content || !this.form) return;
+        
+        const submissions = this.getFilteredSubmissions();
+        const countEl = document.getElementById('form-results-count');
+        if (countEl) {
+            countEl.textContent = submissions.length === this.submissions.length
+                ? `${this.submissions.length} responses`
+                : `${submissions.length} of ${this.submissions.length} responses match the filters`;
+        }
+        
+        if (submissions.length === 0) {
+            content.innerHTML = `<p class="text-center text-slate-500 py-8">${this.submissions.length ? 'No responses match the filters' : 'No responses yet'}</p>`;
+            return;
+        }
+        
+        content.innerHTML = (this.form.formFields || [])
+            .map((field, index) => this.renderField(this.summarizeField(field, submissions), index, submissions.length))
+            .join('');
+    },
+    
+    /**
+     * Render one field's summary card
+     * @param {Object} summary - From summarizeField
+     * @param {number} index - Field position
+     * @param {number} total - Filtered responses
+     * @returns {string} HTML
+     */
+    renderField(summary, index, total) {
+        const { field } = summary;
+        let body = '';
+        
+        if (summary.answered === 0) {
+            body = '<p class="text-sm text-slate-400">No answers</p>';
+        } else if (summary.kind === 'choices') {
+            body = this.renderBars(summary.rows, summary.total || summary.answered);
+        } else if (summary.kind === 'scale') {
+            body = `
+                <p class="text-3xl font-bold text-amber-500 mb-3">${summary.average.toFixed(1)} <span class="text-sm font-normal text-slate-500">average of 5</span></p>
+                ${this.renderBars(summary.rows, summary.answered, 'bg-amber-400')}
+            `;
+        } else if (summary.kind === 'nps') {
+            body = `
+                <div class="flex flex-wrap items-end gap-6 mb-4">
+                    <p class="text-3xl font-bold ${summary.score >= 0 ? 'text-green-600' : 'text-red-600'}">${summary.score > 0 ? '+' : ''}${summary.score} <span class="text-sm font-normal text-slate-500">NPS</span></p>
+                    <p class="text-sm text-slate-500">
+                        <span class="text-green-600 font-semibold">${summary.promoters}</span> promoters (9-10) ·
+                        <span class="font-semibold">${summary.passives}</span> passives (7-8) ·
+                        <span class="text-red-600 font-semibold">${summary.detractors}</span> detractors (0-6) ·
+                        average ${summary.average.toFixed(1)}
+                    </p>
+                </div>
+                ${this.renderColumns(summary.rows)}
+            `;
+        } else if (summary.kind === 'number') {
+            body = `
+                <div class="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3 text-center">
+                    ${[['Average', summary.average], ['Median', summary.median], ['Lowest', summary.min], ['Highest', summary.max]].map(([label, value]) => `
+                        <div class="bg-slate-50 rounded-lg p-2">
+                            <p class="text-xs text-slate-400">${label}</p>
+                            <p class="font-bold text-slate-800">${Number.isInteger(value) ? value : value.toFixed(1)}</p>
+                        </div>
+                    `).join('')}
+                </div>
+                ${this.renderBars(summary.rows, summary.answered)}
+            `;
+        } else if (summary.kind === 'matrix') {
+            body = this.renderMatrix(summary);
+        } else if (summary.kind === 'uploads') {
+            body = `<p class="text-sm text-slate-600"><i class="fas fa-paperclip"></i> ${summary.answered} ${field.type === 'signature' ? 'signed' : 'files uploaded'} - see individual responses</p>`;
+        } else {
+            body = this.renderText(summary);
+        }
+        
+        return `
+            <div class="bg-white border border-slate-200 rounded-xl p-4 sm:p-6 mb-4">
+                <div class="flex justify-between items-start gap-4 mb-3">
+                    <p class="font-bold text-slate-800">${index + 1}. ${this.escapeHtml(field.label || field.id)}</p>
+                    <span class="text-xs text-slate-500 shrink-0">${summary.answered} of ${total} answered</span>
+                </div>
+                ${body}
+            </div>
+        `;
+    },
+    
+    /**
+     * Horizontal bars with counts and percentages
+     * @param {Array<{label: string, count: number}>} rows - Bars
+     * @param {number} total - Count that makes 100%
+     * @param {string} barClass - Bar colour class
+     * @returns {string} HTML
+     */
+    renderBars(rows, total, barClass = 'bg-rota-pink/80') {
+        const base = Math.max(total, 1);
+        return `
+            <div class="space-y-1">
+                ${rows.map(row => {
+                    const share = Math.round((row.count / base) * 100);
+                    return `
+                        <div class="flex items-center gap-3 text-sm">
+                            <span class="w-1/3 truncate text-slate-700" title="${this.escapeHtml(row.label)}">${this.escapeHtml(row.label)}</span>
+                            <div class="flex-1 bg-slate-100 rounded-full h-3 overflow-hidden">
+                                <div class="h-3 ${barClass}" style="width: ${share}%"></div>
+                            </div>
+                            <span class="w-20 text-right text-slate-500">${row.count} (${share}%)</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    },
+    
+    /**
+     * Vertical bars for a 0-10 scale
+     * @param {Array<{label: string, count: number}>} rows - One per scale point
+     * @returns {string} HTML
+     */
+    renderColumns(rows) {
+        const max = Math.max(...rows.map(row => row.count), 1);
+        const colour = (label) => (Number(label) >= 9 ? 'bg-green-500' : Number(label) >= 7 ? 'bg-slate-400' : 'bg-red-400');
+        return `
+            <div class="flex items-end gap-2 h-32">
+                ${rows.map(row => `
+                    <div class="flex-1 flex flex-col items-center justify-end h-full">
+                        <span class="text-xs text-slate-500 mb-1">${row.count || ''}</span>
+                        <div class="w-full ${colour(row.label)} rounded-t" style="height: ${(row.count / max) * 100}%"></div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="flex gap-2 mt-1">
+                ${rows.map(row => `<span class="flex-1 text-center text-[10px] text-slate-400">${row.label}</span>`).join('')}
+            </div>
+        `;
+    },
+    
+    /**
+     * Matrix rows as stacked bars across the scale
+     * @param {Object} summary - Matrix summary
+     * @returns {string} HTML
+     */
+    renderMatrix(summary) {
+        const shades = ['bg-red-400', 'bg-orange-300', 'bg-slate-300', 'bg-lime-400', 'bg-green-500'];
+        const shade = (index) => (summary.scale.length === shades.length ? shades[index] : `bg-rota-pink/${Math.min(100, 20 + index * 15)}`);
+        return `
+            <div class="flex flex-wrap gap-3 text-xs text-slate-500 mb-3">
+                ${summary.scale.map((choice, index) => `<span class="flex items-center gap-1"><span class="w-3 h-3 rounded ${shade(index)}"></span>${this.escapeHtml(choice)}</span>`).join('')}
+            </div>
+            <div class="space-y-2">
+                ${summary.rows.map(row => `
+                    <div class="flex items-center gap-3 text-sm">
+                        <span class="w-1/4 truncate text-slate-700" title="${this.escapeHtml(row.label)}">${this.escapeHtml(row.label)}</span>
+                        <div class="flex-1 flex h-4 rounded-full overflow-hidden bg-slate-100">
+                            ${row.counts.filter(c => summary.scale.includes(c.label)).map((c, index) => `
+                                <div class="${shade(index)}" style="width: ${row.answered ? (c.count / row.answered) * 100 : 0}%" title="${this.escapeHtml(c.label)}: ${c.count}"></div>
+                            `).join('')}
+                        </div>
+                        <span class="w-24 text-right text-slate-500">${row.average !== null ? `avg ${row.average.toFixed(1)}/${summary.scale.length}` : '—'}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+    
+    /**
+     * Word counts and a paginated list of text answers
+     * @param {Object} summary - Text summary
+     * @returns {string} HTML
+     */
+    renderText(summary) {
+        const { field, answers, words } = summary;
+        const pageCount = Math.ceil(answers.length / this.TEXT_PAGE_SIZE);
+        const page = Math.min(this.textPages[field.id] || 0, pageCount - 1);
+        const pageAnswers = answers.slice(page * this.TEXT_PAGE_SIZE, (page + 1) * this.TEXT_PAGE_SIZE);
+        const maxWord = words?.length ? words[0].count : 1;
+        
+        return `
+            ${words?.length ? `
+                <div class="flex flex-wrap gap-2 mb-4">
+                    ${words.map(word => `
+                        <span class="px-2 py-1 rounded-full bg-slate-100 text-slate-700" style="font-size: ${0.75 + (word.count / maxWord) * 0.5}rem" title="${word.count} mentions">
+                            ${this.escapeHtml(word.label)} <span class="text-slate-400">${word.count}</span>
+                        </span>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <ul class="divide-y divide-slate-100 text-sm text-slate-700">
+                ${pageAnswers.map(answer => `<li class="py-2 whitespace-pre-line">${this.escapeHtml(answer)}</li>`).join('')}
+            </ul>
+            ${pageCount > 1 ? `
+                <div class="flex justify-between items-center mt-3 text-sm">
+                    <button onclick="AdminFormResults.setTextPage('${field.id}', -1)" class="px-3 py-1 border border-slate-200 rounded-lg hover:bg-slate-50 ${page === 0 ? 'opacity-50 pointer-events-none' : ''}">
+                        <i class="fas fa-arrow-left"></i>
+                    </button>
+                    <span class="text-slate-500">Page ${page + 1} of ${pageCount}</span>
+                    <button onclick="AdminFormResults.setTextPage('${field.id}', 1)" class="px-3 py-1 border border-slate-200 rounded-lg hover:bg-slate-50 ${page >= pageCount - 1 ? 'opacity-50 pointer-events-none' : ''}">
+                        <i class="fas fa-arrow-right"></i>
+                    </button>
+                </div>
+            ` : ''}
+        `;
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
@@ -9,6 +9,16 @@ const AdminForms = {
     currentStep: 1,
     totalSteps: 2,
     formsListener: null, // Real-time listener for forms cache
+    
+    // Field types that take a list of options; for a matrix the options are the shared scale
+    OPTION_TYPES: ['dropdown', 'radio', 'checkbox', 'matrix'],
+    LIKERT_SCALE: ['Strongly disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly agree'],
+    
+    LOGIC_OPERATORS: {
+        equals: 'equals',
+        not_equals: 'does not equal',
+        answered: 'is answered'
+    },
     _pendingSubmissions: null, // Will be initialized as Map when needed
     currentFormSubmissions: {
         form: null,
@@ -186,11 +196,13 @@ const AdminForms = {
                             form.status === 'active' ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-700'
                         }">${form.status || 'inactive'}</span>
                         ${form.points > 0 ? `<span class="text-xs text-amber-600"><i class="fas fa-star"></i> ${form.points} pts</span>` : '<span class="text-xs text-slate-400">No points</span>'}
+                        ${form.anonymous ? '<span class="text-xs text-emerald-700"><i class="fas fa-user-secret"></i> Anonymous</span>' : ''}
                     </div>
                 </div>
                 <div class="flex items-center gap-4 text-sm text-slate-600 mb-4">
                     <span><i class="fas fa-list"></i> ${form.formFieldsCount || form.formFields?.length || 0} Fields</span>
                     <span><i class="fas fa-file-alt"></i> ${form.submissionsCount || form.submissionCount || 0} Submissions</span>
+                    ${AdminUI.renderAvailabilityWindow(form)}
                 </div>
                 <div class="flex gap-2">
                     <button onclick="AdminForms.viewFormDetail('${form.id}')" class="flex-1 px-4 py-2 bg-blue-100 text-blue-600 rounded-lg hover:bg-blue-200 transition-colors">
@@ -199,6 +211,9 @@ const AdminForms = {
                     <button onclick="AdminForms.viewFormSubmissions('${form.id}')" class="px-4 py-2 bg-green-100 text-green-700 rounded-lg hover:bg-green-200 transition-colors">
                         <i class="fas fa-list"></i> View Responses
                     </button>
+                    <button onclick="AdminFormResults.open('${form.id}')" class="px-4 py-2 bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 transition-colors" title="Results summary">
+                        <i class="fas fa-chart-pie"></i>
+                    </button>
                     <button onclick="AdminForms.editForm('${form.id}')" class="px-4 py-2 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 transition-colors">
                         <i class="fas fa-edit"></i>
                     </button>
@@ -247,6 +262,9 @@ const AdminForms = {
             if (descInput) descInput.value = '';
             if (statusSelect) statusSelect.value = 'active';
             if (pointsInput) pointsInput.value = '0';
+            const anonymousInput = document.getElementById('form-anonymous');
+            if (anonymousInput) anonymousInput.checked = false;
+            AdminUI.setAvailabilityWindow('form', null);
             if (fieldsListEl) {
                 fieldsListEl.innerHTML = '';
                 this.fieldCounter = 0;
@@ -277,6 +295,7 @@ const AdminForms = {
             const description = document.getElementById('form-description')?.value?.trim();
             const status = document.getElementById('form-status')?.value || 'active';
             const points = parseInt(document.getElementById('form-points')?.value || '0');
+            const anonymous = document.getElementById('form-anonymous')?.checked === true;
             const fieldsList = document.getElementById('form-fields-list');
             
             if (!title && (!fieldsList || fieldsList.children.length === 0)) {
@@ -284,41 +303,18 @@ const AdminForms = {
                 return;
             }
             
+            const { sections, formFields } = this.readFormStructure(false);
             const draft = {
                 title: title || '',
                 description: description || '',
                 status: status,
                 points: points || 0,
-                formFields: [],
+                anonymous,
+                sections,
+                formFields,
                 savedAt: Date.now()
             };
             
-            // Save form fields
-            if (fieldsList) {
-                Array.from(fieldsList.children).forEach(fieldEl => {
-                    const fieldId = fieldEl.querySelector('.field-id')?.value || fieldEl.querySelector('input[type="hidden"]')?.value;
-                    const fieldLabel = fieldEl.querySelector('.field-label')?.value?.trim();
-                    const fieldType = fieldEl.querySelector('.field-type')?.value;
-                    const fieldRequired = fieldEl.querySelector('.field-required')?.checked;
-                    const fieldOptions = fieldEl.querySelector('.field-options-text')?.value?.trim();
-                    
-                    if (fieldLabel) {
-                        const field = {
-                            id: fieldId || `f${Date.now()}.${Math.random().toString(36).substr(2, 9)}`,
-                            label: fieldLabel,
-                            type: fieldType || 'text',
-                            required: fieldRequired || false
-                        };
-                        
-                        if (fieldOptions && (fieldType === 'dropdown' || fieldType === 'radio' || fieldType === 'checkbox')) {
-                            field.options = fieldOptions.split('\n').filter(o => o.trim());
-                        }
-                        
-                        draft.formFields.push(field);
-                    }
-                });
-            }
-            
             localStorage.setItem('form_draft', JSON.stringify(draft));
         } catch (error) {
         }
@@ -360,14 +356,12 @@ const AdminForms = {
         if (descInput) descInput.value = draft.description || '';
         if (statusSelect) statusSelect.value = draft.status || 'active';
         if (pointsInput) pointsInput.value = draft.points || 0;
+        const anonymousInput = document.getElementById('form-anonymous');
+        if (anonymousInput) anonymousInput.checked = draft.anonymous === true;
         
-        // Load form fields
+        // Load sections and form fields
         if (draft.formFields && draft.formFields.length > 0 && fieldsList) {
-            fieldsList.innerHTML = '';
-            this.fieldCounter = 0;
-            draft.formFields.forEach(field => {
-                this.addFormField(field);
-            });
+            this.renderFormStructure(draft);
         }
     },
     
@@ -540,15 +534,11 @@ const AdminForms = {
             descInput.value = form.description || '';
             statusSelect.value = form.status || 'inactive';
             pointsInput.value = form.points || 0;
+            const anonymousInput = document.getElementById('form-anonymous');
+            if (anonymousInput) anonymousInput.checked = form.anonymous === true;
+            AdminUI.setAvailabilityWindow('form', form);
             
-            fieldsListEl.innerHTML = '';
-            this.fieldCounter = 0;
-            
-            if (form.formFields) {
-                form.formFields.forEach(field => {
-                    this.addFormField(field);
-                });
-            }
+            this.renderFormStructure(form);
             
             // Reset to step 1
             this.currentStep = 1;
@@ -615,11 +605,20 @@ const AdminForms = {
                         <option value="dropdown" ${existingField?.type === 'dropdown' ? 'selected' : ''}>Dropdown</option>
                         <option value="checkbox" ${existingField?.type === 'checkbox' ? 'selected' : ''}>Checkbox</option>
                         <option value="radio" ${existingField?.type === 'radio' ? 'selected' : ''}>Radio</option>
+                        <option value="rating" ${existingField?.type === 'rating' ? 'selected' : ''}>Star Rating (1-5)</option>
+                        <option value="nps" ${existingField?.type === 'nps' ? 'selected' : ''}>NPS (0-10)</option>
+                        <option value="matrix" ${existingField?.type === 'matrix' ? 'selected' : ''}>Matrix / Likert Grid</option>
+                        <option value="file" ${existingField?.type === 'file' ? 'selected' : ''}>File Upload</option>
+                        <option value="signature" ${existingField?.type === 'signature' ? 'selected' : ''}>Signature</option>
                     </select>
                 </div>
-                <div class="field-options ${existingField?.type === 'dropdown' || existingField?.type === 'radio' || existingField?.type === 'checkbox' ? '' : 'hidden'}">
-                    <label class="block text-sm font-medium text-slate-700 mb-1">Options (one per line) *</label>
-                    <textarea class="field-options-text w-full px-3 py-2 border border-slate-200 rounded-lg" rows="3" ${existingField?.type === 'dropdown' || existingField?.type === 'radio' || existingField?.type === 'checkbox' ? 'required' : ''}>${this.escapeHtml(existingField?.options?.join('\n') || '')}</textarea>
+                <div class="field-rows ${existingField?.type === 'matrix' ? '' : 'hidden'}">
+                    <label class="block text-sm font-medium text-slate-700 mb-1">Rows (one per line) *</label>
+                    <textarea class="field-rows-text w-full px-3 py-2 border border-slate-200 rounded-lg" rows="3" placeholder="e.g. Content&#10;Speaker&#10;Venue" ${existingField?.type === 'matrix' ? 'required' : ''}>${this.escapeHtml(existingField?.rows?.join('\n') || '')}</textarea>
+                </div>
+                <div class="field-options ${this.OPTION_TYPES.includes(existingField?.type) ? '' : 'hidden'}">
+                    <label class="field-options-label block text-sm font-medium text-slate-700 mb-1">${existingField?.type === 'matrix' ? 'Scale (one per line) *' : 'Options (one per line) *'}</label>
+                    <textarea class="field-options-text w-full px-3 py-2 border border-slate-200 rounded-lg" rows="3" ${this.OPTION_TYPES.includes(existingField?.type) ? 'required' : ''}>${this.escapeHtml(existingField?.options?.join('\n') || '')}</textarea>
                 </div>
                 <div>
                     <label class="flex items-center gap-2">
@@ -627,9 +626,17 @@ const AdminForms = {
                         <span class="text-sm font-medium text-slate-700">Required</span>
                     </label>
                 </div>
+                <details class="border-t border-slate-100 pt-3" ${existingField?.showIf || existingField?.requiredIf ? 'open' : ''}>
+                    <summary class="text-sm font-medium text-slate-700 cursor-pointer">Logic</summary>
+                    <div class="space-y-3 mt-3">
+                        ${this.renderLogicRow('show', 'Show only if', existingField?.showIf)}
+                        ${this.renderLogicRow('required', 'Required only if', existingField?.requiredIf)}
+                    </div>
+                </details>
             </div>
         `;
         fieldsList.appendChild(fieldEl);
+        fieldEl.querySelectorAll('.logic-field').forEach(select => this.fillLogicFieldOptions(select));
         
         // Ensure the field is visible (in case step 2 was hidden)
         const step2Div = document.getElementById('form-step-2');
@@ -643,6 +650,255 @@ const AdminForms = {
         fieldEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     },
     
+    /**
+     * Add a section; the fields below it (up to the next section) form one page for attendees
+     * @param {Object} existingSection - Existing section data (optional)
+     */
+    addFormSection(existingSection = null) {
+        const fieldsList = document.getElementById('form-fields-list');
+        if (!fieldsList) {
+            Toast.error('Form fields list not found. Please make sure you are on step 2 of form creation.');
+            return;
+        }
+        
+        const sectionId = existingSection?.id || 's' + Date.now() + '.' + this.fieldCounter++;
+        const sectionEl = document.createElement('div');
+        sectionEl.className = 'form-section-container border-2 border-rota-pink/30 rounded-lg p-4 bg-rose-50/40';
+        sectionEl.innerHTML = `
+            <input type="hidden" class="section-id" value="${this.escapeHtml(sectionId)}">
+            <div class="flex justify-between items-center mb-3">
+                <span class="font-bold text-rota-pink"><i class="fas fa-layer-group"></i> Section (new page)</span>
+                <button type="button" onclick="this.closest('.form-section-container').remove()" class="text-red-500 hover:text-red-700">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+            <div class="space-y-3">
+                <div>
+                    <label class="block text-sm font-medium text-slate-700 mb-1">Section Title</label>
+                    <input type="text" class="section-title w-full px-3 py-2 border border-slate-200 rounded-lg" value="${this.escapeHtml(existingSection?.title || '')}" placeholder="e.g. For District Officers">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-slate-700 mb-1">Description</label>
+                    <input type="text" class="section-description w-full px-3 py-2 border border-slate-200 rounded-lg" value="${this.escapeHtml(existingSection?.description || '')}">
+                </div>
+                ${this.renderLogicRow('show', 'Show this section only if', existingSection?.showIf)}
+            </div>
+        `;
+        fieldsList.appendChild(sectionEl);
+        sectionEl.querySelectorAll('.logic-field').forEach(select => this.fillLogicFieldOptions(select));
+        
+        const step2Div = document.getElementById('form-step-2');
+        if (step2Div && step2Div.classList.contains('hidden')) {
+            this.currentStep = 2;
+            this.updateFormStepUI();
+        }
+        sectionEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    },
+    
+    /**
+     * Render a "show if" / "required if" condition editor
+     * @param {string} kind - 'show' or 'required'
+     * @param {string} label - Row label
+     * @param {Object|null} condition - Existing { fieldId, operator, value }
+     * @returns {string} HTML
+     */
+    renderLogicRow(kind, label, condition) {
+        const operator = condition?.operator || 'equals';
+        return `
+            <div class="logic-row" data-logic="${kind}">
+                <label class="block text-sm font-medium text-slate-700 mb-1">${label}</label>
+                <div class="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                    <select class="logic-field w-full px-3 py-2 border border-slate-200 rounded-lg text-sm" data-value="${this.escapeHtml(condition?.fieldId || '')}" onfocus="AdminForms.fillLogicFieldOptions(this)">
+                        <option value="">${kind === 'show' ? 'Always' : 'Never'}</option>
+                    </select>
+                    <select class="logic-operator w-full px-3 py-2 border border-slate-200 rounded-lg text-sm">
+                        ${Object.entries(this.LOGIC_OPERATORS).map(([value, text]) => `
+                            <option value="${value}" ${operator === value ? 'selected' : ''}>${text}</option>
+                        `).join('')}
+                    </select>
+                    <input type="text" class="logic-value w-full px-3 py-2 border border-slate-200 rounded-lg text-sm" value="${this.escapeHtml(condition?.value || '')}" placeholder="Answer, e.g. District Officer">
+                </div>
+            </div>
+        `;
+    },
+    
+    /**
+     * Offer the fields above a field or section as the source of its conditions
+     * @param {HTMLSelectElement} select - .logic-field select
+     */
+    fillLogicFieldOptions(select) {
+        const container = select.closest('.form-field-container, .form-section-container');
+        const fieldsList = document.getElementById('form-fields-list');
+        if (!container || !fieldsList) return;
+        
+        const current = select.value || select.dataset.value || '';
+        const earlier = [];
+        for (const el of fieldsList.children) {
+            if (el === container) break;
+            if (!el.classList.contains('form-field-container')) continue;
+            const id = el.querySelector('.field-id')?.value;
+            const label = el.querySelector('.field-label')?.value?.trim();
+            if (id) earlier.push({ id, label: label || 'Untitled field' });
+        }
+        
+        const emptyLabel = select.options[0]?.textContent || 'Always';
+        select.innerHTML = `<option value="">${this.escapeHtml(emptyLabel)}</option>` + earlier.map(field => `
+            <option value="${this.escapeHtml(field.id)}" ${field.id === current ? 'selected' : ''}>${this.escapeHtml(field.label)}</option>
+        `).join('');
+        if (current && !earlier.some(field => field.id === current)) {
+            // Keep a rule whose source moved below or was removed visible, so saving can flag it
+            select.innerHTML += `<option value="${this.escapeHtml(current)}" selected>(field no longer above)</option>`;
+        }
+        select.dataset.value = '';
+    },
+    
+    /**
+     * Read a condition editor
+     * @param {HTMLElement} container - Field or section container
+     * @param {string} kind - 'show' or 'required'
+     * @returns {Object|null} { fieldId, operator, value }, or null when not set
+     */
+    readLogicRow(container, kind) {
+        const row = container.querySelector(`.logic-row[data-logic="${kind}"]`);
+        const fieldId = row?.querySelector('.logic-field')?.value || row?.querySelector('.logic-field')?.dataset.value;
+        if (!row || !fieldId) return null;
+        
+        const operator = row.querySelector('.logic-operator')?.value || 'equals';
+        return {
+            fieldId,
+            operator,
+            value: operator === 'answered' ? '' : (row.querySelector('.logic-value')?.value?.trim() || '')
+        };
+    },
+    
+    /**
+     * Read sections and fields from the editor, in order
+     * @param {boolean} strict - Report the first problem instead of skipping incomplete entries
+     * @returns {{sections: Array, formFields: Array, error: string|null}}
+     */
+    readFormStructure(strict = true) {
+        const fieldsList = document.getElementById('form-fields-list');
+        const sections = [];
+        const formFields = [];
+        if (!fieldsList) return { sections, formFields, error: null };
+        
+        const seenIds = new Set();
+        let sectionId = null;
+        let fieldNumber = 0;
+        const checkRule = (condition, what) => {
+            if (condition && !seenIds.has(condition.fieldId)) {
+                return `${what} has a rule based on a field that is not above it`;
+            }
+            if (condition && condition.operator !== 'answered' && !condition.value) {
+                return `${what} has a rule without an answer to compare`;
+            }
+            return null;
+        };
+        
+        for (const el of fieldsList.children) {
+            if (el.classList.contains('form-section-container')) {
+                const section = {
+                    id: el.querySelector('.section-id')?.value || 's' + Date.now() + '.' + sections.length,
+                    title: el.querySelector('.section-title')?.value?.trim() || '',
+                    description: el.querySelector('.section-description')?.value?.trim() || ''
+                };
+                const showIf = this.readLogicRow(el, 'show');
+                const error = checkRule(showIf, `Section "${section.title || sections.length + 1}"`);
+                if (error && strict) return { sections, formFields, error };
+                if (showIf && !error) section.showIf = showIf;
+                sections.push(section);
+                sectionId = section.id;
+                continue;
+            }
+            
+            fieldNumber++;
+            const fieldId = el.querySelector('.field-id')?.value || el.querySelector('input[type="hidden"]')?.value;
+            const label = el.querySelector('.field-label')?.value?.trim();
+            const fieldType = el.querySelector('.field-type')?.value;
+            const required = el.querySelector('.field-required')?.checked || false;
+            
+            if (!label) {
+                if (strict) return { sections, formFields, error: `Field ${fieldNumber} label is required` };
+                continue;
+            }
+            
+            const field = {
+                id: fieldId || 'f' + Date.now() + '.' + fieldNumber + '.' + Math.random(),
+                label,
+                type: fieldType || 'text',
+                required
+            };
+            if (sectionId) field.sectionId = sectionId;
+            
+            if (this.OPTION_TYPES.includes(fieldType)) {
+                const optionsText = el.querySelector('.field-options-text')?.value?.trim();
+                if (!optionsText && strict) {
+                    return { sections, formFields, error: `Field ${fieldNumber} options are required for ${fieldType} type` };
+                }
+                field.options = (optionsText || '').split('\n').map(o => o.trim()).filter(Boolean);
+            }
+            if (fieldType === 'matrix') {
+                field.rows = (el.querySelector('.field-rows-text')?.value || '').split('\n').map(r => r.trim()).filter(Boolean);
+                if (field.rows.length === 0 && strict) {
+                    return { sections, formFields, error: `Field ${fieldNumber} needs at least one row` };
+                }
+            }
+            
+            for (const [kind, key] of [['show', 'showIf'], ['required', 'requiredIf']]) {
+                const condition = this.readLogicRow(el, kind);
+                const error = checkRule(condition, `Field ${fieldNumber}`);
+                if (error && strict) return { sections, formFields, error };
+                if (condition && !error) field[key] = condition;
+            }
+            
+            formFields.push(field);
+            seenIds.add(field.id);
+        }
+        
+        return { sections, formFields, error: null };
+    },
+    
+    /**
+     * Fill the editor with a form's sections and fields
+     * @param {Object} form - Form or draft with formFields and optional sections
+     */
+    renderFormStructure(form) {
+        const fieldsList = document.getElementById('form-fields-list');
+        if (!fieldsList) return;
+        fieldsList.innerHTML = '';
+        this.fieldCounter = 0;
+        
+        const sections = form.sections || [];
+        const rendered = new Set();
+        (form.formFields || []).forEach(field => {
+            const section = sections.find(s => s.id === field.sectionId);
+            if (section && !rendered.has(section.id)) {
+                // Sections without fields that come before this one keep their order
+                sections.slice(0, sections.indexOf(section) + 1)
+                    .filter(s => !rendered.has(s.id))
+                    .forEach(s => {
+                        this.addFormSection(s);
+                        rendered.add(s.id);
+                    });
+            }
+            this.addFormField(field);
+        });
+        sections.filter(s => !rendered.has(s.id)).forEach(s => this.addFormSection(s));
+    },
+    
+    /**
+     * Describe a condition for the form detail view
+     * @param {Object} form - Form definition
+     * @param {Object} condition - { fieldId, operator, value }
+     * @returns {string} Escaped text
+     */
+    describeCondition(form, condition) {
+        const source = (form.formFields || []).find(f => f.id === condition.fieldId);
+        const label = this.escapeHtml(source?.label || condition.fieldId);
+        const operator = this.LOGIC_OPERATORS[condition.operator] || condition.operator;
+        return condition.operator === 'answered' ? `${label} ${operator}` : `${label} ${operator} "${this.escapeHtml(condition.value)}"`;
+    },
+    
     /**
      * Handle field type change
      * @param {HTMLElement} select - Select element
@@ -656,18 +912,34 @@ const AdminForms = {
         
         const optionsDiv = fieldEl.querySelector('.field-options');
         const optionsTextarea = fieldEl.querySelector('.field-options-text');
+        const rowsDiv = fieldEl.querySelector('.field-rows');
+        const rowsTextarea = fieldEl.querySelector('.field-rows-text');
         
         if (!optionsDiv || !optionsTextarea) {
             return;
         }
         
-        if (select.value === 'dropdown' || select.value === 'radio' || select.value === 'checkbox') {
+        const isMatrix = select.value === 'matrix';
+        if (this.OPTION_TYPES.includes(select.value)) {
             optionsDiv.classList.remove('hidden');
             optionsTextarea.required = true;
         } else {
             optionsDiv.classList.add('hidden');
             optionsTextarea.required = false;
         }
+        
+        const optionsLabel = fieldEl.querySelector('.field-options-label');
+        if (optionsLabel) {
+            optionsLabel.textContent = isMatrix ? 'Scale (one per line) *' : 'Options (one per line) *';
+        }
+        // Start matrices on the usual five-point agreement scale
+        if (isMatrix && !optionsTextarea.value.trim()) {
+            optionsTextarea.value = this.LIKERT_SCALE.join('\n');
+        }
+        if (rowsDiv && rowsTextarea) {
+            rowsDiv.classList.toggle('hidden', !isMatrix);
+            rowsTextarea.required = isMatrix;
+        }
     },
     
     /**
@@ -683,6 +955,7 @@ const AdminForms = {
             const description = document.getElementById('form-description')?.value?.trim();
             const status = document.getElementById('form-status')?.value;
             const points = parseInt(document.getElementById('form-points')?.value || '0');
+            const anonymous = document.getElementById('form-anonymous')?.checked === true;
             const fieldsList = document.getElementById('form-fields-list');
             
             // Validation
@@ -701,37 +974,10 @@ const AdminForms = {
                 return;
             }
             
-            const formFields = [];
-            // Use children instead of querySelectorAll with invalid selector
-            for (let index = 0; index < fieldsList.children.length; index++) {
-                const fieldEl = fieldsList.children[index];
-                const fieldId = fieldEl.querySelector('.field-id')?.value || fieldEl.querySelector('input[type="hidden"]')?.value;
-                const label = fieldEl.querySelector('.field-label')?.value?.trim();
-                const fieldType = fieldEl.querySelector('.field-type')?.value;
-                const required = fieldEl.querySelector('.field-required')?.checked || false;
-                
-                if (!label) {
-                    Toast.error(`Field ${index + 1} label is required`);
-                    return;
-                }
-                
-                const field = {
-                    id: fieldId || 'f' + Date.now() + '.' + index + '.' + Math.random(),
-                    label,
-                    type: fieldType || 'text',
-                    required
-                };
-                
-                if (fieldType === 'dropdown' || fieldType === 'radio' || fieldType === 'checkbox') {
-                    const optionsText = fieldEl.querySelector('.field-options-text')?.value?.trim();
-                    if (!optionsText) {
-                        Toast.error(`Field ${index + 1} options are required for ${fieldType} type`);
-                        return;
-                    }
-                    field.options = optionsText.split('\n').filter(o => o.trim());
-                }
-                
-                formFields.push(field);
+            const { sections, formFields, error } = this.readFormStructure();
+            if (error) {
+                Toast.error(error);
+                return;
             }
             
             if (formFields.length === 0) {
@@ -739,13 +985,25 @@ const AdminForms = {
                 return;
             }
             
+            // Uploads are stored in a folder named after the attendee
+            if (anonymous && formFields.some(field => field.type === 'file' || field.type === 'signature')) {
+                Toast.error('Anonymous forms cannot have file upload or signature fields');
+                return;
+            }
+            
+            const availabilityWindow = AdminUI.getAvailabilityWindow('form');
+            if (!availabilityWindow) return;
+            
             const data = {
                 title,
                 description,
                 formFields,
+                sections,
                 points,
+                anonymous,
                 // Default to 'active' for new forms, preserve existing status for updates
-                status: status || (formId ? 'inactive' : 'active')
+                status: status || (formId ? 'inactive' : 'active'),
+                ...availabilityWindow
             };
             
             // Save to database
@@ -936,10 +1194,20 @@ const AdminForms = {
                             <span class="font-medium text-slate-700">${idx + 1}. ${this.escapeHtml(field.label || field.id)}</span>
                             <span class="text-xs text-slate-500">${field.type || 'text'}</span>
                         </div>
+                        ${field.sectionId && field.sectionId !== form.formFields[idx - 1]?.sectionId ? `
+                            <div class="text-xs text-rota-pink font-semibold mb-1"><i class="fas fa-layer-group"></i> ${this.escapeHtml((form.sections || []).find(s => s.id === field.sectionId)?.title || 'Section')}</div>
+                        ` : ''}
                         ${field.required ? '<span class="text-xs text-red-600">Required</span>' : '<span class="text-xs text-slate-400">Optional</span>'}
+                        ${field.showIf ? `<div class="mt-1 text-xs text-slate-600">Shown if ${this.describeCondition(form, field.showIf)}</div>` : ''}
+                        ${field.requiredIf ? `<div class="mt-1 text-xs text-slate-600">Required if ${this.describeCondition(form, field.requiredIf)}</div>` : ''}
+                        ${field.rows && field.rows.length > 0 ? `
+                            <div class="mt-2 text-xs text-slate-600">
+                                Rows: ${field.rows.map(row => this.escapeHtml(row)).join(', ')}
+                            </div>
+                        ` : ''}
                         ${field.options && field.options.length > 0 ? `
                             <div class="mt-2 text-xs text-slate-600">
-                                Options: ${field.options.map(opt => this.escapeHtml(opt)).join(', ')}
+                                ${field.type === 'matrix' ? 'Scale' : 'Options'}: ${field.options.map(opt => this.escapeHtml(opt)).join(', ')}
                             </div>
                         ` : ''}
                     </div>
@@ -981,6 +1249,9 @@ const AdminForms = {
                 <button onclick="AdminForms.viewFormSubmissions('${form.id}')" class="flex-1 px-4 py-3 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors font-medium">
                     <i class="fas fa-list"></i> View Responses
                 </button>
+                <button onclick="AdminFormResults.open('${form.id}')" class="flex-1 px-4 py-3 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors font-medium">
+                    <i class="fas fa-chart-pie"></i> Results Summary
+                </button>
                 <button onclick="AdminForms.editForm('${form.id}')" class="flex-1 px-4 py-3 bg-slate-600 text-white rounded-lg hover:bg-slate-700 transition-colors font-medium">
                     <i class="fas fa-edit"></i> Edit Form
                 </button>
@@ -1012,6 +1283,71 @@ const AdminForms = {
         }
     },
     
+    /**
+     * Plain-text form answer for lists and exports
+     * @param {Object} field - Field definition
+     * @param {*} value - Stored answer
+     * @returns {string|null} Text, or null when not answered
+     */
+    formatAnswer(field, value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (field.type === 'matrix' && Array.isArray(value)) {
+            return (field.rows || []).map((row, index) => `${row}: ${value[index] || '-'}`).join('; ');
+        }
+        if ((field.type === 'file' || field.type === 'signature') && typeof value === 'object') {
+            return value.url || null;
+        }
+        if (field.type === 'rating') return `${value}/5`;
+        if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : null;
+        return String(value).trim() || null;
+    },
+    
+    /**
+     * Form answer as HTML for the submission view (links for files, the image for signatures)
+     * @param {Object} field - Field definition
+     * @param {*} value - Stored answer
+     * @returns {string} HTML
+     */
+    renderAnswerHtml(field, value) {
+        if (value === null || value === undefined) return '(not answered)';
+        if (field.type === 'signature' && value?.url) {
+            return `<img src="${this.escapeHtml(value.url)}" alt="Signature" class="inline-block h-16 bg-white border border-slate-200 rounded">`;
+        }
+        if (field.type === 'file' && value?.url) {
+            return `<a href="${this.escapeHtml(value.url)}" target="_blank" rel="noopener" class="text-rota-pink hover:underline"><i class="fas fa-paperclip"></i> ${this.escapeHtml(value.name || 'Attachment')}</a>`;
+        }
+        return this.escapeHtml(this.formatAnswer(field, value) ?? '(empty)');
+    },
+    
+    /**
+     * CSV columns for a form's fields: one per field, one per row for a matrix,
+     * numbers for ratings/NPS and the download URL for files and signatures
+     * @param {Object} form - Form definition
+     * @returns {Array<{header: string, value: Function}>} value(formData) returns text or null
+     */
+    getExportColumns(form) {
+        const columns = [];
+        (form.formFields || []).forEach(field => {
+            const label = field.label || field.id;
+            if (field.type === 'matrix') {
+                (field.rows || []).forEach((row, index) => {
+                    columns.push({
+                        header: `${label} - ${row}`,
+                        value: (formData) => (Array.isArray(formData[field.id]) && formData[field.id][index]) || null
+                    });
+                });
+            } else if (field.type === 'rating' || field.type === 'nps') {
+                columns.push({
+                    header: field.type === 'rating' ? `${label} (1-5)` : `${label} (0-10)`,
+                    value: (formData) => (Number.isFinite(formData[field.id]) ? String(formData[field.id]) : null)
+                });
+            } else {
+                columns.push({ header: label, value: (formData) => this.formatAnswer(field, formData[field.id]) });
+            }
+        });
+        return columns;
+    },
+    
     /**
      * Back to forms list
      */
@@ -1141,7 +1477,7 @@ const AdminForms = {
                 .sort((a, b) => (b.submittedAt || 0) - (a.submittedAt || 0));
             
             // Get user details for submissions (from directory cache)
-            const userIds = [...new Set(submissionsMetadata.map(s => s.userId))];
+            const userIds = [...new Set(submissionsMetadata.map(s => s.userId).filter(Boolean))];
             const usersMap = new Map();
             
             // Try attendeeCache/directory first (correct path)
@@ -1300,7 +1636,7 @@ const AdminForms = {
         const userData = usersMap.get(submission.userId);
         
         // Build user info with fallbacks
-        const userName = userData?.name || userData?.displayName || submission.userName || 'Unknown User';
+        let userName = userData?.name || userData?.displayName || submission.userName || 'Unknown User';
         const userEmail = userData?.email || 'N/A';
         const userDistrict = userData?.district || null;
         const userDesignation = userData?.designation || null;
@@ -1319,7 +1655,13 @@ const AdminForms = {
         const submittedDate = submission.submittedAt 
             ? (submission.submittedAt.toDate ? submission.submittedAt.toDate() : new Date(submission.submittedAt))
             : null;
-        const formattedDate = submittedDate ? Utils.formatDate(submittedDate) : 'Date not available';
+        const formattedDate = submittedDate ? this.formatSubmittedDate(submission, submittedDate) : 'Date not available';
+        
+        // Anonymous responses are stored without the user; nothing above applies
+        if (submission.anonymous) {
+            userName = 'Anonymous response';
+            userInfoDisplay = 'Respondent not recorded';
+        }
         
         // Get field labels from form definition
         let fieldLabelsMap = {};
@@ -1347,23 +1689,10 @@ const AdminForms = {
                     const value = submission.formData[fieldId];
                     const label = field.label || fieldId;
                     
-                    // Handle different value types
-                    let displayValue = value;
-                    if (value === null || value === undefined) {
-                        displayValue = '(not answered)';
-                    } else if (value === '') {
-                        displayValue = '(empty)';
-                    } else if (Array.isArray(value)) {
-                        displayValue = value.length > 0 ? value.join(', ') : '(empty)';
-                    } else {
-                        const strValue = String(value).trim();
-                        displayValue = strValue || '(empty)';
-                    }
-                    
                     formDataHTML += `
                         <div class="mb-3 pb-3 border-b border-slate-200 last:border-0">
                             <span class="font-medium text-slate-700">${this.escapeHtml(label)}:</span>
-                            <span class="text-slate-600 ml-2">${this.escapeHtml(String(displayValue))}</span>
+                            <span class="text-slate-600 ml-2">${this.renderAnswerHtml(field, value)}</span>
                         </div>
                     `;
                 });
@@ -1483,20 +1812,21 @@ const AdminForms = {
             // Build CSV header
             const headers = ['Participant Name', 'Email', 'Submitted Date'];
             
-            // Add form field columns
-            if (form.formFields) {
-                form.formFields.forEach(field => {
-                    headers.push(field.label || field.id);
-                });
-            }
+            // Add form field columns (a matrix gets one column per row)
+            const columns = this.getExportColumns(form);
+            columns.forEach(column => {
+                headers.push(column.header);
+            });
             
             // Build CSV rows using full submission data
             const rows = fullSubmissions.map(submission => {
-                const user = usersMap.get(submission.userId) || { name: submission.userName || 'Unknown', email: 'N/A' };
+                const user = submission.anonymous
+                    ? { name: 'Anonymous', email: '' }
+                    : usersMap.get(submission.userId) || { name: submission.userName || 'Unknown', email: 'N/A' };
                 const submittedDate = submission.submittedAt 
                     ? (submission.submittedAt.toDate ? submission.submittedAt.toDate() : new Date(submission.submittedAt))
                     : null;
-                const formattedDate = submittedDate ? Utils.formatDate(submittedDate) : 'N/A';
+                const formattedDate = submittedDate ? this.formatSubmittedDate(submission, submittedDate) : 'N/A';
                 
                 const row = [
                     user.name || 'Unknown',
@@ -1505,25 +1835,13 @@ const AdminForms = {
                 ];
                 
                 // Add form field data
-                if (form.formFields && submission.formData) {
-                    form.formFields.forEach(field => {
-                        const value = submission.formData[field.id];
-                        let displayValue = '(empty)';
-                        
-                        if (value !== null && value !== undefined && value !== '') {
-                            if (Array.isArray(value)) {
-                                displayValue = value.length > 0 ? value.join(', ') : '(empty)';
-                            } else {
-                                const strValue = String(value).trim();
-                                displayValue = strValue || '(empty)';
-                            }
-                        }
-                        
-                        row.push(displayValue);
+                if (submission.formData) {
+                    columns.forEach(column => {
+                        row.push(column.value(submission.formData) ?? '(empty)');
                     });
-                } else if (form.formFields) {
+                } else {
                     // If formData is missing, add empty cells for each field
-                    form.formFields.forEach(() => {
+                    columns.forEach(() => {
                         row.push('(no data)');
                     });
                 }
@@ -1558,6 +1876,18 @@ const AdminForms = {
         }
     },
     
+    /**
+     * Format a response's submission time; anonymous responses only keep the day (UTC)
+     * @param {Object} submission - Form submission
+     * @param {Date} date - Submitted at
+     * @returns {string}
+     */
+    formatSubmittedDate(submission, date) {
+        return submission.anonymous
+            ? Utils.formatDate(date, { hour: undefined, minute: undefined, timeZone: 'UTC' })
+            : Utils.formatDate(date);
+    },
+    
     /**
      * Back to forms list
      */
@@ -17,6 +17,7 @@ const AdminLeaderboard = {
             this.loading = true;
             this.users = await DB.getAllAttendees();
             this.render();
+            this.loadDriftReport();
         } catch (error) {
             console.error('Error loading leaderboard:', error);
             Toast.error('Failed to load leaderboard');
@@ -45,6 +46,9 @@ const AdminLeaderboard = {
             return;
         }
         
+        // Only super-admins may adjust points (also enforced by pointsLedger rules)
+        const canAdjust = AdminAuth.hasRole('super-admin');
+        
         sorted.forEach((user, index) => {
             const row = document.createElement('tr');
             row.className = 'hover:bg-slate-50';
@@ -66,11 +70,18 @@ const AdminLeaderboard = {
                     <span class="font-bold text-rota-pink">${user.points || 0}</span>
                 </td>
                 <td class="px-4 py-3">
-                    <button onclick="AdminLeaderboard.adjustPoints('${user.uid || ''}')" 
-                            class="px-3 py-1 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 transition-colors text-sm"
-                            ${!user.uid ? 'disabled' : ''}>
-                        <i class="fas fa-edit"></i> Adjust
-                    </button>
+                    <div class="flex gap-2">
+                        ${canAdjust ? `<button onclick="AdminLeaderboard.adjustPoints('${user.uid || ''}')" 
+                                class="px-3 py-1 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 transition-colors text-sm"
+                                ${!user.uid ? 'disabled' : ''}>
+                            <i class="fas fa-edit"></i> Adjust
+                        </button>` : ''}
+                        <button onclick="AdminLeaderboard.viewLedger('${user.uid || ''}')" 
+                                class="px-3 py-1 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 transition-colors text-sm"
+                                ${!user.uid ? 'disabled' : ''}>
+                            <i class="fas fa-history"></i> History
+                        </button>
+                    </div>
                 </td>
             `;
             table.appendChild(row);
@@ -110,6 +121,11 @@ const AdminLeaderboard = {
             return;
         }
         
+        if (!AdminAuth.hasRole('super-admin')) {
+            Toast.error('Only super admins can adjust points');
+            return;
+        }
+        
         const user = this.users.find(u => u.uid === uid);
         if (!user) {
             Toast.error('User not found');
@@ -139,7 +155,8 @@ const AdminLeaderboard = {
         
         try {
             await DB.addPoints(uid, points, reason);
-            Toast.success(`Points adjusted by ${points > 0 ? '+' : ''}${points}`);
+            // users.points is recalculated from the ledger by a Cloud Function
+            Toast.success(`Points adjusted by ${points > 0 ? '+' : ''}${points}. The total will update shortly.`);
             
             // Invalidate cache
             Cache.clear(Cache.keys.userData(uid));
@@ -153,6 +170,131 @@ const AdminLeaderboard = {
         }
     },
     
+    /**
+     * Show a user's points ledger
+     * @param {string} uid - User ID
+     */
+    async viewLedger(uid) {
+        if (!uid) {
+            Toast.error('Invalid user ID');
+            return;
+        }
+        
+        const user = this.users.find(u => u.uid === uid);
+        const titleEl = document.getElementById('points-ledger-title');
+        const summaryEl = document.getElementById('points-ledger-summary');
+        const listEl = document.getElementById('points-ledger-list');
+        if (!titleEl || !summaryEl || !listEl) {
+            Toast.error('Ledger view not found');
+            return;
+        }
+        
+        titleEl.textContent = `Points History: ${user?.name || 'Unknown'}`;
+        summaryEl.textContent = 'Loading...';
+        listEl.innerHTML = '<div class="text-center py-8 text-slate-400"><i class="fas fa-spinner fa-spin"></i></div>';
+        AdminUI.showModal('modal-points-ledger');
+        
+        try {
+            const entries = await DB.getPointsLedger(uid);
+            const ledgerTotal = entries.reduce((sum, e) => sum + (e.delta || 0), 0);
+            const storedPoints = user?.points || 0;
+            
+            summaryEl.innerHTML = `${entries.length} entries • Ledger total <strong>${ledgerTotal}</strong> • Stored points <strong>${storedPoints}</strong>` +
+                (ledgerTotal !== storedPoints ? ' <span class="text-red-600 font-semibold">(drift)</span>' : '');
+            
+            if (entries.length === 0) {
+                listEl.innerHTML = '<p class="text-center py-8 text-slate-500">No ledger entries yet</p>';
+                return;
+            }
+            
+            listEl.innerHTML = entries.map(entry => {
+                const delta = entry.delta || 0;
+                const date = entry.createdAt ? Utils.formatDate(entry.createdAt) : 'Pending';
+                return `
+                    <div class="flex justify-between items-center p-3 border border-slate-200 rounded-lg">
+                        <div>
+                            <p class="font-medium text-slate-800">${this.escapeHtml(entry.reason || entry.activityTitle || 'Points change')}</p>
+                            <p class="text-xs text-slate-500">
+                                <span class="uppercase font-semibold">${this.escapeHtml(entry.source || 'unknown')}</span>
+                                • ${this.escapeHtml(date)}
+                                ${entry.actorUid && entry.actorUid !== uid ? `• by ${this.escapeHtml(entry.actorUid)}` : ''}
+                            </p>
+                        </div>
+                        <span class="font-bold ${delta >= 0 ? 'text-green-600' : 'text-red-600'}">${delta >= 0 ? '+' : ''}${delta}</span>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading points ledger:', error);
+            summaryEl.textContent = '';
+            listEl.innerHTML = '<p class="text-center py-8 text-red-500">Failed to load ledger</p>';
+        }
+    },
+    
+    /**
+     * Load the last ledger reconciliation report and show any drift
+     */
+    async loadDriftReport() {
+        const container = document.getElementById('leaderboard-drift');
+        if (!container || !AdminAuth.hasRole('super-admin')) return;
+        
+        try {
+            const snap = await DB.rtdb.ref('adminCache/pointsDrift').once('value');
+            const report = snap.val();
+            if (!report || !report.driftCount) {
+                container.classList.add('hidden');
+                container.innerHTML = '';
+                return;
+            }
+            
+            const rows = Object.entries(report.users || {}).map(([uid, d]) => `
+                <li class="flex justify-between items-center">
+                    <button onclick="AdminLeaderboard.viewLedger('${this.escapeHtml(uid)}')" class="text-left hover:underline">${this.escapeHtml(d.name || uid)}</button>
+                    <span>stored ${d.storedPoints} • ledger ${d.ledgerPoints} • diff ${d.difference > 0 ? '+' : ''}${d.difference}</span>
+                </li>
+            `).join('');
+            
+            container.innerHTML = `
+                <div class="bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm text-amber-800">
+                    <p class="font-semibold mb-2">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        ${report.driftCount} user(s) have points that don't match their ledger
+                        <span class="font-normal text-amber-600">(checked ${Utils.formatDate(report.lastRun)})</span>
+                    </p>
+                    <ul class="space-y-1">${rows}</ul>
+                </div>
+            `;
+            container.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading drift report:', error);
+        }
+    },
+    
+    /**
+     * Run ledger reconciliation now and refresh the drift report
+     */
+    async reconcile() {
+        const btn = document.getElementById('leaderboard-reconcile-btn');
+        if (btn) btn.disabled = true;
+        
+        try {
+            const reconcileFn = firebase.functions().httpsCallable('reconcilePointsLedgerCallable');
+            const result = await reconcileFn();
+            const { driftCount, checkedUsers } = result.data;
+            if (driftCount > 0) {
+                Toast.warning(`${driftCount} of ${checkedUsers} users have points drift`);
+            } else {
+                Toast.success(`All ${checkedUsers} users match their ledger`);
+            }
+            await this.loadDriftReport();
+        } catch (error) {
+            console.error('Error reconciling points ledger:', error);
+            Toast.error('Failed to check ledger: ' + error.message);
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    },
+    
     /**
      * Export leaderboard data as CSV
      */
@@ -0,0 +1,334 @@
+// Admin Live Quiz Module
+// Host console for live hall quizzes: advance questions, reveal answers and project the top 10
+// Session state is written by the controlLiveQuiz Cloud Function; this view only listens to RTDB
+
+const AdminLiveQuiz = {
+    quizzes: [],
+    quizId: null,
+    pendingQuizId: null,
+    state: null,
+    top10: [],
+    answerCount: 0,
+    listeners: {},
+    countdownTimer: null,
+    serverOffset: 0,
+    busy: false,
+    
+    STATUS_LABELS: {
+        lobby: 'Lobby open - waiting for the first question',
+        question: 'Question open',
+        closed: 'Scoring answers...',
+        reveal: 'Answer revealed',
+        ended: 'Finished - points awarded'
+    },
+    
+    /**
+     * Load live quizzes into the picker and follow the session that is live now
+     */
+    async load() {
+        try {
+            const [snapshot, currentSnap] = await Promise.all([
+                DB.db.collection('quizzes').where('mode', '==', 'live').get(),
+                DB.rtdb.ref('liveQuiz/current').once('value')
+            ]);
+            this.quizzes = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            
+            const selected = this.pendingQuizId || currentSnap.val()?.quizId || this.quizId || this.quizzes[0]?.id || null;
+            this.pendingQuizId = null;
+            this.renderQuizOptions(selected);
+            this.select(selected);
+        } catch (error) {
+            console.error('Error loading live quizzes:', error);
+            Toast.error('Failed to load live quizzes');
+        }
+    },
+    
+    /**
+     * Open the console for a quiz (from its quiz card)
+     * @param {string} quizId - Quiz ID
+     */
+    host(quizId) {
+        this.pendingQuizId = quizId;
+        AdminUI.switchView('live-quiz');
+    },
+    
+    /**
+     * Cleanup when leaving the view (the session keeps running on the server)
+     */
+    cleanup() {
+        this.detach();
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+    },
+    
+    /**
+     * Fill the quiz picker
+     * @param {string|null} selectedId - Quiz to select
+     */
+    renderQuizOptions(selectedId) {
+        const select = document.getElementById('live-quiz-select');
+        if (!select) return;
+        
+        if (this.quizzes.length === 0) {
+            select.innerHTML = '<option value="">No live quizzes - set a quiz\'s play mode to "Live"</option>';
+            return;
+        }
+        select.innerHTML = this.quizzes.map(quiz => `
+            <option value="${quiz.id}" ${quiz.id === selectedId ? 'selected' : ''}>${this.escapeHtml(quiz.title)} (${quiz.questionsCount || quiz.questions?.length || 0} questions)</option>
+        `).join('');
+    },
+    
+    /**
+     * Follow a quiz's session
+     * @param {string|null} quizId - Quiz ID
+     */
+    select(quizId) {
+        this.detach();
+        this.quizId = quizId || null;
+        this.state = null;
+        this.top10 = [];
+        this.answerCount = 0;
+        
+        if (this.quizId) {
+            const sessionPath = `liveQuiz/sessions/${this.quizId}`;
+            this.attach('offset', '.info/serverTimeOffset', (snapshot) => {
+                this.serverOffset = snapshot.val() || 0;
+            });
+            this.attach('state', `${sessionPath}/state`, (snapshot) => {
+                this.state = snapshot.val();
+                this.render();
+            });
+            this.attach('top10', `${sessionPath}/top10`, (snapshot) => {
+                this.top10 = snapshot.val() || [];
+                this.renderBoard();
+            });
+            this.attach('answers', `${sessionPath}/answers`, (snapshot) => {
+                this.answerCount = snapshot.numChildren();
+                this.renderAnswerCount();
+            });
+        }
+        this.render();
+        this.renderBoard();
+    },
+    
+    /**
+     * Listen to an RTDB path and remember the listener for detach()
+     * @param {string} name - Listener name
+     * @param {string} path - RTDB path
+     * @param {Function} listener - Value listener
+     */
+    attach(name, path, listener) {
+        const ref = DB.rtdb.ref(path);
+        ref.on('value', listener, (error) => {
+            console.error(`Error listening to live quiz ${name}:`, error);
+        });
+        this.listeners[name] = { ref, listener };
+    },
+    
+    /**
+     * Stop listening to the followed session
+     */
+    detach() {
+        Object.values(this.listeners).forEach(({ ref, listener }) => {
+            ref.off('value', listener);
+        });
+        this.listeners = {};
+        this.stopCountdown();
+    },
+    
+    /**
+     * Run a host action through the controlLiveQuiz Cloud Function
+     * @param {string} action - 'open', 'next', 'reveal' or 'end'
+     */
+    async control(action) {
+        if (!this.quizId || this.busy) return;
+        if (action === 'end' && !confirm('End the live quiz and award points? This cannot be undone.')) return;
+        
+        this.busy = true;
+        this.render();
+        try {
+            const result = await DB.controlLiveQuiz(this.quizId, action);
+            if (action === 'end') {
+                Toast.success(`Live quiz ended. Points awarded to ${result.submissions || 0} attendees.`);
+            }
+        } catch (error) {
+            console.error(`Error running live quiz action ${action}:`, error);
+            Toast.error(error.message || 'Live quiz action failed');
+        } finally {
+            this.busy = false;
+            this.render();
+        }
+    },
+    
+    /**
+     * Milliseconds left on the open question, by server time
+     * @returns {number}
+     */
+    getRemainingMs() {
+        if (!this.state?.endsAt) return 0;
+        return Math.max(0, this.state.endsAt - (Date.now() + this.serverOffset));
+    },
+    
+    /**
+     * Tick the countdown while a question is open
+     */
+    startCountdown() {
+        if (this.countdownTimer) return;
+        
+        const tick = () => {
+            const remaining = this.getRemainingMs();
+            const label = document.getElementById('live-quiz-admin-countdown');
+            if (label) label.textContent = `${Math.ceil(remaining / 1000)}s`;
+            if (remaining <= 0) {
+                this.stopCountdown();
+                if (label) label.textContent = "Time's up - reveal when ready";
+            }
+        };
+        this.countdownTimer = setInterval(tick, 250);
+        tick();
+    },
+    
+    /**
+     * Stop the countdown tick
+     */
+    stopCountdown() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+    },
+    
+    /**
+     * Render the session status, current question and control buttons
+     */
+    render() {
+        const statusEl = document.getElementById('live-quiz-status');
+        const questionEl = document.getElementById('live-quiz-question');
+        if (!statusEl || !questionEl) return;
+        
+        const state = this.state;
+        const status = state?.status || null;
+        
+        statusEl.textContent = !this.quizId ? 'Select a live quiz' :
+            (status ? this.STATUS_LABELS[status] : 'Not started');
+        
+        const isLast = state && state.questionIndex + 1 >= state.questionCount;
+        const enabled = {
+            open: !status,
+            next: (status === 'lobby' || status === 'reveal') && !isLast,
+            reveal: status === 'question' || status === 'closed',
+            end: status === 'lobby' || status === 'reveal'
+        };
+        Object.entries(enabled).forEach(([action, isEnabled]) => {
+            const btn = document.getElementById(`live-quiz-${action}-btn`);
+            if (btn) btn.disabled = this.busy || !this.quizId || !isEnabled;
+        });
+        
+        if (!state || !state.question) {
+            this.stopCountdown();
+            questionEl.innerHTML = '<p class="text-slate-500 text-center py-8">No question shown yet</p>';
+            return;
+        }
+        
+        const q = state.question;
+        const reveal = status === 'reveal' || status === 'ended' ? state.reveal : null;
+        questionEl.innerHTML = `
+            <div class="flex justify-between items-center text-sm text-slate-500 mb-2">
+                <span>Question ${state.questionIndex + 1} of ${state.questionCount}</span>
+                <span class="font-bold text-slate-800" id="live-quiz-admin-countdown"></span>
+            </div>
+            <p class="font-bold text-lg text-slate-800 mb-4">${this.escapeHtml(q.question)}</p>
+            <div class="space-y-2">
+                ${(q.options || []).map((option, index) => {
+                    const isCorrect = reveal && index === reveal.correctAnswer;
+                    const count = reveal ? (reveal.counts?.[index] || 0) : null;
+                    return `
+                        <div class="flex justify-between px-4 py-2 rounded-lg border ${isCorrect ? 'border-green-400 bg-green-50 font-bold text-green-700' : 'border-slate-200 text-slate-700'}">
+                            <span>${isCorrect ? '<i class="fas fa-check"></i> ' : ''}${this.escapeHtml(option)}</span>
+                            ${count !== null ? `<span>${count}</span>` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <p class="text-sm text-slate-500 mt-4"><i class="fas fa-users"></i> <span id="live-quiz-answer-count"></span></p>
+        `;
+        this.renderAnswerCount();
+        
+        if (status === 'question') {
+            this.startCountdown();
+        } else {
+            this.stopCountdown();
+        }
+    },
+    
+    /**
+     * Show how many attendees have answered the open question
+     */
+    renderAnswerCount() {
+        const countEl = document.getElementById('live-quiz-answer-count');
+        if (!countEl) return;
+        
+        const answered = this.state?.status === 'question' || this.state?.status === 'closed'
+            ? this.answerCount
+            : (this.state?.reveal?.answered || 0);
+        countEl.textContent = `${answered} answered`;
+    },
+    
+    /**
+     * Render the projectable top 10
+     */
+    renderBoard() {
+        const board = document.getElementById('live-quiz-board');
+        const titleEl = document.getElementById('live-quiz-board-title');
+        if (!board) return;
+        
+        if (titleEl) {
+            titleEl.textContent = this.state?.title || this.quizzes.find(q => q.id === this.quizId)?.title || 'Live Quiz';
+        }
+        
+        if (!this.top10 || this.top10.length === 0) {
+            board.innerHTML = '<p class="text-center text-white/60 py-12 text-xl">Scores appear after the first reveal</p>';
+            return;
+        }
+        
+        const medals = ['text-amber-400', 'text-slate-300', 'text-orange-400'];
+        board.innerHTML = this.top10.map(entry => `
+            <div class="flex items-center gap-4 px-6 py-3 bg-white/5 rounded-xl">
+                <span class="w-10 text-3xl font-black ${medals[entry.rank - 1] || 'text-white/60'}">${entry.rank}</span>
+                <span class="flex-1 min-w-0">
+                    <span class="block text-2xl font-bold truncate">${this.escapeHtml(entry.name)}</span>
+                    ${entry.district ? `<span class="block text-sm text-white/60 truncate">${this.escapeHtml(entry.district)}</span>` : ''}
+                </span>
+                <span class="text-3xl font-black text-rota-pink">${entry.score}</span>
+            </div>
+        `).join('');
+    },
+    
+    /**
+     * Show the top 10 full screen for the hall projector
+     */
+    project() {
+        const panel = document.getElementById('live-quiz-board-panel');
+        if (!panel?.requestFullscreen) {
+            Toast.error('Full screen is not supported in this browser');
+            return;
+        }
+        panel.requestFullscreen().catch((error) => {
+            console.error('Error entering full screen:', error);
+            Toast.error('Could not enter full screen');
+        });
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
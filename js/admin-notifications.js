@@ -1,8 +1,28 @@
 // Admin Notifications Manager
-// Handles sending custom push notifications to users
+// Sends, schedules and tracks custom push notification campaigns
+// Audiences are all active users, a segment (district, designation, activity, rank band) or listed user IDs
 
 const AdminNotifications = {
     previewData: null,
+    templates: [],
+    campaignId: null,
+    pendingCampaignId: null,
+    campaign: null,
+    campaignUnsubscribe: null,
+    
+    ACTIVITY_LABELS: {
+        has_pending: 'Has pending tasks',
+        no_pending: 'No pending tasks',
+        not_opened_today: "Hasn't opened the app today"
+    },
+    
+    STATUS_STYLES: {
+        scheduled: 'bg-blue-100 text-blue-700',
+        sending: 'bg-amber-100 text-amber-700',
+        sent: 'bg-green-100 text-green-700',
+        failed: 'bg-red-100 text-red-700',
+        cancelled: 'bg-slate-100 text-slate-500'
+    },
     
     /**
      * Initialize notifications view
@@ -25,47 +45,210 @@ const AdminNotifications = {
         }
     },
     
+    /**
+     * Load templates and segment options for the form
+     */
+    async load() {
+        await Promise.all([
+            this.loadTemplates(),
+            this.loadSegmentOptions(),
+            this.loadBroadcasts()
+        ]);
+    },
+    
     /**
      * Handle target audience change
      */
     handleTargetChange() {
         const target = document.getElementById('notification-target').value;
         const specificContainer = document.getElementById('specific-users-container');
+        const segmentContainer = document.getElementById('notification-segment-container');
         
         if (target === 'specific') {
             specificContainer.classList.remove('hidden');
         } else {
             specificContainer.classList.add('hidden');
         }
+        if (segmentContainer) {
+            segmentContainer.classList.toggle('hidden', target !== 'segment');
+        }
     },
     
     /**
-     * Preview notification before sending
+     * Show the date picker when scheduling for later
      */
-    previewNotification() {
+    handleScheduleChange() {
+        const later = document.getElementById('notification-schedule')?.value === 'later';
+        const input = document.getElementById('notification-scheduled-at');
+        const label = document.getElementById('send-notification-label');
+        
+        if (input) input.classList.toggle('hidden', !later);
+        if (label) label.textContent = later ? 'Schedule Notification' : 'Send Notification';
+    },
+    
+    /**
+     * Fill the district and designation pickers from the attendee directory
+     */
+    async loadSegmentOptions() {
+        try {
+            let result = await DB.readFromCache('attendeeCache/directory');
+            if (!result?.data || Object.keys(result.data).length === 0) {
+                result = await DB.readFromCache('cache/users/directory');
+            }
+            const entries = Object.values(result?.data || {});
+            
+            const fill = (id, key) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const selected = new Set(Array.from(select.selectedOptions).map(option => option.value));
+                const values = [...new Set(entries.map(entry => entry?.[key]).filter(Boolean))].sort();
+                select.innerHTML = values.map(value => `
+                    <option value="${this.escapeHtml(value)}" ${selected.has(value) ? 'selected' : ''}>${this.escapeHtml(value)}</option>
+                `).join('');
+            };
+            fill('notification-segment-districts', 'district');
+            fill('notification-segment-designations', 'designation');
+        } catch (error) {
+            console.error('Error loading segment options:', error);
+        }
+    },
+    
+    /**
+     * Read the segment builder
+     * @returns {Object} { districts, designations, activity, rankFrom, rankTo }
+     */
+    getSegment() {
+        const selected = (id) => Array.from(document.getElementById(id)?.selectedOptions || []).map(option => option.value);
+        const rank = (id) => {
+            const value = parseInt(document.getElementById(id)?.value, 10);
+            return value > 0 ? value : null;
+        };
+        
+        return {
+            districts: selected('notification-segment-districts'),
+            designations: selected('notification-segment-designations'),
+            activity: document.getElementById('notification-segment-activity')?.value || null,
+            rankFrom: rank('notification-segment-rank-from'),
+            rankTo: rank('notification-segment-rank-to')
+        };
+    },
+    
+    /**
+     * Reset the segment builder
+     */
+    resetSegment() {
+        ['notification-segment-districts', 'notification-segment-designations'].forEach(id => {
+            Array.from(document.getElementById(id)?.options || []).forEach(option => {
+                option.selected = false;
+            });
+        });
+        ['notification-segment-activity', 'notification-segment-rank-from', 'notification-segment-rank-to'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        const countEl = document.getElementById('notification-audience-count');
+        if (countEl) countEl.textContent = '';
+    },
+    
+    /**
+     * Count how many attendees the current audience reaches right now
+     */
+    async previewAudience() {
+        const countEl = document.getElementById('notification-audience-count');
+        const audience = this.getAudience();
+        if (!audience) return;
+        
+        try {
+            if (countEl) countEl.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Counting...';
+            const result = await DB.sendCustomNotification({ ...audience, preview: true });
+            if (countEl) {
+                countEl.textContent = `${result.recipients} attendee${result.recipients === 1 ? '' : 's'} would receive this now`;
+            }
+        } catch (error) {
+            console.error('Error counting audience:', error);
+            if (countEl) countEl.textContent = '';
+            Toast.error(`Failed to count audience: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Read the chosen audience from the form
+     * @returns {Object|null} { targetUsers?, segment? }, or null when invalid
+     */
+    getAudience() {
+        const target = document.getElementById('notification-target').value;
+        
+        if (target === 'specific') {
+            const userIds = this.getUserIds();
+            return userIds ? { targetUsers: userIds } : {};
+        }
+        if (target === 'segment') {
+            const segment = this.getSegment();
+            if (segment.rankFrom && segment.rankTo && segment.rankFrom > segment.rankTo) {
+                Toast.error('Rank band must run from a higher rank to a lower one (e.g. 1 to 50)');
+                return null;
+            }
+            return { segment: segment };
+        }
+        return {};
+    },
+    
+    /**
+     * Read and validate the whole campaign from the form
+     * @returns {Object|null} Request for sendCustomEngagementNotifications, or null when invalid
+     */
+    getCampaign() {
         const title = document.getElementById('notification-title').value.trim();
         const message = document.getElementById('notification-message').value.trim();
         
         if (!title) {
             Toast.error('Please enter a notification title');
-            return;
+            return null;
         }
         
         if (!message) {
             Toast.error('Please enter a notification message');
-            return;
+            return null;
         }
         
-        this.previewData = {
+        const audience = this.getAudience();
+        if (!audience) return null;
+        
+        let scheduledAt = null;
+        if (document.getElementById('notification-schedule')?.value === 'later') {
+            const value = document.getElementById('notification-scheduled-at')?.value;
+            scheduledAt = value ? new Date(value).getTime() : NaN;
+            if (!scheduledAt || scheduledAt <= Date.now()) {
+                Toast.error('Please choose a time in the future');
+                return null;
+            }
+        }
+        
+        return {
             title: title,
             message: message,
-            target: document.getElementById('notification-target').value,
-            userIds: this.getUserIds()
+            notificationType: 'engagement_custom',
+            templateId: document.getElementById('notification-template')?.value || null,
+            scheduledAt: scheduledAt,
+            ...audience
         };
+    },
+    
+    /**
+     * Preview notification before sending
+     */
+    previewNotification() {
+        const campaign = this.getCampaign();
+        if (!campaign) return;
+        
+        this.previewData = campaign;
         
         // Show preview
-        document.getElementById('preview-title').textContent = title;
-        document.getElementById('preview-message').textContent = message;
+        document.getElementById('preview-title').textContent = campaign.title;
+        document.getElementById('preview-message').textContent = campaign.message;
+        document.getElementById('preview-audience').textContent = `${this.describeAudience(campaign)} · ` +
+            (campaign.scheduledAt ? `Scheduled for ${new Date(campaign.scheduledAt).toLocaleString()}` : 'Sent now');
+        document.getElementById('preview-send-btn').textContent = campaign.scheduledAt ? 'Schedule' : 'Send Now';
         document.getElementById('notification-preview-modal').classList.remove('hidden');
     },
     
@@ -82,8 +265,9 @@ const AdminNotifications = {
      */
     sendFromPreview() {
         if (this.previewData) {
+            const campaign = this.previewData;
             this.closePreview();
-            this.sendNotificationInternal(this.previewData);
+            this.sendNotificationInternal(campaign);
         }
     },
     
@@ -113,89 +297,44 @@ const AdminNotifications = {
             event.preventDefault();
         }
         
-        const title = document.getElementById('notification-title').value.trim();
-        const message = document.getElementById('notification-message').value.trim();
-        const target = document.getElementById('notification-target').value;
-        
-        if (!title) {
-            Toast.error('Please enter a notification title');
-            return;
-        }
-        
-        if (!message) {
-            Toast.error('Please enter a notification message');
-            return;
-        }
+        const campaign = this.getCampaign();
+        if (!campaign) return;
         
-        const data = {
-            title: title,
-            message: message,
-            target: target,
-            userIds: target === 'specific' ? this.getUserIds() : null
-        };
-        
-        await this.sendNotificationInternal(data);
+        await this.sendNotificationInternal(campaign);
     },
     
     /**
-     * Internal function to send notification
+     * Internal function to send or schedule a campaign
+     * @param {Object} campaign - From getCampaign()
      */
-    async sendNotificationInternal(data) {
+    async sendNotificationInternal(campaign) {
         const sendButton = document.getElementById('send-notification-btn');
         const originalText = sendButton.innerHTML;
         
         // Disable button and show loading
         sendButton.disabled = true;
-        sendButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+        sendButton.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${campaign.scheduledAt ? 'Scheduling...' : 'Sending...'}`;
         
         try {
-            // Get current user's auth token
-            const currentUser = firebase.auth().currentUser;
-            if (!currentUser) {
-                throw new Error('Not authenticated');
-            }
-            
-            const idToken = await currentUser.getIdToken();
-            
-            // Prepare request body
-            const requestBody = {
-                title: data.title,
-                message: data.message,
-                notificationType: 'engagement_custom'
-            };
-            
-            // Add target users if specified
-            if (data.target === 'specific' && data.userIds && data.userIds.length > 0) {
-                requestBody.targetUsers = data.userIds;
-            }
-            
-            // Call Cloud Function
-            const functionUrl = `https://us-central1-rzi2026chennai.cloudfunctions.net/sendCustomEngagementNotifications`;
-            
-            const response = await fetch(functionUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${idToken}`
-                },
-                body: JSON.stringify(requestBody)
-            });
-            
-            const result = await response.json();
-            
-            if (!response.ok) {
-                throw new Error(result.error || 'Failed to send notifications');
-            }
+            // Call Cloud Function (checks the admin role and rate limit, and records the campaign)
+            const result = await DB.sendCustomNotification(campaign);
             
             // Success
-            Toast.success(`Notification sent successfully to ${result.sent || 0} users!`);
+            if (result.scheduled) {
+                Toast.success(`Notification scheduled for ${new Date(campaign.scheduledAt).toLocaleString()}`);
+            } else {
+                Toast.success(`Notification sent to ${result.sent || 0} of ${result.recipients || 0} users${result.held ? `, ${result.held} held for later` : ''}${result.failed ? ` (${result.failed} failed)` : ''}`);
+            }
             
             // Reset form
             document.getElementById('notification-form').reset();
             document.getElementById('notification-char-count').textContent = '0/200';
-            document.getElementById('specific-users-container').classList.add('hidden');
             document.getElementById('notification-target').value = 'all';
-            
+            this.resetSegment();
+            this.handleTargetChange();
+            this.handleScheduleChange();
+            this.updateTemplateActions();
+        
         } catch (error) {
             console.error('Error sending notification:', error);
             Toast.error(`Failed to send notification: ${error.message}`);
@@ -203,7 +342,346 @@ const AdminNotifications = {
             // Re-enable button
             sendButton.disabled = false;
             sendButton.innerHTML = originalText;
+            this.handleScheduleChange();
+            this.loadBroadcasts();
         }
+    },
+    
+    /**
+     * Load saved message templates into the picker
+     */
+    async loadTemplates() {
+        const select = document.getElementById('notification-template');
+        if (!select) return;
+        
+        try {
+            const snapshot = await DB.db.collection('notificationTemplates').orderBy('name').get();
+            this.templates = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            
+            const current = select.value;
+            select.innerHTML = '<option value="">No template</option>' + this.templates.map(template => `
+                <option value="${template.id}">${this.escapeHtml(template.name)}</option>
+            `).join('');
+            select.value = this.templates.some(template => template.id === current) ? current : '';
+            this.updateTemplateActions();
+        } catch (error) {
+            console.error('Error loading notification templates:', error);
+        }
+    },
+    
+    /**
+     * Fill the title and message from the chosen template
+     */
+    applyTemplate() {
+        const templateId = document.getElementById('notification-template').value;
+        const template = this.templates.find(t => t.id === templateId);
+        this.updateTemplateActions();
+        if (!template) return;
+        
+        document.getElementById('notification-title').value = template.title || '';
+        const messageTextarea = document.getElementById('notification-message');
+        messageTextarea.value = template.message || '';
+        messageTextarea.dispatchEvent(new Event('input'));
+    },
+    
+    /**
+     * Show the delete button only when a template is chosen
+     */
+    updateTemplateActions() {
+        const templateId = document.getElementById('notification-template')?.value;
+        document.getElementById('notification-template-delete')?.classList.toggle('hidden', !templateId);
+    },
+    
+    /**
+     * Save the current title and message as a template (updates the chosen template if the name matches)
+     */
+    async saveTemplate() {
+        const title = document.getElementById('notification-title').value.trim();
+        const message = document.getElementById('notification-message').value.trim();
+        if (!title || !message) {
+            Toast.error('Enter a title and message to save as a template');
+            return;
+        }
+        
+        const selected = this.templates.find(t => t.id === document.getElementById('notification-template').value);
+        const name = prompt('Template name', selected?.name || title);
+        if (name === null) return;
+        if (!name.trim()) {
+            Toast.error('Template name is required');
+            return;
+        }
+        
+        try {
+            const existing = this.templates.find(t => t.name === name.trim());
+            const data = {
+                name: name.trim(),
+                title: title,
+                message: message,
+                updatedBy: AdminAuth.currentAdmin?.uid || null,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            };
+            let templateId;
+            if (existing) {
+                await DB.db.collection('notificationTemplates').doc(existing.id).update(data);
+                templateId = existing.id;
+            } else {
+                const ref = await DB.db.collection('notificationTemplates').add({
+                    ...data,
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+                templateId = ref.id;
+            }
+            
+            await this.loadTemplates();
+            document.getElementById('notification-template').value = templateId;
+            this.updateTemplateActions();
+            Toast.success(existing ? 'Template updated' : 'Template saved');
+        } catch (error) {
+            console.error('Error saving notification template:', error);
+            Toast.error(`Failed to save template: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Delete the chosen template
+     */
+    async deleteTemplate() {
+        const template = this.templates.find(t => t.id === document.getElementById('notification-template').value);
+        if (!template) return;
+        if (!confirm(`Delete the template "${template.name}"?`)) return;
+        
+        try {
+            await DB.db.collection('notificationTemplates').doc(template.id).delete();
+            document.getElementById('notification-template').value = '';
+            await this.loadTemplates();
+            Toast.success('Template deleted');
+        } catch (error) {
+            console.error('Error deleting notification template:', error);
+            Toast.error(`Failed to delete template: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Describe a campaign's audience in one line
+     * @param {Object} campaign - Campaign record or request
+     * @returns {string}
+     */
+    describeAudience(campaign) {
+        if (campaign.targetUsers?.length) {
+            return `${campaign.targetUsers.length} listed users`;
+        }
+        const segment = campaign.segment;
+        if (!segment) return 'All active users';
+        
+        const parts = [];
+        if (segment.districts?.length) parts.push(segment.districts.join(', '));
+        if (segment.designations?.length) parts.push(segment.designations.join(', '));
+        if (segment.activity) parts.push(this.ACTIVITY_LABELS[segment.activity] || segment.activity);
+        if (segment.rankFrom || segment.rankTo) {
+            parts.push(`Rank ${segment.rankFrom || 1}–${segment.rankTo || 'last'}`);
+        }
+        return parts.length > 0 ? parts.join(' · ') : 'All active users';
+    },
+    
+    /**
+     * Load the most recent campaigns with who sent them and how many were delivered
+     */
+    async loadBroadcasts() {
+        const listEl = document.getElementById('notification-broadcasts');
+        if (!listEl) return;
+        
+        try {
+            const snapshot = await DB.db.collection('notificationBroadcasts')
+                .orderBy('createdAt', 'desc')
+                .limit(20)
+                .get();
+            const broadcasts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            
+            if (broadcasts.length === 0) {
+                listEl.innerHTML = '<p class="text-center text-slate-500 text-sm py-4">No notifications sent yet</p>';
+                return;
+            }
+            
+            listEl.innerHTML = broadcasts.map(broadcast => `
+                <button onclick="AdminNotifications.openCampaign('${broadcast.id}')" class="w-full text-left py-3 flex justify-between items-start gap-4 hover:bg-slate-50 transition-colors">
+                    <div class="min-w-0">
+                        <p class="font-medium text-slate-800 truncate">${this.escapeHtml(broadcast.title)}</p>
+                        <p class="text-xs text-slate-500">
+                            ${this.escapeHtml(broadcast.actorName || broadcast.actorEmail || 'Unknown admin')} ·
+                            ${this.escapeHtml(this.describeAudience(broadcast))} ·
+                            ${broadcast.status === 'scheduled' ? `for ${Utils.formatDate(broadcast.scheduledAt)}` : Utils.formatDate(broadcast.createdAt)}
+                        </p>
+                    </div>
+                    <div class="text-right shrink-0">
+                        <span class="px-2 py-0.5 rounded-full text-xs font-bold ${this.STATUS_STYLES[broadcast.status] || 'bg-slate-100 text-slate-700'}">${this.escapeHtml(broadcast.status || '')}</span>
+                        ${broadcast.status === 'sent' || broadcast.status === 'sending' ? `
+                            <p class="text-xs text-slate-500 mt-1">${broadcast.sent || 0} sent${broadcast.failed ? `, ${broadcast.failed} failed` : ''}${broadcast.held ? `, ${broadcast.held} held` : ''}${broadcast.skipped ? `, ${broadcast.skipped} skipped` : ''}</p>
+                        ` : ''}
+                    </div>
+                </button>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading notification broadcasts:', error);
+            listEl.innerHTML = '<p class="text-center text-slate-500 text-sm py-4">Failed to load recent notifications</p>';
+        }
+    },
+    
+    /**
+     * Open the status page for a campaign
+     * @param {string} broadcastId - notificationBroadcasts document ID
+     */
+    openCampaign(broadcastId) {
+        this.pendingCampaignId = broadcastId;
+        AdminUI.switchView('notification-campaign');
+    },
+    
+    /**
+     * Listen to the open campaign so counts update while it is sending
+     */
+    loadCampaign() {
+        if (this.pendingCampaignId) {
+            this.campaignId = this.pendingCampaignId;
+            this.pendingCampaignId = null;
+        }
+        
+        const content = document.getElementById('notification-campaign-content');
+        if (!this.campaignId) {
+            if (content) {
+                content.innerHTML = '<p class="text-center text-slate-500 py-8">Open a campaign from the Notifications list</p>';
+            }
+            return;
+        }
+        
+        this.cleanupCampaign();
+        if (content) {
+            content.innerHTML = '<p class="text-center text-slate-500 py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Loading campaign...</p>';
+        }
+        this.campaignUnsubscribe = DB.db.collection('notificationBroadcasts').doc(this.campaignId).onSnapshot(
+            (doc) => {
+                if (!doc.exists) {
+                    if (content) content.innerHTML = '<p class="text-center text-slate-500 py-8">Campaign not found</p>';
+                    return;
+                }
+                this.campaign = { id: doc.id, ...doc.data() };
+                this.renderCampaign();
+            },
+            (error) => {
+                console.error('Error loading notification campaign:', error);
+                if (content) content.innerHTML = '<p class="text-center text-slate-500 py-8">Failed to load campaign</p>';
+            }
+        );
+    },
+    
+    /**
+     * Stop listening when leaving the status page
+     */
+    cleanupCampaign() {
+        if (this.campaignUnsubscribe) {
+            this.campaignUnsubscribe();
+            this.campaignUnsubscribe = null;
+        }
+        this.campaign = null;
+    },
+    
+    /**
+     * Render the campaign's status, delivery counts and details
+     */
+    renderCampaign() {
+        const campaign = this.campaign;
+        const content = document.getElementById('notification-campaign-content');
+        if (!campaign || !content) return;
+        
+        const titleEl = document.getElementById('notification-campaign-title');
+        const subtitleEl = document.getElementById('notification-campaign-subtitle');
+        if (titleEl) titleEl.textContent = campaign.title || 'Campaign';
+        if (subtitleEl) {
+            subtitleEl.innerHTML = `
+                <span class="px-2 py-0.5 rounded-full text-xs font-bold ${this.STATUS_STYLES[campaign.status] || 'bg-slate-100 text-slate-700'}">${this.escapeHtml(campaign.status || '')}</span>
+                ${this.escapeHtml(campaign.actorName || campaign.actorEmail || 'Unknown admin')}
+            `;
+        }
+        document.getElementById('notification-campaign-cancel')?.classList.toggle('hidden', campaign.status !== 'scheduled');
+        
+        const recipients = campaign.recipients || 0;
+        const processed = ['sent', 'failed', 'skipped', 'held', 'deduped', 'capped']
+            .reduce((sum, key) => sum + (campaign[key] || 0), 0);
+        const progress = recipients > 0 ? Math.round((processed / recipients) * 100) : 0;
+        const stat = (label, value, color) => `
+            <div class="bg-slate-50 rounded-lg p-4 text-center">
+                <p class="text-2xl font-bold ${color}">${value}</p>
+                <p class="text-xs text-slate-500">${label}</p>
+            </div>
+        `;
+        const detail = (label, value) => value ? `
+            <div class="flex flex-col sm:flex-row sm:gap-4 py-2">
+                <dt class="w-32 shrink-0 text-sm text-slate-500">${label}</dt>
+                <dd class="text-sm text-slate-800">${value}</dd>
+            </div>
+        ` : '';
+        const hasCounts = campaign.status !== 'scheduled' && campaign.status !== 'cancelled';
+        
+        content.innerHTML = `
+            ${hasCounts ? `
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                    ${stat('Recipients', recipients, 'text-slate-800')}
+                    ${stat('Delivered', campaign.sent || 0, 'text-green-600')}
+                    ${stat('Held', campaign.held || 0, 'text-amber-600')}
+                    ${stat('Failed', campaign.failed || 0, 'text-red-600')}
+                    ${stat('Skipped', campaign.skipped || 0, 'text-slate-500')}
+                    ${stat('Duplicates', campaign.deduped || 0, 'text-slate-500')}
+                    ${stat('Over Daily Cap', campaign.capped || 0, 'text-slate-500')}
+                </div>
+                ${campaign.status === 'sending' ? `
+                    <div class="w-full bg-slate-100 rounded-full h-2 mb-4">
+                        <div class="bg-rota-pink h-2 rounded-full transition-all" style="width: ${progress}%"></div>
+                    </div>
+                ` : ''}
+                <p class="text-xs text-slate-500 mb-6">
+                    Delivered means FCM accepted the push. Held pushes are waiting for the attendee's quiet hours to end or for their digest, and are delivered later.
+                    Skipped attendees have no device token or have turned engagement notifications off. Duplicates and pushes over the daily cap are dropped.
+                </p>
+            ` : ''}
+            <div class="bg-slate-50 rounded-lg p-4 mb-6">
+                <p class="font-semibold text-slate-800 mb-1">${this.escapeHtml(campaign.title)}</p>
+                <p class="text-sm text-slate-600">${this.escapeHtml(campaign.message)}</p>
+            </div>
+            <dl class="divide-y divide-slate-100">
+                ${detail('Audience', this.escapeHtml(this.describeAudience(campaign)))}
+                ${detail('Scheduled for', campaign.scheduledAt ? this.escapeHtml(Utils.formatDate(campaign.scheduledAt)) : '')}
+                ${detail('Created', this.escapeHtml(Utils.formatDate(campaign.createdAt)))}
+                ${detail('Started', campaign.startedAt ? this.escapeHtml(Utils.formatDate(campaign.startedAt)) : '')}
+                ${detail(campaign.status === 'cancelled' ? 'Cancelled' : 'Finished', campaign.completedAt ? this.escapeHtml(Utils.formatDate(campaign.completedAt)) : '')}
+                ${detail('Error', campaign.error ? `<span class="text-red-600">${this.escapeHtml(campaign.error)}</span>` : '')}
+            </dl>
+        `;
+    },
+    
+    /**
+     * Cancel the open campaign before it is sent
+     */
+    async cancelCampaign() {
+        if (!this.campaign || this.campaign.status !== 'scheduled') return;
+        if (!confirm(`Cancel the scheduled notification "${this.campaign.title}"?`)) return;
+        
+        try {
+            await DB.cancelNotificationCampaign(this.campaign.id);
+            Toast.success('Scheduled notification cancelled');
+        } catch (error) {
+            console.error('Error cancelling notification campaign:', error);
+            Toast.error(`Failed to cancel: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 };
 
@@ -0,0 +1,238 @@
+// Admin Question Banks Module
+// Tagged question pools that quizzes draw a seeded per-attendee selection from (see getQuizDraw)
+
+const AdminQuestionBanks = {
+    banks: [],
+    loading: false,
+    loaded: false,
+    
+    DIFFICULTIES: ['easy', 'medium', 'hard'],
+    
+    /**
+     * Load banks and render the list
+     */
+    async load() {
+        if (this.loading) return;
+        
+        try {
+            this.loading = true;
+            AdminUI.showSkeleton('question-banks-list', 'card');
+            await this.fetchBanks();
+            this.render();
+        } catch (error) {
+            console.error('Error loading question banks:', error);
+            Toast.error('Failed to load question banks');
+            this.banks = [];
+            this.render();
+        } finally {
+            this.loading = false;
+        }
+    },
+    
+    /**
+     * Fetch banks from Firestore (questions include their correct answers; admin-only collection)
+     * @returns {Promise<Array<Object>>} Banks
+     */
+    async fetchBanks() {
+        const snapshot = await DB.db.collection('questionBanks').get();
+        this.banks = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        this.loaded = true;
+        return this.banks;
+    },
+    
+    /**
+     * Get banks, fetching them once if this view has not been opened yet
+     * @returns {Promise<Array<Object>>} Banks
+     */
+    async getBanks() {
+        if (!this.loaded) {
+            await this.fetchBanks();
+        }
+        return this.banks;
+    },
+    
+    /**
+     * Cleanup when leaving the view
+     */
+    cleanup() {
+        // Banks stay cached for the quiz creator's bank picker
+    },
+    
+    /**
+     * Count the questions a draw could pick from
+     * @param {Object} bank - Question bank
+     * @param {Array<string>} tags - Only questions with one of these tags (empty = any)
+     * @returns {{total: number, easy: number, medium: number, hard: number}}
+     */
+    countEligible(bank, tags = []) {
+        const counts = { total: 0, easy: 0, medium: 0, hard: 0 };
+        (bank?.questions || []).forEach(q => {
+            if (tags.length > 0 && !(q.tags || []).some(tag => tags.includes(tag))) return;
+            counts.total++;
+            counts[q.difficulty || 'medium']++;
+        });
+        return counts;
+    },
+    
+    /**
+     * Render banks list
+     */
+    render() {
+        const list = document.getElementById('question-banks-list');
+        if (!list) return;
+        
+        if (this.banks.length === 0) {
+            list.innerHTML = '<p class="text-center text-slate-500 py-8 md:col-span-2">No question banks yet</p>';
+            return;
+        }
+        
+        const sorted = [...this.banks].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        list.innerHTML = sorted.map(bank => {
+            const counts = this.countEligible(bank);
+            const tags = bank.tags || [];
+            return `
+                <div class="border border-slate-200 rounded-xl p-5 hover:shadow-md transition-all duration-300">
+                    <h4 class="font-bold text-lg text-slate-800 mb-1">${this.escapeHtml(bank.name)}</h4>
+                    <p class="text-sm text-slate-500 mb-3">${this.escapeHtml(bank.description || 'No description')}</p>
+                    <div class="flex flex-wrap gap-3 text-sm text-slate-600 mb-3">
+                        <span><i class="fas fa-question-circle"></i> ${counts.total} Questions</span>
+                        <span class="text-green-700">${counts.easy} easy</span>
+                        <span class="text-amber-700">${counts.medium} medium</span>
+                        <span class="text-red-700">${counts.hard} hard</span>
+                    </div>
+                    ${tags.length > 0 ? `
+                        <div class="flex flex-wrap gap-1 mb-4">
+                            ${tags.map(tag => `<span class="px-2 py-0.5 bg-slate-100 text-slate-600 rounded text-xs">${this.escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                    <div class="flex gap-2">
+                        <button onclick="AdminQuestionBanks.showEditor('${bank.id}')" class="flex-1 px-4 py-2 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 transition-colors">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                        <button onclick="AdminQuestionBanks.deleteBank('${bank.id}')" class="px-4 py-2 bg-red-100 text-red-600 rounded-lg hover:bg-red-200 transition-colors">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Open the bank editor
+     * @param {string|null} bankId - Bank to edit, or null for a new bank
+     */
+    showEditor(bankId = null) {
+        const bank = bankId ? this.banks.find(b => b.id === bankId) : null;
+        if (bankId && !bank) {
+            Toast.error('Question bank not found');
+            return;
+        }
+        
+        document.getElementById('question-bank-editor-title').textContent = bank ? 'Edit Question Bank' : 'New Question Bank';
+        document.getElementById('question-bank-id').value = bank?.id || '';
+        document.getElementById('question-bank-name').value = bank?.name || '';
+        document.getElementById('question-bank-description').value = bank?.description || '';
+        
+        const container = document.getElementById('question-bank-questions');
+        container.innerHTML = '';
+        (bank?.questions || []).forEach(q => {
+            AdminQuizzes.addQuestion(q, { containerId: 'question-bank-questions', bank: true });
+        });
+        
+        AdminUI.switchView('question-bank-editor');
+    },
+    
+    /**
+     * Save the bank from the editor
+     * @param {Event} event - Form submit event
+     */
+    async save(event) {
+        event.preventDefault();
+        
+        const bankId = document.getElementById('question-bank-id').value;
+        const name = document.getElementById('question-bank-name').value.trim();
+        const description = document.getElementById('question-bank-description').value.trim();
+        const container = document.getElementById('question-bank-questions');
+        const saveBtn = document.getElementById('question-bank-save-btn');
+        
+        if (!name) {
+            Toast.error('Bank name is required');
+            return;
+        }
+        if (container.children.length === 0) {
+            Toast.error('Please add at least one question');
+            return;
+        }
+        
+        const questions = AdminQuizzes.collectQuestions(container, { bank: true });
+        if (!questions) return;
+        
+        const data = {
+            name,
+            description,
+            questions,
+            tags: [...new Set(questions.flatMap(q => q.tags || []))].sort(),
+            questionCount: questions.length,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+        
+        if (saveBtn) saveBtn.disabled = true;
+        try {
+            if (bankId) {
+                await DB.db.collection('questionBanks').doc(bankId).update(data);
+            } else {
+                data.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+                data.createdBy = AdminAuth.currentAdmin?.uid || null;
+                await DB.db.collection('questionBanks').add(data);
+            }
+            Toast.success(bankId ? 'Question bank updated' : 'Question bank created');
+            this.loaded = false;
+            AdminUI.switchView('question-banks');
+        } catch (error) {
+            console.error('Error saving question bank:', error);
+            Toast.error('Failed to save question bank: ' + error.message);
+        } finally {
+            if (saveBtn) saveBtn.disabled = false;
+        }
+    },
+    
+    /**
+     * Delete a bank that no quiz draws from
+     * @param {string} bankId - Bank ID
+     */
+    async deleteBank(bankId) {
+        const bank = this.banks.find(b => b.id === bankId);
+        if (!bank) return;
+        
+        try {
+            const usedBy = await DB.db.collection('quizzes').where('bankDraw.bankId', '==', bankId).limit(1).get();
+            if (!usedBy.empty) {
+                Toast.error(`"${usedBy.docs[0].data().title}" draws from this bank. Change that quiz first.`);
+                return;
+            }
+            
+            if (!confirm(`Delete question bank "${bank.name}"?`)) return;
+            
+            await DB.db.collection('questionBanks').doc(bankId).delete();
+            this.banks = this.banks.filter(b => b.id !== bankId);
+            Toast.success('Question bank deleted');
+            this.render();
+        } catch (error) {
+            console.error('Error deleting question bank:', error);
+            Toast.error('Failed to delete question bank: ' + error.message);
+        }
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,475 @@
+// Admin Quiz Analytics Module
+// Item analysis for one quiz: percent correct, option spread, discrimination, timing and score histogram
+// Computed in the browser from quizSubmissions; a cache listener flags new submissions while the event runs
+
+const AdminQuizAnalytics = {
+    quizId: null,
+    pendingQuizId: null,
+    quiz: null,
+    submissions: [],
+    loadedCount: 0,
+    liveCount: 0,
+    listener: null,
+    loading: false,
+    
+    // Top/bottom share of attendees compared by the discrimination index
+    GROUP_SHARE: 0.27,
+    // Fewer attendees than this makes the discrimination index noise
+    MIN_FOR_DISCRIMINATION: 10,
+    HISTOGRAM_BINS: 10,
+    
+    TYPE_LABELS: {
+        'multiple-choice': 'Multiple choice',
+        'true-false': 'True/false',
+        'multi-select': 'Multi-select',
+        'ordering': 'Ordering',
+        'numeric': 'Numeric',
+        'image-choice': 'Image choice',
+        'text': 'Text'
+    },
+    
+    /**
+     * Open the analytics view for a quiz (from its quiz card)
+     * @param {string} quizId - Quiz ID
+     */
+    open(quizId) {
+        this.pendingQuizId = quizId;
+        AdminUI.switchView('quiz-analytics');
+    },
+    
+    /**
+     * Load the quiz and its submissions, then render the analysis
+     */
+    async load() {
+        if (this.pendingQuizId) {
+            this.detach();
+            this.quizId = this.pendingQuizId;
+            this.pendingQuizId = null;
+        }
+        
+        const content = document.getElementById('quiz-analytics-content');
+        if (!this.quizId) {
+            if (content) {
+                content.innerHTML = '<p class="text-center text-slate-500 py-8">Open a quiz\'s analytics from the Quizzes list</p>';
+            }
+            return;
+        }
+        if (this.loading) return;
+        
+        try {
+            this.loading = true;
+            if (content) {
+                content.innerHTML = '<p class="text-center text-slate-500 py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Analysing submissions...</p>';
+            }
+            
+            const [quiz, snapshot] = await Promise.all([
+                DB.getQuizWithAnswerKey(this.quizId),
+                DB.db.collection('quizSubmissions').where('quizId', '==', this.quizId).get()
+            ]);
+            if (!quiz) {
+                Toast.error('Quiz not found');
+                return;
+            }
+            
+            this.submissions = await DB.withQuizGrading(this.quizId, snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            this.loadedCount = this.submissions.length;
+            this.liveCount = this.loadedCount;
+            
+            // Bank quizzes: answers reference bank question IDs and bank option order
+            if (quiz.questionSource === 'bank') {
+                quiz.questions = await AdminQuizzes.getDrawnBankQuestions(quiz, this.submissions);
+            }
+            this.quiz = quiz;
+            
+            const titleEl = document.getElementById('quiz-analytics-title');
+            if (titleEl) titleEl.textContent = `${quiz.title || 'Quiz'} - Analytics`;
+            
+            this.attach();
+            this.render();
+        } catch (error) {
+            console.error('Error loading quiz analytics:', error);
+            Toast.error('Failed to load quiz analytics: ' + error.message);
+            if (content) {
+                content.innerHTML = '<p class="text-center text-slate-500 py-8">Failed to load analytics</p>';
+            }
+        } finally {
+            this.loading = false;
+        }
+    },
+    
+    /**
+     * Watch the submissions index so admins see when new submissions arrive
+     */
+    attach() {
+        if (this.listener) return;
+        
+        const ref = DB.rtdb.ref(`cache/admin/submissions/byQuiz/${this.quizId}`);
+        const listener = (snapshot) => {
+            this.liveCount = snapshot.numChildren();
+            this.renderNewCount();
+        };
+        ref.on('value', listener, (error) => {
+            console.error('Error listening to quiz submissions index:', error);
+        });
+        this.listener = { ref, listener };
+    },
+    
+    /**
+     * Stop watching the submissions index
+     */
+    detach() {
+        if (this.listener) {
+            this.listener.ref.off('value', this.listener.listener);
+            this.listener = null;
+        }
+    },
+    
+    /**
+     * Cleanup when leaving the view
+     */
+    cleanup() {
+        this.detach();
+        this.submissions = [];
+        this.quiz = null;
+    },
+    
+    /**
+     * Submissions included in the analysis
+     * Expired attempts have no answers; 'first' keeps each attendee's first attempt, so retakes
+     * by attendees who have seen the questions before do not skew the item statistics
+     * @returns {Array<Object>} Submissions
+     */
+    getIncludedSubmissions() {
+        const attempts = document.getElementById('quiz-analytics-attempts')?.value || 'first';
+        const graded = this.submissions.filter(s => !s.expired);
+        if (attempts === 'all') return graded;
+        
+        const firstByUser = new Map();
+        graded.forEach(s => {
+            const existing = firstByUser.get(s.userId);
+            const attempt = s.attemptNumber || 1;
+            if (!existing || attempt < (existing.attemptNumber || 1) ||
+                (attempt === (existing.attemptNumber || 1) && Utils.timestampToMillis(s.submittedAt) < Utils.timestampToMillis(existing.submittedAt))) {
+                firstByUser.set(s.userId, s);
+            }
+        });
+        return [...firstByUser.values()];
+    },
+    
+    /**
+     * Share of a submission's available points that it scored
+     * @param {Object} submission - Quiz submission
+     * @returns {number} 0..1
+     */
+    getScoreShare(submission) {
+        const score = submission.totalScore ?? submission.score ?? 0;
+        return submission.totalPoints > 0 ? Math.min(1, Math.max(0, score / submission.totalPoints)) : 0;
+    },
+    
+    /**
+     * Analyse one question across the included submissions
+     * @param {Object} q - Question with correctAnswer
+     * @param {Array<Object>} submissions - Included submissions
+     * @param {Set<string>} topIds - Submission IDs in the top group (empty when too few attendees)
+     * @param {Set<string>} bottomIds - Submission IDs in the bottom group
+     * @returns {Object} Question statistics
+     */
+    analyseQuestion(q, submissions, topIds, bottomIds) {
+        // Bank quizzes: only attendees who drew this question saw it
+        const entries = submissions
+            .filter(s => !s.questionIds || s.questionIds.includes(q.id))
+            .map(s => ({ id: s.id, answer: (s.answers || []).find(a => a.questionId === q.id) }));
+        const isAnswered = a => a && a.answer !== undefined && a.answer !== null && a.answer !== '';
+        
+        const seen = entries.length;
+        const answered = entries.filter(e => isAnswered(e.answer)).length;
+        const correct = entries.filter(e => e.answer?.isCorrect).length;
+        const partial = entries.filter(e => !e.answer?.isCorrect && (e.answer?.pointsEarned || 0) > 0).length;
+        
+        const shareCorrect = ids => {
+            const group = entries.filter(e => ids.has(e.id));
+            return group.length > 0 ? group.filter(e => e.answer?.isCorrect).length / group.length : null;
+        };
+        const pTop = shareCorrect(topIds);
+        const pBottom = shareCorrect(bottomIds);
+        
+        const stats = {
+            question: q,
+            seen,
+            answered,
+            correct,
+            partial,
+            percentCorrect: seen > 0 ? correct / seen : null,
+            discrimination: pTop !== null && pBottom !== null ? pTop - pBottom : null,
+            options: null,
+            freeAnswers: null
+        };
+        
+        const hasOptions = Array.isArray(q.options) && q.options.length > 0 && q.type !== 'ordering';
+        if (hasOptions) {
+            const correctSet = new Set([].concat(q.correctAnswer ?? []));
+            const counts = q.options.map(() => 0);
+            entries.forEach(e => {
+                if (!isAnswered(e.answer)) return;
+                [].concat(e.answer.answer).forEach(index => {
+                    if (counts[index] !== undefined) counts[index]++;
+                });
+            });
+            stats.options = q.options.map((text, index) => ({
+                text,
+                count: counts[index],
+                isCorrect: correctSet.has(index)
+            }));
+        } else if (q.type === 'text' || q.type === 'numeric') {
+            const counts = new Map();
+            entries.forEach(e => {
+                if (!isAnswered(e.answer)) return;
+                const key = String(e.answer.answer).trim().toLowerCase();
+                const existing = counts.get(key) || { text: String(e.answer.answer).trim(), count: 0, isCorrect: !!e.answer.isCorrect };
+                existing.count++;
+                counts.set(key, existing);
+            });
+            stats.freeAnswers = [...counts.values()].sort((a, b) => b.count - a.count).slice(0, 5);
+        }
+        
+        stats.flags = this.getQuestionFlags(stats);
+        return stats;
+    },
+    
+    /**
+     * Warnings that point at ambiguous or broken questions
+     * @param {Object} stats - Question statistics from analyseQuestion
+     * @returns {Array<{level: string, text: string}>} level is 'error' or 'warning'
+     */
+    getQuestionFlags(stats) {
+        const flags = [];
+        if (stats.seen < 5) return flags;
+        
+        if (stats.discrimination !== null && stats.discrimination < 0) {
+            flags.push({ level: 'error', text: 'Top scorers get this wrong more often than bottom scorers - check the correct answer' });
+        } else if (stats.discrimination !== null && stats.discrimination < 0.2) {
+            flags.push({ level: 'warning', text: 'Low discrimination - this question barely separates strong and weak scorers' });
+        }
+        
+        if (stats.options && stats.percentCorrect !== null && stats.percentCorrect < 0.3) {
+            const mostChosen = stats.options.reduce((best, option) => (option.count > best.count ? option : best), stats.options[0]);
+            if (mostChosen && mostChosen.count > 0 && !mostChosen.isCorrect) {
+                flags.push({ level: 'error', text: `Most attendees chose "${mostChosen.text}", which is marked wrong - is the answer key right?` });
+            }
+        }
+        if (stats.percentCorrect !== null && stats.percentCorrect > 0.95) {
+            flags.push({ level: 'warning', text: 'Almost everyone gets this right' });
+        }
+        return flags;
+    },
+    
+    /**
+     * Timing summary from timeTaken (seconds); zero/missing values were not recorded
+     * @param {Array<Object>} submissions - Included submissions
+     * @returns {{count: number, average: number|null, median: number|null}}
+     */
+    getTimeStats(submissions) {
+        const times = submissions
+            .map(s => s.timeTaken)
+            .filter(t => Number.isFinite(t) && t > 0)
+            .sort((a, b) => a - b);
+        if (times.length === 0) return { count: 0, average: null, median: null };
+        
+        const middle = Math.floor(times.length / 2);
+        return {
+            count: times.length,
+            average: times.reduce((sum, t) => sum + t, 0) / times.length,
+            median: times.length % 2 ? times[middle] : (times[middle - 1] + times[middle]) / 2
+        };
+    },
+    
+    /**
+     * Count submissions per score band (0-10%, 10-20%, ... 90-100%)
+     * @param {Array<Object>} submissions - Included submissions
+     * @returns {Array<number>} Counts per band
+     */
+    getHistogram(submissions) {
+        const bins = new Array(this.HISTOGRAM_BINS).fill(0);
+        submissions.forEach(s => {
+            const bin = Math.min(this.HISTOGRAM_BINS - 1, Math.floor(this.getScoreShare(s) * this.HISTOGRAM_BINS));
+            bins[bin]++;
+        });
+        return bins;
+    },
+    
+    /**
+     * Render the summary, histogram and per-question analysis
+     */
+    render() {
+        const content = document.getElementById('quiz-analytics-content');
+        if (!content || !this.quiz) return;
+        this.renderNewCount();
+        
+        const submissions = this.getIncludedSubmissions();
+        if (submissions.length === 0) {
+            content.innerHTML = '<p class="text-center text-slate-500 py-8">No graded submissions yet</p>';
+            return;
+        }
+        
+        // Discrimination groups: the top and bottom 27% of attendees by score
+        const ranked = [...submissions].sort((a, b) => this.getScoreShare(b) - this.getScoreShare(a));
+        const groupSize = ranked.length >= this.MIN_FOR_DISCRIMINATION ? Math.max(1, Math.round(ranked.length * this.GROUP_SHARE)) : 0;
+        const topIds = new Set(ranked.slice(0, groupSize).map(s => s.id));
+        const bottomIds = new Set(groupSize ? ranked.slice(-groupSize).map(s => s.id) : []);
+        
+        const questionStats = (this.quiz.questions || []).map(q => this.analyseQuestion(q, submissions, topIds, bottomIds));
+        const averageShare = submissions.reduce((sum, s) => sum + this.getScoreShare(s), 0) / submissions.length;
+        const time = this.getTimeStats(submissions);
+        const flagged = questionStats.filter(stats => stats.flags.some(flag => flag.level === 'error')).length;
+        
+        content.innerHTML = `
+            <div class="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                ${this.renderStatCard('Attendees', submissions.length, `${this.submissions.length} submissions in total`)}
+                ${this.renderStatCard('Average score', `${Math.round(averageShare * 100)}%`, `of ${this.quiz.totalPoints || 0} points`)}
+                ${this.renderStatCard('Average time', time.average !== null ? this.formatDuration(time.average) : '—',
+                    time.median !== null ? `median ${this.formatDuration(time.median)} · ${time.count} timed` : 'No times recorded')}
+                ${this.renderStatCard('Flagged questions', flagged, flagged ? 'Check these first' : 'Nothing suspicious', flagged ? 'text-red-600' : 'text-slate-800')}
+            </div>
+            <div class="bg-white border border-slate-200 rounded-xl p-4 sm:p-6 mb-6">
+                <h4 class="font-bold text-slate-800 mb-4">Score distribution</h4>
+                ${this.renderHistogram(this.getHistogram(submissions))}
+            </div>
+            ${groupSize ? '' : `<p class="text-sm text-slate-500 mb-4"><i class="fas fa-info-circle"></i> The discrimination index needs at least ${this.MIN_FOR_DISCRIMINATION} attendees.</p>`}
+            <div class="space-y-4">
+                ${questionStats.map((stats, index) => this.renderQuestion(stats, index)).join('')}
+            </div>
+        `;
+    },
+    
+    /**
+     * Show how many submissions arrived since the analysis was loaded
+     */
+    renderNewCount() {
+        const el = document.getElementById('quiz-analytics-new');
+        if (!el) return;
+        
+        const newCount = this.liveCount - this.loadedCount;
+        el.classList.toggle('hidden', newCount <= 0);
+        el.textContent = `${newCount} new submission${newCount === 1 ? '' : 's'}`;
+    },
+    
+    /**
+     * Render one summary card
+     * @param {string} label - Card label
+     * @param {string|number} value - Main value
+     * @param {string} hint - Small print
+     * @param {string} valueClass - Value colour class
+     * @returns {string} HTML
+     */
+    renderStatCard(label, value, hint, valueClass = 'text-slate-800') {
+        return `
+            <div class="bg-white border border-slate-200 rounded-xl p-4">
+                <p class="text-xs font-bold uppercase tracking-wider text-slate-400">${label}</p>
+                <p class="text-2xl font-bold ${valueClass} mt-1">${value}</p>
+                <p class="text-xs text-slate-500 mt-1">${hint}</p>
+            </div>
+        `;
+    },
+    
+    /**
+     * Render the score histogram as vertical bars
+     * @param {Array<number>} bins - Counts per score band
+     * @returns {string} HTML
+     */
+    renderHistogram(bins) {
+        const max = Math.max(...bins, 1);
+        const bandSize = 100 / bins.length;
+        return `
+            <div class="flex items-end gap-2 h-40">
+                ${bins.map((count, index) => `
+                    <div class="flex-1 flex flex-col items-center justify-end h-full" title="${index * bandSize}-${(index + 1) * bandSize}%: ${count}">
+                        <span class="text-xs text-slate-500 mb-1">${count || ''}</span>
+                        <div class="w-full bg-rota-pink/80 rounded-t" style="height: ${(count / max) * 100}%"></div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="flex gap-2 mt-1">
+                ${bins.map((_, index) => `<span class="flex-1 text-center text-[10px] text-slate-400">${index * bandSize}%</span>`).join('')}
+            </div>
+        `;
+    },
+    
+    /**
+     * Render one question's statistics
+     * @param {Object} stats - Question statistics from analyseQuestion
+     * @param {number} index - Question position
+     * @returns {string} HTML
+     */
+    renderQuestion(stats, index) {
+        const q = stats.question;
+        const percent = stats.percentCorrect !== null ? Math.round(stats.percentCorrect * 100) : null;
+        const percentClass = percent === null ? 'text-slate-400' : percent >= 70 ? 'text-green-600' : percent >= 40 ? 'text-amber-600' : 'text-red-600';
+        const discrimination = stats.discrimination !== null ? stats.discrimination.toFixed(2) : '—';
+        
+        const rows = stats.options || stats.freeAnswers || [];
+        const rowTotal = Math.max(stats.answered, 1);
+        
+        return `
+            <div class="bg-white border ${stats.flags.some(flag => flag.level === 'error') ? 'border-red-300' : 'border-slate-200'} rounded-xl p-4 sm:p-6">
+                <div class="flex justify-between items-start gap-4 mb-3">
+                    <div class="min-w-0">
+                        <p class="text-xs text-slate-400 mb-1">Q${index + 1} · ${this.TYPE_LABELS[q.type] || q.type || 'Multiple choice'}</p>
+                        <p class="font-bold text-slate-800">${this.escapeHtml(q.question)}</p>
+                    </div>
+                    <div class="text-right shrink-0">
+                        <p class="text-2xl font-bold ${percentClass}">${percent !== null ? `${percent}%` : '—'}</p>
+                        <p class="text-xs text-slate-500">correct${stats.partial ? ` · ${stats.partial} partial` : ''}</p>
+                    </div>
+                </div>
+                <p class="text-xs text-slate-500 mb-3">
+                    ${stats.seen} saw it · ${stats.seen - stats.answered} skipped ·
+                    <span title="Share of the top 27% who got it right minus the share of the bottom 27%">discrimination ${discrimination}</span>
+                </p>
+                ${stats.flags.map(flag => `
+                    <p class="text-sm mb-2 px-3 py-2 rounded-lg ${flag.level === 'error' ? 'bg-red-50 text-red-700' : 'bg-amber-50 text-amber-700'}">
+                        <i class="fas fa-${flag.level === 'error' ? 'exclamation-triangle' : 'info-circle'}"></i> ${this.escapeHtml(flag.text)}
+                    </p>
+                `).join('')}
+                ${stats.freeAnswers ? '<p class="text-xs font-bold text-slate-500 mb-1">Most common answers</p>' : ''}
+                <div class="space-y-1">
+                    ${rows.map(row => {
+                        const share = Math.round((row.count / rowTotal) * 100);
+                        return `
+                            <div class="flex items-center gap-3 text-sm">
+                                <span class="w-1/3 truncate ${row.isCorrect ? 'font-bold text-green-700' : 'text-slate-700'}" title="${this.escapeHtml(row.text)}">
+                                    ${row.isCorrect ? '<i class="fas fa-check"></i> ' : ''}${this.escapeHtml(row.text)}
+                                </span>
+                                <div class="flex-1 bg-slate-100 rounded-full h-3 overflow-hidden">
+                                    <div class="h-3 ${row.isCorrect ? 'bg-green-500' : 'bg-slate-400'}" style="width: ${share}%"></div>
+                                </div>
+                                <span class="w-16 text-right text-slate-500">${row.count} (${share}%)</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    },
+    
+    /**
+     * Format seconds as m:ss
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
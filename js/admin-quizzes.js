@@ -9,6 +9,9 @@ const AdminQuizzes = {
     draftAutoSaveInterval: null,
     templates: [],
     quizzesListener: null, // Real-time listener for quizzes cache
+    editingGradingKey: null, // Correct answers and points of the quiz being edited, to offer a regrade when they change
+    editingQuiz: null, // Quiz being edited, with its answer key, so unchanged ordering questions keep their stored shuffle
+    regradeQuizId: null,
     
     /**
      * Load quizzes
@@ -138,8 +141,7 @@ const AdminQuizzes = {
      * Save quiz as template
      */
     async saveAsTemplate(quizId) {
-        const quiz = this.quizzes.find(q => q.id === quizId);
-        if (!quiz) {
+        if (!this.quizzes.find(q => q.id === quizId)) {
             Toast.error('Quiz not found');
             return;
         }
@@ -148,6 +150,13 @@ const AdminQuizzes = {
         if (!templateName) return;
         
         try {
+            // The list cache has no questions; templates need them with answers
+            const quiz = await DB.getQuizWithAnswerKey(quizId);
+            if (!quiz) {
+                Toast.error('Quiz not found');
+                return;
+            }
+            
             const templateData = {
                 name: templateName,
                 title: quiz.title,
@@ -262,18 +271,35 @@ const AdminQuizzes = {
                         <h4 class="font-bold text-lg text-slate-800 mb-1">${this.escapeHtml(quiz.title)}</h4>
                         <p class="text-sm text-slate-500">${this.escapeHtml(quiz.description || 'No description')}</p>
                     </div>
-                    <span class="px-3 py-1 rounded-full text-xs font-bold ${
-                        quiz.status === 'active' ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-700'
-                    }">${quiz.status || 'draft'}</span>
+                    <div class="flex gap-2">
+                        ${quiz.mode === 'live' ? '<span class="px-3 py-1 rounded-full text-xs font-bold bg-purple-100 text-purple-700"><i class="fas fa-bolt"></i> live</span>' : ''}
+                        <span class="px-3 py-1 rounded-full text-xs font-bold ${
+                            quiz.status === 'active' ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-700'
+                        }">${quiz.status || 'draft'}</span>
+                    </div>
                 </div>
                 <div class="flex items-center gap-4 text-sm text-slate-600 mb-4">
                     <span><i class="fas fa-question-circle"></i> ${quiz.questions?.length || quiz.questionsCount || 0} Questions</span>
                     <span><i class="fas fa-star"></i> ${quiz.totalPoints || 0} Points</span>
+                    ${AdminUI.renderAvailabilityWindow(quiz)}
                 </div>
                 <div class="flex gap-2">
+                    ${quiz.mode === 'live' ? `
+                        <button onclick="AdminLiveQuiz.host('${quiz.id}')" class="px-4 py-2 bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 transition-colors">
+                            <i class="fas fa-bolt"></i> Host
+                        </button>
+                    ` : ''}
                     <button onclick="AdminQuizzes.viewSubmissions('${quiz.id}')" class="flex-1 px-4 py-2 bg-blue-100 text-blue-600 rounded-lg hover:bg-blue-200 transition-colors">
                         <i class="fas fa-eye"></i> View Submissions
                     </button>
+                    <button onclick="AdminQuizAnalytics.open('${quiz.id}')" class="px-4 py-2 bg-amber-100 text-amber-700 rounded-lg hover:bg-amber-200 transition-colors" title="Question analysis">
+                        <i class="fas fa-chart-bar"></i> Analytics
+                    </button>
+                    ${quiz.mode !== 'live' ? `
+                        <button onclick="AdminQuizzes.showRegrade('${quiz.id}')" class="px-4 py-2 bg-teal-100 text-teal-700 rounded-lg hover:bg-teal-200 transition-colors" title="Regrade submissions against the current answer key">
+                            <i class="fas fa-redo"></i>
+                        </button>
+                    ` : ''}
                     <button onclick="AdminQuizzes.editQuiz('${quiz.id}')" class="px-4 py-2 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 transition-colors">
                         <i class="fas fa-edit"></i> Edit
                     </button>
@@ -286,6 +312,114 @@ const AdminQuizzes = {
         });
     },
     
+    /**
+     * Fingerprint of the answers and points that grading depends on
+     * @param {Array} questions - Questions with correctAnswer
+     * @returns {string}
+     */
+    getGradingKey(questions) {
+        return JSON.stringify((questions || []).map(q => [q.id, q.correctAnswer ?? null, Number(q.points) || 0]));
+    },
+    
+    /**
+     * Preview a regrade of every submission against the current answer key
+     * @param {string} quizId - Quiz ID
+     */
+    async showRegrade(quizId) {
+        const quiz = this.quizzes.find(q => q.id === quizId);
+        if (quiz?.mode === 'live') {
+            Toast.error('Live quiz points depend on answer speed and cannot be regraded');
+            return;
+        }
+        
+        const titleEl = document.getElementById('quiz-regrade-title');
+        const summaryEl = document.getElementById('quiz-regrade-summary');
+        const listEl = document.getElementById('quiz-regrade-list');
+        const applyBtn = document.getElementById('quiz-regrade-apply');
+        if (!titleEl || !summaryEl || !listEl || !applyBtn) {
+            Toast.error('Regrade view not found');
+            return;
+        }
+        
+        this.regradeQuizId = quizId;
+        titleEl.textContent = `Regrade: ${quiz?.title || 'Quiz'}`;
+        summaryEl.textContent = 'Checking submissions against the current answer key...';
+        listEl.innerHTML = '<div class="text-center py-8 text-slate-400"><i class="fas fa-spinner fa-spin"></i></div>';
+        applyBtn.disabled = true;
+        AdminUI.showModal('modal-quiz-regrade');
+        
+        try {
+            const preview = await DB.regradeQuiz(quizId, false);
+            if (this.regradeQuizId !== quizId) return;
+            this.renderRegrade(preview);
+            applyBtn.disabled = preview.changedSubmissions === 0;
+        } catch (error) {
+            console.error('Error previewing regrade:', error);
+            summaryEl.textContent = '';
+            listEl.innerHTML = `<p class="text-center py-8 text-red-500">${this.escapeHtml(error.message || 'Failed to preview regrade')}</p>`;
+        }
+    },
+    
+    /**
+     * Render a regrade preview or result
+     * @param {Object} result - regradeQuiz response
+     */
+    renderRegrade(result) {
+        const summaryEl = document.getElementById('quiz-regrade-summary');
+        const listEl = document.getElementById('quiz-regrade-list');
+        if (!summaryEl || !listEl) return;
+        
+        const totalDelta = result.totalDelta || 0;
+        summaryEl.innerHTML = `${result.checked} submissions checked • <strong>${result.changedSubmissions}</strong> change • ` +
+            `<strong>${result.attendees.length}</strong> attendees affected • net <strong>${totalDelta > 0 ? '+' : ''}${totalDelta}</strong> points` +
+            (result.applied ? ' <span class="text-green-600 font-semibold">(applied)</span>' : '');
+        
+        if (result.attendees.length === 0) {
+            listEl.innerHTML = '<p class="text-center py-8 text-slate-500">Every submission already matches the current answer key</p>';
+            return;
+        }
+        
+        listEl.innerHTML = result.attendees.map(a => `
+            <div class="flex justify-between items-center p-3 border border-slate-200 rounded-lg">
+                <div>
+                    <p class="font-medium text-slate-800">${this.escapeHtml(a.name || a.userId)}</p>
+                    <p class="text-xs text-slate-500">
+                        Score ${a.oldScore} → ${a.newScore} / ${a.totalPoints}
+                        ${a.attempts > 1 ? `• ${a.changedAttempts} of ${a.attempts} attempts changed` : ''}
+                    </p>
+                </div>
+                <span class="font-bold ${a.delta > 0 ? 'text-green-600' : a.delta < 0 ? 'text-red-600' : 'text-slate-400'}">${a.delta > 0 ? '+' : ''}${a.delta}</span>
+            </div>
+        `).join('');
+    },
+    
+    /**
+     * Apply the previewed regrade: rewrite submissions, post point adjustments and notify attendees
+     */
+    async applyRegrade() {
+        const quizId = this.regradeQuizId;
+        const applyBtn = document.getElementById('quiz-regrade-apply');
+        if (!quizId || !applyBtn) return;
+        if (!confirm('Apply the regrade? Points are adjusted and affected attendees are notified.')) return;
+        
+        applyBtn.disabled = true;
+        applyBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Applying...';
+        try {
+            const result = await DB.regradeQuiz(quizId, true);
+            this.renderRegrade(result);
+            Toast.success(result.applied
+                ? `Regrade applied to ${result.attendees.length} attendees`
+                : 'Nothing to regrade - submissions already match');
+            Cache.clear(Cache.keys.leaderboard());
+        } catch (error) {
+            console.error('Error applying regrade:', error);
+            Toast.error('Failed to apply regrade: ' + error.message);
+            applyBtn.disabled = false;
+        } finally {
+            applyBtn.innerHTML = '<i class="fas fa-check"></i> Apply Regrade';
+        }
+    },
+    
     /**
      * Escape HTML to prevent XSS
      * @param {string} text - Text to escape
@@ -323,6 +457,11 @@ const AdminQuizzes = {
         titleEl.textContent = 'Create Quiz';
         formEl.reset();
         idEl.value = '';
+        this.editingQuiz = null;
+        AdminUI.setAvailabilityWindow('quiz', null);
+        this.setQuestionSource(null);
+        this.setPlayMode(null);
+        this.setAttemptPolicy(null);
         questionsEl.innerHTML = '';
         this.questionCounter = 0;
         this.currentStep = 1;
@@ -490,7 +629,8 @@ const AdminQuizzes = {
                             question: questionText,
                             type: questionType || 'multiple-choice',
                             points: points || 0,
-                            correctAnswer: correctAnswer || ''
+                            correctAnswer: correctAnswer || '',
+                            explanation: qEl.querySelector('.question-explanation')?.value?.trim() || ''
                         };
                         
                         if (optionsText && questionType !== 'text') {
@@ -557,8 +697,8 @@ const AdminQuizzes = {
         }
         
         try {
-            // Fetch quiz directly from Firestore to ensure we have the latest data including questions
-            const quiz = await DB.getQuiz(quizId);
+            // Fetch quiz with its private answer key so correct answers can be edited
+            const quiz = await DB.getQuizWithAnswerKey(quizId);
             if (!quiz) {
                 Toast.error('Quiz not found');
                 return;
@@ -582,6 +722,12 @@ const AdminQuizzes = {
             titleInput.value = quiz.title || '';
             descInput.value = quiz.description || '';
             statusSelect.value = quiz.status || 'active';
+            AdminUI.setAvailabilityWindow('quiz', quiz);
+            this.setQuestionSource(quiz);
+            this.setPlayMode(quiz);
+            this.setAttemptPolicy(quiz);
+            this.editingGradingKey = quiz.mode === 'live' || quiz.questionSource === 'bank' ? null : this.getGradingKey(quiz.questions);
+            this.editingQuiz = quiz;
             
             // Clear existing questions
             questionsEl.innerHTML = '';
@@ -618,6 +764,17 @@ const AdminQuizzes = {
         if (!questionsContainer) return 0;
         
         let total = 0;
+        if (document.getElementById('quiz-question-source')?.value === 'bank') {
+            // Every attendee draws the same number of questions at the same points each
+            total = (parseInt(document.getElementById('quiz-bank-count')?.value, 10) || 0) *
+                (parseInt(document.getElementById('quiz-bank-points')?.value, 10) || 0);
+            const totalPointsEl = document.getElementById('quiz-total-points');
+            if (totalPointsEl) {
+                totalPointsEl.textContent = total;
+            }
+            return total;
+        }
+        
         const questionPointsInputs = questionsContainer.querySelectorAll('.question-points');
         questionPointsInputs.forEach(input => {
             const points = parseInt(input.value || '0');
@@ -636,20 +793,72 @@ const AdminQuizzes = {
     },
     
     /**
-     * Add question to quiz
+     * Question types offered in the quiz creator
+     * Options-based types share the options textarea; grading lives in gradeQuizQuestion (functions/index.js)
+     */
+    QUESTION_TYPES: {
+        'multiple-choice': { label: 'Multiple Choice', hasOptions: true },
+        'true-false': { label: 'True/False', hasOptions: true },
+        'multi-select': { label: 'Multi-Select (partial credit)', hasOptions: true },
+        'ordering': { label: 'Ordering / Ranking', hasOptions: true },
+        'image-choice': { label: 'Image Choice', hasOptions: true },
+        'numeric': { label: 'Numeric (with tolerance)', hasOptions: false },
+        'text': { label: 'Text Input', hasOptions: false }
+    },
+    
+    /**
+     * Get the editor field values for an existing question
+     * @param {Object|null} q - Question with correctAnswer
+     * @returns {{optionsText: string, answerText: string, tolerance: string, optionImages: Array<string>}}
+     */
+    getQuestionEditorValues(q) {
+        const values = { optionsText: '', answerText: '', tolerance: '', optionImages: [] };
+        if (!q) return values;
+        
+        const options = q.options || [];
+        const answer = q.correctAnswer;
+        values.optionsText = options.join('\n');
+        values.optionImages = q.optionImages || [];
+        
+        if (answer === undefined || answer === null) return values;
+        
+        if (q.type === 'text') {
+            values.answerText = String(answer);
+        } else if (q.type === 'numeric') {
+            values.answerText = answer.value !== undefined ? String(answer.value) : '';
+            values.tolerance = answer.tolerance ? String(answer.tolerance) : '';
+        } else if (q.type === 'multi-select' && Array.isArray(answer)) {
+            values.answerText = answer.map(i => options[i]).filter(Boolean).join('; ');
+        } else if (q.type === 'ordering' && Array.isArray(answer)) {
+            // Options are stored shuffled; the editor shows them in the correct order
+            values.optionsText = answer.map(i => options[i]).filter(o => o !== undefined).join('\n');
+        } else {
+            values.answerText = options[answer] !== undefined ? options[answer] : String(answer);
+        }
+        
+        return values;
+    },
+    
+    /**
+     * Add question to quiz (or to a question bank)
      * @param {Object} existingQuestion - Existing question data (optional)
+     * @param {Object} options - { containerId, bank } ; bank editors add difficulty and tags instead of points
      */
-    addQuestion(existingQuestion = null) {
-        const questionsContainer = document.getElementById('quiz-questions');
+    addQuestion(existingQuestion = null, { containerId = 'quiz-questions', bank = false } = {}) {
+        const questionsContainer = document.getElementById(containerId);
         if (!questionsContainer) {
             Toast.error('Questions container not found');
             return;
         }
         
-        const qId = existingQuestion?.id || 'q' + Date.now() + '.' + this.questionCounter++;
+        const type = existingQuestion?.type || 'multiple-choice';
+        const values = this.getQuestionEditorValues(existingQuestion);
         
         const questionEl = document.createElement('div');
         questionEl.className = 'border border-slate-200 rounded-lg p-4';
+        if (bank && existingQuestion?.id) {
+            questionEl.dataset.questionId = existingQuestion.id;
+        }
         questionEl.innerHTML = `
             <div class="flex justify-between items-center mb-3">
                 <span class="font-bold text-slate-700">Question ${questionsContainer.children.length + 1}</span>
@@ -665,49 +874,66 @@ const AdminQuizzes = {
                 <div>
                     <label class="block text-sm font-medium text-slate-700 mb-1">Type *</label>
                     <select class="question-type w-full px-3 py-2 border border-slate-200 rounded-lg" onchange="AdminQuizzes.handleQuestionTypeChange(this)" required>
-                        <option value="multiple-choice" ${existingQuestion?.type === 'multiple-choice' ? 'selected' : ''}>Multiple Choice</option>
-                        <option value="true-false" ${existingQuestion?.type === 'true-false' ? 'selected' : ''}>True/False</option>
-                        <option value="text" ${existingQuestion?.type === 'text' ? 'selected' : ''}>Text Input</option>
+                        ${Object.entries(this.QUESTION_TYPES).map(([value, def]) => `
+                            <option value="${value}" ${type === value ? 'selected' : ''}>${def.label}</option>
+                        `).join('')}
                     </select>
                 </div>
-                <div class="question-options ${existingQuestion?.type === 'text' ? 'hidden' : ''}">
-                    <label class="block text-sm font-medium text-slate-700 mb-1">Options (one per line) *</label>
-                    <textarea class="question-options-text w-full px-3 py-2 border border-slate-200 rounded-lg" rows="4" ${existingQuestion?.type !== 'text' ? 'required' : ''} oninput="AdminQuizzes.updateCorrectAnswerHelper(this)">${this.escapeHtml(existingQuestion?.options?.join('\n') || '')}</textarea>
-                    <p class="text-xs text-slate-400 mt-1">Enter each option on a separate line</p>
+                <div class="question-options">
+                    <label class="question-options-label block text-sm font-medium text-slate-700 mb-1">Options (one per line) *</label>
+                    <textarea class="question-options-text w-full px-3 py-2 border border-slate-200 rounded-lg" rows="4" oninput="AdminQuizzes.updateCorrectAnswerHelper(this)">${this.escapeHtml(values.optionsText)}</textarea>
+                    <p class="question-options-hint text-xs text-slate-400 mt-1">Enter each option on a separate line</p>
+                </div>
+                <div class="question-images hidden">
+                    <label class="block text-sm font-medium text-slate-700 mb-1">Option Images *</label>
+                    <div class="question-image-rows space-y-2" data-images="${this.escapeHtml(JSON.stringify(values.optionImages))}"></div>
                 </div>
                 <div class="grid grid-cols-2 gap-3">
-                    <div>
+                    <div class="question-answer-wrapper">
                         <label class="block text-sm font-medium text-slate-700 mb-1">Correct Answer *</label>
                         <input type="text" class="question-answer w-full px-3 py-2 border border-slate-200 rounded-lg" 
-                               value="${this.escapeHtml(existingQuestion?.correctAnswer !== undefined ? 
-                                   (existingQuestion.type === 'text' ? String(existingQuestion.correctAnswer) : 
-                                    (existingQuestion.options && existingQuestion.options[existingQuestion.correctAnswer] ? 
-                                     existingQuestion.options[existingQuestion.correctAnswer] : 
-                                     String(existingQuestion.correctAnswer))) : '')}" 
-                               placeholder="${existingQuestion?.type === 'text' ? 'Enter the correct answer text' : 'Enter the exact option text'}" 
-                               required>
-                        <div class="question-answer-helper text-xs text-slate-500 mt-1">
-                            ${existingQuestion?.type !== 'text' && existingQuestion?.options && existingQuestion.options.length > 0 ? `
-                                <strong>How to answer:</strong> Enter the exact option text from the list above (e.g., "${existingQuestion.options[0] || 'Option 1'}").
-                                <br><span class="text-slate-400">Available options: ${existingQuestion.options.map(opt => `"${opt}"`).join(', ')}</span>
-                            ` : existingQuestion?.type === 'text' ? `
-                                <span class="text-slate-400">Enter the exact text that should be considered correct</span>
-                            ` : `
-                                <span class="text-slate-400">Enter options above first, then specify the correct answer</span>
-                            `}
-                        </div>
+                               value="${this.escapeHtml(values.answerText)}">
+                        <div class="question-answer-helper text-xs text-slate-500 mt-1"></div>
                     </div>
+                    ${bank ? `
+                    <div>
+                        <label class="block text-sm font-medium text-slate-700 mb-1">Difficulty *</label>
+                        <select class="question-difficulty w-full px-3 py-2 border border-slate-200 rounded-lg">
+                            ${['easy', 'medium', 'hard'].map(level => `
+                                <option value="${level}" ${(existingQuestion?.difficulty || 'medium') === level ? 'selected' : ''}>${level.charAt(0).toUpperCase() + level.slice(1)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-slate-700 mb-1">Tags</label>
+                        <input type="text" class="question-tags w-full px-3 py-2 border border-slate-200 rounded-lg" value="${this.escapeHtml((existingQuestion?.tags || []).join(', '))}" placeholder="e.g. history, rotary">
+                    </div>
+                    ` : `
                     <div>
                         <label class="block text-sm font-medium text-slate-700 mb-1">Points *</label>
                         <input type="number" class="question-points w-full px-3 py-2 border border-slate-200 rounded-lg" value="${existingQuestion?.points || 10}" min="1" required oninput="AdminQuizzes.calculateTotalPoints()">
                     </div>
+                    `}
+                    <div class="question-tolerance-wrapper hidden">
+                        <label class="block text-sm font-medium text-slate-700 mb-1">Tolerance (±)</label>
+                        <input type="number" class="question-tolerance w-full px-3 py-2 border border-slate-200 rounded-lg" value="${this.escapeHtml(values.tolerance)}" min="0" step="any" placeholder="0">
+                        <p class="text-xs text-slate-400 mt-1">Answers within this distance of the correct value are accepted</p>
+                    </div>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-slate-700 mb-1">Explanation</label>
+                    <textarea class="question-explanation w-full px-3 py-2 border border-slate-200 rounded-lg" rows="2" placeholder="Optional. Shown to attendees when they review their answers">${this.escapeHtml(existingQuestion?.explanation || '')}</textarea>
                 </div>
             </div>
         `;
         questionsContainer.appendChild(questionEl);
         
+        this.applyQuestionType(questionEl, type);
+        
         // Recalculate total points
-        this.calculateTotalPoints();
+        if (!bank) {
+            this.calculateTotalPoints();
+        }
     },
     
     /**
@@ -716,9 +942,9 @@ const AdminQuizzes = {
     removeQuestion(button) {
         const questionEl = button.closest('.border');
         if (questionEl) {
+            const questionsContainer = questionEl.parentElement;
             questionEl.remove();
             // Update question numbers
-            const questionsContainer = document.getElementById('quiz-questions');
             if (questionsContainer) {
                 Array.from(questionsContainer.children).forEach((el, index) => {
                     const questionNumber = el.querySelector('.font-bold.text-slate-700');
@@ -740,42 +966,60 @@ const AdminQuizzes = {
         const questionEl = select.closest('.border');
         if (!questionEl) return;
         
+        this.applyQuestionType(questionEl, select.value);
+    },
+    
+    /**
+     * Show the editor fields a question type needs
+     * @param {HTMLElement} questionEl - Question editor element
+     * @param {string} type - Question type
+     */
+    applyQuestionType(questionEl, type) {
         const optionsDiv = questionEl.querySelector('.question-options');
         const optionsTextarea = questionEl.querySelector('.question-options-text');
+        const optionsLabel = questionEl.querySelector('.question-options-label');
+        const optionsHint = questionEl.querySelector('.question-options-hint');
+        const imagesDiv = questionEl.querySelector('.question-images');
+        const answerWrapper = questionEl.querySelector('.question-answer-wrapper');
+        const answerInput = questionEl.querySelector('.question-answer');
+        const toleranceWrapper = questionEl.querySelector('.question-tolerance-wrapper');
         
-        if (!optionsDiv || !optionsTextarea) return;
+        if (!optionsDiv || !optionsTextarea || !answerInput) return;
         
-        const helperEl = questionEl.querySelector('.question-answer-helper');
-        const answerInput = questionEl.querySelector('.question-answer');
+        const hasOptions = this.QUESTION_TYPES[type]?.hasOptions !== false;
+        optionsDiv.classList.toggle('hidden', !hasOptions);
+        optionsTextarea.required = hasOptions;
+        imagesDiv?.classList.toggle('hidden', type !== 'image-choice');
+        toleranceWrapper?.classList.toggle('hidden', type !== 'numeric');
         
-        if (select.value === 'text') {
-            optionsDiv.classList.add('hidden');
-            optionsTextarea.required = false;
-            if (helperEl) {
-                helperEl.innerHTML = '<span class="text-slate-400">Enter the exact text that should be considered correct</span>';
-            }
-            if (answerInput) {
-                answerInput.placeholder = 'Enter the correct answer text';
-            }
-        } else {
-            optionsDiv.classList.remove('hidden');
-            optionsTextarea.required = true;
-            // Update helper when options are shown
-            if (optionsTextarea.value.trim()) {
-                this.updateCorrectAnswerHelper(optionsTextarea);
-            } else {
-                if (helperEl) {
-                    helperEl.innerHTML = '<span class="text-slate-400">Enter options above first, then specify the correct answer</span>';
-                }
-            }
-            if (answerInput) {
-                answerInput.placeholder = 'Enter the exact option text';
-            }
+        // Ordering questions are answered by the order of the options themselves
+        answerWrapper?.classList.toggle('hidden', type === 'ordering');
+        answerInput.required = type !== 'ordering';
+        answerInput.type = type === 'numeric' ? 'number' : 'text';
+        answerInput.step = type === 'numeric' ? 'any' : '';
+        
+        if (optionsLabel) {
+            optionsLabel.textContent = type === 'ordering' ? 'Items in the correct order (one per line) *' :
+                type === 'image-choice' ? 'Option labels (one per line) *' : 'Options (one per line) *';
+        }
+        if (optionsHint) {
+            optionsHint.textContent = type === 'ordering'
+                ? 'Attendees see these shuffled and must put them back in this order'
+                : 'Enter each option on a separate line';
         }
+        
+        const placeholders = {
+            'text': 'Enter the correct answer text',
+            'numeric': 'Enter the correct number',
+            'multi-select': 'Correct options separated by ;'
+        };
+        answerInput.placeholder = placeholders[type] || 'Enter the exact option text';
+        
+        this.updateCorrectAnswerHelper(optionsTextarea);
     },
     
     /**
-     * Update correct answer helper text when options change
+     * Update correct answer helper text (and image rows) when options change
      * @param {HTMLElement} textarea - Options textarea element
      */
     updateCorrectAnswerHelper(textarea) {
@@ -783,147 +1027,621 @@ const AdminQuizzes = {
         if (!questionEl) return;
         
         const helperEl = questionEl.querySelector('.question-answer-helper');
-        const optionsText = textarea.value.trim();
+        const type = questionEl.querySelector('.question-type')?.value;
+        const options = textarea.value.split('\n').map(o => o.trim()).filter(Boolean);
+        
+        if (type === 'image-choice') {
+            this.renderOptionImageRows(questionEl, options);
+        }
         
         if (!helperEl) return;
         
-        if (!optionsText) {
-            helperEl.innerHTML = '<span class="text-slate-400">Enter options above first, then specify the correct answer</span>';
+        if (type === 'text') {
+            helperEl.innerHTML = '<span class="text-slate-400">Enter the exact text that should be considered correct</span>';
+            return;
+        }
+        if (type === 'numeric') {
+            helperEl.innerHTML = '<span class="text-slate-400">Enter the correct value; set a tolerance to accept nearby answers</span>';
             return;
         }
-        
-        const options = optionsText.split('\n').filter(o => o.trim());
         if (options.length === 0) {
             helperEl.innerHTML = '<span class="text-slate-400">Enter options above first, then specify the correct answer</span>';
             return;
         }
         
-        const firstOption = options[0].trim();
+        const optionList = options.map(opt => `"${this.escapeHtml(opt)}"`).join(', ');
+        if (type === 'multi-select') {
+            helperEl.innerHTML = `
+                <strong>How to answer:</strong> Enter every correct option, separated by ; (e.g., "${this.escapeHtml(options[0])}; ${this.escapeHtml(options[1] || options[0])}").
+                <br><span class="text-slate-400">Available options: ${optionList}</span>
+            `;
+            return;
+        }
+        
         helperEl.innerHTML = `
-            <strong>How to answer:</strong> Enter the exact option text from the list above (e.g., "${firstOption}").
-            <br><span class="text-slate-400">Available options: ${options.map(opt => `"${opt.trim()}"`).join(', ')}</span>
+            <strong>How to answer:</strong> Enter the exact option text from the list above (e.g., "${this.escapeHtml(options[0])}").
+            <br><span class="text-slate-400">Available options: ${optionList}</span>
         `;
     },
     
     /**
-     * Save quiz
-     * @param {Event} event - Form submit event
+     * Render one image upload row per option label, keeping images already uploaded
+     * @param {HTMLElement} questionEl - Question editor element
+     * @param {Array<string>} options - Option labels
      */
-    async saveQuiz(event) {
-        event.preventDefault();
+    renderOptionImageRows(questionEl, options) {
+        const rowsEl = questionEl.querySelector('.question-image-rows');
+        if (!rowsEl) return;
+        
+        // Current URLs by position (rows already rendered win over the initial data attribute)
+        const existingInputs = rowsEl.querySelectorAll('.option-image-url');
+        const urls = existingInputs.length > 0
+            ? Array.from(existingInputs).map(input => input.value)
+            : JSON.parse(rowsEl.dataset.images || '[]');
+        
+        if (options.length === 0) {
+            rowsEl.innerHTML = '<p class="text-xs text-slate-400">Enter option labels above to add their images</p>';
+            return;
+        }
         
+        rowsEl.innerHTML = options.map((label, index) => {
+            const url = urls[index] || '';
+            return `
+                <div class="flex items-center gap-3">
+                    <img src="${this.escapeHtml(url)}" alt="" class="option-image-preview w-12 h-12 object-cover rounded border border-slate-200 ${url ? '' : 'hidden'}">
+                    <span class="text-sm text-slate-600 flex-1 truncate">${this.escapeHtml(label)}</span>
+                    <input type="hidden" class="option-image-url" value="${this.escapeHtml(url)}">
+                    <input type="file" accept="image/*" class="text-xs" onchange="AdminQuizzes.uploadOptionImage(this)">
+                </div>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Upload an option image to Storage and store its URL in the row
+     * @param {HTMLInputElement} input - File input
+     */
+    async uploadOptionImage(input) {
+        const file = input.files?.[0];
+        if (!file) return;
+        
+        if (!file.type.startsWith('image/')) {
+            Toast.error('Please choose an image file');
+            input.value = '';
+            return;
+        }
+        if (file.size > 2 * 1024 * 1024) {
+            Toast.error('Images must be 2MB or smaller');
+            input.value = '';
+            return;
+        }
+        
+        const row = input.parentElement;
+        input.disabled = true;
         try {
-            const quizId = document.getElementById('quiz-id')?.value;
-            const title = document.getElementById('quiz-title')?.value?.trim();
-            const description = document.getElementById('quiz-description')?.value?.trim();
-            const status = document.getElementById('quiz-status')?.value;
-            const questionsContainer = document.getElementById('quiz-questions');
-            
-            // Validation
-            if (!title) {
-                Toast.error('Quiz title is required');
-                return;
+            const safeName = file.name.replace(/[^a-z0-9.]/gi, '_');
+            const url = await DB.uploadFile(file, `quiz-images/${Date.now()}_${safeName}`);
+            row.querySelector('.option-image-url').value = url;
+            const preview = row.querySelector('.option-image-preview');
+            preview.src = url;
+            preview.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error uploading option image:', error);
+            Toast.error('Failed to upload image: ' + error.message);
+        } finally {
+            input.disabled = false;
+            input.value = '';
+        }
+    },
+    
+    /**
+     * Shuffle ordering items so the stored option order does not reveal the answer
+     * @param {Array<string>} items - Items in the correct order
+     * @returns {{options: Array<string>, correctAnswer: Array<number>}} Shuffled options and the correct sequence of their indices
+     */
+    shuffleOrderingItems(items) {
+        const order = items.map((_, index) => index);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        // Never present the items already in the correct order
+        if (order.length > 1 && order.every((value, index) => value === index)) {
+            order.push(order.shift());
+        }
+        
+        return {
+            options: order.map(index => items[index]),
+            correctAnswer: items.map((_, correctPos) => order.indexOf(correctPos))
+        };
+    },
+    
+    /**
+     * Stored shuffle of an ordering question in the quiz being edited, if its items are unchanged
+     * @param {string} questionId - Question ID ('q' + index in fixed quizzes)
+     * @param {Array<string>} items - Items in the correct order, as entered in the editor
+     * @returns {{options: Array<string>, correctAnswer: Array<number>}|null} Stored options and sequence, or null if new or edited
+     */
+    getStoredOrdering(questionId, items) {
+        const quizId = document.getElementById('quiz-id')?.value;
+        if (!this.editingQuiz || this.editingQuiz.id !== quizId) return null;
+        
+        const stored = (this.editingQuiz.questions || []).find((q, i) => (q.id || 'q' + i) === questionId);
+        if (stored?.type !== 'ordering' || !Array.isArray(stored.options) || !Array.isArray(stored.correctAnswer)) {
+            return null;
+        }
+        
+        const storedItems = stored.correctAnswer.map(i => stored.options[i]);
+        if (storedItems.length !== items.length || storedItems.some((item, i) => item !== items[i])) {
+            return null;
+        }
+        return { options: [...stored.options], correctAnswer: [...stored.correctAnswer] };
+    },
+    
+    /**
+     * Show the live settings when the quiz is played live in the hall
+     * (live quizzes are played once, so the attempt policy is hidden)
+     */
+    handleModeChange() {
+        const isLive = document.getElementById('quiz-mode')?.value === 'live';
+        document.getElementById('quiz-live-settings')?.classList.toggle('hidden', !isLive);
+        document.getElementById('quiz-live-hint')?.classList.toggle('hidden', !isLive);
+        document.getElementById('quiz-attempt-settings')?.classList.toggle('hidden', isLive);
+    },
+    
+    /**
+     * Fill the creator's play mode fields from a quiz (null resets them)
+     * @param {Object|null} quiz - Quiz being edited
+     */
+    setPlayMode(quiz) {
+        const modeSelect = document.getElementById('quiz-mode');
+        const secondsInput = document.getElementById('quiz-live-seconds');
+        if (modeSelect) modeSelect.value = quiz?.mode === 'live' ? 'live' : 'self-paced';
+        if (secondsInput) secondsInput.value = quiz?.liveSecondsPerQuestion || 20;
+        this.handleModeChange();
+    },
+    
+    /**
+     * Fill the creator's attempt policy and answer review fields from a quiz (null resets them)
+     * @param {Object|null} quiz - Quiz being edited
+     */
+    setAttemptPolicy(quiz) {
+        const policy = SubmissionHelpers.getQuizAttemptPolicy(quiz);
+        const maxInput = document.getElementById('quiz-max-attempts');
+        const scoringSelect = document.getElementById('quiz-scoring-rule');
+        const cooldownInput = document.getElementById('quiz-cooldown-minutes');
+        if (maxInput) maxInput.value = policy.maxAttempts;
+        if (scoringSelect) scoringSelect.value = policy.scoring;
+        if (cooldownInput) cooldownInput.value = policy.cooldownMinutes;
+        
+        const reviewSelect = document.getElementById('quiz-review-policy');
+        if (reviewSelect) reviewSelect.value = SubmissionHelpers.getQuizReviewPolicy(quiz);
+    },
+    
+    /**
+     * Show fixed questions or the bank draw settings
+     */
+    handleQuestionSourceChange() {
+        const isBank = document.getElementById('quiz-question-source')?.value === 'bank';
+        document.getElementById('quiz-bank-settings')?.classList.toggle('hidden', !isBank);
+        document.getElementById('quiz-fixed-questions')?.classList.toggle('hidden', isBank);
+        
+        if (isBank) {
+            this.loadBankOptions();
+        }
+        this.calculateTotalPoints();
+    },
+    
+    /**
+     * Fill the creator's question source fields from a quiz (null resets them)
+     * @param {Object|null} quiz - Quiz being edited
+     */
+    setQuestionSource(quiz) {
+        const draw = quiz?.questionSource === 'bank' ? (quiz.bankDraw || {}) : null;
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value ?? '';
+        };
+        
+        setValue('quiz-question-source', draw ? 'bank' : 'fixed');
+        setValue('quiz-bank-count', draw?.count || 10);
+        setValue('quiz-bank-points', draw?.pointsPerQuestion || 10);
+        setValue('quiz-bank-tags', (draw?.tags || []).join(', '));
+        AdminQuestionBanks.DIFFICULTIES.forEach(level => {
+            setValue(`quiz-bank-mix-${level}`, draw?.difficultyMix?.[level] ?? '');
+        });
+        
+        this.handleQuestionSourceChange();
+        if (draw) {
+            this.loadBankOptions(draw.bankId);
+        }
+    },
+    
+    /**
+     * Load question banks into the creator's bank picker
+     * @param {string} selectedId - Bank to select (defaults to the current selection)
+     */
+    async loadBankOptions(selectedId = null) {
+        const select = document.getElementById('quiz-bank-id');
+        if (!select) return;
+        
+        try {
+            const banks = await AdminQuestionBanks.getBanks();
+            const current = selectedId || select.value;
+            select.innerHTML = '<option value="">Select a bank</option>' + banks.map(bank => `
+                <option value="${bank.id}" ${bank.id === current ? 'selected' : ''}>${this.escapeHtml(bank.name)} (${bank.questionCount || 0})</option>
+            `).join('');
+            this.updateBankAvailability();
+        } catch (error) {
+            console.error('Error loading question banks:', error);
+            Toast.error('Failed to load question banks');
+        }
+    },
+    
+    /**
+     * Read the bank draw fields
+     * @returns {{bankId: string, count: number, pointsPerQuestion: number, tags: Array<string>, difficultyMix: Object|null}}
+     */
+    readBankDrawFields() {
+        const mix = {};
+        AdminQuestionBanks.DIFFICULTIES.forEach(level => {
+            const value = parseInt(document.getElementById(`quiz-bank-mix-${level}`)?.value, 10);
+            if (value > 0) mix[level] = value;
+        });
+        
+        return {
+            bankId: document.getElementById('quiz-bank-id')?.value || '',
+            count: parseInt(document.getElementById('quiz-bank-count')?.value, 10) || 0,
+            pointsPerQuestion: parseInt(document.getElementById('quiz-bank-points')?.value, 10) || 0,
+            tags: (document.getElementById('quiz-bank-tags')?.value || '')
+                .split(',').map(t => t.trim().toLowerCase()).filter(Boolean),
+            difficultyMix: Object.keys(mix).length > 0 ? mix : null
+        };
+    },
+    
+    /**
+     * Show how many bank questions the current draw settings can pick from
+     */
+    updateBankAvailability() {
+        this.calculateTotalPoints();
+        
+        const availabilityEl = document.getElementById('quiz-bank-availability');
+        if (!availabilityEl) return;
+        
+        const draw = this.readBankDrawFields();
+        const bank = AdminQuestionBanks.banks.find(b => b.id === draw.bankId);
+        if (!bank) {
+            availabilityEl.textContent = '';
+            return;
+        }
+        
+        const counts = AdminQuestionBanks.countEligible(bank, draw.tags);
+        availabilityEl.textContent = `${counts.total} matching questions: ${counts.easy} easy, ${counts.medium} medium, ${counts.hard} hard`;
+    },
+    
+    /**
+     * Validate the bank draw settings
+     * Shows a toast and returns null if the bank cannot supply the draw
+     * @returns {Object|null} bankDraw for the quiz document
+     */
+    getBankDraw() {
+        const draw = this.readBankDrawFields();
+        const bank = AdminQuestionBanks.banks.find(b => b.id === draw.bankId);
+        
+        if (!bank) {
+            Toast.error('Please select a question bank');
+            return null;
+        }
+        if (draw.count < 1) {
+            Toast.error('Questions per attendee must be at least 1');
+            return null;
+        }
+        if (draw.pointsPerQuestion < 1) {
+            Toast.error('Points per question must be at least 1');
+            return null;
+        }
+        
+        const counts = AdminQuestionBanks.countEligible(bank, draw.tags);
+        if (draw.difficultyMix) {
+            const mixTotal = Object.values(draw.difficultyMix).reduce((sum, n) => sum + n, 0);
+            if (mixTotal !== draw.count) {
+                Toast.error(`The difficulty mix adds up to ${mixTotal}, but each attendee draws ${draw.count} questions`);
+                return null;
+            }
+            const short = Object.entries(draw.difficultyMix).find(([level, n]) => counts[level] < n);
+            if (short) {
+                Toast.error(`The bank only has ${counts[short[0]]} matching ${short[0]} questions`);
+                return null;
+            }
+        } else if (counts.total < draw.count) {
+            Toast.error(`The bank only has ${counts.total} matching questions`);
+            return null;
+        }
+        
+        return draw;
+    },
+    
+    /**
+     * Read and validate the question editors in a container
+     * Shows a toast and returns null on the first invalid question
+     * @param {HTMLElement} questionsContainer - Container holding question editors
+     * @param {Object} options - { bank: true } for question bank questions (stable IDs, difficulty, tags, no points)
+     * @returns {Array<Object>|null} Questions with correctAnswer
+     */
+    collectQuestions(questionsContainer, { bank = false } = {}) {
+        const questions = [];
+        // Use children instead of querySelectorAll with invalid selector
+        for (let index = 0; index < questionsContainer.children.length; index++) {
+            const qEl = questionsContainer.children[index];
+            const questionText = qEl.querySelector('.question-text')?.value?.trim();
+            const questionType = qEl.querySelector('.question-type')?.value;
+            const points = parseInt(qEl.querySelector('.question-points')?.value || '0');
+            const correctAnswer = qEl.querySelector('.question-answer')?.value?.trim();
+            const explanation = qEl.querySelector('.question-explanation')?.value?.trim();
+            
+            if (!questionText) {
+                Toast.error(`Question ${index + 1} text is required`);
+                return null;
             }
             
-            if (!questionsContainer || questionsContainer.children.length === 0) {
-                Toast.error('Please add at least one question');
-                return;
+            if (!bank && (!points || points < 1)) {
+                Toast.error(`Question ${index + 1} points must be at least 1`);
+                return null;
             }
             
-            const questions = [];
-            // Use children instead of querySelectorAll with invalid selector
-            for (let index = 0; index < questionsContainer.children.length; index++) {
-                const qEl = questionsContainer.children[index];
-                const questionText = qEl.querySelector('.question-text')?.value?.trim();
-                const questionType = qEl.querySelector('.question-type')?.value;
-                const points = parseInt(qEl.querySelector('.question-points')?.value || '0');
-                const correctAnswer = qEl.querySelector('.question-answer')?.value?.trim();
-                
-                if (!questionText) {
-                    Toast.error(`Question ${index + 1} text is required`);
-                    return;
+            let finalCorrectAnswer;
+            let options = null;
+            let optionImages = null;
+            
+            if (questionType === 'text') {
+                // For text questions, use the answer as-is
+                if (!correctAnswer) {
+                    Toast.error(`Question ${index + 1}: Correct answer is required`);
+                    return null;
+                }
+                finalCorrectAnswer = correctAnswer;
+            } else if (questionType === 'numeric') {
+                const value = parseFloat(correctAnswer);
+                const tolerance = parseFloat(qEl.querySelector('.question-tolerance')?.value || '0') || 0;
+                if (!Number.isFinite(value)) {
+                    Toast.error(`Question ${index + 1}: Correct answer must be a number`);
+                    return null;
+                }
+                if (tolerance < 0) {
+                    Toast.error(`Question ${index + 1}: Tolerance cannot be negative`);
+                    return null;
+                }
+                finalCorrectAnswer = { value, tolerance };
+            } else {
+                // For option-based questions, get options first
+                const optionsText = qEl.querySelector('.question-options-text')?.value?.trim();
+                if (!optionsText) {
+                    Toast.error(`Question ${index + 1} options are required`);
+                    return null;
                 }
+                options = optionsText.split('\n').map(o => o.trim()).filter(Boolean);
                 
-                if (!points || points < 1) {
-                    Toast.error(`Question ${index + 1} points must be at least 1`);
-                    return;
+                if (options.length === 0) {
+                    Toast.error(`Question ${index + 1}: At least one option is required`);
+                    return null;
                 }
                 
-                let finalCorrectAnswer;
+                // Find matching option text (case-insensitive)
+                const findOption = text => options.findIndex(opt => 
+                    opt.toLowerCase() === text.trim().toLowerCase()
+                );
                 
-                if (questionType === 'text') {
-                    // For text questions, use the answer as-is
-                    if (!correctAnswer) {
-                        Toast.error(`Question ${index + 1}: Correct answer is required`);
-                        return;
+                if (questionType === 'ordering') {
+                    if (options.length < 2) {
+                        Toast.error(`Question ${index + 1}: Ordering questions need at least two items`);
+                        return null;
                     }
-                    finalCorrectAnswer = correctAnswer;
-                } else {
-                    // For multiple choice/true-false, get options first
-                    const optionsText = qEl.querySelector('.question-options-text')?.value?.trim();
-                    if (!optionsText) {
-                        Toast.error(`Question ${index + 1} options are required`);
-                        return;
+                    if (bank) {
+                        // Banks are admin-only and every draw shuffles options, so keep the correct order
+                        finalCorrectAnswer = options.map((_, optIndex) => optIndex);
+                    } else {
+                        // Reshuffling an unchanged question would change its key under existing submissions
+                        const stored = this.getStoredOrdering('q' + index, options) || this.shuffleOrderingItems(options);
+                        options = stored.options;
+                        finalCorrectAnswer = stored.correctAnswer;
                     }
-                    const options = optionsText.split('\n').filter(o => o.trim());
-                    
-                    if (options.length === 0) {
-                        Toast.error(`Question ${index + 1}: At least one option is required`);
-                        return;
+                } else if (!correctAnswer) {
+                    Toast.error(`Question ${index + 1}: Correct answer is required`);
+                    return null;
+                } else if (questionType === 'multi-select') {
+                    const parts = correctAnswer.split(';').map(p => p.trim()).filter(Boolean);
+                    const indices = parts.map(findOption);
+                    const missing = parts.find((part, i) => indices[i] === -1);
+                    if (missing) {
+                        Toast.error(`Question ${index + 1}: Correct answer "${missing}" doesn't match any option. Please enter the exact option text from the list above.`);
+                        return null;
                     }
-                    
-                    if (!correctAnswer) {
-                        Toast.error(`Question ${index + 1}: Correct answer is required`);
-                        return;
-                    }
-                    
-                    // Find matching option text (case-insensitive)
-                    const matchingIndex = options.findIndex(opt => 
-                        opt.trim().toLowerCase() === correctAnswer.trim().toLowerCase()
-                    );
+                    finalCorrectAnswer = [...new Set(indices)].sort((a, b) => a - b);
+                } else {
+                    const matchingIndex = findOption(correctAnswer);
                     if (matchingIndex !== -1) {
                         finalCorrectAnswer = matchingIndex;
                     } else {
                         Toast.error(`Question ${index + 1}: Correct answer "${correctAnswer}" doesn't match any option. Please enter the exact option text from the list above.`);
-                        return;
+                        return null;
                     }
                 }
                 
-                const question = {
-                    id: 'q' + index,
-                    question: questionText,
-                    type: questionType || 'multiple-choice',
-                    points,
-                    correctAnswer: finalCorrectAnswer
-                };
-                
-                if (questionType !== 'text') {
-                    const optionsText = qEl.querySelector('.question-options-text')?.value?.trim();
-                    question.options = optionsText.split('\n').filter(o => o.trim());
+                if (questionType === 'image-choice') {
+                    optionImages = Array.from(qEl.querySelectorAll('.option-image-url')).map(input => input.value);
+                    if (optionImages.length !== options.length || optionImages.some(url => !url)) {
+                        Toast.error(`Question ${index + 1}: Upload an image for every option`);
+                        return null;
+                    }
                 }
-                
-                questions.push(question);
             }
             
-            if (questions.length === 0) {
-                Toast.error('Please add at least one valid question');
+            const question = {
+                id: bank ? (qEl.dataset.questionId || this.generateBankQuestionId()) : 'q' + index,
+                question: questionText,
+                type: questionType || 'multiple-choice',
+                points,
+                correctAnswer: finalCorrectAnswer
+            };
+            
+            if (bank) {
+                // Bank questions are worth the drawing quiz's points per question
+                delete question.points;
+                question.difficulty = qEl.querySelector('.question-difficulty')?.value || 'medium';
+                question.tags = (qEl.querySelector('.question-tags')?.value || '')
+                    .split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+            }
+            
+            if (options) {
+                question.options = options;
+            }
+            if (optionImages) {
+                question.optionImages = optionImages;
+            }
+            if (explanation) {
+                question.explanation = explanation;
+            }
+            
+            questions.push(question);
+        }
+        
+        return questions;
+    },
+    
+    /**
+     * Generate a stable ID for a new question bank question
+     * Submissions reference bank questions by this ID, so it never changes once saved
+     * @returns {string} Question ID
+     */
+    generateBankQuestionId() {
+        return 'bq_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    },
+    
+    /**
+     * Save quiz
+     * @param {Event} event - Form submit event
+     */
+    async saveQuiz(event) {
+        event.preventDefault();
+        
+        try {
+            const quizId = document.getElementById('quiz-id')?.value;
+            const title = document.getElementById('quiz-title')?.value?.trim();
+            const description = document.getElementById('quiz-description')?.value?.trim();
+            const status = document.getElementById('quiz-status')?.value;
+            const questionsContainer = document.getElementById('quiz-questions');
+            
+            // Validation
+            if (!title) {
+                Toast.error('Quiz title is required');
                 return;
             }
             
-            // Calculate total points from questions
-            const totalPoints = questions.reduce((sum, q) => sum + (q.points || 0), 0);
+            const questionSource = document.getElementById('quiz-question-source')?.value || 'fixed';
+            let questions = [];
+            let bankDraw = null;
+            
+            if (questionSource === 'bank') {
+                bankDraw = this.getBankDraw();
+                if (!bankDraw) return;
+            } else {
+                if (!questionsContainer || questionsContainer.children.length === 0) {
+                    Toast.error('Please add at least one question');
+                    return;
+                }
+                
+                questions = this.collectQuestions(questionsContainer);
+                if (!questions) return;
+                
+                if (questions.length === 0) {
+                    Toast.error('Please add at least one valid question');
+                    return;
+                }
+            }
+            
+            // Calculate total points from questions (bank draws: count x points per question)
+            const totalPoints = bankDraw
+                ? bankDraw.count * bankDraw.pointsPerQuestion
+                : questions.reduce((sum, q) => sum + (q.points || 0), 0);
             
             if (totalPoints < 1) {
                 Toast.error('Total points must be at least 1. Please ensure all questions have valid points.');
                 return;
             }
             
+            const availabilityWindow = AdminUI.getAvailabilityWindow('quiz');
+            if (!availabilityWindow) return;
+            
+            // Live quizzes are answered with one tap per question (see controlLiveQuiz)
+            const mode = document.getElementById('quiz-mode')?.value === 'live' ? 'live' : 'self-paced';
+            let liveSecondsPerQuestion = null;
+            if (mode === 'live') {
+                liveSecondsPerQuestion = parseInt(document.getElementById('quiz-live-seconds')?.value, 10);
+                if (!Number.isInteger(liveSecondsPerQuestion) || liveSecondsPerQuestion < 5 || liveSecondsPerQuestion > 120) {
+                    Toast.error('Seconds per question must be between 5 and 120');
+                    return;
+                }
+                if (bankDraw) {
+                    Toast.error('Live quizzes use fixed questions. Switch the question source to fixed questions.');
+                    return;
+                }
+                const unsupported = questions.findIndex(q => !['multiple-choice', 'true-false', 'image-choice'].includes(q.type));
+                if (unsupported !== -1) {
+                    Toast.error(`Question ${unsupported + 1}: live quizzes support multiple choice, true/false and image choice only`);
+                    return;
+                }
+            }
+            
+            // Retakes (enforced by submitQuizAnswers); live quizzes are always played once
+            let attemptPolicy = { maxAttempts: 1, scoring: 'first', cooldownMinutes: 0 };
+            if (mode !== 'live') {
+                const maxAttempts = parseInt(document.getElementById('quiz-max-attempts')?.value, 10);
+                const cooldownMinutes = parseInt(document.getElementById('quiz-cooldown-minutes')?.value || '0', 10);
+                if (!Number.isInteger(maxAttempts) || maxAttempts < 0 || maxAttempts > 20) {
+                    Toast.error('Max attempts must be between 0 (unlimited) and 20');
+                    return;
+                }
+                if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0 || cooldownMinutes > 10080) {
+                    Toast.error('Cooldown must be between 0 and 10080 minutes (one week)');
+                    return;
+                }
+                attemptPolicy = {
+                    maxAttempts,
+                    scoring: document.getElementById('quiz-scoring-rule')?.value || 'first',
+                    cooldownMinutes
+                };
+            }
+            
+            // Correct answers and explanations go to the admin-only answer key, never the attendee-readable quiz doc
+            const answerKey = {
+                answers: {},
+                explanations: {},
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            };
+            const publicQuestions = questions.map(q => {
+                const { correctAnswer, explanation, ...publicQuestion } = q;
+                answerKey.answers[q.id] = correctAnswer;
+                if (explanation) {
+                    answerKey.explanations[q.id] = explanation;
+                }
+                return publicQuestion;
+            });
+            const reviewPolicy = document.getElementById('quiz-review-policy')?.value || 'never';
+            
             const data = {
                 title,
                 description,
                 totalPoints,
-                questions, // Ensure questions array is included
-                status: status || 'active' // Default to 'active' instead of 'draft'
+                questions: publicQuestions, // Ensure questions array is included
+                questionSource,
+                bankDraw,
+                questionsCount: bankDraw ? bankDraw.count : publicQuestions.length,
+                mode,
+                liveSecondsPerQuestion,
+                attemptPolicy,
+                reviewPolicy,
+                status: status || 'active', // Default to 'active' instead of 'draft'
+                ...availabilityWindow
             };
             
             // Save to database
@@ -948,9 +1666,22 @@ const AdminQuizzes = {
                 
                 // Firestore update (async, don't wait)
                 data.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
-                DB.db.collection('quizzes').doc(quizId).update(data)
+                const quizRef = DB.db.collection('quizzes').doc(quizId);
+                const batch = DB.db.batch();
+                batch.update(quizRef, data);
+                batch.set(quizRef.collection('private').doc('answerKey'), answerKey);
+                const gradingChanged = this.editingGradingKey !== null && mode !== 'live' &&
+                    questionSource === 'fixed' && this.getGradingKey(questions) !== this.editingGradingKey;
+                this.editingGradingKey = null;
+                this.editingQuiz = null;
+                batch.commit()
                     .then(() => {
+                        MemoryCache.delete(`quiz:${quizId}`);
                 Toast.success('Quiz updated successfully');
+                        // Existing submissions were graded against the old answers
+                        if (gradingChanged && confirm('Correct answers or points changed. Preview a regrade of existing submissions?')) {
+                            this.showRegrade(quizId);
+                        }
                     })
                     .catch((error) => {
                         console.error('Error updating quiz:', error);
@@ -978,9 +1709,13 @@ const AdminQuizzes = {
                 // Firestore create (async, don't wait)
                 data.createdAt = firebase.firestore.FieldValue.serverTimestamp();
                 data.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
-                DB.db.collection('quizzes').add(data)
-                    .then((docRef) => {
-                savedQuizId = docRef.id;
+                const quizRef = DB.db.collection('quizzes').doc();
+                const batch = DB.db.batch();
+                batch.set(quizRef, data);
+                batch.set(quizRef.collection('private').doc('answerKey'), answerKey);
+                batch.commit()
+                    .then(() => {
+                savedQuizId = quizRef.id;
                 Toast.success('Quiz created successfully');
                         
                         // Invalidate memory cache (new quiz, clear all quiz cache)
@@ -1043,8 +1778,8 @@ const AdminQuizzes = {
         }
         
         try {
-            // Fetch quiz directly from Firestore to ensure we have complete data including questions
-            let quiz = await DB.getQuiz(quizId);
+            // Fetch quiz with its private answer key so correct answers can be shown and exported
+            let quiz = await DB.getQuizWithAnswerKey(quizId);
             if (!quiz) {
                 Toast.error('Quiz not found');
                 return;
@@ -1082,10 +1817,10 @@ const AdminQuizzes = {
                     .get();
             }
             
-            let submissions = submissionsSnapshot.docs.map(doc => ({
+            let submissions = await DB.withQuizGrading(quizId, submissionsSnapshot.docs.map(doc => ({
                 id: doc.id,
                 ...doc.data()
-            }));
+            })));
             
             // Sort by completedAt if not already sorted
             submissions.sort((a, b) => {
@@ -1094,6 +1829,11 @@ const AdminQuizzes = {
                 return bTime - aTime;
             });
             
+            // Bank quizzes: answers reference bank question IDs, so report on the bank questions drawn
+            if (quiz.questionSource === 'bank') {
+                quiz.questions = await this.getDrawnBankQuestions(quiz, submissions);
+            }
+            
             // Get user details for submissions (from directory cache)
             const userIds = [...new Set(submissions.map(s => s.userId))];
             const usersMap = new Map();
@@ -1143,6 +1883,71 @@ const AdminQuizzes = {
         }
     },
     
+    /**
+     * Get the bank questions that appear in a bank quiz's submissions, in bank order
+     * @param {Object} quiz - Quiz with bankDraw
+     * @param {Array<Object>} submissions - Quiz submissions
+     * @returns {Promise<Array<Object>>} Questions with correctAnswer and the quiz's points per question
+     */
+    async getDrawnBankQuestions(quiz, submissions) {
+        const bankDoc = await DB.db.collection('questionBanks').doc(quiz.bankDraw?.bankId || '_').get();
+        const bankQuestions = bankDoc.exists ? (bankDoc.data().questions || []) : [];
+        const drawnIds = new Set(submissions.flatMap(s => s.questionIds || (s.answers || []).map(a => a.questionId)));
+        
+        return bankQuestions
+            .filter(q => drawnIds.has(q.id))
+            .map(q => ({ ...q, points: quiz.bankDraw.pointsPerQuestion }));
+    },
+    
+    /**
+     * Format an attendee's answer for display/CSV
+     * @param {Object} question - Quiz question
+     * @param {*} answer - Stored answer (option index, index list, number or text)
+     * @returns {string} Readable answer
+     */
+    formatQuestionAnswer(question, answer) {
+        if (answer === undefined || answer === null || answer === '') return 'Not answered';
+        
+        const options = question.options || [];
+        const optionText = value => {
+            // Older submissions may store the option text itself
+            const optionIndex = typeof value === 'number' ? value : options.findIndex(opt => opt === value);
+            return optionIndex >= 0 && options[optionIndex] !== undefined ? options[optionIndex] : String(value);
+        };
+        
+        if (question.type === 'text' || question.type === 'numeric') return String(answer);
+        if (question.type === 'ordering' && Array.isArray(answer)) {
+            return answer.map((value, pos) => `${pos + 1}. ${optionText(value)}`).join(' ');
+        }
+        if (Array.isArray(answer)) return answer.map(optionText).join('; ');
+        return options.length > 0 ? optionText(answer) : String(answer);
+    },
+    
+    /**
+     * Format a question's correct answer for display/CSV
+     * @param {Object} question - Quiz question with correctAnswer
+     * @returns {string} Readable correct answer
+     */
+    formatCorrectAnswer(question) {
+        const answer = question.correctAnswer;
+        if (answer === undefined || answer === null) return 'N/A';
+        if (question.type === 'numeric') {
+            return answer.tolerance ? `${answer.value} (±${answer.tolerance})` : String(answer.value);
+        }
+        return this.formatQuestionAnswer(question, answer);
+    },
+    
+    /**
+     * Describe how an answer was graded
+     * @param {Object|undefined} answer - Graded answer from the submission
+     * @returns {string} Correct, Partial, Incorrect or Not answered
+     */
+    getAnswerResult(answer) {
+        if (!answer || answer.answer === undefined || answer.answer === null) return 'Not answered';
+        if (answer.isCorrect) return 'Correct';
+        return (answer.pointsEarned || 0) > 0 ? 'Partial' : 'Incorrect';
+    },
+    
     /**
      * Download quiz submissions as CSV
      * @param {Object} quiz - Quiz object
@@ -1157,12 +1962,12 @@ const AdminQuizzes = {
             }
             
             // Build CSV header
-            const headers = ['Participant Name', 'Email', 'Score', 'Total Points', 'Percentage', 'Completed Date'];
+            const headers = ['Participant Name', 'Email', 'Score', 'Total Points', 'Percentage', 'Attempt', 'Counted Score', 'Completed Date'];
             
             // Add question columns
             if (quiz.questions) {
                 quiz.questions.forEach((q, idx) => {
-                    headers.push(`Q${idx + 1}: ${q.question}`, `Q${idx + 1}: Answer`, `Q${idx + 1}: Correct`, `Q${idx + 1}: Points`);
+                    headers.push(`Q${idx + 1}: ${q.question}${quiz.questionSource === 'bank' ? ` [${q.id}]` : ''}`, `Q${idx + 1}: Type`, `Q${idx + 1}: Answer`, `Q${idx + 1}: Correct`, `Q${idx + 1}: Result`, `Q${idx + 1}: Points`);
                 });
             }
             
@@ -1183,6 +1988,8 @@ const AdminQuizzes = {
                     submission.totalScore || 0,
                     submission.totalPoints || 0,
                     percentage,
+                    submission.attemptNumber || 1,
+                    submission.countedScore ?? submission.totalScore ?? 0,
                     formattedDate
                 ];
                 
@@ -1191,16 +1998,15 @@ const AdminQuizzes = {
                     quiz.questions.forEach((q, idx) => {
                         const answer = submission.answers?.find(a => a.questionId === q.id);
                         const questionText = q.question || `Question ${idx + 1}`;
-                        const userAnswer = answer ? (q.type !== 'text' && q.options 
-                            ? (q.options[answer.answer] || answer.answer) 
-                            : answer.answer) : 'Not answered';
-                        const correctAnswer = q.type === 'text' 
-                            ? q.correctAnswer 
-                            : (q.options && q.options[q.correctAnswer] ? q.options[q.correctAnswer] : 'N/A');
-                        const isCorrect = answer?.isCorrect ? 'Yes' : 'No';
+                        if (submission.questionIds && !submission.questionIds.includes(q.id)) {
+                            row.push(questionText, q.type || 'multiple-choice', 'Not drawn', '', '', '');
+                            return;
+                        }
+                        const userAnswer = this.formatQuestionAnswer(q, answer?.answer);
+                        const correctAnswer = this.formatCorrectAnswer(q);
                         const points = answer?.pointsEarned || 0;
                         
-                        row.push(questionText, userAnswer, correctAnswer, points);
+                        row.push(questionText, q.type || 'multiple-choice', userAnswer, correctAnswer, this.getAnswerResult(answer), points);
                     });
                 }
                 
@@ -1325,6 +2131,7 @@ const AdminQuizzes = {
                 <div class="text-right">
                     <div class="text-2xl font-bold text-rota-pink mb-1">${submission.totalScore || 0} / ${submission.totalPoints || 0}</div>
                     <p class="text-sm text-slate-500">${percentage}</p>
+                    ${(submission.attemptNumber || 1) > 1 ? `<p class="text-xs text-slate-500 mt-1">Attempt ${submission.attemptNumber} · counted score ${submission.countedScore ?? submission.totalScore ?? 0}</p>` : ''}
                     <p class="text-xs text-slate-400 mt-1">${formattedDate}</p>
                 </div>
             </div>
@@ -1356,43 +2163,15 @@ const AdminQuizzes = {
                     const questionPoints = question.points || 0;
                     const pointsEarned = ans.pointsEarned || 0;
                     
-                    // Get correct answer text
-                    let correctAnswerText = 'N/A';
-                    if (question.type === 'text') {
-                        correctAnswerText = question.correctAnswer || 'N/A';
-                    } else if (question.options && question.correctAnswer !== undefined) {
-                        // correctAnswer might be an index (number) or the option text itself
-                        const correctIndex = typeof question.correctAnswer === 'number' 
-                            ? question.correctAnswer 
-                            : question.options.findIndex(opt => opt === question.correctAnswer);
-                        correctAnswerText = (correctIndex >= 0 && question.options[correctIndex]) 
-                            ? question.options[correctIndex] 
-                            : String(question.correctAnswer);
-                    }
-                    
-                    // Get user answer text
-                    let userAnswerText = 'Not answered';
-                    if (ans.answer !== undefined && ans.answer !== null) {
-                        if (question.type === 'text') {
-                            userAnswerText = String(ans.answer);
-                        } else if (question.options) {
-                            // ans.answer might be an index (number) or the option text itself
-                            const answerIndex = typeof ans.answer === 'number' 
-                                ? ans.answer 
-                                : question.options.findIndex(opt => opt === ans.answer);
-                            userAnswerText = (answerIndex >= 0 && question.options[answerIndex]) 
-                                ? question.options[answerIndex] 
-                                : String(ans.answer);
-                        } else {
-                            userAnswerText = String(ans.answer);
-                        }
-                    }
+                    const correctAnswerText = this.formatCorrectAnswer(question);
+                    const userAnswerText = this.formatQuestionAnswer(question, ans.answer);
+                    const isPartial = !ans.isCorrect && pointsEarned > 0;
                     
                     return `
-                        <div class="p-4 rounded-lg border-2 ${ans.isCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}">
+                        <div class="p-4 rounded-lg border-2 ${ans.isCorrect ? 'bg-green-50 border-green-200' : isPartial ? 'bg-amber-50 border-amber-200' : 'bg-red-50 border-red-200'}">
                             <div class="flex justify-between items-start mb-2">
                                 <p class="font-bold text-slate-800">${this.escapeHtml(questionText)}</p>
-                                <span class="text-xs font-bold ${ans.isCorrect ? 'text-green-700' : 'text-red-700'}">
+                                <span class="text-xs font-bold ${ans.isCorrect ? 'text-green-700' : isPartial ? 'text-amber-700' : 'text-red-700'}">
                                     ${pointsEarned} / ${questionPoints} pts
                                 </span>
                             </div>
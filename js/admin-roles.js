@@ -0,0 +1,210 @@
+// Admin Roles Module
+// Lets super-admins grant, change and revoke admin roles
+
+const AdminRoles = {
+    admins: [],
+    loading: false,
+    
+    /**
+     * Load admins from Firestore
+     */
+    async load() {
+        if (this.loading) {
+            return;
+        }
+        
+        this.renderRoleOptions();
+        
+        try {
+            this.loading = true;
+            AdminUI.showSkeleton('admin-roles-list', 'list');
+            const snapshot = await DB.db.collection('admins').get();
+            this.admins = snapshot.docs.map(doc => ({
+                uid: doc.id,
+                ...doc.data(),
+                role: AdminAuth.normalizeRole(doc.data().role)
+            }));
+            this.render();
+        } catch (error) {
+            console.error('Error loading admins:', error);
+            Toast.error('Failed to load admins');
+            this.admins = [];
+            this.render();
+        } finally {
+            this.loading = false;
+        }
+    },
+    
+    /**
+     * Cleanup (no listeners; kept for AdminUI.switchView symmetry)
+     */
+    cleanup() {
+        this.admins = [];
+    },
+    
+    /**
+     * Fill the role select in the add-admin form
+     */
+    renderRoleOptions() {
+        const select = document.getElementById('admin-role-select');
+        if (!select || select.options.length > 0) return;
+        
+        select.innerHTML = Object.entries(AdminAuth.ROLES).map(([key, role]) =>
+            `<option value="${key}" ${key === 'reviewer' ? 'selected' : ''}>${this.escapeHtml(role.label)}</option>`
+        ).join('');
+    },
+    
+    /**
+     * Render admins list
+     */
+    render() {
+        const list = document.getElementById('admin-roles-list');
+        if (!list) return;
+        
+        if (this.admins.length === 0) {
+            list.innerHTML = '<p class="text-center py-8 text-slate-500">No admins found</p>';
+            return;
+        }
+        
+        const sorted = [...this.admins].sort((a, b) => (a.name || a.email || '').localeCompare(b.name || b.email || ''));
+        const currentUid = AdminAuth.currentAdmin?.uid;
+        
+        list.innerHTML = sorted.map(adminUser => {
+            const isSelf = adminUser.uid === currentUid;
+            // Unknown roles have no access until a super-admin picks one
+            const roleOptions = (adminUser.role ? '' : '<option value="" selected disabled>Unknown role (no access)</option>') +
+                Object.entries(AdminAuth.ROLES).map(([key, role]) =>
+                    `<option value="${key}" ${key === adminUser.role ? 'selected' : ''}>${this.escapeHtml(role.label)}</option>`
+                ).join('');
+            
+            return `
+                <div class="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 border border-slate-200 rounded-lg">
+                    <div>
+                        <p class="font-medium text-slate-800">
+                            ${this.escapeHtml(adminUser.name || adminUser.email || adminUser.uid)}
+                            ${isSelf ? '<span class="text-xs text-slate-400">(you)</span>' : ''}
+                        </p>
+                        <p class="text-sm text-slate-500">${this.escapeHtml(adminUser.email || '')}</p>
+                        <p class="text-xs text-slate-400 mt-1">${this.escapeHtml(AdminAuth.ROLES[adminUser.role]?.description || 'No access until a role is chosen')}</p>
+                    </div>
+                    <div class="flex gap-2 items-center">
+                        <select onchange="AdminRoles.changeRole('${adminUser.uid}', this.value)"
+                                class="px-3 py-2 border border-slate-200 rounded-lg text-sm focus:ring-2 focus:ring-rota-pink outline-none"
+                                ${isSelf ? 'disabled' : ''}>
+                            ${roleOptions}
+                        </select>
+                        <button onclick="AdminRoles.removeAdmin('${adminUser.uid}')"
+                                class="px-3 py-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 transition-colors text-sm"
+                                ${isSelf ? 'disabled' : ''}>
+                            <i class="fas fa-user-minus"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Call the setAdminRole Cloud Function
+     * @param {string} email - Admin's Google account email
+     * @param {string|null} role - New role, or null to revoke admin access
+     */
+    async setRole(email, role) {
+        const setAdminRole = firebase.functions().httpsCallable('setAdminRole');
+        const result = await setAdminRole({ email, role });
+        return result.data;
+    },
+    
+    /**
+     * Add an admin from the form
+     * @param {Event} event - Form submit event
+     */
+    async addAdmin(event) {
+        event.preventDefault();
+        
+        const emailInput = document.getElementById('admin-role-email');
+        const roleSelect = document.getElementById('admin-role-select');
+        const submitBtn = document.getElementById('admin-role-submit');
+        const email = emailInput?.value?.trim().toLowerCase();
+        const role = roleSelect?.value;
+        
+        if (!email || !role) {
+            Toast.error('Please enter an email and choose a role');
+            return;
+        }
+        
+        if (submitBtn) submitBtn.disabled = true;
+        try {
+            await this.setRole(email, role);
+            Toast.success(`${email} is now a ${AdminAuth.ROLES[role].label}`);
+            emailInput.value = '';
+            await this.load();
+        } catch (error) {
+            console.error('Error adding admin:', error);
+            Toast.error('Failed to add admin: ' + error.message);
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    },
+    
+    /**
+     * Change an existing admin's role
+     * @param {string} uid - Admin UID
+     * @param {string} role - New role
+     */
+    async changeRole(uid, role) {
+        const adminUser = this.admins.find(a => a.uid === uid);
+        if (!adminUser || !adminUser.email) {
+            Toast.error('Admin has no email on record; update their role in the console');
+            this.render();
+            return;
+        }
+        
+        try {
+            await this.setRole(adminUser.email, role);
+            adminUser.role = role;
+            Toast.success(`${adminUser.name || adminUser.email} is now a ${AdminAuth.ROLES[role].label}`);
+            this.render();
+        } catch (error) {
+            console.error('Error changing admin role:', error);
+            Toast.error('Failed to change role: ' + error.message);
+            this.render(); // Reset the select
+        }
+    },
+    
+    /**
+     * Revoke admin access
+     * @param {string} uid - Admin UID
+     */
+    async removeAdmin(uid) {
+        const adminUser = this.admins.find(a => a.uid === uid);
+        if (!adminUser || !adminUser.email) {
+            Toast.error('Admin has no email on record; remove them in the console');
+            return;
+        }
+        
+        if (!confirm(`Remove admin access for ${adminUser.name || adminUser.email}?`)) return;
+        
+        try {
+            await this.setRole(adminUser.email, null);
+            this.admins = this.admins.filter(a => a.uid !== uid);
+            Toast.success('Admin access removed');
+            this.render();
+        } catch (error) {
+            console.error('Error removing admin:', error);
+            Toast.error('Failed to remove admin: ' + error.message);
+        }
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
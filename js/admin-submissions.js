@@ -900,14 +900,16 @@ const AdminSubmissions = {
         } catch (e) {
         }
         
-        // Format date
-        const formattedDate = Utils.formatDate(submission.submittedAt);
+        // Format date (anonymous responses only keep the day, in UTC)
+        const formattedDate = submission.anonymous
+            ? Utils.formatDate(submission.submittedAt, { hour: undefined, minute: undefined, timeZone: 'UTC' })
+            : Utils.formatDate(submission.submittedAt);
         const statusDisplay = SubmissionHelpers.getStatusDisplay(submission.status || 'pending');
         
-        // Get user details
-        let user = { name: submission.userName || submission.name || 'Unknown', email: 'N/A' };
+        // Get user details (anonymous form responses have no user)
+        let user = { name: submission.anonymous ? 'Anonymous' : (submission.userName || submission.name || 'Unknown'), email: 'N/A' };
         try {
-            const userData = await DB.getUser(submission.userId, false);
+            const userData = submission.userId ? await DB.getUser(submission.userId, false) : null;
             if (userData) {
                 user = { name: userData.name || user.name, email: userData.email || 'N/A' };
             }
@@ -920,11 +922,16 @@ const AdminSubmissions = {
             formDataHTML = '<div class="bg-slate-50 rounded-lg p-4 mb-4"><h5 class="font-bold text-slate-800 mb-3">Form Responses:</h5>';
             Object.entries(submission.formData).forEach(([key, value]) => {
                 const label = fieldLabelsMap[key] || Utils.cleanFieldId(key) || key;
+                // Forms can hold ratings, matrices, files and signatures; AdminForms knows how to show them
+                const field = taskOrForm?.formFields?.find(f => f.id === key);
                 const displayValue = Array.isArray(value) ? value.join(', ') : value;
+                const valueHTML = field && submission.submissionType === 'form'
+                    ? AdminForms.renderAnswerHtml(field, value)
+                    : this.escapeHtml(String(displayValue || '(empty)'));
                 formDataHTML += `
                     <div class="mb-3 pb-3 border-b border-slate-200 last:border-0">
                         <span class="font-medium text-slate-700">${this.escapeHtml(label)}:</span>
-                        <span class="text-slate-600 ml-2">${this.escapeHtml(String(displayValue || '(empty)'))}</span>
+                        <span class="text-slate-600 ml-2">${valueHTML}</span>
                     </div>
                 `;
             });
@@ -1406,25 +1413,11 @@ const AdminSubmissions = {
                     throw new Error(`Submission status update failed. Current status: ${verifyStatus}`);
                 }
                 
-                // Award points with error handling
-                try {
-                    if (task.points && task.points > 0) {
-                        // Award points to user
-                        await DB.addPoints(submission.userId, task.points, `Task: ${submission.taskTitle || task.title}`);
-                        
-                        // Update submission document with pointsAwarded field
-                        // This is important for Cloud Functions to track points changes
-                        await submissionRef.update({
-                            pointsAwarded: task.points
-                        });
-                        
-                        Toast.success(`Submission approved and ${task.points} points awarded`);
-                    } else {
-                        Toast.success('Submission approved (no points to award)');
-                    }
-                } catch (pointsError) {
-                    console.error('[approveSubmission] Error awarding points:', pointsError);
-                    Toast.error('Submission approved but failed to award points: ' + pointsError.message);
+                // Points are awarded by the onSubmissionUpdate Cloud Function on approval
+                if (task.points && task.points > 0) {
+                    Toast.success(`Submission approved. ${task.points} points will be awarded shortly`);
+                } else {
+                    Toast.success('Submission approved (no points to award)');
                 }
             } else {
                 // Form submissions don't need approval
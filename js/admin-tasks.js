@@ -220,6 +220,7 @@ const AdminTasks = {
                 </div>
                 <div class="flex items-center gap-4 text-sm text-slate-600 mb-4">
                     <span><i class="fas fa-star"></i> ${task.points || 0} Points</span>
+                    ${AdminUI.renderAvailabilityWindow(task)}
                 </div>
                 <div class="flex gap-2">
                     <button onclick="AdminTasks.viewTaskSubmissions('${task.id}')" class="flex-1 px-4 py-2 bg-blue-100 text-blue-600 rounded-lg hover:bg-blue-200 transition-colors">
@@ -272,6 +273,7 @@ const AdminTasks = {
         titleEl.textContent = 'Create Task';
         formEl.reset();
         idEl.value = '';
+        AdminUI.setAvailabilityWindow('task', null);
         fieldsListEl.innerHTML = '';
         this.fieldCounter = 0;
         this.currentStep = 1;
@@ -582,6 +584,7 @@ const AdminTasks = {
             typeSelect.value = task.type || 'upload';
             pointsInput.value = task.points || 0;
             statusSelect.value = task.status || 'inactive';
+            AdminUI.setAvailabilityWindow('task', task);
             
             if (task.type === 'upload' && task.maxFileSize && maxSizeInput) {
                 maxSizeInput.value = task.maxFileSize;
@@ -751,13 +754,17 @@ const AdminTasks = {
                 return;
             }
             
+            const availabilityWindow = AdminUI.getAvailabilityWindow('task');
+            if (!availabilityWindow) return;
+            
             const data = {
                 title,
                 description,
                 type: type || 'upload',
                 points,
                 // Default to 'active' for new tasks, preserve existing status for updates
-                status: status || (taskId ? 'inactive' : 'active')
+                status: status || (taskId ? 'inactive' : 'active'),
+                ...availabilityWindow
             };
             
             if (type === 'upload') {
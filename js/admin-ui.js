@@ -27,6 +27,12 @@ const AdminUI = {
             return;
         }
         
+        // Role check (rules enforce the same restrictions server-side)
+        if (typeof AdminAuth !== 'undefined' && !AdminAuth.canAccessView(viewId)) {
+            Toast.error('Your admin role does not have access to this section');
+            return;
+        }
+        
         try {
             // Cleanup listeners for previous view
             if (this.currentView === 'submissions' && typeof AdminSubmissions !== 'undefined') {
@@ -44,6 +50,24 @@ const AdminUI = {
             if (this.currentView === 'attendees' && typeof AdminAttendees !== 'undefined') {
                 AdminAttendees.cleanup();
             }
+            if (this.currentView === 'roles' && typeof AdminRoles !== 'undefined') {
+                AdminRoles.cleanup();
+            }
+            if (this.currentView === 'audit' && typeof AdminAudit !== 'undefined') {
+                AdminAudit.cleanup();
+            }
+            if (this.currentView === 'live-quiz' && typeof AdminLiveQuiz !== 'undefined') {
+                AdminLiveQuiz.cleanup();
+            }
+            if (this.currentView === 'quiz-analytics' && typeof AdminQuizAnalytics !== 'undefined') {
+                AdminQuizAnalytics.cleanup();
+            }
+            if (this.currentView === 'form-results' && typeof AdminFormResults !== 'undefined') {
+                AdminFormResults.cleanup();
+            }
+            if (this.currentView === 'notification-campaign' && typeof AdminNotifications !== 'undefined') {
+                AdminNotifications.cleanupCampaign();
+            }
             
             // Clear memory cache when navigating away from admin panel (if leaving admin entirely)
             // Note: We keep cache during admin panel navigation for performance
@@ -97,6 +121,88 @@ const AdminUI = {
         }
     },
     
+    /**
+     * Read an activity's availability window from its creator's opens/closes inputs
+     * @param {string} prefix - Input ID prefix ('quiz', 'task' or 'form')
+     * @returns {Object|null} { opensAt, closesAt } as Timestamps (or null when empty), or null if invalid
+     */
+    getAvailabilityWindow(prefix) {
+        const opensValue = document.getElementById(`${prefix}-opens-at`)?.value;
+        const closesValue = document.getElementById(`${prefix}-closes-at`)?.value;
+        const opensAt = opensValue ? new Date(opensValue) : null;
+        const closesAt = closesValue ? new Date(closesValue) : null;
+        
+        if (opensAt && closesAt && closesAt <= opensAt) {
+            Toast.error('Closing time must be after opening time');
+            return null;
+        }
+        
+        return {
+            opensAt: opensAt ? firebase.firestore.Timestamp.fromDate(opensAt) : null,
+            closesAt: closesAt ? firebase.firestore.Timestamp.fromDate(closesAt) : null
+        };
+    },
+    
+    /**
+     * Fill an activity creator's opens/closes inputs (datetime-local, admin's local time)
+     * @param {string} prefix - Input ID prefix ('quiz', 'task' or 'form')
+     * @param {Object} activity - Activity with optional opensAt/closesAt
+     */
+    setAvailabilityWindow(prefix, activity) {
+        const toLocalInput = (value) => {
+            const millis = Utils.timestampToMillis(value);
+            if (!millis) return '';
+            const date = new Date(millis);
+            return new Date(millis - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        };
+        
+        const opensInput = document.getElementById(`${prefix}-opens-at`);
+        const closesInput = document.getElementById(`${prefix}-closes-at`);
+        if (opensInput) opensInput.value = toLocalInput(activity?.opensAt);
+        if (closesInput) closesInput.value = toLocalInput(activity?.closesAt);
+    },
+    
+    /**
+     * Render an activity's availability window for admin list cards
+     * @param {Object} activity - Activity with optional opensAt/closesAt
+     * @returns {string} HTML span, or empty string when the activity has no window
+     */
+    renderAvailabilityWindow(activity) {
+        if (!activity?.opensAt && !activity?.closesAt) return '';
+        
+        const availability = Utils.getAvailability(activity);
+        const parts = [];
+        if (activity.opensAt) parts.push(`Opens ${Utils.formatDate(activity.opensAt)}`);
+        if (activity.closesAt) parts.push(`Closes ${Utils.formatDate(activity.closesAt)}`);
+        const stateClass = availability.state === 'open' ? 'text-green-600' : availability.state === 'upcoming' ? 'text-amber-600' : 'text-slate-400';
+        
+        return `<span class="${stateClass}"><i class="fas fa-calendar-alt"></i> ${parts.join(' · ')}</span>`;
+    },
+    
+    /**
+     * Show only the sidebar items and role-gated controls the current admin can use
+     * Elements marked data-requires-role="role-a role-b" are hidden unless the admin has one of those roles
+     */
+    applyRoleVisibility() {
+        if (typeof AdminAuth === 'undefined' || !AdminAuth.currentAdmin) {
+            return;
+        }
+        
+        document.querySelectorAll('.nav-item[data-view]').forEach(item => {
+            item.classList.toggle('hidden', !AdminAuth.canAccessView(item.dataset.view));
+        });
+        
+        document.querySelectorAll('[data-requires-role]').forEach(el => {
+            const roles = el.dataset.requiresRole.split(' ').filter(Boolean);
+            el.classList.toggle('hidden', !AdminAuth.hasRole(...roles));
+        });
+        
+        const roleEl = document.getElementById('admin-role');
+        if (roleEl) {
+            roleEl.textContent = AdminAuth.ROLES[AdminAuth.currentAdmin.role]?.label || '';
+        }
+    },
+    
     /**
      * Update page title and subtitle
      * @param {string} viewId - View ID
@@ -108,16 +214,24 @@ const AdminUI = {
             quizzes: { title: 'Quizzes', subtitle: 'Create and manage quizzes' },
             'quiz-creator': { title: 'Quiz Creator', subtitle: 'Create or edit quiz' },
             'quiz-submissions': { title: 'Quiz Submissions', subtitle: 'Review quiz responses' },
+            'question-banks': { title: 'Question Banks', subtitle: 'Tagged questions that quizzes draw from' },
+            'question-bank-editor': { title: 'Question Bank', subtitle: 'Create or edit a question bank' },
+            'live-quiz': { title: 'Live Quiz', subtitle: 'Host a quiz in the hall and project the top 10' },
+            'quiz-analytics': { title: 'Quiz Analytics', subtitle: 'Spot ambiguous or broken questions' },
             'submission-detail': { title: 'Submission Details', subtitle: 'Review submission details' },
             tasks: { title: 'Tasks', subtitle: 'Create and manage tasks' },
             'task-creator': { title: 'Task Creator', subtitle: 'Create or edit task' },
             'task-submissions': { title: 'Task Submissions', subtitle: 'Review task submissions' },
             forms: { title: 'Forms/Surveys', subtitle: 'Create and manage data collection forms' },
             'form-detail': { title: 'Form Details', subtitle: 'View form information' },
+            'form-results': { title: 'Form Results', subtitle: 'Summary of responses across attendees' },
             'form-submissions': { title: 'Form Responses', subtitle: 'Review form responses' },
             submissions: { title: 'Reviews', subtitle: 'Review and approve task submissions' },
             leaderboard: { title: 'Leaderboard', subtitle: 'View rankings and points' },
-            notifications: { title: 'Notifications', subtitle: 'Send custom push notifications to users' }
+            notifications: { title: 'Notifications', subtitle: 'Send and schedule push notification campaigns' },
+            'notification-campaign': { title: 'Notification Campaign', subtitle: 'Delivery status for one notification' },
+            roles: { title: 'Admin Roles', subtitle: 'Manage who can access each part of the admin panel' },
+            audit: { title: 'Audit Log', subtitle: 'Who changed what, and when' }
         };
         
         const titleInfo = titles[viewId];
@@ -144,6 +258,7 @@ const AdminUI = {
             const selfManagedViews = [
                 'quiz-creator',
                 'quiz-submissions',
+                'question-bank-editor',
                 'task-creator',
                 'task-submissions',
                 'form-detail',
@@ -172,6 +287,26 @@ const AdminUI = {
                         await AdminQuizzes.load();
                     }
                     break;
+                case 'question-banks':
+                    if (typeof AdminQuestionBanks !== 'undefined') {
+                        await AdminQuestionBanks.load();
+                    }
+                    break;
+                case 'live-quiz':
+                    if (typeof AdminLiveQuiz !== 'undefined') {
+                        await AdminLiveQuiz.load();
+                    }
+                    break;
+                case 'quiz-analytics':
+                    if (typeof AdminQuizAnalytics !== 'undefined') {
+                        await AdminQuizAnalytics.load();
+                    }
+                    break;
+                case 'form-results':
+                    if (typeof AdminFormResults !== 'undefined') {
+                        await AdminFormResults.load();
+                    }
+                    break;
                 case 'tasks':
                     if (typeof AdminTasks !== 'undefined') {
                         await AdminTasks.load();
@@ -206,9 +341,25 @@ const AdminUI = {
                     }
                     break;
                 case 'notifications':
-                    // Notifications view doesn't need data loading, it's a form
+                    // Notifications view is a form plus the campaigns list
                     if (typeof AdminNotifications !== 'undefined') {
                         AdminNotifications.init();
+                        await AdminNotifications.load();
+                    }
+                    break;
+                case 'notification-campaign':
+                    if (typeof AdminNotifications !== 'undefined') {
+                        AdminNotifications.loadCampaign();
+                    }
+                    break;
+                case 'roles':
+                    if (typeof AdminRoles !== 'undefined') {
+                        await AdminRoles.load();
+                    }
+                    break;
+                case 'audit':
+                    if (typeof AdminAudit !== 'undefined') {
+                        await AdminAudit.load();
                     }
                     break;
                 default:
@@ -210,8 +210,13 @@ const App = {
         // Render header immediately (synchronous, uses currentUser data)
         UI.renderHeader();
         
-        // Navigate to home immediately - don't wait for data
-        navigateTo('home');
+        // Navigate immediately - don't wait for data
+        // Router opens the view or activity in the URL hash (e.g. from a push notification), or home
+        if (typeof Router !== 'undefined') {
+            Router.start();
+        } else {
+            navigateTo('home');
+        }
         
         // Initialize event listeners immediately
         UI.initActivityViewListeners();
@@ -269,6 +274,9 @@ const App = {
         ]).then(() => {
             // Directory and activities preloaded
         });
+        
+        // Reopen a timed quiz left in progress by a reload (the server still holds its clock)
+        Quiz.resumeSavedAttempt().catch(err => console.error('Error resuming quiz:', err));
     }
 };
 
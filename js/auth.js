@@ -156,6 +156,15 @@ const Auth = {
     
     handleLogout() {
         this.currentUser = null;
+        if (typeof LiveQuiz !== 'undefined') {
+            LiveQuiz.leave();
+        }
+        if (typeof NotificationInbox !== 'undefined') {
+            NotificationInbox.reset();
+        }
+        if (typeof Router !== 'undefined') {
+            Router.stop();
+        }
         // Use App.showLoginView to properly manage state
         if (typeof App !== 'undefined' && App.showLoginView) {
             App.showLoginView();
@@ -177,7 +186,7 @@ const Auth = {
     
     async updateProfile(data) {
         try {
-            await DB.updateUser(this.currentUser.uid, data);
+            await DB.updateOwnProfile(this.currentUser.uid, data);
             this.currentUser = { ...this.currentUser, ...data };
             return this.currentUser;
         } catch (error) {
@@ -25,14 +25,21 @@ const CompletionManager = {
     },
     
     /**
-     * Check if a quiz can be started (not completed)
+     * Check if a quiz can be started under its attempt policy
      * @param {string} userId - User ID
      * @param {string} quizId - Quiz ID
-     * @returns {Promise<boolean>}
+     * @param {Object|null} quiz - Quiz data (fetched when not given)
+     * @returns {Promise<{canStart: boolean, reason: string}>}
      */
-    async canStartQuiz(userId, quizId) {
+    async canStartQuiz(userId, quizId, quiz = null) {
         const completion = await this.isCompleted(userId, 'quiz', quizId);
-        return !completion; // Can start if not completed
+        if (!completion) {
+            return { canStart: true, reason: '' };
+        }
+        
+        const quizData = quiz || await DB.getQuiz(quizId);
+        const retake = SubmissionHelpers.getQuizRetakeState(completion, quizData);
+        return { canStart: retake.canSubmit, reason: retake.reason };
     },
     
     /**
@@ -19,6 +19,16 @@ const DB = {
     // In-flight request map for deduplication (key -> Promise)
     _pendingRequests: new Map(),
     
+    // Fields an attendee may write on their own user document
+    // Mirrors attendeeEditableFields() in FIRESTORE_RULES.rules
+    ATTENDEE_EDITABLE_FIELDS: [
+        'name', 'district', 'designation',
+        'photoURL', 'displayName', 'email',
+        'firstLoginAt', 'lastLoginAt',
+        'notificationEnabled', 'notificationPrefs',
+        'fcmToken', 'fcmTokenUpdatedAt'
+    ],
+    
     /**
      * Get cache performance metrics
      */
@@ -451,7 +461,7 @@ const DB = {
             }
             
             if (Object.keys(updateData).length > 0) {
-                await userRef.update(updateData);
+                await this.updateOwnProfile(uid, updateData);
             }
             
             return await this.getUser(uid);
@@ -749,6 +759,22 @@ const DB = {
         return await this.getUser(uid);
     },
     
+    /**
+     * Update an attendee's own user document
+     * All attendee self-writes go through here so they stay within the fields the rules allow
+     * @param {string} uid - The signed-in attendee's UID
+     * @param {Object} data - Fields to update (must all be in ATTENDEE_EDITABLE_FIELDS)
+     */
+    async updateOwnProfile(uid, data) {
+        const disallowed = Object.keys(data).filter(key => !this.ATTENDEE_EDITABLE_FIELDS.includes(key));
+        if (disallowed.length > 0) {
+            throw new Error(`These profile fields cannot be changed: ${disallowed.join(', ')}`);
+        }
+        
+        await this.db.collection('users').doc(uid).update(data);
+        Cache.clear(Cache.keys.userData(uid));
+    },
+    
     async createUser(userData) {
         const docRef = await this.db.collection('users').add(userData);
         return { uid: docRef.id, ...userData };
@@ -1280,9 +1306,206 @@ const DB = {
         return requestPromise;
     },
     
-    async submitQuiz(quizData) {
-        const docRef = await this.db.collection('quizSubmissions').add(quizData);
-        return { id: docRef.id, ...quizData };
+    /**
+     * Merge per-question grading into a quiz's submissions (admin only)
+     * isCorrect and pointsEarned live in quizGrading/{submissionId}, which attendees cannot read;
+     * submissions from before the split carry them inline and are left as they are
+     * @param {string} quizId - Quiz ID
+     * @param {Array<Object>} submissions - Submissions of the quiz ({ id, answers, ... })
+     * @returns {Promise<Array<Object>>} Submissions with graded answers
+     */
+    async withQuizGrading(quizId, submissions) {
+        const snapshot = await this.db.collection('quizGrading').where('quizId', '==', quizId).get();
+        const gradingById = new Map(snapshot.docs.map(doc => [doc.id, doc.data().answers || []]));
+        
+        return submissions.map(submission => {
+            const grading = gradingById.get(submission.id);
+            if (!grading) return submission;
+            const byQuestion = new Map(grading.map(g => [g.questionId, g]));
+            return {
+                ...submission,
+                answers: (submission.answers || []).map(a => ({
+                    ...a,
+                    isCorrect: !!byQuestion.get(a.questionId)?.isCorrect,
+                    pointsEarned: byQuestion.get(a.questionId)?.pointsEarned || 0
+                }))
+            };
+        });
+    },
+    
+    /**
+     * Get a quiz with correct answers merged back into its questions (admin only)
+     * Answers live in quizzes/{quizId}/private/answerKey, which attendees cannot read
+     * @param {string} quizId - Quiz ID
+     * @returns {Promise<Object|null>} Quiz with correctAnswer (and any explanation) on each question
+     */
+    async getQuizWithAnswerKey(quizId) {
+        const quiz = await this.getQuiz(quizId);
+        if (!quiz) return null;
+        
+        const keyDoc = await this.db.collection('quizzes').doc(quizId)
+            .collection('private').doc('answerKey').get();
+        const keyAnswers = keyDoc.exists ? (keyDoc.data().answers || {}) : {};
+        const keyExplanations = keyDoc.exists ? (keyDoc.data().explanations || {}) : {};
+        
+        // Copy so the memory-cached public quiz never picks up answers
+        return {
+            ...quiz,
+            questions: (quiz.questions || []).map((q, index) => {
+                const questionId = q.id || `q${index}`;
+                const question = keyAnswers.hasOwnProperty(questionId)
+                    ? { ...q, correctAnswer: keyAnswers[questionId] }
+                    : { ...q };
+                if (keyExplanations[questionId]) {
+                    question.explanation = keyExplanations[questionId];
+                }
+                return question;
+            })
+        };
+    },
+    
+    /**
+     * Get the current user's questions for a question bank quiz
+     * The getQuizDraw Cloud Function returns the same seeded draw on every call
+     * @param {string} quizId - Quiz ID
+     * @returns {Promise<{questions: Array, totalPoints: number}>}
+     */
+    async getQuizDraw(quizId) {
+        const getQuizDraw = firebase.functions().httpsCallable('getQuizDraw');
+        const result = await getQuizDraw({ quizId });
+        return result.data;
+    },
+    
+    /**
+     * Get the current user's latest quiz attempt with correct answers and explanations
+     * The getQuizReview Cloud Function enforces the quiz's review policy
+     * @param {string} quizId - Quiz ID
+     * @returns {Promise<{quizTitle: string, attemptNumber: number, score: number, totalPoints: number, questions: Array}>}
+     */
+    async getQuizReview(quizId) {
+        const getQuizReview = firebase.functions().httpsCallable('getQuizReview');
+        const result = await getQuizReview({ quizId });
+        return result.data;
+    },
+    
+    /**
+     * Regrade a quiz's submissions against its current answer key (content editors)
+     * Without apply, the regradeQuiz Cloud Function only returns a preview
+     * @param {string} quizId - Quiz ID
+     * @param {boolean} apply - Rewrite submissions, adjust points and notify attendees
+     * @returns {Promise<{applied: boolean, checked: number, changedSubmissions: number, totalDelta: number, attendees: Array}>}
+     */
+    async regradeQuiz(quizId, apply = false) {
+        const regradeQuiz = firebase.functions().httpsCallable('regradeQuiz');
+        const result = await regradeQuiz({ quizId, apply });
+        return result.data;
+    },
+    
+    /**
+     * Send or schedule a custom push notification campaign (super-admins; rate limited per admin)
+     * The sendCustomEngagementNotifications Cloud Function records each campaign in notificationBroadcasts
+     * With preview: true it only counts the audience
+     * @param {Object} notification - { title, message, targetUsers?, segment?, scheduledAt?, templateId?, notificationType?, preview? }
+     * @returns {Promise<{broadcastId: string, scheduled?: boolean, recipients: number, sent: number, failed: number, skipped: number}>}
+     */
+    async sendCustomNotification(notification) {
+        const sendCustomEngagementNotifications = firebase.functions().httpsCallable('sendCustomEngagementNotifications');
+        const result = await sendCustomEngagementNotifications(notification);
+        return result.data;
+    },
+    
+    /**
+     * Cancel a scheduled notification campaign (super-admins)
+     * @param {string} broadcastId - notificationBroadcasts document ID
+     * @returns {Promise<{success: boolean}>}
+     */
+    async cancelNotificationCampaign(broadcastId) {
+        const cancelNotificationCampaign = firebase.functions().httpsCallable('cancelNotificationCampaign');
+        const result = await cancelNotificationCampaign({ broadcastId });
+        return result.data;
+    },
+    
+    /**
+     * Start or resume a time-based quiz attempt
+     * The startQuizAttempt Cloud Function records the start time on the server
+     * @param {string} quizId - Quiz ID
+     * @returns {Promise<{attemptId: string, remainingSeconds: number, timeLimitSeconds: number, resumed: boolean, expired: boolean}>}
+     */
+    async startQuizAttempt(quizId) {
+        const startQuizAttempt = firebase.functions().httpsCallable('startQuizAttempt');
+        const result = await startQuizAttempt({ quizId });
+        return result.data;
+    },
+    
+    /**
+     * Answer the open question of a live hall quiz
+     * RTDB rules accept one answer per question while the countdown runs, stamped with server time
+     * @param {string} quizId - Quiz ID
+     * @param {number} questionIndex - Index of the open question
+     * @param {number} answer - Selected option index
+     */
+    async submitLiveQuizAnswer(quizId, questionIndex, answer) {
+        const uid = this.getCurrentUser()?.uid;
+        await this.rtdb.ref(`liveQuiz/sessions/${quizId}/answers/${uid}`).set({
+            questionIndex,
+            answer,
+            answeredAt: firebase.database.ServerValue.TIMESTAMP
+        });
+    },
+
+    /**
+     * Mark one inbox notification as read (notificationState/{uid}/read)
+     * @param {string} notificationId - attendeeCache/notifications entry ID
+     */
+    async markNotificationRead(notificationId) {
+        const uid = this.getCurrentUser()?.uid;
+        await this.rtdb.ref(`notificationState/${uid}/read/${notificationId}`).set(true);
+    },
+
+    /**
+     * Mark every inbox notification received so far as read
+     * Entries older than lastReadAt count as read, so the per-entry flags are cleared
+     */
+    async markAllNotificationsRead() {
+        const uid = this.getCurrentUser()?.uid;
+        await this.rtdb.ref(`notificationState/${uid}`).set({
+            lastReadAt: firebase.database.ServerValue.TIMESTAMP
+        });
+    },
+
+    /**
+     * Host a live hall quiz (admin)
+     * @param {string} quizId - Quiz ID
+     * @param {string} action - 'open', 'next', 'reveal' or 'end'
+     * @returns {Promise<{state: Object, submissions?: number}>}
+     */
+    async controlLiveQuiz(quizId, action) {
+        const controlLiveQuiz = firebase.functions().httpsCallable('controlLiveQuiz');
+        const result = await controlLiveQuiz({ quizId, action });
+        return result.data;
+    },
+
+    /**
+     * Submit raw quiz answers for server-side grading
+     * The submitQuizAnswers Cloud Function writes the submission and awards points
+     * @param {string} quizId - Quiz ID
+     * @param {Object} answers - Map of questionId -> answer
+     * @param {number} timeTaken - Seconds spent on the quiz (ignored for time-based quizzes)
+     * @returns {Promise<{submissionId: string, score: number, totalPoints: number, answers: Array, expired: boolean}>}
+     */
+    async submitQuizAnswers(quizId, answers, timeTaken) {
+        const submitQuizAnswers = firebase.functions().httpsCallable('submitQuizAnswers');
+        const result = await submitQuizAnswers({ quizId, answers, timeTaken });
+
+        // Points changed on the server - drop caches that depend on them
+        const currentUser = this.getCurrentUser();
+        if (currentUser && currentUser.uid) {
+            Cache.clear(Cache.keys.userData(currentUser.uid));
+            Cache.clear(Cache.keys.userRank(currentUser.uid));
+            Cache.clear(Cache.keys.leaderboard());
+        }
+
+        return result.data;
     },
     
     async getQuizSubmissions(userId, useCache = true) {
@@ -1698,43 +1921,35 @@ const DB = {
         return requestPromise;
     },
     
-    async submitForm(formSubmission) {
-        // Submit to formSubmissions collection
-        // Note: Don't update forms collection here - attendees don't have write permissions
-        // The Cloud Function onFormSubmissionCreate will update the cache with submission counts
-        
-        // Validate formData before submission
-        if (!formSubmission.formData || typeof formSubmission.formData !== 'object') {
-            console.error(`[DB.submitForm] ERROR: formData is invalid:`, formSubmission.formData);
-            throw new Error('Form data is invalid or missing');
-        }
-        
-        const formDataKeys = Object.keys(formSubmission.formData);
-        if (formDataKeys.length === 0) {
-            console.error(`[DB.submitForm] ERROR: formData is empty object!`);
-            console.error(`[DB.submitForm] Full submission object:`, formSubmission);
+    /**
+     * Submit a response to a named form via the submitForm Cloud Function
+     * The function checks the answers against the form's rules before storing them;
+     * points and caches are then updated by onFormSubmissionCreate
+     * @param {string} formId - Form ID
+     * @param {Object} formData - Answers by field ID
+     * @returns {Promise<{success: boolean, id: string}>}
+     */
+    async submitForm(formId, formData) {
+        if (!formData || typeof formData !== 'object' || Object.keys(formData).length === 0) {
             throw new Error('Form data is empty. Please ensure all form fields are properly filled.');
         }
         
-        // Ensure formData is properly included and not empty
-        // Create a clean object to avoid any serialization issues
-        const submissionData = {
-            userId: formSubmission.userId,
-            userName: formSubmission.userName,
-            formId: formSubmission.formId,
-            formTitle: formSubmission.formTitle,
-            formData: { ...formSubmission.formData }, // Create a new object to ensure it's serializable
-            submittedAt: firebase.firestore.FieldValue.serverTimestamp()
-        };
-        
-        try {
-            const docRef = await this.db.collection('formSubmissions').add(submissionData);
-            return { id: docRef.id, ...submissionData };
-        } catch (error) {
-            console.error(`[DB.submitForm] Error saving form submission:`, error);
-            console.error(`[DB.submitForm] Submission data that failed:`, submissionData);
-            throw error;
-        }
+        const submitForm = firebase.functions().httpsCallable('submitForm');
+        const result = await submitForm({ formId, formData });
+        return result.data;
+    },
+    
+    /**
+     * Submit a response to an anonymous form via the submitAnonymousForm Cloud Function
+     * The response is stored without the user; completion and points are recorded separately
+     * @param {string} formId - Form ID
+     * @param {Object} formData - Answers by field ID
+     * @returns {Promise<{success: boolean, points: number}>}
+     */
+    async submitAnonymousForm(formId, formData) {
+        const submitAnonymousForm = firebase.functions().httpsCallable('submitAnonymousForm');
+        const result = await submitAnonymousForm({ formId, formData });
+        return result.data;
     },
     
     async getFormSubmissions(userId = null, formId = null) {
@@ -1748,30 +1963,54 @@ const DB = {
         }
         
         const snapshot = await query.orderBy('submittedAt', 'desc').get();
-        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const submissions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        if (!userId) return submissions;
+        
+        // Anonymous forms record the user in formCompletions instead (readable by the user and admins only)
+        let completionsQuery = this.db.collection('formCompletions').where('userId', '==', userId);
+        if (formId) {
+            completionsQuery = completionsQuery.where('formId', '==', formId);
+        }
+        const completions = await completionsQuery.get()
+            .then(result => result.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+            .catch(() => []);
+        return [...submissions, ...completions]
+            .sort((a, b) => (b.submittedAt?.toMillis?.() || 0) - (a.submittedAt?.toMillis?.() || 0));
     },
     
     // Points Operations
+    /**
+     * Record a manual points adjustment (admin only) in the points ledger
+     * Activity points are awarded by Cloud Functions; users.points is derived from the
+     * ledger by onPointsLedgerCreate and cannot be written by clients
+     * @param {string} userId - User ID
+     * @param {number} points - Points to add or (if negative) deduct
+     * @param {string} reason - Human-readable reason shown in the ledger
+     * @returns {Promise<string>} Ledger entry ID
+     */
     async addPoints(userId, points, reason) {
         if (!userId) {
             throw new Error('User ID is required to award points');
         }
-        if (!points || points <= 0) {
-            throw new Error('Points must be a positive number');
+        if (!Number.isInteger(points) || points === 0) {
+            throw new Error('Points must be a non-zero whole number');
         }
         
         try {
-            const userRef = this.db.collection('users').doc(userId);
-            
-            // Verify user exists before updating
-            const userDoc = await userRef.get();
-            if (!userDoc.exists) {
-                throw new Error(`User with ID ${userId} not found`);
-            }
+            const currentUser = this.getCurrentUser();
+            const ledgerRef = this.db.collection('pointsLedger').doc();
             
-            // Update points
-            await userRef.update({
-                points: firebase.firestore.FieldValue.increment(points)
+            await ledgerRef.set({
+                userId,
+                delta: points,
+                source: 'manual',
+                activityType: null,
+                activityId: null,
+                activityTitle: null,
+                submissionId: null,
+                reason: reason || null,
+                actorUid: currentUser ? currentUser.uid : null,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
             });
             
             // Clear caches that depend on points
@@ -1779,13 +2018,24 @@ const DB = {
             Cache.clear(Cache.keys.userRank(userId));
             Cache.clear(Cache.keys.leaderboard());
             
+            return ledgerRef.id;
         } catch (error) {
             console.error('Error adding points:', error);
             throw error; // Re-throw to let caller handle
         }
-        
-        // Get updated user (will be cached)
-        return await this.getUser(userId, false);
+    },
+    
+    /**
+     * Get a user's points ledger, newest first (admins, or the user themselves)
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Ledger entries
+     */
+    async getPointsLedger(userId) {
+        const snapshot = await this.db.collection('pointsLedger')
+            .where('userId', '==', userId)
+            .orderBy('createdAt', 'desc')
+            .get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     },
     
     // Attendee Cache Operations (RTDB)
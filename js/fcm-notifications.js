@@ -140,7 +140,7 @@ const FCMNotifications = {
         updateData.notificationEnabled = true;
       }
       
-      await DB.db.collection('users').doc(Auth.currentUser.uid).update(updateData);
+      await DB.updateOwnProfile(Auth.currentUser.uid, updateData);
       console.log('[FCM] Token saved to user profile', explicitlyDisabled ? '(notifications remain disabled by user choice)' : '(notifications enabled)');
     } catch (error) {
       console.error('[FCM] Error saving token:', error);
@@ -199,7 +199,7 @@ const FCMNotifications = {
       
       // Remove from user profile using .update() with FieldValue.delete()
       if (Auth && Auth.currentUser) {
-        await DB.db.collection('users').doc(Auth.currentUser.uid).update({
+        await DB.updateOwnProfile(Auth.currentUser.uid, {
           fcmToken: firebase.firestore.FieldValue.delete(),
           notificationEnabled: false
         });
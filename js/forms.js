@@ -1,6 +1,12 @@
 // Forms/Surveys Module (for attendees)
 const Forms = {
     currentForm: null,
+    pages: [],
+    visiblePages: [],
+    currentPage: 0,
+    signaturePads: {},
+    MAX_UPLOAD_BYTES: 10 * 1024 * 1024,
+    LIKERT_SCALE: ['Strongly disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly agree'],
     
     async openForm(formId) {
         
@@ -21,6 +27,13 @@ const Forms = {
             return;
         }
         
+        // Enforced server-side too; this just explains why early
+        const availability = Utils.getAvailability(form);
+        if (availability.state !== 'open') {
+            showToast(availability.state === 'upcoming' ? `This form ${availability.label.toLowerCase()}` : 'This form is closed', 'info');
+            return;
+        }
+        
         // Check if form can be submitted using CompletionManager
         const canSubmit = await CompletionManager.canSubmitForm(Auth.currentUser.uid, formId);
         if (!canSubmit) {
@@ -31,6 +44,7 @@ const Forms = {
         this.currentForm = form;
         document.getElementById('survey-form-modal-title').textContent = form.title;
         document.getElementById('survey-form-description').textContent = form.description || '';
+        document.getElementById('survey-form-anonymous')?.classList.toggle('hidden', !form.anonymous);
         
         // CRITICAL: Reset close button state before showing modal
         const modal = document.getElementById('modal-survey-form');
@@ -46,61 +60,541 @@ const Forms = {
             submitBtn.innerHTML = 'Submit';
         }
         
+        this.renderForm(form);
+        
+        // Show modal (close button already reset above)
+        modal.classList.remove('hidden');
+    },
+    
+    /**
+     * Render the form's fields, one page per section
+     * @param {Object} form - Form with formFields and optional sections
+     */
+    renderForm(form) {
         const formEl = document.getElementById('survey-form');
         formEl.innerHTML = '';
+        // Pages are validated one at a time by validatePage; native validation
+        // cannot focus required fields on hidden pages
+        formEl.noValidate = true;
+        formEl.onchange = () => this.applyLogic();
+        formEl.oninput = () => this.applyLogic();
         
-        if (form.formFields && form.formFields.length > 0) {
-            form.formFields.forEach(field => {
-                const fieldEl = document.createElement('div');
-                fieldEl.className = 'mb-4';
-                
-                let inputHTML = '';
-                if (field.type === 'dropdown') {
-                    inputHTML = `
-                        <select name="${field.id}" ${field.required ? 'required' : ''} class="w-full p-3 border border-slate-200 rounded-lg focus:ring-2 focus:ring-rota-pink outline-none">
-                            <option value="">Select...</option>
-                            ${field.options.map(opt => `<option value="${opt}">${opt}</option>`).join('')}
-                        </select>
-                    `;
-                } else if (field.type === 'radio') {
-                    inputHTML = field.options.map((opt, idx) => `
-                        <label class="flex items-center gap-2 p-2 hover:bg-slate-50 rounded-lg cursor-pointer">
-                            <input type="radio" name="${field.id}" value="${opt}" ${field.required ? 'required' : ''} class="text-rota-pink focus:ring-rota-pink">
-                            <span>${opt}</span>
+        this.pages = this.getPages(form);
+        this.pages.forEach((page, pageIndex) => {
+            const pageEl = document.createElement('div');
+            pageEl.className = 'survey-form-page';
+            pageEl.dataset.page = pageIndex;
+            if (page.section && (page.section.title || page.section.description)) {
+                pageEl.innerHTML = `
+                    <div class="mb-4">
+                        ${page.section.title ? `<h4 class="font-bold text-slate-800">${this.escapeHtml(page.section.title)}</h4>` : ''}
+                        ${page.section.description ? `<p class="text-sm text-slate-500">${this.escapeHtml(page.section.description)}</p>` : ''}
+                    </div>
+                `;
+            }
+            page.fields.forEach(field => {
+                pageEl.appendChild(this.renderField(field));
+            });
+            formEl.appendChild(pageEl);
+        });
+        
+        this.setupSignaturePads(formEl);
+        this.currentPage = 0;
+        this.applyLogic();
+    },
+    
+    /**
+     * Let attendees draw on each signature pad
+     * @param {HTMLElement} formEl - Form element
+     */
+    setupSignaturePads(formEl) {
+        this.signaturePads = {};
+        formEl.querySelectorAll('canvas.signature-pad').forEach(canvas => {
+            const fieldId = canvas.closest('[data-field-id]')?.dataset.fieldId;
+            if (!fieldId) return;
+            
+            const pad = { canvas, signed: false, drawing: false };
+            this.signaturePads[fieldId] = pad;
+            const ctx = canvas.getContext('2d');
+            
+            // Size the bitmap to the rendered size on first touch (the modal is hidden while rendering)
+            const fitCanvas = () => {
+                const rect = canvas.getBoundingClientRect();
+                if (canvas.width !== Math.round(rect.width) || canvas.height !== Math.round(rect.height)) {
+                    canvas.width = Math.round(rect.width);
+                    canvas.height = Math.round(rect.height);
+                    ctx.lineWidth = 2;
+                    ctx.lineCap = 'round';
+                    ctx.strokeStyle = '#1e293b';
+                }
+                return rect;
+            };
+            
+            canvas.addEventListener('pointerdown', (e) => {
+                const rect = pad.signed ? canvas.getBoundingClientRect() : fitCanvas();
+                pad.drawing = true;
+                canvas.setPointerCapture(e.pointerId);
+                ctx.beginPath();
+                ctx.moveTo(e.clientX - rect.left, e.clientY - rect.top);
+            });
+            canvas.addEventListener('pointermove', (e) => {
+                if (!pad.drawing) return;
+                const rect = canvas.getBoundingClientRect();
+                ctx.lineTo(e.clientX - rect.left, e.clientY - rect.top);
+                ctx.stroke();
+                if (!pad.signed) {
+                    pad.signed = true;
+                    const input = formEl.querySelector(`input.signature-value[name="${fieldId}"]`);
+                    if (input) input.value = 'signed';
+                    this.applyLogic();
+                }
+            });
+            const stop = () => {
+                pad.drawing = false;
+            };
+            canvas.addEventListener('pointerup', stop);
+            canvas.addEventListener('pointercancel', stop);
+        });
+    },
+    
+    /**
+     * Clear a signature pad
+     * @param {string} fieldId - Signature field ID
+     */
+    clearSignature(fieldId) {
+        const pad = this.signaturePads[fieldId];
+        if (!pad) return;
+        pad.canvas.getContext('2d').clearRect(0, 0, pad.canvas.width, pad.canvas.height);
+        pad.signed = false;
+        const input = document.querySelector(`#survey-form input.signature-value[name="${fieldId}"]`);
+        if (input) input.value = '';
+        this.applyLogic();
+    },
+    
+    /**
+     * Highlight stars up to the chosen rating
+     * @param {HTMLElement} formEl - Form element
+     */
+    paintRatings(formEl) {
+        formEl.querySelectorAll('.rating-input').forEach(group => {
+            const checked = Number(group.querySelector('input:checked')?.value || 0);
+            group.querySelectorAll('[data-star]').forEach(star => {
+                const lit = Number(star.dataset.star) <= checked;
+                star.classList.toggle('text-amber-400', lit);
+                star.classList.toggle('text-slate-200', !lit);
+            });
+        });
+    },
+    
+    /**
+     * Turn collected form values into stored answer shapes:
+     * ratings and NPS as numbers, matrix rows as one array, files and signatures as
+     * the File or canvas to upload (see uploadAnswerFiles)
+     * @param {Object} form - Form definition
+     * @param {Object} raw - Values by input name
+     * @param {HTMLElement} formEl - Form element
+     * @returns {Object} Answers by field ID
+     */
+    normalizeAnswers(form, raw, formEl) {
+        const answers = { ...raw };
+        (form.formFields || []).forEach(field => {
+            const value = answers[field.id];
+            if (field.type === 'rating' || field.type === 'nps') {
+                if (value !== undefined && value !== '') answers[field.id] = Number(value);
+            } else if (field.type === 'matrix') {
+                const rows = (field.rows || []).map((_, rowIndex) => {
+                    const choice = raw[`${field.id}.${rowIndex}`];
+                    delete answers[`${field.id}.${rowIndex}`];
+                    return choice || '';
+                });
+                if (rows.some(choice => choice)) {
+                    answers[field.id] = rows;
+                } else {
+                    delete answers[field.id];
+                }
+            } else if (field.type === 'file') {
+                const file = formEl.querySelector(`input[type="file"][name="${field.id}"]`)?.files?.[0];
+                if (file) {
+                    answers[field.id] = file;
+                } else {
+                    delete answers[field.id];
+                }
+            } else if (field.type === 'signature') {
+                const pad = this.signaturePads[field.id];
+                if (pad?.signed) {
+                    answers[field.id] = pad.canvas;
+                } else {
+                    delete answers[field.id];
+                }
+            }
+        });
+        return answers;
+    },
+    
+    /**
+     * Upload file and signature answers to Storage and replace them with their details
+     * @param {Object} form - Form definition
+     * @param {Object} answers - Answers from resolveAnswers
+     * @returns {Promise<Object>} Answers ready to store
+     */
+    async uploadAnswerFiles(form, answers) {
+        const uploads = (form.formFields || []).filter(field =>
+            (field.type === 'file' && answers[field.id] instanceof File) ||
+            (field.type === 'signature' && answers[field.id] instanceof HTMLCanvasElement));
+        
+        for (const field of uploads) {
+            const value = answers[field.id];
+            const folder = `form-uploads/${Auth.currentUser.uid}/${form.id}`;
+            if (field.type === 'file') {
+                if (value.size > this.MAX_UPLOAD_BYTES) {
+                    throw new Error(`"${field.label}" is larger than 10 MB`);
+                }
+                const safeName = value.name.replace(/[^a-zA-Z0-9._-]/g, '_');
+                const path = `${folder}/${field.id}_${Date.now()}_${safeName}`;
+                const url = await DB.uploadFile(value, path);
+                answers[field.id] = { name: value.name, url, path, size: value.size, contentType: value.type || null };
+            } else {
+                const blob = await new Promise(resolve => value.toBlob(resolve, 'image/png'));
+                const path = `${folder}/${field.id}_${Date.now()}_signature.png`;
+                const url = await DB.uploadFile(blob, path);
+                answers[field.id] = { name: 'signature.png', url, path, size: blob.size, contentType: 'image/png', signedAt: Date.now() };
+            }
+        }
+        return answers;
+    },
+    
+    /**
+     * Render one form field
+     * @param {Object} field - Field definition
+     * @returns {HTMLElement} Field wrapper
+     */
+    renderField(field) {
+        const fieldEl = document.createElement('div');
+        fieldEl.className = 'mb-4';
+        fieldEl.dataset.fieldId = field.id;
+        
+        let inputHTML = '';
+        if (field.type === 'dropdown') {
+            inputHTML = `
+                <select name="${field.id}" ${field.required ? 'required' : ''} class="w-full p-3 border border-slate-200 rounded-lg focus:ring-2 focus:ring-rota-pink outline-none">
+                    <option value="">Select...</option>
+                    ${field.options.map(opt => `<option value="${opt}">${opt}</option>`).join('')}
+                </select>
+            `;
+        } else if (field.type === 'radio') {
+            inputHTML = field.options.map((opt, idx) => `
+                <label class="flex items-center gap-2 p-2 hover:bg-slate-50 rounded-lg cursor-pointer">
+                    <input type="radio" name="${field.id}" value="${opt}" ${field.required ? 'required' : ''} class="text-rota-pink focus:ring-rota-pink">
+                    <span>${opt}</span>
+                </label>
+            `).join('');
+        } else if (field.type === 'checkbox') {
+            inputHTML = `
+                <label class="flex items-center gap-2 p-2 hover:bg-slate-50 rounded-lg cursor-pointer">
+                    <input type="checkbox" name="${field.id}" ${field.required ? 'required' : ''} class="w-4 h-4 text-rota-pink rounded focus:ring-rota-pink">
+                    <span>${field.label}</span>
+                </label>
+            `;
+        } else if (field.type === 'rating') {
+            inputHTML = `
+                <div class="rating-input flex gap-2">
+                    ${[1, 2, 3, 4, 5].map(n => `
+                        <label class="cursor-pointer" title="${n} of 5">
+                            <input type="radio" name="${field.id}" value="${n}" ${field.required ? 'required' : ''} class="sr-only">
+                            <i class="fas fa-star text-3xl text-slate-200" data-star="${n}"></i>
                         </label>
-                    `).join('');
-                } else if (field.type === 'checkbox') {
-                    inputHTML = `
-                        <label class="flex items-center gap-2 p-2 hover:bg-slate-50 rounded-lg cursor-pointer">
-                            <input type="checkbox" name="${field.id}" ${field.required ? 'required' : ''} class="w-4 h-4 text-rota-pink rounded focus:ring-rota-pink">
-                            <span>${field.label}</span>
+                    `).join('')}
+                </div>
+            `;
+        } else if (field.type === 'nps') {
+            inputHTML = `
+                <div class="grid grid-cols-11 gap-1">
+                    ${Array.from({ length: 11 }, (_, n) => `
+                        <label class="cursor-pointer">
+                            <input type="radio" name="${field.id}" value="${n}" ${field.required ? 'required' : ''} class="sr-only peer">
+                            <span class="block text-center text-sm py-2 border border-slate-200 rounded-lg peer-checked:bg-rota-pink peer-checked:text-white peer-checked:border-rota-pink">${n}</span>
                         </label>
-                    `;
-                } else if (field.type === 'textarea') {
-                    inputHTML = `
-                        <textarea name="${field.id}" ${field.required ? 'required' : ''} rows="4" placeholder="${field.label}" class="w-full p-3 border border-slate-200 rounded-lg focus:ring-2 focus:ring-rota-pink outline-none"></textarea>
-                    `;
-                } else {
-                    const inputType = field.type === 'email' ? 'email' : 
-                                     field.type === 'tel' ? 'tel' : 
-                                     field.type === 'number' ? 'number' : 
-                                     field.type === 'date' ? 'date' : 'text';
-                    inputHTML = `
-                        <input type="${inputType}" name="${field.id}" ${field.required ? 'required' : ''} placeholder="${field.label}" class="w-full p-3 border border-slate-200 rounded-lg focus:ring-2 focus:ring-rota-pink outline-none">
-                    `;
+                    `).join('')}
+                </div>
+                <div class="flex justify-between text-xs text-slate-400 mt-1">
+                    <span>Not at all likely</span>
+                    <span>Extremely likely</span>
+                </div>
+            `;
+        } else if (field.type === 'matrix') {
+            const scale = field.options?.length ? field.options : this.LIKERT_SCALE;
+            inputHTML = `
+                <div class="overflow-x-auto">
+                    <table class="w-full text-xs">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                ${scale.map(choice => `<th class="px-1 pb-2 font-medium text-slate-500">${this.escapeHtml(choice)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${(field.rows || []).map((row, rowIndex) => `
+                                <tr class="border-t border-slate-100">
+                                    <td class="py-2 pr-2 text-sm text-slate-700">${this.escapeHtml(row)}</td>
+                                    ${scale.map(choice => `
+                                        <td class="text-center">
+                                            <input type="radio" name="${field.id}.${rowIndex}" value="${this.escapeHtml(choice)}" ${field.required ? 'required' : ''} class="text-rota-pink focus:ring-rota-pink" aria-label="${this.escapeHtml(row)}: ${this.escapeHtml(choice)}">
+                                        </td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } else if (field.type === 'file') {
+            inputHTML = `
+                <input type="file" name="${field.id}" accept="image/*,application/pdf" ${field.required ? 'required' : ''} class="w-full p-3 border border-slate-200 rounded-lg text-sm">
+                <p class="text-xs text-slate-400 mt-1">Image or PDF, up to 10 MB</p>
+            `;
+        } else if (field.type === 'signature') {
+            // The visually hidden input carries the required flag so page validation covers the pad
+            inputHTML = `
+                <div class="border border-slate-200 rounded-lg bg-slate-50">
+                    <canvas class="signature-pad w-full h-32 touch-none" data-field-id="${field.id}"></canvas>
+                </div>
+                <input type="text" name="${field.id}" tabindex="-1" ${field.required ? 'required' : ''} class="sr-only signature-value" aria-label="Signature">
+                <div class="flex justify-between items-center mt-1">
+                    <span class="text-xs text-slate-400">Sign above with your finger or mouse</span>
+                    <button type="button" onclick="Forms.clearSignature('${field.id}')" class="text-xs text-rota-pink font-medium">Clear</button>
+                </div>
+            `;
+        } else if (field.type === 'textarea') {
+            inputHTML = `
+                <textarea name="${field.id}" ${field.required ? 'required' : ''} rows="4" placeholder="${field.label}" class="w-full p-3 border border-slate-200 rounded-lg focus:ring-2 focus:ring-rota-pink outline-none"></textarea>
+            `;
+        } else {
+            const inputType = field.type === 'email' ? 'email' : 
+                             field.type === 'tel' ? 'tel' : 
+                             field.type === 'number' ? 'number' : 
+                             field.type === 'date' ? 'date' : 'text';
+            inputHTML = `
+                <input type="${inputType}" name="${field.id}" ${field.required ? 'required' : ''} placeholder="${field.label}" class="w-full p-3 border border-slate-200 rounded-lg focus:ring-2 focus:ring-rota-pink outline-none">
+            `;
+        }
+        
+        fieldEl.innerHTML = `
+            <label class="block text-sm font-medium text-slate-700 mb-2">${field.label} <span class="field-required-mark text-red-500 ${field.required ? '' : 'hidden'}">*</span></label>
+            ${inputHTML}
+        `;
+        
+        return fieldEl;
+    },
+    
+    /**
+     * Split a form into pages: fields outside any section first, then one page per section
+     * @param {Object} form - Form with formFields and optional sections
+     * @returns {Array<{section: Object|null, fields: Array}>}
+     */
+    getPages(form) {
+        const fields = form.formFields || [];
+        const sections = form.sections || [];
+        const sectionIds = new Set(sections.map(section => section.id));
+        
+        const pages = [];
+        const unsectioned = fields.filter(field => !field.sectionId || !sectionIds.has(field.sectionId));
+        if (unsectioned.length > 0 || sections.length === 0) {
+            pages.push({ section: null, fields: unsectioned });
+        }
+        sections.forEach(section => {
+            pages.push({ section, fields: fields.filter(field => field.sectionId === section.id) });
+        });
+        return pages;
+    },
+    
+    /**
+     * Read the current answers, including fields that are hidden right now
+     * @param {HTMLFormElement} formEl - Form element
+     * @returns {Object} Answers by field ID
+     */
+    readAnswers(formEl) {
+        const answers = {};
+        formEl.querySelectorAll('input, select, textarea').forEach(input => {
+            if (!input.name) return;
+            if ((input.type === 'checkbox' || input.type === 'radio') && !input.checked) return;
+            if (input.name in answers) {
+                answers[input.name] = [].concat(answers[input.name], input.value);
+            } else {
+                answers[input.name] = input.value;
+            }
+        });
+        return answers;
+    },
+    
+    /**
+     * Whether a show/required condition holds for the answers given so far
+     * Mirrors evaluateFormCondition in the Cloud Functions
+     * @param {Object|null} condition - { fieldId, operator: 'equals'|'not_equals'|'answered', value }
+     * @param {Object} answers - Answers of visible fields
+     * @returns {boolean}
+     */
+    evaluateCondition(condition, answers) {
+        if (!condition || !condition.fieldId) return true;
+        const answer = answers[condition.fieldId];
+        const values = (Array.isArray(answer) ? answer : [answer])
+            .filter(value => value !== undefined && value !== null && value !== '')
+            .map(String);
+        if (condition.operator === 'answered') return values.length > 0;
+        const matches = values.includes(String(condition.value ?? ''));
+        return condition.operator === 'not_equals' ? !matches : matches;
+    },
+    
+    /**
+     * Apply the form's rules to answers, in field order (conditions only refer to earlier fields)
+     * onFormSubmissionCreate applies the same rules and rejects submissions that break them
+     * @param {Object} form - Form definition
+     * @param {Object} rawAnswers - Answers by field ID
+     * @returns {{answers: Object, missing: Array<string>, visibleIds: Set, requiredIds: Set}}
+     */
+    resolveAnswers(form, rawAnswers) {
+        const sections = new Map((form.sections || []).map(section => [section.id, section]));
+        const answers = {};
+        const missing = [];
+        const visibleIds = new Set();
+        const requiredIds = new Set();
+        
+        (form.formFields || []).forEach(field => {
+            const section = field.sectionId ? sections.get(field.sectionId) : null;
+            if (!this.evaluateCondition(section?.showIf, answers) || !this.evaluateCondition(field.showIf, answers)) {
+                return;
+            }
+            visibleIds.add(field.id);
+            
+            const value = rawAnswers[field.id];
+            if (value !== undefined) {
+                answers[field.id] = value;
+            }
+            if (field.required || (field.requiredIf && this.evaluateCondition(field.requiredIf, answers))) {
+                requiredIds.add(field.id);
+                const isEmpty = value === undefined || value === null || value === '' ||
+                    (Array.isArray(value) && (value.length === 0 || (field.type === 'matrix' && value.includes(''))));
+                if (isEmpty) {
+                    missing.push(field.label || field.id);
                 }
-                
-                fieldEl.innerHTML = `
-                    <label class="block text-sm font-medium text-slate-700 mb-2">${field.label} ${field.required ? '<span class="text-red-500">*</span>' : ''}</label>
-                    ${inputHTML}
-                `;
-                
-                formEl.appendChild(fieldEl);
+            }
+        });
+        
+        return { answers, missing, visibleIds, requiredIds };
+    },
+    
+    /**
+     * Show/hide fields and set required flags from the current answers
+     * Hidden fields are disabled so they are neither validated nor submitted
+     */
+    applyLogic() {
+        const formEl = document.getElementById('survey-form');
+        if (!formEl || !this.currentForm) return;
+        
+        const answers = this.normalizeAnswers(this.currentForm, this.readAnswers(formEl), formEl);
+        const { visibleIds, requiredIds } = this.resolveAnswers(this.currentForm, answers);
+        formEl.querySelectorAll('[data-field-id]').forEach(fieldEl => {
+            const fieldId = fieldEl.dataset.fieldId;
+            const visible = visibleIds.has(fieldId);
+            const required = requiredIds.has(fieldId);
+            fieldEl.classList.toggle('hidden', !visible);
+            fieldEl.querySelector('.field-required-mark')?.classList.toggle('hidden', !required);
+            fieldEl.querySelectorAll('input, select, textarea').forEach(input => {
+                input.disabled = !visible;
+                input.required = required;
             });
+        });
+        this.paintRatings(formEl);
+        
+        // A page is skipped when none of its fields are shown
+        this.visiblePages = this.pages
+            .map((page, index) => (page.fields.some(field => visibleIds.has(field.id)) ? index : null))
+            .filter(index => index !== null);
+        if (this.visiblePages.length > 0 && !this.visiblePages.includes(this.currentPage)) {
+            this.currentPage = [...this.visiblePages].reverse().find(index => index < this.currentPage) ?? this.visiblePages[0];
         }
+        this.updatePageUI();
+    },
+    
+    /**
+     * Show the current page, the progress indicator and the matching footer buttons
+     */
+    updatePageUI() {
+        document.querySelectorAll('#survey-form .survey-form-page').forEach(pageEl => {
+            pageEl.classList.toggle('hidden', Number(pageEl.dataset.page) !== this.currentPage);
+        });
         
-        // Show modal (close button already reset above)
-        modal.classList.remove('hidden');
+        const position = this.visiblePages.indexOf(this.currentPage) + 1;
+        const total = this.visiblePages.length;
+        const isLast = position >= total;
+        
+        document.getElementById('survey-form-progress')?.classList.toggle('hidden', total <= 1);
+        const labelEl = document.getElementById('survey-form-progress-label');
+        if (labelEl) labelEl.textContent = `Page ${position} of ${total}`;
+        const sectionEl = document.getElementById('survey-form-section-title');
+        if (sectionEl) sectionEl.textContent = this.pages[this.currentPage]?.section?.title || '';
+        const barEl = document.getElementById('survey-form-progress-bar');
+        if (barEl) barEl.style.width = `${total > 0 ? Math.round((position / total) * 100) : 0}%`;
+        
+        document.getElementById('survey-form-back')?.classList.toggle('hidden', position <= 1);
+        document.getElementById('survey-form-next')?.classList.toggle('hidden', isLast);
+        document.querySelector('#modal-survey-form button[type="submit"]')?.classList.toggle('hidden', !isLast);
+    },
+    
+    /**
+     * Check the visible inputs of one page, pointing the attendee at the first problem
+     * @param {number} pageIndex - Page index
+     * @returns {boolean} Whether the page is valid
+     */
+    validatePage(pageIndex) {
+        const pageEl = document.querySelector(`#survey-form .survey-form-page[data-page="${pageIndex}"]`);
+        if (!pageEl) return true;
+        
+        const invalid = Array.from(pageEl.querySelectorAll('input, select, textarea'))
+            .find(input => !input.disabled && !input.checkValidity());
+        if (!invalid) return true;
+        
+        if (pageIndex !== this.currentPage) {
+            this.currentPage = pageIndex;
+            this.updatePageUI();
+        }
+        invalid.reportValidity();
+        return false;
+    },
+    
+    /**
+     * Go to the next shown page once the current one is valid
+     */
+    nextPage() {
+        if (!this.validatePage(this.currentPage)) return;
+        
+        const next = this.visiblePages.find(index => index > this.currentPage);
+        if (next === undefined) return;
+        this.currentPage = next;
+        this.updatePageUI();
+        document.getElementById('survey-form')?.parentElement?.scrollTo({ top: 0 });
+    },
+    
+    /**
+     * Go back to the previous shown page
+     */
+    previousPage() {
+        const previous = [...this.visiblePages].reverse().find(index => index < this.currentPage);
+        if (previous === undefined) return;
+        this.currentPage = previous;
+        this.updatePageUI();
+        document.getElementById('survey-form')?.parentElement?.scrollTo({ top: 0 });
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     },
     
     async submitSurveyForm(event) {
@@ -108,6 +602,14 @@ const Forms = {
         
         if (!this.currentForm) return;
         
+        // Enter on an earlier page moves on; the last page checks every shown page
+        if (this.visiblePages.some(index => index > this.currentPage)) {
+            this.nextPage();
+            return;
+        }
+        if (!this.visiblePages.every(index => this.validatePage(index))) {
+            return;
+        }
         
         // Prevent double submission
         if (this._submitting) {
@@ -196,24 +698,24 @@ const Forms = {
                 throw new Error('No form data collected. Please ensure all form fields have valid names and are properly filled.');
             }
             
-            // Create form submission
-            // Use Firestore Timestamp for consistency with Cloud Functions
-            const submittedAt = firebase.firestore.Timestamp.now ? firebase.firestore.Timestamp.now() : new Date();
-            const submittedAtTimestamp = submittedAt.getTime ? submittedAt.getTime() : (submittedAt.toMillis ? submittedAt.toMillis() : Date.now());
+            // Keep only fields the form's rules show; the Cloud Function enforces the same rules
+            const normalized = this.normalizeAnswers(this.currentForm, formDataObj, formElement);
+            const { answers: shownAnswers, missing } = this.resolveAnswers(this.currentForm, normalized);
+            if (missing.length > 0) {
+                throw new Error(`Please answer: ${missing.join(', ')}`);
+            }
             
-            // CRITICAL: Capture form ID and title before closing modal (to avoid null reference in async handlers)
-            const formId = this.currentForm.id;
-            const formTitle = this.currentForm.title;
-            const formPoints = this.currentForm.points || 0;
+            if (submitBtn) {
+                submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Uploading...';
+            }
+            const answers = await this.uploadAnswerFiles(this.currentForm, shownAnswers);
             
-            const submission = {
-                userId: Auth.currentUser.uid,
-                userName: Auth.currentUser.name,
-                formId: formId,
-                formTitle: formTitle,
-                formData: formDataObj, // This should be a plain object with field IDs as keys
-                submittedAt: submittedAt // Use Firestore Timestamp if available
-            };
+            // Local completion time until the Cloud Function's timestamp arrives
+            const submittedAtTimestamp = Date.now();
+            
+            // CRITICAL: Capture form ID before closing modal (to avoid null reference in async handlers)
+            const formId = this.currentForm.id;
+            const isAnonymous = this.currentForm.anonymous === true;
             
             // IMMEDIATE UX: Show submitting state on card BEFORE database write
             SubmissionHelpers.showSubmittingState(formId, 'form');
@@ -234,13 +736,12 @@ const Forms = {
             // Close modal immediately (don't wait for database)
             closeModal('modal-survey-form');
             
-            
-            // Show success toast immediately
-            Toast.success('Form submitted successfully!');
-            
             // Submit to database (async - don't wait for Cloud Function)
-            DB.submitForm(submission)
+            // Both go through Cloud Functions that validate the answers; anonymous ones are stored without the user,
+            // so success is only shown once the response is accepted
+            (isAnonymous ? DB.submitAnonymousForm(formId, answers) : DB.submitForm(formId, answers))
                 .then(() => {
+                    Toast.success('Form submitted successfully!');
                     
                     // Mark as completed locally
                     CompletionManager.markCompletedLocally(
@@ -252,13 +753,7 @@ const Forms = {
                         }
                     );
                     
-                    // Award points if form has points (async)
-                    if (formPoints > 0) {
-                        DB.addPoints(Auth.currentUser.uid, formPoints, `Form: ${formTitle}`)
-                            .catch(error => {
-                                console.error('Error awarding points:', error);
-                            });
-                    }
+                    // Points are awarded by the onFormSubmissionCreate Cloud Function
                     
                     this._submitting = false;
                     this.currentForm = null;
@@ -297,6 +792,7 @@ const Forms = {
                 submitBtn.innerHTML = 'Submit';
             }
             formFields.forEach(field => field.disabled = false);
+            this.applyLogic();
             if (closeBtn) closeBtn.style.pointerEvents = 'auto';
             showToast('Submission failed: ' + error.message, 'error');
             
@@ -0,0 +1,382 @@
+// Live Quiz Module
+// Host-paced hall quiz: the host advances questions (controlLiveQuiz), attendees answer here
+// against a countdown synced through RTDB, and faster correct answers earn more points
+
+const LiveQuiz = {
+    current: null,
+    quizId: null,
+    state: null,
+    myScore: null,
+    myAnswer: null,
+    top10: [],
+    listeners: {},
+    countdownTimer: null,
+    serverOffset: 0,
+    
+    /**
+     * Handle a change of liveQuiz/current (listened to in UI.setupRealtimeListeners)
+     * @param {Object|null} current - { quizId, title, status } or null when nothing is live
+     */
+    handleCurrentChange(current) {
+        const wasLive = this.current?.quizId;
+        this.current = current;
+        this.renderBanner();
+        
+        if (current && current.quizId !== wasLive && current.status === 'lobby') {
+            showToast(`Live quiz starting: ${current.title}`, 'info');
+        }
+    },
+    
+    /**
+     * Show or hide the home screen "join" banner
+     */
+    renderBanner() {
+        const banner = document.getElementById('live-quiz-banner');
+        if (!banner) return;
+        
+        if (!this.current) {
+            banner.classList.add('hidden');
+            return;
+        }
+        
+        document.getElementById('live-quiz-banner-title').textContent = this.current.title || 'Live Quiz';
+        banner.classList.remove('hidden');
+    },
+    
+    /**
+     * Open a live quiz from its activity card
+     * @param {string} quizId - Quiz ID
+     */
+    openFromActivity(quizId) {
+        if (this.current?.quizId === quizId) {
+            this.join(quizId);
+            return;
+        }
+        showToast('This quiz is played live in the hall. You can join when the host starts it.', 'info');
+    },
+    
+    /**
+     * Join a live session: listen to its state, the top 10 and this attendee's answer and score
+     * @param {string} quizId - Quiz ID (defaults to the quiz that is live now)
+     */
+    join(quizId = this.current?.quizId) {
+        if (!quizId || !Auth.currentUser) return;
+        
+        if (this.quizId !== quizId) {
+            this.detach();
+            this.quizId = quizId;
+            this.state = null;
+            this.myScore = null;
+            this.myAnswer = null;
+            this.top10 = [];
+            
+            const uid = Auth.currentUser.uid;
+            const sessionPath = `liveQuiz/sessions/${quizId}`;
+            this.attach('offset', '.info/serverTimeOffset', (snapshot) => {
+                this.serverOffset = snapshot.val() || 0;
+            });
+            this.attach('state', `${sessionPath}/state`, (snapshot) => {
+                this.state = snapshot.val();
+                this.render();
+            });
+            this.attach('top10', `${sessionPath}/top10`, (snapshot) => {
+                this.top10 = snapshot.val() || [];
+                this.render();
+            });
+            this.attach('score', `${sessionPath}/scores/${uid}`, (snapshot) => {
+                this.myScore = snapshot.val();
+                this.render();
+            });
+            this.attach('answer', `${sessionPath}/answers/${uid}`, (snapshot) => {
+                // Cleared by the server when the next question opens
+                this.myAnswer = snapshot.val();
+                this.render();
+            });
+        }
+        
+        document.getElementById('modal-live-quiz').classList.remove('hidden');
+        this.render();
+    },
+    
+    /**
+     * Listen to an RTDB path and remember the listener for detach()
+     * @param {string} name - Listener name
+     * @param {string} path - RTDB path
+     * @param {Function} listener - Value listener
+     */
+    attach(name, path, listener) {
+        const ref = DB.rtdb.ref(path);
+        ref.on('value', listener, (error) => {
+            console.error(`Error listening to live quiz ${name}:`, error);
+        });
+        this.listeners[name] = { ref, listener };
+    },
+    
+    /**
+     * Stop listening to the joined session
+     */
+    detach() {
+        Object.values(this.listeners).forEach(({ ref, listener }) => {
+            ref.off('value', listener);
+        });
+        this.listeners = {};
+        this.quizId = null;
+        this.stopCountdown();
+    },
+    
+    /**
+     * Close the live quiz screen (the session can be rejoined from the banner)
+     */
+    close() {
+        document.getElementById('modal-live-quiz').classList.add('hidden');
+        this.detach();
+    },
+    
+    /**
+     * Leave everything on logout (called from UI.cleanupRealtimeListeners)
+     */
+    leave() {
+        this.close();
+        this.current = null;
+        this.renderBanner();
+    },
+    
+    /**
+     * Answer the open question
+     * @param {number} optionIndex - Selected option
+     */
+    async answer(optionIndex) {
+        const state = this.state;
+        if (!state || state.status !== 'question' || this.myAnswer?.questionIndex === state.questionIndex) return;
+        if (this.getRemainingMs() <= 0) {
+            showToast("Time's up for this question", 'info');
+            return;
+        }
+        
+        // Show the pick straight away; the answers listener confirms it
+        this.myAnswer = { questionIndex: state.questionIndex, answer: optionIndex, pending: true };
+        this.render();
+        
+        try {
+            await DB.submitLiveQuizAnswer(this.quizId, state.questionIndex, optionIndex);
+        } catch (error) {
+            console.error('Error submitting live answer:', error);
+            this.myAnswer = null;
+            this.render();
+            showToast('Your answer did not make it before the buzzer', 'error');
+        }
+    },
+    
+    /**
+     * Milliseconds left on the open question, by server time
+     * @returns {number}
+     */
+    getRemainingMs() {
+        if (!this.state?.endsAt) return 0;
+        return Math.max(0, this.state.endsAt - (Date.now() + this.serverOffset));
+    },
+    
+    /**
+     * Tick the countdown while a question is open
+     */
+    startCountdown() {
+        if (this.countdownTimer) return;
+        
+        const tick = () => {
+            const remaining = this.getRemainingMs();
+            const label = document.getElementById('live-quiz-countdown');
+            const bar = document.getElementById('live-quiz-countdown-bar');
+            if (label) label.textContent = Math.ceil(remaining / 1000);
+            if (bar && this.state?.durationMs) {
+                bar.style.width = `${(remaining / this.state.durationMs) * 100}%`;
+            }
+            if (remaining <= 0) {
+                this.stopCountdown();
+                this.render();
+            }
+        };
+        this.countdownTimer = setInterval(tick, 250);
+        tick();
+    },
+    
+    /**
+     * Stop the countdown tick
+     */
+    stopCountdown() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+    },
+    
+    /**
+     * Render the live quiz screen for the current state
+     */
+    render() {
+        const content = document.getElementById('live-quiz-content');
+        const titleEl = document.getElementById('live-quiz-title');
+        const scoreEl = document.getElementById('live-quiz-my-score');
+        if (!content) return;
+        
+        const state = this.state;
+        if (titleEl) titleEl.textContent = state?.title || this.current?.title || 'Live Quiz';
+        if (scoreEl) scoreEl.textContent = `${this.myScore?.score || 0} pts`;
+        
+        if (!state) {
+            content.innerHTML = '<p class="text-center text-slate-500 py-12">Connecting...</p>';
+            return;
+        }
+        
+        if (state.status === 'question' && this.getRemainingMs() > 0) {
+            content.innerHTML = this.renderQuestion(state);
+            this.startCountdown();
+            return;
+        }
+        
+        this.stopCountdown();
+        if (state.status === 'lobby') {
+            content.innerHTML = `
+                <div class="text-center py-12">
+                    <i class="fas fa-users text-5xl text-rota-pink mb-4"></i>
+                    <p class="font-bold text-slate-800 text-lg">You're in!</p>
+                    <p class="text-sm text-slate-500 mt-2">Waiting for the host to start the first question. Faster correct answers earn more points.</p>
+                </div>
+            `;
+        } else if (state.status === 'question' || state.status === 'closed') {
+            content.innerHTML = `
+                <div class="text-center py-12">
+                    <i class="fas fa-hourglass-end text-5xl text-slate-300 mb-4"></i>
+                    <p class="font-bold text-slate-800 text-lg">Time's up!</p>
+                    <p class="text-sm text-slate-500 mt-2">${this.myAnswer?.questionIndex === state.questionIndex ? 'Your answer is locked in.' : 'No answer this time.'} Waiting for the reveal...</p>
+                </div>
+            `;
+        } else if (state.status === 'reveal') {
+            content.innerHTML = this.renderReveal(state) + this.renderTopTen();
+        } else if (state.status === 'ended') {
+            content.innerHTML = `
+                <div class="text-center py-6">
+                    <i class="fas fa-flag-checkered text-5xl text-rota-pink mb-4"></i>
+                    <p class="font-bold text-slate-800 text-lg">That's a wrap!</p>
+                    <p class="text-sm text-slate-500 mt-2">You scored ${this.myScore?.score || 0} points (${this.myScore?.correct || 0} correct). They will be added to your total shortly.</p>
+                </div>
+            ` + this.renderTopTen();
+        }
+    },
+    
+    /**
+     * Render the open question with answer buttons
+     * @param {Object} state - Session state
+     * @returns {string} HTML
+     */
+    renderQuestion(state) {
+        const q = state.question || {};
+        const picked = this.myAnswer?.questionIndex === state.questionIndex ? this.myAnswer.answer : null;
+        const colors = ['bg-rose-500', 'bg-blue-500', 'bg-amber-500', 'bg-emerald-500', 'bg-purple-500', 'bg-slate-600'];
+        
+        const options = (q.options || []).map((option, index) => {
+            const dimmed = picked !== null && picked !== index ? 'opacity-40' : '';
+            const ring = picked === index ? 'ring-4 ring-offset-2 ring-slate-800' : '';
+            const image = q.type === 'image-choice' && q.optionImages?.[index]
+                ? `<img src="${q.optionImages[index]}" alt="${this.escapeHtml(option)}" class="w-full h-24 object-cover rounded-lg mb-2" loading="lazy">`
+                : '';
+            return `
+                <button onclick="LiveQuiz.answer(${index})" ${picked !== null ? 'disabled' : ''}
+                        class="${colors[index % colors.length]} ${dimmed} ${ring} text-white font-bold p-4 rounded-2xl shadow-lg text-left transition-all">
+                    ${image}${this.escapeHtml(option)}
+                </button>
+            `;
+        }).join('');
+        
+        return `
+            <div class="mb-4">
+                <div class="flex justify-between items-center text-xs font-bold text-slate-500 mb-2">
+                    <span>Question ${state.questionIndex + 1} of ${state.questionCount}</span>
+                    <span><i class="fas fa-stopwatch"></i> <span id="live-quiz-countdown">${Math.ceil(this.getRemainingMs() / 1000)}</span>s</span>
+                </div>
+                <div class="h-2 bg-slate-100 rounded-full overflow-hidden">
+                    <div id="live-quiz-countdown-bar" class="h-full bg-rota-pink transition-all" style="width: 100%"></div>
+                </div>
+            </div>
+            <p class="font-bold text-slate-800 text-lg mb-4">${this.escapeHtml(q.question)}</p>
+            <div class="grid ${q.type === 'true-false' ? 'grid-cols-2' : 'grid-cols-1'} gap-3">${options}</div>
+            ${picked !== null ? '<p class="text-center text-sm text-slate-500 mt-4"><i class="fas fa-lock"></i> Answer locked in</p>' : ''}
+        `;
+    },
+    
+    /**
+     * Render the correct answer, answer spread and this attendee's result
+     * @param {Object} state - Session state
+     * @returns {string} HTML
+     */
+    renderReveal(state) {
+        const q = state.question || {};
+        const reveal = state.reveal || {};
+        const last = this.myScore?.last;
+        const answeredThis = last && last.questionIndex === state.questionIndex;
+        
+        let result = '<p class="text-slate-500">No answer this time</p>';
+        if (answeredThis && last.isCorrect) {
+            result = `<p class="text-green-600 font-bold text-lg"><i class="fas fa-check-circle"></i> Correct! +${last.pointsEarned} pts</p>`;
+        } else if (answeredThis) {
+            result = '<p class="text-red-600 font-bold text-lg"><i class="fas fa-times-circle"></i> Not quite</p>';
+        }
+        
+        const answered = reveal.answered || 0;
+        const options = (q.options || []).map((option, index) => {
+            const count = reveal.counts?.[index] || 0;
+            const percent = answered > 0 ? Math.round((count / answered) * 100) : 0;
+            const isCorrect = index === reveal.correctAnswer;
+            return `
+                <div class="mb-2">
+                    <div class="flex justify-between text-sm mb-1 ${isCorrect ? 'font-bold text-green-700' : 'text-slate-600'}">
+                        <span>${isCorrect ? '<i class="fas fa-check"></i> ' : ''}${this.escapeHtml(option)}</span>
+                        <span>${count}</span>
+                    </div>
+                    <div class="h-2 bg-slate-100 rounded-full overflow-hidden">
+                        <div class="h-full ${isCorrect ? 'bg-green-500' : 'bg-slate-300'}" style="width: ${percent}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="text-center mb-4">${result}</div>
+            <p class="font-bold text-slate-800 mb-3">${this.escapeHtml(q.question)}</p>
+            <div class="mb-6">${options}</div>
+        `;
+    },
+    
+    /**
+     * Render the top 10
+     * @returns {string} HTML
+     */
+    renderTopTen() {
+        if (!this.top10 || this.top10.length === 0) return '';
+        
+        const uid = Auth.currentUser?.uid;
+        return `
+            <h4 class="font-bold text-slate-700 mb-2"><i class="fas fa-trophy text-amber-500"></i> Top 10</h4>
+            <div class="divide-y divide-slate-100 border border-slate-100 rounded-xl overflow-hidden">
+                ${this.top10.map(entry => `
+                    <div class="flex items-center gap-3 px-3 py-2 ${entry.uid === uid ? 'bg-rose-50' : ''}">
+                        <span class="w-6 text-center font-bold text-slate-500">${entry.rank}</span>
+                        <span class="flex-1 text-sm text-slate-800 truncate">${this.escapeHtml(entry.name)}</span>
+                        <span class="text-sm font-bold text-rota-pink">${entry.score}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,234 @@
+// Notification Inbox Module
+// In-app copy of quiz, task and form notifications (attendeeCache/notifications/{uid}, written by Cloud Functions)
+// Read state is the attendee's own notificationState/{uid}: lastReadAt plus per-entry read flags
+
+const NotificationInbox = {
+    notifications: [],
+    state: {},
+    
+    TYPE_ICONS: {
+        quiz_completed: { icon: 'fa-puzzle-piece', color: 'bg-violet-100 text-violet-600' },
+        quiz_regraded: { icon: 'fa-sync-alt', color: 'bg-violet-100 text-violet-600' },
+        submission_created: { icon: 'fa-inbox', color: 'bg-slate-100 text-slate-600' },
+        submission_approved: { icon: 'fa-check', color: 'bg-green-100 text-green-600' },
+        submission_rejected: { icon: 'fa-times', color: 'bg-red-100 text-red-600' },
+        form_completed: { icon: 'fa-clipboard-check', color: 'bg-sky-100 text-sky-600' },
+        form_rejected: { icon: 'fa-exclamation', color: 'bg-amber-100 text-amber-600' }
+    },
+    
+    /**
+     * Handle a change of the attendee's notifications (listened to in UI.setupRealtimeListeners)
+     * @param {Object|null} entries - Notifications by ID
+     */
+    handleNotificationsChange(entries) {
+        this.notifications = Object.values(entries || {})
+            .filter(n => n && n.id)
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+        this.render();
+    },
+    
+    /**
+     * Handle a change of the attendee's read state (listened to in UI.setupRealtimeListeners)
+     * @param {Object|null} state - { lastReadAt, read: { id: true } }
+     */
+    handleStateChange(state) {
+        this.state = state || {};
+        this.render();
+    },
+    
+    /**
+     * Check whether a notification has been read
+     * @param {Object} notification - Inbox entry
+     * @returns {boolean}
+     */
+    isRead(notification) {
+        return (notification.timestamp || 0) <= (this.state.lastReadAt || 0) ||
+            this.state.read?.[notification.id] === true;
+    },
+    
+    /**
+     * Count unread notifications
+     * @returns {number}
+     */
+    getUnreadCount() {
+        return this.notifications.filter(n => !this.isRead(n)).length;
+    },
+    
+    /**
+     * Update the bell badge, and the list if the inbox is open
+     */
+    render() {
+        const badge = document.getElementById('notification-bell-badge');
+        if (badge) {
+            const unread = this.getUnreadCount();
+            badge.textContent = unread > 9 ? '9+' : String(unread);
+            badge.classList.toggle('hidden', unread === 0);
+        }
+        
+        const modal = document.getElementById('modal-notifications');
+        if (modal && !modal.classList.contains('hidden')) {
+            this.renderList();
+        }
+    },
+    
+    /**
+     * Render the inbox list
+     */
+    renderList() {
+        const listEl = document.getElementById('notification-inbox-list');
+        if (!listEl) return;
+        
+        const markAllBtn = document.getElementById('notification-inbox-mark-all');
+        if (markAllBtn) markAllBtn.disabled = this.getUnreadCount() === 0;
+        
+        if (this.notifications.length === 0) {
+            listEl.innerHTML = `
+                <div class="p-8 text-center flex flex-col items-center">
+                    <div class="w-12 h-12 bg-slate-100 text-slate-400 rounded-full flex items-center justify-center mb-3">
+                        <i class="fas fa-bell-slash text-xl"></i>
+                    </div>
+                    <p class="text-slate-800 font-bold">No notifications yet</p>
+                    <p class="text-xs text-slate-500 mt-1">Quiz scores, review results and form updates will appear here.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        listEl.innerHTML = this.notifications.map(n => {
+            const read = this.isRead(n);
+            const style = this.TYPE_ICONS[n.type] || { icon: 'fa-bell', color: 'bg-rose-100 text-rota-pink' };
+            return `
+                <button onclick="NotificationInbox.open('${n.id}')" class="w-full text-left p-4 flex items-start gap-3 ${read ? 'bg-white' : 'bg-rose-50/50'} hover:bg-slate-50 transition-colors">
+                    <div class="w-9 h-9 rounded-full ${style.color} flex items-center justify-center shrink-0">
+                        <i class="fas ${style.icon} text-sm"></i>
+                    </div>
+                    <div class="flex-1 min-w-0">
+                        <div class="flex justify-between items-start gap-2">
+                            <p class="text-sm ${read ? 'font-medium text-slate-600' : 'font-bold text-slate-800'}">${this.escapeHtml(n.title)}</p>
+                            ${read ? '' : '<span class="w-2 h-2 rounded-full bg-rota-pink shrink-0 mt-1.5"></span>'}
+                        </div>
+                        <p class="text-xs text-slate-500 mt-0.5 leading-relaxed">${this.escapeHtml(n.message || n.body)}</p>
+                        <p class="text-[10px] text-slate-400 mt-1">${UI.getTimeAgo(new Date(n.timestamp))}${this.getRoute(n) ? ' · Tap to open' : ''}</p>
+                    </div>
+                </button>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Open the inbox
+     */
+    show() {
+        document.getElementById('modal-notifications').classList.remove('hidden');
+        this.renderList();
+    },
+    
+    /**
+     * Work out where a notification leads
+     * Quiz entries open the answer review only when SubmissionHelpers.getQuizReviewState allows it;
+     * otherwise the quiz itself while it can still be taken, or the quizzes list
+     * @param {Object} n - Inbox entry
+     * @param {Object|null} quizContext - { quiz, completionStatus } for quiz entries; without it the quizzes list
+     * @returns {string|null} Router hash for the related quiz, task or form
+     */
+    getRoute(n, quizContext = null) {
+        const id = (value) => encodeURIComponent(value);
+        if (n.quizId) {
+            const quiz = quizContext?.quiz;
+            if (!quiz) {
+                return '#/activities/quizzes';
+            }
+            const completion = quizContext.completionStatus?.quizzes?.[n.quizId] || null;
+            if (completion && SubmissionHelpers.getQuizReviewState(quiz, completion.attempts || 1).canReview) {
+                return `#/activities/quiz/${id(n.quizId)}/review`;
+            }
+            const canTake = quiz.mode !== 'live' && (quiz.status || 'active') === 'active' &&
+                Utils.getAvailability(quiz).state === 'open' &&
+                SubmissionHelpers.canSubmitQuiz(quizContext.completionStatus, n.quizId, quiz);
+            return canTake ? `#/activities/quiz/${id(n.quizId)}` : '#/activities/quizzes';
+        }
+        if (n.taskId) {
+            // Rejected tasks can be resubmitted; otherwise show the submission history
+            return n.type === 'submission_rejected' ? `#/activities/task/${id(n.taskId)}` : '#/profile';
+        }
+        if (n.formId) {
+            return n.type === 'form_rejected' ? `#/activities/form/${id(n.formId)}` : '#/activities/forms';
+        }
+        return null;
+    },
+    
+    /**
+     * Work out where a notification leads, loading the quiz and the attendee's attempts for quiz entries
+     * @param {Object} n - Inbox entry
+     * @returns {Promise<string|null>} Router hash
+     */
+    async resolveRoute(n) {
+        if (!n.quizId) {
+            return this.getRoute(n);
+        }
+        try {
+            const [quiz, completionStatus] = await Promise.all([
+                DB.getQuiz(n.quizId),
+                DB.getUserCompletionStatus(Auth.currentUser?.uid)
+            ]);
+            return this.getRoute(n, { quiz, completionStatus });
+        } catch (error) {
+            console.error('Error loading quiz for notification:', error);
+            return this.getRoute(n);
+        }
+    },
+    
+    /**
+     * Mark a notification read and follow its link
+     * @param {string} notificationId - Inbox entry ID
+     */
+    async open(notificationId) {
+        const notification = this.notifications.find(n => n.id === notificationId);
+        if (!notification) return;
+        
+        if (!this.isRead(notification)) {
+            DB.markNotificationRead(notificationId).catch(error => {
+                console.error('Error marking notification read:', error);
+            });
+        }
+        
+        const route = await this.resolveRoute(notification);
+        if (route) {
+            closeModal('modal-notifications');
+            Router.go(route);
+        }
+    },
+    
+    /**
+     * Mark every notification read
+     */
+    async markAllRead() {
+        try {
+            await DB.markAllNotificationsRead();
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+            showToast('Could not update notifications', 'error');
+        }
+    },
+    
+    /**
+     * Clear the inbox on logout
+     */
+    reset() {
+        this.notifications = [];
+        this.state = {};
+        this.render();
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
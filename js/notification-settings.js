@@ -1,7 +1,25 @@
 // Notification Settings Manager
 // Manages user notification preferences
+// Quiet hours and the digest are applied server-side by the delivery policy in sendPushNotification
 
 const NotificationSettings = {
+  // Used until the attendee sets their own quiet hours (event time)
+  DEFAULT_QUIET_HOURS: { enabled: false, start: '22:00', end: '07:00' },
+  
+  /**
+   * Normalize stored quiet hours
+   * @param {Object|undefined} quietHours - From notificationPrefs
+   * @returns {{enabled: boolean, start: string, end: string}}
+   */
+  normalizeQuietHours(quietHours) {
+    const isTime = (value) => typeof value === 'string' && /^\d{2}:\d{2}$/.test(value);
+    return {
+      enabled: quietHours?.enabled === true,
+      start: isTime(quietHours?.start) ? quietHours.start : this.DEFAULT_QUIET_HOURS.start,
+      end: isTime(quietHours?.end) ? quietHours.end : this.DEFAULT_QUIET_HOURS.end
+    };
+  },
+  
   /**
    * Get user notification preferences
    * @returns {Promise<Object|null>} - Preferences object or null if not logged in
@@ -17,7 +35,9 @@ const NotificationSettings = {
           enabled: userData.notificationEnabled !== false, // Default to true
           pendingMissions: userData.notificationPrefs?.pendingMissions !== false, // Default to true
           submissions: userData.notificationPrefs?.submissions !== false, // Default to true
-          engagement: userData.notificationPrefs?.engagement !== false // Default to true
+          engagement: userData.notificationPrefs?.engagement !== false, // Default to true
+          digest: userData.notificationPrefs?.digest === true, // Default to false
+          quietHours: this.normalizeQuietHours(userData.notificationPrefs?.quietHours)
         };
       }
     } catch (error) {
@@ -29,7 +49,9 @@ const NotificationSettings = {
       enabled: true,
       pendingMissions: true,
       submissions: true,
-      engagement: true
+      engagement: true,
+      digest: false,
+      quietHours: { ...this.DEFAULT_QUIET_HOURS }
     };
   },
   
@@ -44,12 +66,8 @@ const NotificationSettings = {
     
     try {
       // Use .update() to preserve all existing user fields
-      await DB.db.collection('users').doc(Auth.currentUser.uid).update({
-        notificationPrefs: {
-          pendingMissions: preferences.pendingMissions !== false,
-          submissions: preferences.submissions !== false,
-          engagement: preferences.engagement !== false
-        },
+      await DB.updateOwnProfile(Auth.currentUser.uid, {
+        notificationPrefs: this.buildPrefs(preferences),
         notificationEnabled: preferences.enabled !== false
       });
       
@@ -70,5 +88,90 @@ const NotificationSettings = {
       console.error('[NotificationSettings] Error updating preferences:', error);
       return false;
     }
+  },
+  
+  /**
+   * Build the stored notificationPrefs map
+   * @param {Object} preferences - Preferences object
+   * @returns {Object}
+   */
+  buildPrefs(preferences) {
+    return {
+      pendingMissions: preferences.pendingMissions !== false,
+      submissions: preferences.submissions !== false,
+      engagement: preferences.engagement !== false,
+      digest: preferences.digest === true,
+      quietHours: this.normalizeQuietHours(preferences.quietHours)
+    };
+  },
+  
+  /**
+   * Fill the delivery settings in the profile (categories, digest, quiet hours)
+   */
+  async loadDeliveryForm() {
+    const prefs = await this.getPreferences();
+    if (!prefs) return;
+    
+    const setChecked = (id, value) => {
+      const input = document.getElementById(id);
+      if (input) input.checked = value;
+    };
+    setChecked('notification-pref-pending', prefs.pendingMissions);
+    setChecked('notification-pref-submissions', prefs.submissions);
+    setChecked('notification-pref-engagement', prefs.engagement);
+    setChecked('notification-pref-digest', prefs.digest);
+    setChecked('notification-quiet-enabled', prefs.quietHours.enabled);
+    
+    const start = document.getElementById('notification-quiet-start');
+    const end = document.getElementById('notification-quiet-end');
+    if (start) start.value = prefs.quietHours.start;
+    if (end) end.value = prefs.quietHours.end;
+    this.toggleQuietHoursInputs();
+  },
+  
+  /**
+   * Enable the quiet hours times only when quiet hours are on
+   */
+  toggleQuietHoursInputs() {
+    const enabled = document.getElementById('notification-quiet-enabled')?.checked === true;
+    ['notification-quiet-start', 'notification-quiet-end'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.disabled = !enabled;
+    });
+  },
+  
+  /**
+   * Save the delivery settings from the profile
+   * Leaves notificationEnabled and the FCM token alone
+   */
+  async saveDeliveryForm() {
+    if (!Auth || !Auth.currentUser) return;
+    
+    const checked = (id) => document.getElementById(id)?.checked === true;
+    const quietHours = {
+      enabled: checked('notification-quiet-enabled'),
+      start: document.getElementById('notification-quiet-start')?.value,
+      end: document.getElementById('notification-quiet-end')?.value
+    };
+    if (quietHours.enabled && quietHours.start === quietHours.end) {
+      showToast('Quiet hours need different start and end times', 'error');
+      return;
+    }
+    
+    try {
+      await DB.updateOwnProfile(Auth.currentUser.uid, {
+        notificationPrefs: this.buildPrefs({
+          pendingMissions: checked('notification-pref-pending'),
+          submissions: checked('notification-pref-submissions'),
+          engagement: checked('notification-pref-engagement'),
+          digest: checked('notification-pref-digest'),
+          quietHours: quietHours
+        })
+      });
+      showToast('Notification preferences saved', 'success');
+    } catch (error) {
+      console.error('[NotificationSettings] Error saving delivery preferences:', error);
+      showToast('Failed to save notification preferences', 'error');
+    }
   }
 };
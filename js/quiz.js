@@ -4,37 +4,172 @@ const Quiz = {
     currentAnswers: {},
     timer: null,
     timeRemaining: 0,
+    deadline: null,
+    attemptNumber: null,
+    openedAt: null,
     
     async startQuiz(quizId) {
-        const quiz = await DB.getQuiz(quizId);
+        let quiz = await DB.getQuiz(quizId);
         if (!quiz) {
             showToast('Quiz not found', 'error');
             return;
         }
         
-        // Check if already completed using CompletionManager
-        const canStart = await CompletionManager.canStartQuiz(Auth.currentUser.uid, quizId);
+        // Live hall quizzes are host-paced and answered on the live quiz screen
+        if (quiz.mode === 'live') {
+            LiveQuiz.openFromActivity(quizId);
+            return;
+        }
+        
+        const isTimed = !!(quiz.isTimeBased && quiz.timeLimit);
+        const savedAttempt = this.getSavedAttempt();
+        const isResuming = isTimed && savedAttempt?.quizId === quizId;
+        
+        // Enforced server-side too; this just explains why early
+        // (a timed attempt started inside the window may be resumed after it closes)
+        const availability = Utils.getAvailability(quiz);
+        if (availability.state !== 'open' && !isResuming) {
+            showToast(availability.state === 'upcoming' ? `This quiz ${availability.label.toLowerCase()}` : 'This quiz is closed', 'info');
+            return;
+        }
+        
+        // Check the attempt policy (retakes, cooldown) using CompletionManager
+        const { canStart, reason } = await CompletionManager.canStartQuiz(Auth.currentUser.uid, quizId, quiz);
         if (!canStart) {
-            showToast('You have already completed this quiz', 'info');
+            showToast(reason, 'info');
             return;
         }
         
+        // Question bank quizzes: each attendee gets their own seeded selection and option order
+        if (quiz.questionSource === 'bank') {
+            try {
+                const draw = await DB.getQuizDraw(quizId);
+                quiz = { ...quiz, questions: draw.questions, totalPoints: draw.totalPoints };
+            } catch (error) {
+                console.error('Error loading quiz questions:', error);
+                showToast(error.message || 'Could not load the quiz questions. Please try again.', 'error');
+                return;
+            }
+        }
+        
+        this.stopTimer();
         this.currentQuiz = quiz;
-        this.currentAnswers = {};
+        this.currentAnswers = isResuming ? { ...(savedAttempt.answers || {}) } : {};
         
-        if (quiz.isTimeBased && quiz.timeLimit) {
-            this.timeRemaining = quiz.timeLimit * 60; // Convert to seconds
-            this.startTimer();
+        if (isTimed) {
+            // The server holds the start time, so a reload resumes the same clock
+            let attempt;
+            try {
+                attempt = await DB.startQuizAttempt(quizId);
+            } catch (error) {
+                console.error('Error starting quiz attempt:', error);
+                showToast(error.message || 'Could not start the quiz. Please try again.', 'error');
+                this.currentQuiz = null;
+                return;
+            }
+            
+            if (attempt.expired) {
+                this.clearSavedAttempt();
+                this.currentQuiz = null;
+                CompletionManager.markCompletedLocally(Auth.currentUser.uid, 'quiz', quizId, {
+                    submittedAt: Date.now(),
+                    points: 0,
+                    score: 0,
+                    attempts: attempt.attemptNumber
+                });
+                showToast('Time ran out on this quiz before it was submitted', 'info');
+                return;
+            }
+            
+            this.attemptNumber = attempt.attemptNumber;
+            this.timeRemaining = attempt.remainingSeconds;
+            this.deadline = Date.now() + attempt.remainingSeconds * 1000;
+            this.saveAttempt();
+            if (attempt.resumed) {
+                showToast('Resuming your quiz where you left off', 'info');
+            }
         }
         
+        this.openedAt = Date.now();
         this.renderQuiz();
         document.getElementById('modal-quiz').classList.remove('hidden');
+        
+        if (isTimed) {
+            this.startTimer();
+        }
+    },
+    
+    /**
+     * Reopen a timed quiz that was in progress when the page was reloaded
+     * Called once the main app is shown
+     */
+    async resumeSavedAttempt() {
+        const savedAttempt = this.getSavedAttempt();
+        if (!savedAttempt || this.currentQuiz) return;
+        
+        // A saved attempt only survives a reload while it is in progress; a completion
+        // newer than the saved answers means it was already submitted
+        const completion = await CompletionManager.isCompleted(Auth.currentUser.uid, 'quiz', savedAttempt.quizId);
+        if (completion && completion.attempts >= (savedAttempt.attemptNumber || 1)) {
+            this.clearSavedAttempt();
+            return;
+        }
+        
+        await this.startQuiz(savedAttempt.quizId);
+    },
+    
+    /**
+     * localStorage key for the current user's in-progress timed attempt
+     * @returns {string|null}
+     */
+    getAttemptStorageKey() {
+        return Auth.currentUser ? `quiz_attempt_${Auth.currentUser.uid}` : null;
+    },
+    
+    /**
+     * Read the saved in-progress attempt ({ quizId, attemptNumber, answers })
+     * @returns {Object|null}
+     */
+    getSavedAttempt() {
+        const key = this.getAttemptStorageKey();
+        if (!key) return null;
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+            return null;
+        }
+    },
+    
+    /**
+     * Save the current timed attempt's answers so they survive a reload
+     */
+    saveAttempt() {
+        const key = this.getAttemptStorageKey();
+        if (!key || !this.currentQuiz?.isTimeBased) return;
+        try {
+            localStorage.setItem(key, JSON.stringify({
+                quizId: this.currentQuiz.id,
+                attemptNumber: this.attemptNumber,
+                answers: this.currentAnswers
+            }));
+        } catch (error) {
+            console.warn('Could not save quiz progress:', error);
+        }
+    },
+    
+    /**
+     * Forget the saved attempt once it has been submitted or has expired
+     */
+    clearSavedAttempt() {
+        const key = this.getAttemptStorageKey();
+        if (key) localStorage.removeItem(key);
     },
     
     startTimer() {
         const timerEl = document.getElementById('quiz-timer');
-        this.timer = setInterval(() => {
-            this.timeRemaining--;
+        const tick = () => {
+            // Count down against the deadline so a throttled background tab stays accurate
+            this.timeRemaining = Math.max(0, Math.ceil((this.deadline - Date.now()) / 1000));
             const minutes = Math.floor(this.timeRemaining / 60);
             const seconds = this.timeRemaining % 60;
             timerEl.textContent = `Time: ${minutes}:${seconds.toString().padStart(2, '0')}`;
@@ -42,7 +177,9 @@ const Quiz = {
             if (this.timeRemaining <= 0) {
                 this.submitQuiz(true); // Auto-submit when time runs out
             }
-        }, 1000);
+        };
+        tick();
+        this.timer = setInterval(tick, 1000);
     },
     
     stopTimer() {
@@ -82,7 +219,7 @@ const Quiz = {
                     const optionEl = document.createElement('label');
                     optionEl.className = 'block mb-2 p-3 bg-slate-50 rounded-lg cursor-pointer hover:bg-slate-100 transition-colors';
                     optionEl.innerHTML = `
-                        <input type="radio" name="q${q.id}" value="${optIndex}" onchange="Quiz.setAnswer('${q.id}', ${optIndex})" class="mr-2">
+                        <input type="radio" name="q${q.id}" value="${optIndex}" onchange="Quiz.setAnswer('${q.id}', ${optIndex})" class="mr-2" ${this.currentAnswers[q.id] === optIndex ? 'checked' : ''}>
                         ${option}
                     `;
                     questionEl.appendChild(optionEl);
@@ -92,16 +229,77 @@ const Quiz = {
                     const optionEl = document.createElement('label');
                     optionEl.className = 'block mb-2 p-3 bg-slate-50 rounded-lg cursor-pointer hover:bg-slate-100 transition-colors';
                     optionEl.innerHTML = `
-                        <input type="radio" name="q${q.id}" value="${optIndex}" onchange="Quiz.setAnswer('${q.id}', ${optIndex})" class="mr-2">
+                        <input type="radio" name="q${q.id}" value="${optIndex}" onchange="Quiz.setAnswer('${q.id}', ${optIndex})" class="mr-2" ${this.currentAnswers[q.id] === optIndex ? 'checked' : ''}>
+                        ${option}
+                    `;
+                    questionEl.appendChild(optionEl);
+                });
+            } else if (q.type === 'multi-select') {
+                const selected = this.currentAnswers[q.id] || [];
+                const hintEl = document.createElement('p');
+                hintEl.className = 'text-xs text-slate-500 mb-2';
+                hintEl.textContent = 'Select all that apply. Wrong picks cancel out correct ones.';
+                questionEl.appendChild(hintEl);
+                q.options.forEach((option, optIndex) => {
+                    const optionEl = document.createElement('label');
+                    optionEl.className = 'block mb-2 p-3 bg-slate-50 rounded-lg cursor-pointer hover:bg-slate-100 transition-colors';
+                    optionEl.innerHTML = `
+                        <input type="checkbox" value="${optIndex}" onchange="Quiz.toggleMultiAnswer('${q.id}', ${optIndex}, this.checked)" class="mr-2" ${selected.includes(optIndex) ? 'checked' : ''}>
                         ${option}
                     `;
                     questionEl.appendChild(optionEl);
                 });
+            } else if (q.type === 'image-choice') {
+                const gridEl = document.createElement('div');
+                gridEl.className = 'grid grid-cols-2 gap-3';
+                q.options.forEach((option, optIndex) => {
+                    const optionEl = document.createElement('label');
+                    optionEl.className = 'block p-2 bg-slate-50 rounded-lg cursor-pointer hover:bg-slate-100 transition-colors';
+                    optionEl.innerHTML = `
+                        <img src="${q.optionImages?.[optIndex] || ''}" alt="${option}" class="w-full h-32 object-cover rounded mb-2" loading="lazy">
+                        <input type="radio" name="q${q.id}" value="${optIndex}" onchange="Quiz.setAnswer('${q.id}', ${optIndex})" class="mr-2" ${this.currentAnswers[q.id] === optIndex ? 'checked' : ''}>
+                        ${option}
+                    `;
+                    gridEl.appendChild(optionEl);
+                });
+                questionEl.appendChild(gridEl);
+            } else if (q.type === 'ordering') {
+                // Start from the stored (shuffled) order; it counts as the answer until changed
+                if (!Array.isArray(this.currentAnswers[q.id])) {
+                    this.currentAnswers[q.id] = q.options.map((_, optIndex) => optIndex);
+                }
+                const hintEl = document.createElement('p');
+                hintEl.className = 'text-xs text-slate-500 mb-2';
+                hintEl.textContent = 'Use the arrows to put the items in the right order.';
+                questionEl.appendChild(hintEl);
+                const listEl = document.createElement('div');
+                listEl.id = `quiz-order-${q.id}`;
+                questionEl.appendChild(listEl);
+                this.renderOrderingList(q, listEl);
+            } else if (q.type === 'numeric') {
+                const inputEl = document.createElement('input');
+                inputEl.type = 'number';
+                inputEl.step = 'any';
+                inputEl.inputMode = 'decimal';
+                inputEl.className = 'w-full p-3 border border-slate-200 rounded-lg focus:ring-2 focus:ring-rota-pink outline-none';
+                inputEl.placeholder = 'Enter a number...';
+                inputEl.value = this.currentAnswers[q.id] ?? '';
+                inputEl.onchange = (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (Number.isFinite(value)) {
+                        this.setAnswer(q.id, value);
+                    } else {
+                        delete this.currentAnswers[q.id];
+                        this.saveAttempt();
+                    }
+                };
+                questionEl.appendChild(inputEl);
             } else {
                 const inputEl = document.createElement('input');
                 inputEl.type = 'text';
                 inputEl.className = 'w-full p-3 border border-slate-200 rounded-lg focus:ring-2 focus:ring-rota-pink outline-none';
                 inputEl.placeholder = 'Type your answer...';
+                inputEl.value = this.currentAnswers[q.id] ?? '';
                 inputEl.onchange = (e) => this.setAnswer(q.id, e.target.value);
                 questionEl.appendChild(inputEl);
             }
@@ -112,6 +310,67 @@ const Quiz = {
     
     setAnswer(questionId, answer) {
         this.currentAnswers[questionId] = answer;
+        this.saveAttempt();
+    },
+    
+    /**
+     * Add or remove an option from a multi-select answer
+     * @param {string} questionId - Question ID
+     * @param {number} optIndex - Option index
+     * @param {boolean} checked - Whether the option is now selected
+     */
+    toggleMultiAnswer(questionId, optIndex, checked) {
+        const selected = new Set(this.currentAnswers[questionId] || []);
+        if (checked) {
+            selected.add(optIndex);
+        } else {
+            selected.delete(optIndex);
+        }
+        
+        if (selected.size > 0) {
+            this.setAnswer(questionId, [...selected].sort((a, b) => a - b));
+        } else {
+            delete this.currentAnswers[questionId];
+            this.saveAttempt();
+        }
+    },
+    
+    /**
+     * Render an ordering question's items in the attendee's current order
+     * @param {Object} q - Question
+     * @param {HTMLElement} listEl - List container
+     */
+    renderOrderingList(q, listEl) {
+        const order = this.currentAnswers[q.id];
+        listEl.innerHTML = order.map((optIndex, pos) => `
+            <div class="flex items-center gap-2 mb-2 p-3 bg-slate-50 rounded-lg">
+                <span class="w-6 text-xs font-bold text-slate-400">${pos + 1}.</span>
+                <span class="flex-1">${q.options[optIndex]}</span>
+                <button type="button" onclick="Quiz.moveOrderItem('${q.id}', ${pos}, -1)" class="px-2 text-slate-500 hover:text-rota-pink disabled:opacity-30" ${pos === 0 ? 'disabled' : ''} aria-label="Move up">
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button type="button" onclick="Quiz.moveOrderItem('${q.id}', ${pos}, 1)" class="px-2 text-slate-500 hover:text-rota-pink disabled:opacity-30" ${pos === order.length - 1 ? 'disabled' : ''} aria-label="Move down">
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+            </div>
+        `).join('');
+    },
+    
+    /**
+     * Move an ordering item up or down one place
+     * @param {string} questionId - Question ID
+     * @param {number} pos - Current position of the item
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    moveOrderItem(questionId, pos, direction) {
+        const q = this.currentQuiz?.questions.find(question => question.id === questionId);
+        const order = [...(this.currentAnswers[questionId] || [])];
+        const target = pos + direction;
+        if (!q || target < 0 || target >= order.length) return;
+        
+        [order[pos], order[target]] = [order[target], order[pos]];
+        this.setAnswer(questionId, order);
+        this.renderOrderingList(q, document.getElementById(`quiz-order-${questionId}`));
     },
     
     async submitQuiz(autoSubmit = false) {
@@ -156,51 +415,18 @@ const Quiz = {
         }
         
         try {
-            // Calculate score
-            let totalScore = 0;
-            const answers = this.currentQuiz.questions.map(q => {
-                const userAnswer = this.currentAnswers[q.id];
-                const isCorrect = q.type === 'text' 
-                    ? userAnswer?.toLowerCase().trim() === q.correctAnswer?.toLowerCase().trim()
-                    : parseInt(userAnswer) === q.correctAnswer;
-                
-                const pointsEarned = isCorrect ? q.points : 0;
-                totalScore += pointsEarned;
-                
-                return {
-                    questionId: q.id,
-                    answer: userAnswer,
-                    isCorrect,
-                    pointsEarned
-                };
-            });
-            
-            const startTime = this.currentQuiz.isTimeBased 
-                ? Date.now() - (this.currentQuiz.timeLimit * 60 - this.timeRemaining) * 1000
-                : Date.now();
-            const timeTaken = Math.floor((Date.now() - startTime) / 1000);
+            // Informational only for timed quizzes: the server measures those from the attempt start
+            // Untimed quizzes report time since the quiz was opened (used by quiz analytics)
+            const timeTaken = this.currentQuiz.isTimeBased
+                ? Math.floor(this.currentQuiz.timeLimit * 60 - this.timeRemaining)
+                : Math.floor((Date.now() - (this.openedAt || Date.now())) / 1000);
             
-            // Submit to database
-            // Use Firestore Timestamp for consistency with Cloud Functions
-            const submittedAt = firebase.firestore.Timestamp.now ? firebase.firestore.Timestamp.now() : new Date();
-            const submittedAtTimestamp = submittedAt.getTime ? submittedAt.getTime() : (submittedAt.toMillis ? submittedAt.toMillis() : Date.now());
-            
-            const submission = {
-                userId: Auth.currentUser.uid,
-                userName: Auth.currentUser.name,
-                quizId: this.currentQuiz.id,
-                quizTitle: this.currentQuiz.title,
-                answers,
-                score: totalScore, // Use 'score' to match Cloud Function expectations
-                totalScore: totalScore,
-                totalPoints: this.currentQuiz.totalPoints,
-                timeTaken,
-                submittedAt: submittedAt, // Use submittedAt (not completedAt) to match Cloud Function
-                completedAt: submittedAt // Keep for backward compatibility
-            };
+            // Capture quiz before closing modal (async handlers below must not rely on this.currentQuiz)
+            const quiz = this.currentQuiz;
+            const answers = { ...this.currentAnswers };
             
             // IMMEDIATE UX: Show submitting state on card BEFORE database write
-            SubmissionHelpers.showSubmittingState(this.currentQuiz.id, 'quiz');
+            SubmissionHelpers.showSubmittingState(quiz.id, 'quiz');
             
             // Update button text
             if (submitBtn) {
@@ -212,56 +438,68 @@ const Quiz = {
             await SubmissionHelpers.optimisticallyRemoveFromPending(
                 Auth.currentUser.uid, 
                 'quiz', 
-                this.currentQuiz.id
+                quiz.id
             );
             
-            // Close modal immediately (don't wait for database)
+            // Close modal immediately (don't wait for grading)
             closeModal('modal-quiz');
             
-            // Show results immediately
-            this.showResults(totalScore, this.currentQuiz.totalPoints);
-            
-            // Show success toast
-            Toast.success(`Quiz submitted! Score: ${totalScore}/${this.currentQuiz.totalPoints}`);
-            
-            // Submit to database (async - don't wait for Cloud Function)
-            DB.submitQuiz(submission)
-                .then(() => {
+            // Submit raw answers - the server grades them, stores the submission and awards points
+            DB.submitQuizAnswers(quiz.id, answers, timeTaken)
+                .then(result => {
+                    this.clearSavedAttempt();
+                    const score = result.score || 0;
+                    const totalPoints = result.totalPoints || quiz.totalPoints || 0;
+                    const countedScore = result.countedScore ?? score;
+                    const attemptNumber = result.attemptNumber || 1;
+                    
                     // Mark as completed locally
                     CompletionManager.markCompletedLocally(
-                Auth.currentUser.uid,
-                'quiz',
-                this.currentQuiz.id,
-                {
-                    submittedAt: submittedAtTimestamp,
-                    points: totalScore,
-                    score: totalScore
-                }
-            );
-            
-                    // Award points only if score > 0 (async)
-                    if (totalScore > 0) {
-                        DB.addPoints(Auth.currentUser.uid, totalScore, `Quiz: ${this.currentQuiz.title}`)
+                        Auth.currentUser.uid,
+                        'quiz',
+                        quiz.id,
+                        {
+                            submittedAt: Date.now(),
+                            points: countedScore,
+                            score: countedScore,
+                            totalScore: totalPoints,
+                            lastScore: score,
+                            attempts: attemptNumber,
+                            scoringRule: result.scoringRule || 'first'
+                        }
+                    );
+                    
+                    if (result.expired) {
+                        Toast.error('Time was up before your answers reached us, so this attempt scored 0');
+                        return;
+                    }
+                    
+                    this.showResults(score, totalPoints, result);
+                    Toast.success(attemptNumber > 1
+                        ? `Attempt ${attemptNumber} submitted! Score: ${score}/${totalPoints}`
+                        : `Quiz submitted! Score: ${score}/${totalPoints}`);
+                    
+                    // Refresh local user so the new points total shows up
+                    if ((result.pointsDelta ?? score) !== 0) {
+                        DB.getUser(Auth.currentUser.uid, false)
                             .then(updatedUser => {
-                                // Update local user
                                 if (updatedUser) {
                                     Auth.currentUser = { ...Auth.currentUser, ...updatedUser };
                                 }
                             })
                             .catch(error => {
-                                console.error('Error awarding points:', error);
-                                // Don't block quiz submission if points fail
+                                console.error('Error refreshing user after quiz:', error);
                             });
                     }
                 })
                 .catch(error => {
                     console.error('Error submitting quiz:', error);
-                    Toast.error('Failed to submit quiz. Please try again.');
+                    Toast.error(error.message || 'Failed to submit quiz. Please try again.');
                     // Rollback optimistic update on error
-                    SubmissionHelpers.rollbackSubmission(this.currentQuiz.id, 'quiz');
+                    SubmissionHelpers.rollbackSubmission(quiz.id, 'quiz');
                 });
             
-            // Results are shown immediately, modal closed immediately
+            // Modal closed immediately, results are shown once the server has graded
             // Real-time listener will confirm the update
         } catch (error) {
             // Re-enable button and inputs on error
@@ -287,9 +525,23 @@ const Quiz = {
         }
     },
     
-    showResults(score, total) {
+    /**
+     * Show the graded result
+     * @param {number} score - This attempt's score
+     * @param {number} total - Total points available
+     * @param {Object} result - submitQuizAnswers result (attemptNumber, countedScore, pointsDelta, scoringRule)
+     */
+    showResults(score, total, result = {}) {
         const contentEl = document.getElementById('quiz-content');
         const percentage = Math.round((score / total) * 100);
+        const isRetake = (result.attemptNumber || 1) > 1;
+        const pointsDelta = result.pointsDelta ?? score;
+        let earnedText = `You earned ${score} points!`;
+        if (isRetake) {
+            const rule = SubmissionHelpers.QUIZ_SCORING_LABELS[result.scoringRule] || '';
+            const change = pointsDelta > 0 ? `+${pointsDelta} points` : pointsDelta < 0 ? `${pointsDelta} points` : 'no change in points';
+            earnedText = `Attempt ${result.attemptNumber}. ${rule}: ${result.countedScore} / ${total} (${change})`;
+        }
         contentEl.innerHTML = `
             <div class="text-center py-8">
                 <div class="w-20 h-20 bg-${percentage >= 70 ? 'green' : percentage >= 50 ? 'amber' : 'red'}-100 rounded-full flex items-center justify-center mx-auto mb-4">
@@ -297,11 +549,112 @@ const Quiz = {
                 </div>
                 <h3 class="text-2xl font-bold text-slate-800 mb-2">Quiz Complete!</h3>
                 <p class="text-4xl font-bold text-rota-pink mb-2">${score} / ${total}</p>
-                <p class="text-slate-500">You earned ${score} points!</p>
+                <p class="text-slate-500">${earnedText}</p>
             </div>
         `;
         
         document.getElementById('quiz-submit-btn').style.display = 'none';
+    },
+    
+    /**
+     * Open the answer review for a completed quiz (allowed by the quiz's review policy)
+     * @param {string} quizId - Quiz ID
+     */
+    async openReview(quizId) {
+        const titleEl = document.getElementById('quiz-review-title');
+        const scoreEl = document.getElementById('quiz-review-score');
+        const contentEl = document.getElementById('quiz-review-content');
+        if (!contentEl) return;
+        
+        titleEl.textContent = 'Review Answers';
+        scoreEl.textContent = '';
+        contentEl.innerHTML = '<p class="text-center text-slate-500 py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Loading your answers...</p>';
+        document.getElementById('modal-quiz-review').classList.remove('hidden');
+        
+        try {
+            const review = await DB.getQuizReview(quizId);
+            titleEl.textContent = review.quizTitle || 'Review Answers';
+            scoreEl.textContent = `${review.attemptNumber > 1 ? `Attempt ${review.attemptNumber} · ` : ''}Score: ${review.score} / ${review.totalPoints}`;
+            this.renderReview(review.questions || [], contentEl);
+        } catch (error) {
+            console.error('Error loading quiz review:', error);
+            contentEl.innerHTML = `<p class="text-center text-slate-500 py-8">${this.escapeHtml(error.message || 'Could not load your answers. Please try again.')}</p>`;
+        }
+    },
+    
+    /**
+     * Render reviewed questions: the attendee's answer, the correct answer and the explanation
+     * @param {Array<Object>} questions - Questions from getQuizReview
+     * @param {HTMLElement} contentEl - Container
+     */
+    renderReview(questions, contentEl) {
+        if (questions.length === 0) {
+            contentEl.innerHTML = '<p class="text-center text-slate-500 py-8">No questions to review</p>';
+            return;
+        }
+        
+        contentEl.innerHTML = questions.map((q, index) => {
+            const isPartial = !q.isCorrect && q.pointsEarned > 0;
+            const style = q.isCorrect ? 'bg-green-50 border-green-200' : isPartial ? 'bg-amber-50 border-amber-200' : 'bg-red-50 border-red-200';
+            const icon = q.isCorrect ? 'fa-check text-green-600' : isPartial ? 'fa-adjust text-amber-600' : 'fa-times text-red-600';
+            return `
+                <div class="mb-4 p-4 rounded-xl border ${style}">
+                    <div class="flex justify-between items-start gap-2 mb-2">
+                        <p class="font-bold text-slate-800">${index + 1}. ${this.escapeHtml(q.question)}</p>
+                        <span class="text-xs font-bold text-slate-500 whitespace-nowrap">${q.pointsEarned} / ${q.points} pts</span>
+                    </div>
+                    <p class="text-sm text-slate-700"><i class="fas ${icon} mr-1"></i>Your answer: ${this.escapeHtml(this.formatReviewAnswer(q, q.answer))}</p>
+                    ${q.isCorrect ? '' : `<p class="text-sm text-slate-700 mt-1"><i class="fas fa-check text-green-600 mr-1"></i>Correct answer: ${this.escapeHtml(this.formatReviewCorrectAnswer(q))}</p>`}
+                    ${q.explanation ? `<p class="text-sm text-slate-600 mt-2 pt-2 border-t border-black/5"><i class="fas fa-lightbulb text-amber-500 mr-1"></i>${this.escapeHtml(q.explanation)}</p>` : ''}
+                </div>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Format an answer for the review screen
+     * @param {Object} q - Reviewed question
+     * @param {*} answer - Option index, index list, number or text
+     * @returns {string} Readable answer
+     */
+    formatReviewAnswer(q, answer) {
+        if (answer === undefined || answer === null || answer === '') return 'Not answered';
+        
+        const options = q.options || [];
+        const optionText = value => (typeof value === 'number' && options[value] !== undefined ? options[value] : String(value));
+        
+        if (q.type === 'text' || q.type === 'numeric') return String(answer);
+        if (q.type === 'ordering' && Array.isArray(answer)) {
+            return answer.map((value, pos) => `${pos + 1}. ${optionText(value)}`).join('  ');
+        }
+        if (Array.isArray(answer)) return answer.map(optionText).join(', ');
+        return optionText(answer);
+    },
+    
+    /**
+     * Format a reviewed question's correct answer
+     * @param {Object} q - Reviewed question
+     * @returns {string} Readable correct answer
+     */
+    formatReviewCorrectAnswer(q) {
+        const answer = q.correctAnswer;
+        if (answer === undefined || answer === null) return '—';
+        if (q.type === 'numeric') {
+            return answer.tolerance ? `${answer.value} (±${answer.tolerance})` : String(answer.value);
+        }
+        return this.formatReviewAnswer(q, answer);
+    },
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 };
 
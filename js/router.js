@@ -0,0 +1,143 @@
+// Router Module
+// Hash routes for the attendee app, so push notifications and links can open a view or activity:
+//   #/home, #/directory, #/profile, #/notifications
+//   #/activities[/quizzes|tasks|forms|all]
+//   #/activities/quiz/{id}[/review], #/activities/task/{id}, #/activities/form/{id}
+// Routes wait for login; App.showMainApp() calls start() to apply the one the app was opened with
+
+const Router = {
+    started: false,
+    
+    VIEWS: ['home', 'directory', 'activities', 'profile'],
+    ACTIVITY_TABS: ['quizzes', 'tasks', 'forms', 'all'],
+    ACTIVITY_TYPES: ['quiz', 'task', 'form'],
+    
+    /**
+     * Listen for hash changes and for notification clicks relayed by the service worker
+     */
+    init() {
+        window.addEventListener('hashchange', () => this.handle(window.location.hash));
+        
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'notification-click' && event.data.url) {
+                    this.go(new URL(event.data.url, window.location.origin).hash || '#/home');
+                }
+            });
+        }
+    },
+    
+    /**
+     * Apply the current route once the attendee is signed in and onboarded
+     */
+    start() {
+        this.started = true;
+        this.handle(window.location.hash);
+    },
+    
+    /**
+     * Stop applying routes (on logout)
+     */
+    stop() {
+        this.started = false;
+    },
+    
+    /**
+     * Parse a hash into a route
+     * @param {string} hash - e.g. '#/activities/task/abc'
+     * @returns {Object} { view, tab?, activity?: { type, id, review }, inbox? }
+     */
+    parse(hash) {
+        const parts = (hash || '').replace(/^#\/?/, '').split('/').filter(Boolean).map(part => {
+            try {
+                return decodeURIComponent(part);
+            } catch (error) {
+                return part;
+            }
+        });
+        const [view, second, id, action] = parts;
+        
+        if (view === 'notifications') {
+            return { view: 'home', inbox: true };
+        }
+        if (view === 'activities') {
+            if (this.ACTIVITY_TYPES.includes(second) && id) {
+                return { view: 'activities', activity: { type: second, id: id, review: action === 'review' } };
+            }
+            return { view: 'activities', tab: this.ACTIVITY_TABS.includes(second) ? second : null };
+        }
+        return { view: this.VIEWS.includes(view) ? view : 'home' };
+    },
+    
+    /**
+     * Go to a route (handles it again if it is already the current hash)
+     * @param {string} hash - Route, e.g. '#/activities/quiz/abc'
+     */
+    go(hash) {
+        if (window.location.hash === hash) {
+            this.handle(hash);
+        } else {
+            window.location.hash = hash;
+        }
+    },
+    
+    /**
+     * Record a view switched from the bottom nav, so back and refresh return to it
+     * @param {string} viewId - View shown by UI.navigateTo
+     */
+    syncView(viewId) {
+        if (!this.started || this.parse(window.location.hash).view === viewId) return;
+        history.pushState(null, '', `#/${viewId}`);
+    },
+    
+    /**
+     * Show the view for a route and open its activity, tab or inbox
+     * @param {string} hash - Route
+     */
+    async handle(hash) {
+        if (!this.started || !Auth.currentUser) return;
+        
+        const route = this.parse(hash);
+        UI.navigateTo(route.view);
+        
+        if (route.tab) {
+            // After navigateTo's own default-tab switch
+            setTimeout(() => UI.switchActivityTab(route.tab), 150);
+        }
+        if (route.inbox) {
+            history.replaceState(null, '', '#/home');
+            NotificationInbox.show();
+        }
+        if (route.activity) {
+            // Opened once; refreshing the page stays on the activities list
+            history.replaceState(null, '', '#/activities');
+            await this.openActivity(route.activity);
+        }
+    },
+    
+    /**
+     * Open a quiz, task or form by ID
+     * @param {Object} activity - { type, id, review }
+     */
+    async openActivity(activity) {
+        try {
+            if (activity.type === 'quiz') {
+                await (activity.review ? Quiz.openReview(activity.id) : Quiz.startQuiz(activity.id));
+            } else if (activity.type === 'form') {
+                await Forms.openForm(activity.id);
+            } else {
+                const task = await DB.getTask(activity.id);
+                if (!task) {
+                    showToast('Task not found', 'error');
+                    return;
+                }
+                await (task.type === 'form' ? Task.openFormModal(activity.id) : Task.openUploadModal(activity.id));
+            }
+        } catch (error) {
+            console.error('Error opening linked activity:', error);
+            showToast('Could not open this activity', 'error');
+        }
+    }
+};
+
+Router.init();
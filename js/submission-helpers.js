@@ -259,18 +259,111 @@ const SubmissionHelpers = {
         return { canSubmit: true, reason: '' };
     },
     
+    QUIZ_SCORING_LABELS: {
+        first: 'First attempt counts',
+        best: 'Best attempt counts',
+        latest: 'Latest attempt counts',
+        average: 'Average of attempts'
+    },
+    
+    /**
+     * Normalize a quiz's attempt policy (quizzes without one allow a single attempt)
+     * Keep in sync with getQuizAttemptPolicy in functions/index.js, which enforces it
+     * @param {Object} quiz - Quiz data
+     * @returns {{maxAttempts: number, scoring: string, cooldownMinutes: number}} maxAttempts 0 = unlimited
+     */
+    getQuizAttemptPolicy(quiz) {
+        const policy = quiz?.attemptPolicy || {};
+        return {
+            maxAttempts: Number.isInteger(policy.maxAttempts) && policy.maxAttempts >= 0 ? policy.maxAttempts : 1,
+            scoring: this.QUIZ_SCORING_LABELS[policy.scoring] ? policy.scoring : 'first',
+            cooldownMinutes: Number(policy.cooldownMinutes) > 0 ? Number(policy.cooldownMinutes) : 0
+        };
+    },
+    
+    /**
+     * Work out whether the user may take a quiz again under its attempt policy
+     * @param {Object|null} completion - The quiz's completion record (attempts, submittedAt)
+     * @param {Object} quiz - Quiz data
+     * @param {number} now - Current time in ms
+     * @returns {{canSubmit: boolean, reason: string, attemptsUsed: number, attemptsLeft: number|null, nextAttemptAt: number|null}}
+     *          attemptsLeft is null when attempts are unlimited
+     */
+    getQuizRetakeState(completion, quiz, now = Date.now()) {
+        const policy = this.getQuizAttemptPolicy(quiz);
+        const attemptsUsed = completion ? (completion.attempts || 1) : 0;
+        const attemptsLeft = policy.maxAttempts > 0 ? Math.max(0, policy.maxAttempts - attemptsUsed) : null;
+        const state = { canSubmit: true, reason: '', attemptsUsed, attemptsLeft, nextAttemptAt: null };
+        
+        if (!completion) return state;
+        
+        if (attemptsLeft === 0) {
+            state.canSubmit = false;
+            state.reason = policy.maxAttempts === 1
+                ? 'You have already completed this quiz'
+                : `You have used all ${policy.maxAttempts} attempts for this quiz`;
+            return state;
+        }
+        
+        const lastAt = typeof completion.submittedAt === 'number' ? completion.submittedAt : 0;
+        const nextAttemptAt = lastAt + policy.cooldownMinutes * 60 * 1000;
+        if (policy.cooldownMinutes > 0 && now < nextAttemptAt) {
+            state.canSubmit = false;
+            state.nextAttemptAt = nextAttemptAt;
+            state.reason = `You can retake this quiz in ${Math.ceil((nextAttemptAt - now) / 60000)} minutes`;
+        }
+        return state;
+    },
+    
+    /**
+     * Normalize a quiz's answer review policy (quizzes without one never show answers)
+     * @param {Object} quiz - Quiz data
+     * @returns {string} 'immediate' | 'after-close' | 'never'
+     */
+    getQuizReviewPolicy(quiz) {
+        return ['immediate', 'after-close', 'never'].includes(quiz?.reviewPolicy) ? quiz.reviewPolicy : 'never';
+    },
+    
+    /**
+     * Work out whether the user may review their answers to a completed quiz
+     * Keep in sync with assertQuizReviewOpen in functions/index.js, which enforces it
+     * @param {Object} quiz - Quiz data
+     * @param {number} attemptsUsed - The user's attempts so far
+     * @param {number} now - Current time in ms
+     * @returns {{canReview: boolean, reason: string}} reason is empty when review is never offered
+     */
+    getQuizReviewState(quiz, attemptsUsed, now = Date.now()) {
+        const policy = this.getQuizReviewPolicy(quiz);
+        if (policy === 'never') {
+            return { canReview: false, reason: '' };
+        }
+        
+        const isClosed = (quiz.status || 'active') !== 'active' || Utils.getAvailability(quiz, now).state === 'closed';
+        if (policy === 'after-close' && !isClosed) {
+            return { canReview: false, reason: 'Answers can be reviewed once this quiz closes' };
+        }
+        // Retakes left: the answers would help the next attempt
+        const { maxAttempts } = this.getQuizAttemptPolicy(quiz);
+        if (!isClosed && (maxAttempts === 0 || attemptsUsed < maxAttempts)) {
+            return { canReview: false, reason: 'Answers can be reviewed once you have used all your attempts or this quiz closes' };
+        }
+        return { canReview: true, reason: '' };
+    },
+    
     /**
      * Check if a quiz can be submitted
      * @param {Object} completionStatus - User's completion status
      * @param {string} quizId - Quiz ID
+     * @param {Object|null} quiz - Quiz data (without it, any completion blocks a new attempt)
      * @returns {boolean}
      */
-    canSubmitQuiz(completionStatus, quizId) {
-        if (!completionStatus || !completionStatus.quizzes) {
+    canSubmitQuiz(completionStatus, quizId, quiz = null) {
+        const completion = completionStatus?.quizzes?.[quizId] || null;
+        if (!completion) {
             return true;
         }
         
-        return !completionStatus.quizzes[quizId];
+        return quiz ? this.getQuizRetakeState(completion, quiz).canSubmit : false;
     },
     
     /**
@@ -21,6 +21,13 @@ const Task = {
             return;
         }
         
+        // Enforced server-side too; this just explains why early
+        const availability = Utils.getAvailability(task);
+        if (availability.state !== 'open') {
+            showToast(availability.state === 'upcoming' ? `This task ${availability.label.toLowerCase()}` : 'This task is closed', 'info');
+            return;
+        }
+        
         // Check if task can be submitted using CompletionManager
         const canSubmit = await CompletionManager.canSubmitTask(Auth.currentUser.uid, taskId);
         
@@ -261,6 +268,13 @@ const Task = {
             return;
         }
         
+        // Enforced server-side too; this just explains why early
+        const availability = Utils.getAvailability(task);
+        if (availability.state !== 'open') {
+            showToast(availability.state === 'upcoming' ? `This task ${availability.label.toLowerCase()}` : 'This task is closed', 'info');
+            return;
+        }
+        
         if (task.type !== 'form') {
             showToast('This task is not a form', 'error');
             return;
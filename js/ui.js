@@ -27,6 +27,11 @@ const UI = {
             }
         });
         
+        // Keep the URL hash in step with the view (see Router)
+        if (typeof Router !== 'undefined') {
+            Router.syncView(viewId);
+        }
+        
         // Load data when navigating to specific views
         if (!Auth.currentUser) return;
         
@@ -413,6 +418,36 @@ const UI = {
             });
         });
         
+        // Listen for a live hall quiz being hosted (shows the join banner)
+        const liveQuizRef = DB.rtdb.ref('liveQuiz/current');
+        const liveQuizListener = (snapshot) => {
+            LiveQuiz.handleCurrentChange(snapshot.val());
+        };
+        
+        liveQuizRef.on('value', liveQuizListener, (error) => {
+            console.error('Error listening to live quiz updates:', error);
+        });
+        
+        this._realtimeListeners.liveQuiz = { ref: liveQuizRef, listener: liveQuizListener };
+        
+        // Listen to the notification inbox and its read state (bell badge)
+        const inboxRef = DB.rtdb.ref(`attendeeCache/notifications/${userId}`);
+        const inboxListener = (snapshot) => {
+            NotificationInbox.handleNotificationsChange(snapshot.val());
+        };
+        inboxRef.on('value', inboxListener, (error) => {
+            console.error('Error listening to notifications:', error);
+        });
+        this._realtimeListeners.inbox = { ref: inboxRef, listener: inboxListener };
+        
+        const inboxStateRef = DB.rtdb.ref(`notificationState/${userId}`);
+        const inboxStateListener = (snapshot) => {
+            NotificationInbox.handleStateChange(snapshot.val());
+        };
+        inboxStateRef.on('value', inboxStateListener, (error) => {
+            console.error('Error listening to notification read state:', error);
+        });
+        this._realtimeListeners.inboxState = { ref: inboxStateRef, listener: inboxStateListener };
     },
     
     async renderPendingActivities() {
@@ -566,6 +601,7 @@ const UI = {
             
             const itemId = item.id || item.taskId || item.quizId || item.formId;
             const itemType = item.itemType || 'task';
+            const availability = Utils.getAvailability(item);
             
             listEl.innerHTML += `
                 <div class="pending-activity-card p-4 bg-white hover:bg-slate-50 transition-all duration-300 group animate-fade-in" 
@@ -584,9 +620,15 @@ const UI = {
                             <p class="text-xs text-slate-500 line-clamp-2 leading-relaxed mt-1">${item.description || item.desc}</p>
                         </div>
                     </div>
-                    <button onclick="${action}" class="w-full py-2.5 rounded-lg bg-slate-100 text-slate-600 group-hover:bg-slate-800 group-hover:text-white font-bold text-xs transition-all flex items-center justify-center gap-2">
-                        <i class="fas ${btnIcon}"></i> ${btnText}
-                    </button>
+                    ${availability.state !== 'open' ? `
+                        <div class="w-full py-2.5 rounded-lg bg-slate-100 text-slate-400 font-bold text-xs flex items-center justify-center gap-2 cursor-not-allowed">
+                            <i class="fas fa-${availability.state === 'upcoming' ? 'lock' : 'ban'}"></i> ${availability.label}
+                        </div>
+                    ` : `
+                        <button onclick="${action}" class="w-full py-2.5 rounded-lg bg-slate-100 text-slate-600 group-hover:bg-slate-800 group-hover:text-white font-bold text-xs transition-all flex items-center justify-center gap-2">
+                            <i class="fas ${btnIcon}"></i> ${btnText}${availability.label ? ` · ${availability.label}` : ''}
+                        </button>
+                    `}
                 </div>
             `;
         });
@@ -1072,6 +1114,7 @@ const UI = {
                 
                 const quizCompletion = completionStatus.quizzes[quizId];
                 const isCompleted = !!quizCompletion;
+                const availability = Utils.getAvailability(q);
                 
                 // Skip completed quizzes if not showing completed
                 if (isCompleted && !showCompleted) {
@@ -1086,12 +1129,17 @@ const UI = {
                         <h4 class="font-bold">${this.escapeHtml(q.title)}</h4>
                         <p class="text-xs text-white/80 mt-1">Win ${q.totalPoints || q.points || 0} Points</p>
                         ${q.isTimeBased ? `<p class="text-xs text-white/70 mt-1"><i class="fas fa-clock"></i> ${q.timeLimit} min</p>` : ''}
+                        ${!isCompleted && availability.state === 'open' && availability.label ? `<p class="text-xs text-white/70 mt-1"><i class="fas fa-hourglass-half"></i> ${availability.label}</p>` : ''}
                         ${isCompleted ? '<span class="text-xs bg-green-500 px-2 py-1 rounded mt-2 inline-block">Completed</span>' : ''}
                     </div>
                     ${isCompleted ? `
                         <div class="relative z-10 bg-white/30 text-white text-xs font-bold px-5 py-2.5 rounded-full opacity-75 cursor-not-allowed">
                             Done
                         </div>
+                    ` : availability.state !== 'open' ? `
+                        <div class="relative z-10 bg-white/30 text-white text-xs font-bold px-5 py-2.5 rounded-full cursor-not-allowed">
+                            <i class="fas fa-${availability.state === 'upcoming' ? 'lock' : 'ban'}"></i> ${availability.label}
+                        </div>
                     ` : `
                         <button onclick="Quiz.startQuiz('${quizId}')" class="relative z-10 bg-white text-slate-900 text-xs font-bold px-5 py-2.5 rounded-full shadow hover:scale-105 transition-transform">
                             Start
@@ -1227,11 +1275,17 @@ const UI = {
                 const taskCompletion = completionStatus.tasks?.[taskId];
                 const status = taskCompletion?.status || t.status || null;
                 const isCompleted = t.completed || status === 'approved';
+                const availability = Utils.getAvailability(t);
                 
                 // Determine button/status display based on completion status
                 let buttonHtml = '';
                 
-                if (!taskCompletion || !status) {
+                if (availability.state !== 'open' && (!status || status === 'rejected')) {
+                    // Outside the task's opensAt/closesAt window - nothing can be submitted
+                    buttonHtml = `<div class="w-full py-3 rounded-xl bg-white/20 backdrop-blur-md text-white font-bold text-sm flex items-center justify-center gap-2 border border-white/20 cursor-not-allowed">
+                        <i class="fas fa-${availability.state === 'upcoming' ? 'lock' : 'ban'}"></i> ${availability.label}
+                    </div>`;
+                } else if (!taskCompletion || !status) {
                     // Task has not been submitted yet - show action button
                     const taskType = t.type === 'form' ? 'Form' : 'Upload';
                     const taskIcon = t.type === 'form' ? 'file-alt' : 'camera';
@@ -1275,6 +1329,7 @@ const UI = {
                         <span class="bg-white/20 backdrop-blur-md text-white text-xs font-bold px-2 py-1 rounded-lg">+${t.points || 0}</span>
                     </div>
                     <p class="text-xs text-white/80 mb-4 leading-relaxed">${this.escapeHtml(t.description || '')}</p>
+                    ${!isCompleted && availability.state === 'open' && availability.label ? `<p class="text-xs text-white/70 mb-3"><i class="fas fa-hourglass-half"></i> ${availability.label}</p>` : ''}
                     ${buttonHtml}
                 `;
                 fragment.appendChild(taskEl);
@@ -1755,7 +1810,9 @@ const UI = {
                     itemType: 'quiz',
                     score: completion.score,
                     totalScore: completion.totalScore,
-                    submittedAt: completion.submittedAt
+                    submittedAt: completion.submittedAt,
+                    retake: quiz.mode === 'live' ? null : SubmissionHelpers.getQuizRetakeState(completion, quiz),
+                    review: SubmissionHelpers.getQuizReviewState(quiz, completion.attempts || 1)
                 });
             }
         }
@@ -1819,6 +1876,10 @@ const UI = {
             const icon = item.itemType === 'quiz' ? 'fa-puzzle-piece' : item.itemType === 'form' ? 'fa-file-alt' : 'fa-tasks';
             const gradient = item.itemType === 'quiz' ? 'gradient-quiz' : item.itemType === 'form' ? 'gradient-form' : 'gradient-task';
             const date = item.submittedAt ? new Date(item.submittedAt).toLocaleDateString() : 'Unknown';
+            const policy = item.retake ? SubmissionHelpers.getQuizAttemptPolicy(item) : null;
+            const allowsRetakes = policy && policy.maxAttempts !== 1;
+            const canRetake = allowsRetakes && item.retake.canSubmit && (item.status || 'active') === 'active' &&
+                Utils.getAvailability(item).state === 'open';
             
             completedList.innerHTML += `
                 <div class="bg-gradient-to-r ${gradient} text-white p-4 rounded-2xl shadow-lg">
@@ -1830,7 +1891,26 @@ const UI = {
                         ${item.score !== undefined ? `<span class="bg-white/20 backdrop-blur-md px-2 py-1 rounded-full text-xs font-bold">${item.score}/${item.totalScore} pts</span>` : ''}
                     </div>
                     ${item.status ? `<p class="text-xs text-white/80 mb-2">Status: <span class="font-bold">${item.status}</span></p>` : ''}
+                    ${allowsRetakes ? `
+                        <p class="text-xs text-white/80 mb-2">
+                            ${item.retake.attemptsUsed} of ${policy.maxAttempts || 'unlimited'} attempts used · ${SubmissionHelpers.QUIZ_SCORING_LABELS[policy.scoring]}
+                        </p>
+                    ` : ''}
                     <p class="text-xs text-white/60">Completed: ${date}</p>
+                    ${allowsRetakes && item.retake.nextAttemptAt ? `<p class="text-xs text-white/80 mt-1">${item.retake.reason}</p>` : ''}
+                    ${item.review?.reason ? `<p class="text-xs text-white/80 mt-1">${item.review.reason}</p>` : ''}
+                    ${item.review?.canReview ? `
+                        <button onclick="Quiz.openReview('${item.id}')" 
+                                class="mt-2 w-full bg-white/20 backdrop-blur-md text-white font-bold py-2 rounded-lg text-sm hover:bg-white/30 transition-colors">
+                            <i class="fas fa-list-check mr-1"></i>Review answers
+                        </button>
+                    ` : ''}
+                    ${canRetake ? `
+                        <button onclick="Quiz.startQuiz('${item.id}')" 
+                                class="mt-2 w-full bg-white text-slate-900 font-bold py-2 rounded-lg text-sm hover:bg-slate-100 transition-colors">
+                            <i class="fas fa-redo mr-1"></i>Retake
+                        </button>
+                    ` : ''}
                     ${item.status === 'rejected' ? `
                         <button onclick="${item.itemType === 'quiz' ? `Quiz.startQuiz('${item.id}')` : item.itemType === 'form' ? `Forms.openForm('${item.id}')` : item.type === 'form' ? `Task.openFormModal('${item.id}')` : `Task.openUploadModal('${item.id}')`}" 
                                 class="mt-2 w-full bg-white text-slate-900 font-bold py-2 rounded-lg text-sm hover:bg-slate-100 transition-colors">
@@ -2244,6 +2324,7 @@ const UI = {
         
             filtered.forEach(form => {
                 const isCompleted = form.completed || form.submittedAt;
+                const availability = Utils.getAvailability(form);
             
             formsList.innerHTML += `
                 <div class="gradient-form text-white p-4 rounded-2xl shadow-lg">
@@ -2257,8 +2338,13 @@ const UI = {
                     <div class="flex items-center gap-2 text-xs text-white/70 mb-4">
                         <span><i class="fas fa-list"></i> ${form.formFieldsCount || 0} questions</span>
                         ${isCompleted ? '<span class="text-green-300"><i class="fas fa-check-circle"></i> Completed</span>' : ''}
+                        ${!isCompleted && availability.state === 'open' && availability.label ? `<span><i class="fas fa-hourglass-half"></i> ${availability.label}</span>` : ''}
                     </div>
-                    ${!isCompleted ? `
+                    ${!isCompleted && availability.state !== 'open' ? `
+                        <div class="w-full py-3 rounded-xl bg-white/20 backdrop-blur-md text-white font-bold text-sm flex items-center justify-center gap-2 border border-white/20 cursor-not-allowed">
+                            <i class="fas fa-${availability.state === 'upcoming' ? 'lock' : 'ban'}"></i> ${availability.label}
+                        </div>
+                    ` : !isCompleted ? `
                         <button onclick="Forms.openForm('${form.id}')" class="w-full py-3 rounded-xl bg-white text-slate-900 font-bold text-sm hover:bg-slate-100 transition-colors flex items-center justify-center gap-2">
                             <i class="fas fa-file-alt"></i> Fill Form
                         </button>
@@ -2281,6 +2367,10 @@ const UI = {
      */
     async loadNotificationSettings() {
         try {
+            if (typeof NotificationSettings !== 'undefined') {
+                NotificationSettings.loadDeliveryForm();
+            }
+            
             if (typeof FCMNotifications === 'undefined') {
                 return;
             }
@@ -200,5 +200,40 @@ const Utils = {
             return `Field ${fieldId}`;
         }
         return cleaned || fieldId;
+    },
+
+    /**
+     * Format a duration as a short countdown (e.g. "2d 4h", "3h 15m", "12m")
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} - Countdown text
+     */
+    formatTimeUntil(ms) {
+        const minutes = Math.max(1, Math.ceil(ms / 60000));
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const mins = minutes % 60;
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${mins}m`;
+        return `${mins}m`;
+    },
+
+    /**
+     * Get an activity's availability from its opensAt/closesAt window
+     * Activities without a window are always open. The server enforces the same window.
+     * @param {Object} activity - Quiz, task or form (Firestore Timestamps or cached millis)
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object} - { state: 'upcoming'|'open'|'closed', label: string|null }
+     */
+    getAvailability(activity, now = Date.now()) {
+        const opensAt = this.timestampToMillis(activity?.opensAt);
+        const closesAt = this.timestampToMillis(activity?.closesAt);
+
+        if (opensAt && now < opensAt) {
+            return { state: 'upcoming', label: `Opens in ${this.formatTimeUntil(opensAt - now)}` };
+        }
+        if (closesAt && now >= closesAt) {
+            return { state: 'closed', label: 'Closed' };
+        }
+        return { state: 'open', label: closesAt ? `Closes in ${this.formatTimeUntil(closesAt - now)}` : null };
     }
 };